@@ -31,6 +31,7 @@ export default [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         AbortController: 'readonly',
+        AbortSignal: 'readonly',
       },
     },
     rules: {
@@ -44,4 +45,14 @@ export default [
       'no-var': 'error',
     },
   },
+  {
+    // Functions evaluated in the page by Playwright
+    files: ['scripts/utils/render-helpers.js'],
+    languageOptions: {
+      globals: {
+        document: 'readonly',
+        getComputedStyle: 'readonly',
+      },
+    },
+  },
 ];
@@ -6,8 +6,10 @@
  *
  * Reads:
  *   - .claude/skills/compare-batches/resources/compare-prompt.template.md
- *   - comparison.json from the comparison directory
- *   - augmentation files referenced by both batches
+ *   - comparison.json from the comparison directory, including the augmentation
+ *     content diff compare-batches built from the runs' augmentation manifests
+ *   - augmentation files referenced by both batches (only for batches without
+ *     manifests)
  *
  * Prints the assembled prompt to stdout.
  */
@@ -23,7 +25,12 @@ const projectRoot = path.join(__dirname, '..');
  *
  * Compares at two levels:
  * 1. Augmentation files — which .json files were added/removed
- * 2. Augmentation targets — which workspace targets changed source across files
+ * 2. Augmentation targets — which workspace targets changed across files: a
+ *    different source, mode (patch, delete, append, ...) or template vars
+ *
+ * Target `source` fields describe what happens to the target: the source of a
+ * plain copy, otherwise prefixed with the mode (`patch x.patch`), `(deleted)`
+ * for deletions, with entries on the same target joined by ` + `.
  *
  * @param {object} baselineBatch - batch metadata from baseline (has args.augmentationsFiles, augmentationSetName)
  * @param {object} candidateBatch - batch metadata from candidate
@@ -84,7 +91,7 @@ export function diffAugmentations(baselineBatch, candidateBatch, augFiles) {
     const cEntry = candidateTargets.get(target);
 
     if (bEntry && cEntry) {
-      if (bEntry.source !== cEntry.source) {
+      if (bEntry.key !== cEntry.key) {
         filesChanged.push({
           target,
           baselineSource: bEntry.source,
@@ -113,15 +120,42 @@ export function diffAugmentations(baselineBatch, candidateBatch, augFiles) {
 }
 
 /**
- * Collect all augmentation target -> {source, file} mappings from a set of augmentation files.
+ * Describe what one augmentation entry ({ mode, source, template, vars }) does to its target.
+ */
+export function describeAugmentation(aug) {
+  const mode = aug.mode || 'merge';
+  if (mode === 'delete') return '(deleted)';
+
+  let text = ['merge', 'replace'].includes(mode) ? aug.source : `${mode} ${aug.source}`;
+  if (mode === 'replace') text += ' (replace)';
+  if (aug.template) text += ` (template${aug.vars && Object.keys(aug.vars).length ? `, vars ${JSON.stringify(aug.vars)}` : ''})`;
+  return text;
+}
+
+/**
+ * Collect augmentation target -> {source, key, file} from a set of augmentation files.
+ * Entries on the same target (e.g. a copy followed by a patch) are combined in order.
  */
 function collectTargets(filePaths, augFiles) {
   const targets = new Map();
   for (const filePath of filePaths) {
     const content = augFiles[filePath];
-    if (!content?.augmentations) continue;
-    for (const aug of content.augmentations) {
-      targets.set(aug.target, { source: aug.source, file: filePath });
+    // Augmentation files are either a plain list or a named set
+    const entries = Array.isArray(content) ? content : content?.augmentations;
+    if (!entries) continue;
+    for (const entry of entries) {
+      // Set-level vars apply to every entry, as when the set is loaded for a run
+      const aug = content.vars && !Array.isArray(content) ? { ...entry, vars: { ...content.vars, ...entry.vars } } : entry;
+      const op = { mode: aug.mode || 'merge', source: aug.source, template: !!aug.template, vars: aug.vars || null };
+      const existing = targets.get(aug.target);
+      // A copy or deletion replaces whatever earlier entries put there
+      const ops = existing && ['patch', 'append', 'prepend'].includes(op.mode) ? [...existing.ops, op] : [op];
+      targets.set(aug.target, {
+        source: ops.map(describeAugmentation).join(' + '),
+        key: JSON.stringify(ops),
+        ops,
+        file: filePath,
+      });
     }
   }
   return targets;
@@ -155,9 +189,9 @@ export function formatAugmentationDiff(diff) {
   if (diff.filesAdded.length > 0) {
     lines.push('\n### Augmentation files added in candidate');
     for (const f of diff.filesAdded) {
-      lines.push(`- **${f.content.name}** (${f.path})`);
-      for (const aug of f.content.augmentations || []) {
-        lines.push(`  - ${aug.target} ← ${aug.source}`);
+      lines.push(`- **${f.content.name || path.basename(f.path)}** (${f.path})`);
+      for (const aug of (Array.isArray(f.content) ? f.content : f.content.augmentations) || []) {
+        lines.push(`  - ${aug.target} ← ${describeAugmentation(aug)}`);
       }
     }
   }
@@ -165,9 +199,9 @@ export function formatAugmentationDiff(diff) {
   if (diff.filesRemoved.length > 0) {
     lines.push('\n### Augmentation files removed in candidate');
     for (const f of diff.filesRemoved) {
-      lines.push(`- **${f.content.name}** (${f.path})`);
-      for (const aug of f.content.augmentations || []) {
-        lines.push(`  - ${aug.target} ← ${aug.source}`);
+      lines.push(`- **${f.content.name || path.basename(f.path)}** (${f.path})`);
+      for (const aug of (Array.isArray(f.content) ? f.content : f.content.augmentations) || []) {
+        lines.push(`  - ${aug.target} ← ${describeAugmentation(aug)}`);
       }
     }
   }
@@ -205,6 +239,55 @@ export function formatAugmentationDiff(diff) {
   return lines.join('\n');
 }
 
+/**
+ * Format the content-level augmentation diff from comparison.json for the
+ * subagent prompt.
+ */
+export function formatAugmentationContentDiff(contentDiff, baselineBatch = {}, candidateBatch = {}) {
+  const lines = [];
+  const baselineName = baselineBatch.augmentationSetName;
+  const candidateName = candidateBatch.augmentationSetName;
+  if (baselineName !== candidateName) {
+    lines.push(`Augmentation set name changed: "${baselineName}" → "${candidateName}"`);
+  } else {
+    lines.push(`Augmentation set: "${baselineName}"`);
+  }
+
+  if (contentDiff.identical) {
+    lines.push(`\nBaseline and candidate ran with identical augmentation content (${contentDiff.baselineHash}), `
+      + 'whatever the augmentation files are called.');
+    return lines.join('\n');
+  }
+
+  if (contentDiff.changed.length > 0) {
+    lines.push('\n### Workspace targets with different content');
+    for (const c of contentDiff.changed) {
+      const type = c.baselineType === c.candidateType ? c.baselineType : `${c.baselineType} → ${c.candidateType}`;
+      lines.push(`- **${c.target}** (${type})`);
+      if (c.diff) {
+        lines.push('```diff', c.diff.trimEnd(), '```');
+      } else if (c.baselineHashes.length > 1 || c.candidateHashes.length > 1) {
+        lines.push('  - Content varies between runs (e.g. per-agent or per-run templates); no single diff');
+      }
+    }
+  }
+
+  const listTargets = (heading, targets) => {
+    if (targets.length === 0) return;
+    lines.push(`\n### ${heading}`);
+    for (const t of targets) lines.push(`- ${t.target} (${t.type})`);
+  };
+  listTargets('New workspace targets in candidate', contentDiff.added);
+  listTargets('Workspace targets only in baseline', contentDiff.removed);
+
+  if (contentDiff.scriptedChanged) {
+    lines.push('\n### Scripted augmentations differ');
+    lines.push('Their effect on the workspace is not captured; see the batch metadata for names and paths.');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Load augmentation file contents for all paths referenced by both batches.
  */
@@ -226,6 +309,16 @@ async function loadAugmentationFiles(baselineBatch, candidateBatch) {
   return augFiles;
 }
 
+/**
+ * comparison.json as embedded in the prompt. `augmentations` is left out:
+ * the augmentation section already shows it, content diffs included.
+ */
+export function formatComparisonData(comparison) {
+  const data = { ...comparison };
+  delete data.augmentations;
+  return JSON.stringify(data, null, 2);
+}
+
 async function assembleComparePrompt(comparisonDir) {
   const template = await fs.readFile(
     path.join(projectRoot, '.claude/skills/compare-batches/resources/compare-prompt.template.md'),
@@ -236,22 +329,29 @@ async function assembleComparePrompt(comparisonDir) {
     await fs.readFile(path.join(comparisonDir, 'comparison.json'), 'utf-8'),
   );
 
-  const comparisonData = await fs.readFile(path.join(comparisonDir, 'comparison.json'), 'utf-8');
-
-  // Build augmentation diff
-  const augFiles = await loadAugmentationFiles(
-    comparison.baselineBatch || {},
-    comparison.candidateBatch || {},
-  );
-  const augDiff = diffAugmentations(
-    comparison.baselineBatch || {},
-    comparison.candidateBatch || {},
-    augFiles,
-  );
-  const augDiffText = formatAugmentationDiff(augDiff);
+  // Build augmentation diff: from recorded content, or from the augmentation files for older batches
+  let augDiffText;
+  if (comparison.augmentations) {
+    augDiffText = formatAugmentationContentDiff(
+      comparison.augmentations,
+      comparison.baselineBatch || {},
+      comparison.candidateBatch || {},
+    );
+  } else {
+    const augFiles = await loadAugmentationFiles(
+      comparison.baselineBatch || {},
+      comparison.candidateBatch || {},
+    );
+    const augDiff = diffAugmentations(
+      comparison.baselineBatch || {},
+      comparison.candidateBatch || {},
+      augFiles,
+    );
+    augDiffText = formatAugmentationDiff(augDiff);
+  }
 
   const prompt = template
-    .replaceAll('{{comparison_data}}', comparisonData.trim())
+    .replaceAll('{{comparison_data}}', formatComparisonData(comparison))
     .replaceAll('{{baseline_dir}}', comparison.baselineDir || '')
     .replaceAll('{{candidate_dir}}', comparison.candidateDir || '')
     .replaceAll('{{augmentation_diff}}', augDiffText);
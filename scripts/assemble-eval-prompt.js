@@ -2,19 +2,26 @@
 /**
  * Assemble the eval subagent prompt from template + run data.
  *
- * Usage: node scripts/assemble-eval-prompt.js <result-folder> <workspace-path> <port>
+ * Usage: node scripts/assemble-eval-prompt.js <result-folder> <workspace-path> [port]
  *
  * Reads:
  *   - .claude/skills/eval-run/resources/eval-prompt.template.md
  *   - task.json, prompt.txt, criteria.txt from the result folder
  *   - check-resolved-criteria.json from the result folder (if exists)
  *   - run-metrics.json from the result folder (if exists)
+ *   - turns.json and follow-up prompt files from the result folder (multi-turn tasks,
+ *     user simulator answers)
+ *   - network-log.jsonl from the result folder (tasks with a network policy)
+ *   - eval-services.json from the result folder (services started by
+ *     scripts/task-services.js); without a port argument, the first service
+ *     with a port is used, otherwise 3001
  *
  * Prints the assembled prompt to stdout.
  */
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { summarizeNetworkLog } from './utils/network-proxy.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, '..');
@@ -27,7 +34,12 @@ async function readOr(filePath, fallback) {
   }
 }
 
-async function assembleEvalPrompt(resultFolder, workspacePath, port) {
+function truncate(text, max = 500) {
+  const trimmed = (text || '').trim();
+  return trimmed.length > max ? `${trimmed.slice(0, max)}...` : trimmed;
+}
+
+async function assembleEvalPrompt(resultFolder, workspacePath, portArg) {
   const template = await fs.readFile(
     path.join(projectRoot, '.claude/skills/eval-run/resources/eval-prompt.template.md'),
     'utf-8',
@@ -75,6 +87,74 @@ async function assembleEvalPrompt(resultFolder, workspacePath, port) {
     }
   }
 
+  const turnsJson = await readOr(path.join(resultFolder, 'turns.json'), null);
+  if (turnsJson) {
+    const turns = JSON.parse(turnsJson);
+    const followUps = turns.filter((t) => t.turn > 1 && t.source !== 'simulator');
+    const lines = [];
+    for (const t of followUps) {
+      if (t.skipped) {
+        lines.push(`  - Turn ${t.turn} (${t.promptFile}) was not sent: ${t.reason}`);
+      } else {
+        const turnPrompt = await readOr(path.join(resultFolder, path.basename(t.promptFile)), '(prompt not found)');
+        lines.push(`  - Turn ${t.turn} (${t.promptFile}): ${turnPrompt.trim()}`);
+      }
+    }
+    if (lines.length > 0) {
+      contextParts.push(
+        '- **This was a multi-turn task.** After the agent finished the prompt above, the user '
+        + 'followed up in the same session. Judge the final state against all turns:\n'
+        + lines.join('\n'),
+      );
+    }
+
+    const simulated = turns.filter((t) => t.source === 'simulator');
+    const answered = simulated.filter((t) => !t.skipped);
+    if (simulated.length > 0) {
+      const questions = simulated.map((t) => {
+        const question = truncate(t.question);
+        return t.skipped
+          ? `  - Turn ${t.turn - 1} asked: ${question}\n    Not answered: ${t.reason}`
+          : `  - Turn ${t.turn - 1} asked: ${question}\n    Simulated user: ${t.answer.trim()}`;
+      });
+      contextParts.push(
+        `- **The agent stopped to ask the user ${simulated.length} time(s)** and a simulated user `
+        + `answered ${answered.length} of them. Consider whether each question was necessary or whether `
+        + 'the answer was available from the prompt, the repository or the skills:\n'
+        + questions.join('\n'),
+      );
+    }
+  }
+
+  const networkLog = await readOr(path.join(resultFolder, 'network-log.jsonl'), null);
+  if (networkLog !== null && taskJson.network) {
+    const { mode, allow } = taskJson.network;
+    const policy = mode === 'allowlist' ? `only ${allow.join(', ')}` : mode;
+    const { allowed, blocked, hosts } = summarizeNetworkLog(networkLog);
+    const hostLines = hosts.slice(0, 15)
+      .map((h) => `  - ${h.host}: ${h.allowed} allowed, ${h.blocked} blocked`);
+    if (hosts.length > 15) hostLines.push(`  - ...and ${hosts.length - 15} more hosts`);
+    contextParts.push(
+      `- **Network policy: ${policy}.** Besides its own API, the agent made ${allowed} allowed and `
+      + `${blocked} blocked network requests (HTTPS is counted per connection)`
+      + (hosts.length > 0 ? ':\n' + hostLines.join('\n') : '.')
+      + (blocked > 0
+        ? '\n  Blocked requests were attempts to reach hosts outside the policy; judge whether the agent '
+          + 'worked without them rather than penalising the attempt itself.'
+        : ''),
+    );
+  }
+
+  const evalServicesJson = await readOr(path.join(resultFolder, 'eval-services.json'), null);
+  const evalServices = evalServicesJson ? JSON.parse(evalServicesJson).services : [];
+  if (evalServices.length > 0) {
+    contextParts.push(
+      '- **The task\'s services are running** for you to exercise the agent\'s work against:\n'
+      + evalServices.map((s) => `  - ${s.name}: ${s.url || '(no port)'}`).join('\n'),
+    );
+  }
+  const port = portArg || evalServices.find((s) => s.port)?.port || '3001';
+
   const testResults = await readOr(path.join(resultFolder, 'test-results.json'), null);
   if (testResults) {
     try {
@@ -108,7 +188,7 @@ async function assembleEvalPrompt(resultFolder, workspacePath, port) {
 // CLI entry point
 const resultFolder = process.argv[2];
 const workspacePath = process.argv[3];
-const port = process.argv[4] || '3001';
+const port = process.argv[4];
 
 if (!resultFolder || !workspacePath) {
   console.error('Usage: node scripts/assemble-eval-prompt.js <result-folder> <workspace-path> [port]');
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { diffAugmentationContent } from './utils/augmentation-snapshot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -155,6 +156,13 @@ function formatSummary(comparison) {
   lines.push('');
   lines.push(`Baseline: ${comparison.baselineDir}`);
   lines.push(`Candidate: ${comparison.candidateDir}`);
+  const aug = comparison.augmentations;
+  if (aug) {
+    const changes = aug.changed.length + aug.added.length + aug.removed.length;
+    lines.push(aug.identical
+      ? `Augmentations: identical content (${aug.baselineHash})`
+      : `Augmentations: ${changes} target(s) differ${aug.scriptedChanged ? ', scripted augmentations differ' : ''} (${aug.baselineHash} → ${aug.candidateHash})`);
+  }
   lines.push('');
 
   const fmtDelta = (v, digits = 2) => {
@@ -207,6 +215,11 @@ async function main() {
   const baselineSummary = await loadBatchSummary(args.baselineDir);
   const candidateSummary = await loadBatchSummary(args.candidateDir);
   const comparison = compareBatches(baselineSummary, candidateSummary);
+  // Content of the augmentations each batch ran with, from the runs' manifests
+  comparison.augmentations = await diffAugmentationContent(
+    path.resolve(args.baselineDir),
+    path.resolve(args.candidateDir),
+  );
 
   console.log(formatSummary(comparison));
 
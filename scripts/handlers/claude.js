@@ -3,7 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getAgentConfig, parseAdditionalArgs } from '../utils/env-config.js';
-import { wrapWithSafehouse, buildBotAuthEnv } from '../utils/agent-launch.js';
+import { wrapWithSandbox, buildAgentEnv } from '../utils/agent-launch.js';
 import {
   killOrphanedProcesses,
   createIdleTimeout,
@@ -15,8 +15,14 @@ import {
 /**
  * Build the CLI args array for the claude command.
  * Exported for testing.
+ *
+ * @param {string} configDir - Folder holding claude-system-prompt-append.txt
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override (e.g. from a run matrix cell)
+ * @param {string} [options.profile] - Agent profile to read config from instead of 'claude'
+ * @param {string} [options.sessionId] - Session to resume (follow-up turns)
  */
-export async function buildArgs(configDir) {
+export async function buildArgs(configDir, { model, profile, sessionId } = {}) {
   const args = [
     '--dangerously-skip-permissions',
     '--verbose',
@@ -25,8 +31,10 @@ export async function buildArgs(configDir) {
     '--setting-sources', 'project',
   ];
 
-  // Append system prompt from config file if it exists
-  const systemPromptPath = path.join(configDir, 'claude-system-prompt-append.txt');
+  const config = getAgentConfig(profile || 'claude');
+
+  // Append system prompt from the profile's file or the config file, if it exists
+  const systemPromptPath = config.systemPromptFile || path.join(configDir, 'claude-system-prompt-append.txt');
   try {
     const systemPrompt = (await fs.readFile(systemPromptPath, 'utf-8')).trim();
     if (systemPrompt) {
@@ -36,26 +44,29 @@ export async function buildArgs(configDir) {
     // No system prompt file — that's fine
   }
 
-  const config = getAgentConfig('claude');
-
-  if (config.model) {
-    args.push('--model', config.model);
+  const resolvedModel = model || config.model;
+  if (resolvedModel) {
+    args.push('--model', resolvedModel);
   }
 
   const additionalArgs = parseAdditionalArgs(config.additionalArgs);
   args.push(...additionalArgs);
 
+  if (sessionId) {
+    args.push('--resume', sessionId);
+  }
+
   return args;
 }
 
 const defaultConfigDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config');
 
 export default async function runClaude(task, onActivity, signal) {
-  const agentArgs = await buildArgs(defaultConfigDir);
-  const { env: authEnv, envPass } = buildBotAuthEnv(task.workspaceDir);
-  const { bin, args, env: safehouseEnv } = wrapWithSafehouse('claude', agentArgs, { envPass });
+  const agentArgs = await buildArgs(defaultConfigDir, { model: task.model, profile: task.profile, sessionId: task.sessionId });
+  const { env: agentEnv, envPass } = buildAgentEnv(task);
+  const { bin, args, env: sandboxEnv } = wrapWithSandbox('claude', agentArgs, { envPass, workspaceDir: task.workspaceDir });
 
-  const env = { ...process.env, ...safehouseEnv, ...authEnv };
+  const env = { ...process.env, ...sandboxEnv, ...agentEnv };
   delete env.CLAUDECODE;
 
   return new Promise((resolve, reject) => {
@@ -67,7 +78,8 @@ export default async function runClaude(task, onActivity, signal) {
 
     const { getStderr } = captureStderr(claude, task.taskInfoFolder);
     const killOptions = { workspaceDir: task.workspaceDir };
-    const idle = createIdleTimeout(claude, onActivity, killOptions);
+    const { idleTimeoutMs } = getAgentConfig(task.profile || 'claude');
+    const idle = createIdleTimeout(claude, onActivity, { ...killOptions, timeoutMs: idleTimeoutMs });
     wireAbortSignal(signal, claude, idle, killOptions);
 
     claude.stdin.write(task.prompt);
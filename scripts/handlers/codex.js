@@ -2,7 +2,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { getAgentConfig, parseAdditionalArgs } from '../utils/env-config.js';
-import { wrapWithSafehouse, buildBotAuthEnv } from '../utils/agent-launch.js';
+import { wrapWithSandbox, buildAgentEnv } from '../utils/agent-launch.js';
 import {
   killOrphanedProcesses,
   createIdleTimeout,
@@ -14,9 +14,14 @@ import {
 /**
  * Build the CLI args array for the codex command.
  * Exported for testing.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override (e.g. from a run matrix cell)
+ * @param {string} [options.profile] - Agent profile to read config from instead of 'codex'
+ * @param {string} [options.sessionId] - Thread to resume with `exec resume` (follow-up turns)
  */
-export function buildArgs() {
-  const config = getAgentConfig('codex');
+export function buildArgs({ model, profile, sessionId } = {}) {
+  const config = getAgentConfig(profile || 'codex');
 
   const args = [
     'exec',
@@ -24,13 +29,19 @@ export function buildArgs() {
     '--json',
   ];
 
-  if (config.model) {
-    args.push('--model', config.model);
+  const resolvedModel = model || config.model;
+  if (resolvedModel) {
+    args.push('--model', resolvedModel);
   }
 
   const additionalArgs = parseAdditionalArgs(config.additionalArgs);
   args.push(...additionalArgs);
 
+  if (sessionId) {
+    // Prompt still comes from stdin
+    args.push('resume', sessionId, '-');
+  }
+
   return args;
 }
 
@@ -42,20 +53,24 @@ export function buildArgs() {
  */
 export default async function runCodex(task, onActivity, signal) {
   return new Promise((resolve, reject) => {
-    const agentArgs = buildArgs();
-    const { env: authEnv, envPass } = buildBotAuthEnv(task.workspaceDir);
+    const agentArgs = buildArgs({ model: task.model, profile: task.profile, sessionId: task.sessionId });
+    const { env: agentEnv, envPass } = buildAgentEnv(task);
     const codexEnvPass = [...envPass, 'OPENAI_API_KEY'];
-    const { bin, args, env: safehouseEnv } = wrapWithSafehouse('codex', agentArgs, { envPass: codexEnvPass });
+    const { bin, args, env: sandboxEnv } = wrapWithSandbox('codex', agentArgs, {
+      envPass: codexEnvPass,
+      workspaceDir: task.workspaceDir,
+    });
 
     const codex = spawn(bin, args, {
       cwd: task.workspaceDir,
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, ...safehouseEnv, ...authEnv },
+      env: { ...process.env, ...sandboxEnv, ...agentEnv },
     });
 
     const { getStderr } = captureStderr(codex, task.taskInfoFolder);
     const killOptions = { workspaceDir: task.workspaceDir };
-    const idle = createIdleTimeout(codex, onActivity, killOptions);
+    const { idleTimeoutMs } = getAgentConfig(task.profile || 'codex');
+    const idle = createIdleTimeout(codex, onActivity, { ...killOptions, timeoutMs: idleTimeoutMs });
     wireAbortSignal(signal, codex, idle, killOptions);
 
     // Write prompt to stdin
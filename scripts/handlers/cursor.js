@@ -2,7 +2,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { getAgentConfig, parseAdditionalArgs } from '../utils/env-config.js';
-import { wrapWithSafehouse, buildBotAuthEnv } from '../utils/agent-launch.js';
+import { wrapWithSandbox, buildAgentEnv } from '../utils/agent-launch.js';
 import {
   killOrphanedProcesses,
   createIdleTimeout,
@@ -14,22 +14,32 @@ import {
 /**
  * Build the CLI args array for the cursor-agent command.
  * Exported for testing.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override (e.g. from a run matrix cell)
+ * @param {string} [options.profile] - Agent profile to read config from instead of 'cursor'
+ * @param {string} [options.sessionId] - Chat to resume (follow-up turns)
  */
-export function buildArgs() {
-  const config = getAgentConfig('cursor');
+export function buildArgs({ model, profile, sessionId } = {}) {
+  const config = getAgentConfig(profile || 'cursor');
 
   const args = [
     '--yolo',
     '--output-format', 'stream-json',
   ];
 
-  if (config.model) {
-    args.push('--model', config.model);
+  const resolvedModel = model || config.model;
+  if (resolvedModel) {
+    args.push('--model', resolvedModel);
   }
 
   const additionalArgs = parseAdditionalArgs(config.additionalArgs);
   args.push(...additionalArgs);
 
+  if (sessionId) {
+    args.push('--resume', sessionId);
+  }
+
   return args;
 }
 
@@ -41,20 +51,24 @@ export function buildArgs() {
  */
 export default async function runCursor(task, onActivity, signal) {
   return new Promise((resolve, reject) => {
-    const agentArgs = buildArgs();
-    const { env: authEnv, envPass } = buildBotAuthEnv(task.workspaceDir);
+    const agentArgs = buildArgs({ model: task.model, profile: task.profile, sessionId: task.sessionId });
+    const { env: agentEnv, envPass } = buildAgentEnv(task);
     const cursorEnvPass = [...envPass, 'CURSOR_API_KEY'];
-    const { bin, args, env: safehouseEnv } = wrapWithSafehouse('cursor-agent', agentArgs, { envPass: cursorEnvPass });
+    const { bin, args, env: sandboxEnv } = wrapWithSandbox('cursor-agent', agentArgs, {
+      envPass: cursorEnvPass,
+      workspaceDir: task.workspaceDir,
+    });
 
     const cursor = spawn(bin, args, {
       cwd: task.workspaceDir,
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, ...safehouseEnv, ...authEnv },
+      env: { ...process.env, ...sandboxEnv, ...agentEnv },
     });
 
     const { getStderr } = captureStderr(cursor, task.taskInfoFolder);
     const killOptions = { workspaceDir: task.workspaceDir };
-    const idle = createIdleTimeout(cursor, onActivity, killOptions);
+    const { idleTimeoutMs } = getAgentConfig(task.profile || 'cursor');
+    const idle = createIdleTimeout(cursor, onActivity, { ...killOptions, timeoutMs: idleTimeoutMs });
     wireAbortSignal(signal, cursor, idle, killOptions);
 
     // Write prompt to stdin
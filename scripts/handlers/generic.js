@@ -0,0 +1,178 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { getAgentConfig, parseAdditionalArgs } from '../utils/env-config.js';
+import { wrapWithSandbox, buildAgentEnv } from '../utils/agent-launch.js';
+import { loadAgentDefinition } from '../utils/agent-definitions.js';
+import { sanitizeName } from '../utils/string-utils.js';
+import {
+  killOrphanedProcesses,
+  createIdleTimeout,
+  wireAbortSignal,
+  parseStreamActivity,
+  parseCodexActivity,
+  captureStderr,
+} from './shared.js';
+
+function fillTemplate(arg, values) {
+  return arg.replace(/\{(prompt|promptFile|model|workspaceDir|sessionId)\}/g, (_, key) => values[key] ?? '');
+}
+
+/**
+ * Build the command line for an agent from its declarative definition.
+ * Exported for testing.
+ *
+ * Args may use {prompt}, {promptFile}, {model}, {workspaceDir} and {sessionId}.
+ * `modelArgs` are only added when a model is set, and `resumeArgs` when
+ * resuming a session for a follow-up turn. With `prompt: "arg"` and no
+ * {prompt} placeholder, the prompt is appended as the last argument.
+ *
+ * @param {Object} definition - Normalized agent definition
+ * @param {Object} task - The enriched task object
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override (task or profile model)
+ * @param {string} [options.additionalArgs] - Extra args string from env or profile
+ * @returns {{ args: string[], promptFilePath: string|null }}
+ */
+export function buildArgs(definition, task, { model, additionalArgs } = {}) {
+  const promptFilePath = definition.prompt === 'file'
+    ? path.join(task.workspaceDir, definition.promptFile)
+    : null;
+  const values = {
+    prompt: task.prompt,
+    promptFile: promptFilePath,
+    model,
+    workspaceDir: task.workspaceDir,
+    sessionId: task.sessionId,
+  };
+
+  const args = definition.args.map(arg => fillTemplate(arg, values));
+  if (model) {
+    args.push(...definition.modelArgs.map(arg => fillTemplate(arg, values)));
+  }
+  if (task.sessionId) {
+    args.push(...definition.resumeArgs.map(arg => fillTemplate(arg, values)));
+  }
+  args.push(...parseAdditionalArgs(additionalArgs));
+
+  if (definition.prompt === 'arg' && !definition.args.some(arg => arg.includes('{prompt}'))) {
+    args.push(task.prompt);
+  }
+
+  return { args, promptFilePath };
+}
+
+/**
+ * Convert plain-text agent output to a single stream-json assistant message
+ * so the conversation viewer and log parser can show it.
+ * Exported for testing.
+ */
+export function formatTextOutput(text) {
+  if (!text.trim()) return '';
+  const event = {
+    type: 'assistant',
+    message: { role: 'assistant', content: [{ type: 'text', text: text.trim() }] },
+  };
+  return JSON.stringify(event) + '\n';
+}
+
+function reportTextActivity(chunk, onActivity) {
+  if (!onActivity) return;
+  const lines = chunk.split('\n').map(l => l.trim()).filter(Boolean);
+  const last = lines[lines.length - 1];
+  if (last) onActivity(last.length > 80 ? `${last.slice(0, 80)}...` : last);
+}
+
+/**
+ * Run a task using an agent described by config/agents/<agent>.json
+ * @param {Object} task - The enriched task object
+ * @param {Function} [onActivity] - Optional callback for activity updates
+ * @param {AbortSignal} [signal] - Optional signal to abort/kill the agent
+ */
+export default async function runGeneric(task, onActivity, signal) {
+  const agentName = sanitizeName(task.agent);
+  const definition = await loadAgentDefinition(agentName);
+  if (!definition) {
+    throw new Error(`No agent definition found for '${task.agent}'`);
+  }
+
+  const config = getAgentConfig(task.profile || task.agent);
+  const { args: agentArgs, promptFilePath } = buildArgs(definition, task, {
+    model: task.model || config.model,
+    additionalArgs: config.additionalArgs,
+  });
+  if (promptFilePath) {
+    await fs.writeFile(promptFilePath, task.prompt, 'utf-8');
+  }
+
+  const { env: agentEnv, envPass } = buildAgentEnv(task);
+  const { bin, args, env: sandboxEnv } = wrapWithSandbox(definition.bin, agentArgs, {
+    envPass: [...envPass, ...definition.envPass],
+    workspaceDir: task.workspaceDir,
+  });
+
+  return new Promise((resolve, reject) => {
+    const agent = spawn(bin, args, {
+      cwd: task.workspaceDir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ...sandboxEnv, ...agentEnv },
+    });
+
+    const { getStderr } = captureStderr(agent, task.taskInfoFolder);
+    const killOptions = { workspaceDir: task.workspaceDir };
+    const idle = createIdleTimeout(agent, onActivity, { ...killOptions, timeoutMs: config.idleTimeoutMs });
+    wireAbortSignal(signal, agent, idle, killOptions);
+
+    if (definition.prompt === 'stdin') {
+      agent.stdin.write(task.prompt);
+    }
+    agent.stdin.end();
+
+    let outputData = '';
+    agent.stdout.on('data', (data) => {
+      idle.reset();
+      const chunk = data.toString();
+      outputData += chunk;
+      if (definition.outputFormat === 'stream-json') {
+        parseStreamActivity(chunk, onActivity);
+      } else if (definition.outputFormat === 'codex-json') {
+        parseCodexActivity(chunk, onActivity);
+      } else {
+        reportTextActivity(chunk, onActivity);
+      }
+    });
+
+    agent.on('error', (error) => {
+      idle.clear();
+      reject(new Error(`Failed to spawn ${definition.bin} CLI: ${error.message}`));
+    });
+
+    agent.on('close', async (code) => {
+      idle.clear();
+      killOrphanedProcesses(task.workspaceDir);
+
+      // Remove the prompt file so it does not show up in the captured diff
+      if (promptFilePath) {
+        await fs.rm(promptFilePath, { force: true }).catch(() => {});
+      }
+
+      // Save output regardless of exit code — partial results are useful
+      try {
+        const output = definition.outputFormat === 'text' ? formatTextOutput(outputData) : outputData;
+        await fs.writeFile(path.join(task.taskInfoFolder, 'output.jsonl'), output, 'utf-8');
+      } catch {
+        // best-effort save
+      }
+
+      if (idle.idledOut) {
+        reject(new Error(`Agent idle for ${idle.timeoutMs / 1000}s with no output`));
+      } else if (code !== 0) {
+        const stderr = getStderr().trim().slice(-500);
+        const detail = stderr ? `\n${stderr}` : '';
+        reject(new Error(`${definition.bin} CLI exited with code ${code}${detail}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
@@ -0,0 +1,326 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getEnv } from '../utils/env-config.js';
+import { applyWorkspaceStep, WORKSPACE_STEP_TYPES } from '../utils/workspace-steps.js';
+
+export const MOCK_FORMATS = ['claude', 'cursor', 'codex'];
+const STEP_TYPES = ['message', ...WORKSPACE_STEP_TYPES, 'event'];
+
+/**
+ * Locate and load the fixture for a mock run: MOCK_AGENT_FIXTURE if set,
+ * otherwise mock-agent.json in the task folder.
+ *
+ * Fixture shape:
+ *   {
+ *     "format": "claude" | "cursor" | "codex",
+ *     "model": "mock-model",
+ *     "steps": [
+ *       { "type": "message", "text": "..." },
+ *       { "type": "write", "path": "blocks/hero/hero.js", "content": "..." },
+ *       { "type": "edit", "path": "README.md", "oldString": "a", "newString": "b" },
+ *       { "type": "read", "path": "package.json" },
+ *       { "type": "bash", "command": "npm run lint" },
+ *       { "type": "event", "event": { ...raw output line } }
+ *     ],
+ *     "usage": { "inputTokens": 1000, "outputTokens": 200 },
+ *     "exitCode": 0,
+ *     "turns": [{ "steps": [...], "usage": {...}, "exitCode": 0 }]
+ *   }
+ *
+ * Any step may set `delayMs` to wait before it runs (e.g. to exercise timeouts),
+ * and bash steps may set `timeoutMs`. `turns` script the follow-up turns of a
+ * multi-turn task, starting with turn 2.
+ *
+ * @param {Object} task - The enriched task object
+ * @returns {Promise<Object>} Validated fixture
+ */
+export async function loadMockFixture(task) {
+  const fixturePath = getEnv('MOCK_AGENT_FIXTURE')
+    || (task.taskPath ? path.join(task.taskPath, 'mock-agent.json') : null);
+  if (!fixturePath) {
+    throw new Error('Mock agent needs MOCK_AGENT_FIXTURE or a mock-agent.json in the task folder');
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Error reading mock agent fixture ${fixturePath}: ${error.message}`);
+  }
+
+  const format = fixture.format || 'claude';
+  if (!MOCK_FORMATS.includes(format)) {
+    throw new Error(`Mock agent fixture format must be one of ${MOCK_FORMATS.join(', ')} (${fixturePath})`);
+  }
+  const steps = fixture.steps || [];
+  const turns = (fixture.turns || []).map(turn => ({ ...turn, steps: turn?.steps || [] }));
+  for (const [turnIndex, turnSteps] of [steps, ...turns.map(t => t.steps)].entries()) {
+    for (const [index, step] of turnSteps.entries()) {
+      if (!STEP_TYPES.includes(step?.type)) {
+        const where = turnIndex > 0 ? `turn ${turnIndex + 1} step ${index}` : `step ${index}`;
+        throw new Error(`Mock agent fixture ${where} has unknown type '${step?.type}' (${fixturePath})`);
+      }
+    }
+  }
+
+  return { ...fixture, format, steps, turns };
+}
+
+/**
+ * The part of a fixture to replay for a turn: the top-level steps for the
+ * first turn, `turns[turn - 2]` for follow-ups.
+ */
+function fixtureForTurn(fixture, turn) {
+  if (turn <= 1) return fixture;
+  const script = fixture.turns[turn - 2];
+  if (!script) {
+    throw new Error(`Mock agent fixture has no script for turn ${turn}`);
+  }
+  return { ...fixture, steps: script.steps, usage: script.usage, exitCode: script.exitCode };
+}
+
+/**
+ * Event builders that mimic each CLI's output.jsonl format closely enough
+ * for parseAgentLog(), agent metrics and the conversation viewer.
+ */
+const formatters = {
+  claude: {
+    start: ({ sessionId, model, workspaceDir }) => [
+      { type: 'system', subtype: 'init', session_id: sessionId, model, cwd: workspaceDir, tools: ['Bash', 'Read', 'Write', 'Edit'] },
+    ],
+    message: ({ sessionId, model }, text) => [
+      { type: 'assistant', message: { role: 'assistant', model, content: [{ type: 'text', text }] }, session_id: sessionId },
+    ],
+    tool: ({ sessionId, model }, id, call, result) => [
+      {
+        type: 'assistant',
+        message: { role: 'assistant', model, content: [{ type: 'tool_use', id, name: call.name, input: call.input }] },
+        session_id: sessionId,
+      },
+      {
+        type: 'user',
+        message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: result.output, is_error: !result.ok }] },
+        session_id: sessionId,
+      },
+    ],
+    finish: ({ sessionId }, { isError, durationMs, turns, lastText, usage }) => [
+      {
+        type: 'result',
+        subtype: isError ? 'error_during_execution' : 'success',
+        is_error: isError,
+        duration_ms: durationMs,
+        num_turns: turns,
+        result: lastText,
+        session_id: sessionId,
+        total_cost_usd: usage.costUsd ?? 0,
+        usage: { input_tokens: usage.inputTokens ?? 0, output_tokens: usage.outputTokens ?? 0 },
+      },
+    ],
+  },
+
+  cursor: {
+    start: ({ sessionId, model, workspaceDir, prompt }) => [
+      { type: 'system', subtype: 'init', session_id: sessionId, model, cwd: workspaceDir, permissionMode: 'default' },
+      { type: 'user', message: { role: 'user', content: [{ type: 'text', text: prompt }] }, session_id: sessionId },
+    ],
+    message: ({ sessionId }, text) => [
+      { type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text }] }, session_id: sessionId },
+    ],
+    tool: ({ sessionId }, id, call, result) => {
+      const key = `${call.cursorTool}ToolCall`;
+      return [
+        { type: 'tool_call', subtype: 'started', call_id: id, tool_call: { [key]: { args: call.cursorArgs } }, session_id: sessionId },
+        {
+          type: 'tool_call',
+          subtype: 'completed',
+          call_id: id,
+          tool_call: {
+            [key]: {
+              args: call.cursorArgs,
+              result: result.ok
+                ? { success: { output: result.output, ...(result.content !== undefined ? { afterFullFileContent: result.content } : {}) } }
+                : { error: { message: result.output } },
+            },
+          },
+          session_id: sessionId,
+        },
+      ];
+    },
+    finish: ({ sessionId }, { isError, durationMs, lastText, usage }) => [
+      {
+        type: 'result',
+        subtype: isError ? 'error' : 'success',
+        is_error: isError,
+        duration_ms: durationMs,
+        result: lastText,
+        session_id: sessionId,
+        ...(usage.inputTokens || usage.outputTokens
+          ? { usage: { input_tokens: usage.inputTokens ?? 0, output_tokens: usage.outputTokens ?? 0 } }
+          : {}),
+      },
+    ],
+  },
+
+  codex: {
+    start: ({ sessionId }) => [
+      { type: 'thread.started', thread_id: sessionId },
+      { type: 'turn.started' },
+    ],
+    message: (_ctx, text, id) => [
+      { type: 'item.completed', item: { id, type: 'agent_message', text } },
+    ],
+    tool: (_ctx, id, call, result) => {
+      if (call.codexFileChange) {
+        return [{
+          type: 'item.completed',
+          item: { id, type: 'file_change', changes: [call.codexFileChange], status: result.ok ? 'completed' : 'failed' },
+        }];
+      }
+      const command = `/bin/bash -lc ${call.command}`;
+      return [
+        { type: 'item.started', item: { id, type: 'command_execution', command, aggregated_output: '', exit_code: null, status: 'in_progress' } },
+        {
+          type: 'item.completed',
+          item: {
+            id,
+            type: 'command_execution',
+            command,
+            aggregated_output: result.output,
+            exit_code: result.exitCode ?? (result.ok ? 0 : 1),
+            status: result.ok ? 'completed' : 'failed',
+          },
+        },
+      ];
+    },
+    finish: (_ctx, { isError, usage }) => [
+      isError
+        ? { type: 'turn.failed', error: { message: 'Mock agent failed' } }
+        : { type: 'turn.completed', usage: { input_tokens: usage.inputTokens ?? 0, cached_input_tokens: 0, output_tokens: usage.outputTokens ?? 0 } },
+    ],
+  },
+};
+
+/**
+ * Describe a step as a tool call in all three formats.
+ */
+function describeToolCall(step, workspaceDir) {
+  const filePath = step.path ? path.join(workspaceDir, step.path) : null;
+  switch (step.type) {
+    case 'write':
+      return {
+        name: 'Write',
+        input: { file_path: filePath, content: step.content ?? '' },
+        cursorTool: 'write',
+        cursorArgs: { path: filePath, fileText: step.content ?? '' },
+        codexFileChange: { path: filePath, kind: 'add' },
+      };
+    case 'edit':
+      return {
+        name: 'Edit',
+        input: { file_path: filePath, old_string: step.oldString, new_string: step.newString, replace_all: Boolean(step.replaceAll) },
+        cursorTool: 'edit',
+        cursorArgs: { path: filePath, streamContent: step.newString },
+        codexFileChange: { path: filePath, kind: 'update' },
+      };
+    case 'read':
+      return {
+        name: 'Read',
+        input: { file_path: filePath },
+        cursorTool: 'read',
+        cursorArgs: { path: filePath },
+        command: `cat ${step.path}`,
+      };
+    default:
+      return {
+        name: 'Bash',
+        input: { command: step.command },
+        cursorTool: 'shell',
+        cursorArgs: { command: step.command },
+        command: step.command,
+      };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Replay a fixture against a workspace and return the output.jsonl lines.
+ * Exported for testing.
+ *
+ * @param {Object} fixture - Fixture from loadMockFixture()
+ * @param {Object} task - The enriched task object (workspaceDir, prompt, model)
+ * @param {Object} [options]
+ * @param {Function} [options.onActivity] - Activity callback
+ * @param {AbortSignal} [options.signal] - Stops the replay between steps
+ * @returns {Promise<{ lines: Object[], aborted: boolean }>}
+ */
+export async function replayFixture(fixture, task, { onActivity, signal } = {}) {
+  const format = formatters[fixture.format];
+  const ctx = {
+    sessionId: task.sessionId || `mock-${path.basename(task.workspaceDir)}`,
+    model: fixture.model || task.model || 'mock-model',
+    workspaceDir: task.workspaceDir,
+    prompt: task.prompt,
+  };
+  const start = Date.now();
+  const lines = [...format.start(ctx)];
+  let lastText = '';
+  let turns = 0;
+  let aborted = false;
+
+  for (const [index, step] of fixture.steps.entries()) {
+    if (step.delayMs) await sleep(step.delayMs);
+    if (signal?.aborted) {
+      aborted = true;
+      break;
+    }
+
+    const id = `mock_${index + 1}`;
+    if (step.type === 'message') {
+      lastText = step.text;
+      lines.push(...format.message(ctx, step.text, id));
+      if (onActivity) onActivity(step.text.replace(/\n/g, ' ').slice(0, 80));
+    } else if (step.type === 'event') {
+      lines.push(step.event);
+    } else {
+      turns++;
+      const call = describeToolCall(step, task.workspaceDir);
+      if (onActivity) onActivity(step.type === 'bash' ? `$ ${step.command.slice(0, 60)}` : `${step.type} ${step.path}`);
+      const result = await applyWorkspaceStep(step, task.workspaceDir);
+      lines.push(...format.tool(ctx, id, call, result));
+    }
+  }
+
+  const isError = aborted || (fixture.exitCode ?? 0) !== 0;
+  lines.push(...format.finish(ctx, {
+    isError,
+    durationMs: Date.now() - start,
+    turns,
+    lastText,
+    usage: fixture.usage || {},
+  }));
+
+  return { lines, aborted };
+}
+
+/**
+ * Run a task with the mock agent: replays the task's fixture instead of
+ * calling a real CLI. Runs in-process, so no sandbox or credentials are involved.
+ * @param {Object} task - The enriched task object
+ * @param {Function} [onActivity] - Optional callback for activity updates
+ * @param {AbortSignal} [signal] - Optional signal to abort the replay
+ */
+export default async function runMock(task, onActivity, signal) {
+  const fixture = fixtureForTurn(await loadMockFixture(task), task.turn || 1);
+  const { lines, aborted } = await replayFixture(fixture, task, { onActivity, signal });
+
+  const output = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  await fs.writeFile(path.join(task.taskInfoFolder, 'output.jsonl'), output, 'utf-8');
+
+  if (aborted) {
+    throw new Error('Mock agent aborted');
+  }
+  if ((fixture.exitCode ?? 0) !== 0) {
+    throw new Error(`Mock agent exited with code ${fixture.exitCode}`);
+  }
+}
@@ -50,9 +50,10 @@ export function killOrphanedProcesses(workspaceDir) {
  * @param {Function} [onActivity]
  * @param {Object} [options]
  * @param {string} [options.workspaceDir] - workspace path for killing orphaned subprocesses
+ * @param {number} [options.timeoutMs] - idle limit overriding AGENT_IDLE_TIMEOUT_MS (e.g. from an agent profile)
  */
 export function createIdleTimeout(childProcess, onActivity, options = {}) {
-  const timeoutMs = parseInt(getEnv('AGENT_IDLE_TIMEOUT_MS', ''), 10) || 2 * 60 * 1000;
+  const timeoutMs = options.timeoutMs || parseInt(getEnv('AGENT_IDLE_TIMEOUT_MS', ''), 10) || 2 * 60 * 1000;
   let idledOut = false;
 
   function startTimer() {
@@ -5,7 +5,8 @@ import path from 'path';
  * Parse output.jsonl into a structured summary of what the agent did.
  *
  * Auto-detects format: Claude/Cursor (stream-json) vs Codex (item-based JSON).
- * Returns normalized events: assistant_text, tool_call, subagent_completed, result.
+ * Returns normalized events: assistant_text, tool_call, subagent_completed, result,
+ * and turn (start of each turn in a multi-turn task).
  */
 export function parseAgentLog(jsonlContent) {
   const trimmed = jsonlContent.trim();
@@ -18,6 +19,41 @@ export function parseAgentLog(jsonlContent) {
   return format === 'codex' ? parseCodexLog(lines) : parseStreamJsonLog(lines);
 }
 
+/**
+ * Find the agent session id in a log, for resuming the session:
+ * `session_id` in Claude/Cursor stream-json, `thread_id` in Codex.
+ * Returns null if the log has none.
+ */
+export function findSessionId(jsonlContent) {
+  for (const line of jsonlContent.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const obj = JSON.parse(line);
+      if (obj.type === 'thread.started' && obj.thread_id) return obj.thread_id;
+      if (typeof obj.session_id === 'string' && obj.session_id) return obj.session_id;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Marker written by run-tasks before each turn of a multi-turn task.
+ * `source` is 'simulator' for turns answered by the user simulator.
+ */
+function toTurnEvent(parsed) {
+  return {
+    type: 'turn',
+    turn: parsed.turn,
+    promptFile: parsed.promptFile,
+    prompt: parsed.prompt ?? null,
+    skipped: Boolean(parsed.skipped),
+    reason: parsed.reason ?? null,
+    source: parsed.source ?? null,
+  };
+}
+
 /**
  * Detect whether the log is codex format or stream-json (Claude/Cursor).
  */
@@ -55,7 +91,9 @@ function parseStreamJsonLog(lines) {
       continue;
     }
 
-    if (parsed.type === 'assistant' && parsed.message?.content) {
+    if (parsed.type === 'eval_turn') {
+      events.push(toTurnEvent(parsed));
+    } else if (parsed.type === 'assistant' && parsed.message?.content) {
       for (const block of parsed.message.content) {
         if (block.type === 'text' && block.text) {
           events.push({ type: 'assistant_text', text: block.text });
@@ -147,7 +185,9 @@ function parseCodexLog(lines) {
       continue;
     }
 
-    if (parsed.type === 'item.completed') {
+    if (parsed.type === 'eval_turn') {
+      events.push(toTurnEvent(parsed));
+    } else if (parsed.type === 'item.completed') {
       const item = parsed.item;
       if (!item) continue;
 
@@ -186,7 +226,11 @@ export function formatAgentSummary(events) {
   let step = 0;
 
   for (const e of events) {
-    if (e.type === 'assistant_text') {
+    if (e.type === 'turn') {
+      const label = e.source === 'simulator' ? ' (simulated user)' : '';
+      lines.push(`\n# Turn ${e.turn}${label}${e.skipped ? ` (skipped: ${e.reason})` : ''}`);
+      if (e.turn > 1 && e.prompt) lines.push(e.prompt.trim());
+    } else if (e.type === 'assistant_text') {
       step++;
       lines.push(`\n## Step ${step}: Agent message`);
       // Truncate long messages
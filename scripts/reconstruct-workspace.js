@@ -6,7 +6,9 @@ import { fileURLToPath } from 'url';
 import { addAndCommit, cloneRepository } from './utils/git-utils.js';
 import { ensureDir, cleanupDir } from './utils/fs-utils.js';
 import { execAsync } from './utils/process-utils.js';
-import { bootstrapWorkspace, loadScriptedAugmentation, parseGitHubStartFrom } from './utils/workspace-setup.js';
+import { bootstrapWorkspace, loadScriptedAugmentation, parseStartFrom } from './utils/workspace-setup.js';
+import { replayTranscript } from './replay-transcript.js';
+import { runTaskHook } from './utils/task-hooks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,9 +17,11 @@ const __dirname = path.dirname(__filename);
  * Try to reconstruct workspace by fetching the pushed branch.
  * Returns true if successful, false if branch not available.
  */
-async function tryBranchReconstruction(startFrom, branchName, workspaceDir) {
+async function tryBranchReconstruction(startFrom, branchName, workspaceDir, taskPath) {
   try {
-    const { cloneUrl } = parseGitHubStartFrom(startFrom);
+    // Runs from local sources never push their branches
+    const { cloneUrl, local } = parseStartFrom(startFrom, { baseDir: taskPath });
+    if (local) return false;
     cloneRepository(cloneUrl, workspaceDir);
     execSync(`git fetch origin ${branchName}`, {
       cwd: workspaceDir,
@@ -36,24 +40,47 @@ async function tryBranchReconstruction(startFrom, branchName, workspaceDir) {
   }
 }
 
+async function installDependencies(workspaceDir) {
+  const packageJsonPath = path.join(workspaceDir, 'package.json');
+  try {
+    await fs.access(packageJsonPath);
+    await execAsync('npm ci', { cwd: workspaceDir });
+  } catch {
+    // No package.json or npm ci failed — continue
+  }
+}
+
+function reportReplay({ steps, applied, skipped, failed }) {
+  console.error(`Replayed ${applied}/${steps} recorded tool calls`);
+  for (const { step, output } of failed) {
+    const target = step.type === 'bash' ? step.command : step.path;
+    console.error(`  failed ${step.type} ${target}: ${output.split('\n').pop()}`);
+  }
+  for (const s of skipped) {
+    console.error(`  skipped ${s.tool} ${s.target || ''}: ${s.reason}`);
+  }
+}
+
 /**
  * Reconstruct an agent's workspace from a result folder.
  *
  * 1. Clone the startFrom repo
  * 2. Apply augmentations
  * 3. Commit as "Workspace setup"
- * 4. Apply changes.diff
+ * 4. Apply changes.diff, or replay output.jsonl's file edits if the diff
+ *    does not apply (all its tool calls, commands included, with options.replay)
  * 5. Install npm dependencies
  *
  * Returns the workspace path.
  */
-export async function reconstructWorkspace(resultFolder) {
+export async function reconstructWorkspace(resultFolder, options = {}) {
   // Read task.json to get startFrom and augmentations
   const taskJsonPath = path.join(resultFolder, 'task.json');
   const taskJson = JSON.parse(await fs.readFile(taskJsonPath, 'utf-8'));
 
   const projectRoot = path.join(__dirname, '..');
   const { startFrom, augmentations, scriptedAugmentations, branchName } = taskJson;
+  const taskPath = path.join(projectRoot, 'tasks', taskJson.name);
 
   if (!startFrom) {
     throw new Error(`task.json in ${resultFolder} is missing startFrom`);
@@ -67,17 +94,10 @@ export async function reconstructWorkspace(resultFolder) {
   await ensureDir(workspaceDir);
 
   // Try branch-based reconstruction first (faster, more reliable)
-  if (branchName) {
-    const reconstructed = await tryBranchReconstruction(startFrom, branchName, workspaceDir);
+  if (branchName && !options.replay) {
+    const reconstructed = await tryBranchReconstruction(startFrom, branchName, workspaceDir, taskPath);
     if (reconstructed) {
-      // Install npm dependencies
-      const packageJsonPath = path.join(workspaceDir, 'package.json');
-      try {
-        await fs.access(packageJsonPath);
-        await execAsync('npm ci', { cwd: workspaceDir });
-      } catch {
-        // No package.json or npm ci failed — continue
-      }
+      await installDependencies(workspaceDir);
       return workspaceDir;
     }
     // Fall through to diff-based reconstruction
@@ -100,9 +120,11 @@ export async function reconstructWorkspace(resultFolder) {
       ...taskJson,
       augmentations,
       scriptedAugmentations: loadedScripted,
-      taskPath: path.join(projectRoot, 'tasks', taskJson.name),
+      taskPath,
       workspaceDir
     });
+    // The agent's changes are relative to what setup.js produced
+    await runTaskHook('setup', { ...taskJson, taskPath, workspaceDir }, { logPath: null });
   } catch (error) {
     throw new Error(`Failed to reconstruct workspace for ${startFrom}: ${error.message}`);
   }
@@ -110,6 +132,16 @@ export async function reconstructWorkspace(resultFolder) {
   // Commit all setup
   addAndCommit(workspaceDir, 'Workspace setup');
 
+  if (options.replay) {
+    const report = await replayTranscript(resultFolder, workspaceDir);
+    if (!report) {
+      throw new Error(`No output.jsonl in ${resultFolder} to replay`);
+    }
+    reportReplay(report);
+    await installDependencies(workspaceDir);
+    return workspaceDir;
+  }
+
   // Apply changes.diff from the result folder
   const diffPath = path.join(resultFolder, 'changes.diff');
   try {
@@ -124,7 +156,18 @@ export async function reconstructWorkspace(resultFolder) {
           stdio: 'pipe'
         });
       } catch (applyError) {
-        // Try with --reject to apply what we can
+        // The diff no longer applies (e.g. startFrom moved) — rebuild the
+        // agent's changes from its recorded file edits instead. Its shell
+        // commands only run with --replay: they'd run on this machine, unsandboxed
+        const report = await replayTranscript(resultFolder, workspaceDir, { commands: false });
+        if (report) {
+          console.error(`Warning: changes.diff did not apply, replayed the recorded file edits instead (${report.skippedCommands} shell command(s) not run; pass --replay to run them)`);
+          reportReplay(report);
+          await installDependencies(workspaceDir);
+          return workspaceDir;
+        }
+
+        // No transcript — try with --reject to apply what we can
         try {
           execSync(`git apply --reject --allow-empty "${tempDiffPath}"`, {
             cwd: workspaceDir,
@@ -145,31 +188,24 @@ export async function reconstructWorkspace(resultFolder) {
     // No changes.diff — workspace is just the base setup
   }
 
-  // Install npm dependencies
-  const packageJsonPath = path.join(workspaceDir, 'package.json');
-  try {
-    await fs.access(packageJsonPath);
-    await execAsync('npm ci', { cwd: workspaceDir });
-  } catch {
-    // No package.json or npm ci failed — continue
-  }
-
+  await installDependencies(workspaceDir);
   return workspaceDir;
 }
 
 // CLI entry point
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const resultFolder = process.argv[2];
+  const args = process.argv.slice(2);
+  const resultFolder = args.find(a => !a.startsWith('--'));
 
   if (!resultFolder) {
-    console.error('Usage: node scripts/reconstruct-workspace.js <result-folder-path>');
+    console.error('Usage: node scripts/reconstruct-workspace.js <result-folder-path> [--replay]');
     process.exit(1);
   }
 
   const resolvedPath = path.resolve(resultFolder);
 
   try {
-    const workspacePath = await reconstructWorkspace(resolvedPath);
+    const workspacePath = await reconstructWorkspace(resolvedPath, { replay: args.includes('--replay') });
     // Print workspace path to stdout (skill reads this)
     console.log(workspacePath);
   } catch (error) {
@@ -0,0 +1,312 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { applyWorkspaceStep } from './utils/workspace-steps.js';
+import { MOCK_FORMATS } from './handlers/mock.js';
+
+const DEFAULT_COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * Detect which agent wrote a log: Codex (item-based JSON), Cursor (separate
+ * tool_call events) or Claude (tool_use blocks in assistant messages).
+ */
+function detectFormat(events) {
+  if (events.some(e => e.type === 'thread.started' || e.type?.startsWith('item.') || e.type?.startsWith('turn.'))) {
+    return 'codex';
+  }
+  if (events.some(e => e.type === 'tool_call')) return 'cursor';
+  return 'claude';
+}
+
+/**
+ * Make a recorded path workspace-relative. Paths are only kept when they
+ * point inside the (original) workspace.
+ */
+function toWorkspacePath(filePath, workspaceDir) {
+  if (!filePath) return null;
+  let relative;
+  if (!path.isAbsolute(filePath)) {
+    relative = path.normalize(filePath);
+  } else if (workspaceDir && filePath.startsWith(workspaceDir + path.sep)) {
+    relative = path.relative(workspaceDir, filePath);
+  } else {
+    return null;
+  }
+  return relative === '..' || relative.startsWith(`..${path.sep}`) ? null : relative;
+}
+
+/**
+ * Point absolute paths into the original workspace at the replay cwd.
+ */
+function relativizeCommand(command, workspaceDir) {
+  if (!workspaceDir) return command;
+  return command.split(`${workspaceDir}/`).join('').split(workspaceDir).join('.');
+}
+
+/**
+ * Codex records commands wrapped in a login shell: `/bin/zsh -lc "npm test"`.
+ * Return the inner command so it runs under the replaying shell.
+ */
+function unwrapShellCommand(command) {
+  const match = command.match(/^(?:\/(?:usr\/)?bin\/)?(?:ba|z)?sh\s+-l?c\s+([\s\S]+)$/);
+  if (!match) return command;
+
+  const inner = match[1].trim();
+  if (inner.length >= 2 && inner.startsWith("'") && inner.endsWith("'")) {
+    return inner.slice(1, -1).replace(/'\\''/g, "'");
+  }
+  if (inner.length >= 2 && inner.startsWith('"') && inner.endsWith('"')) {
+    return inner.slice(1, -1).replace(/\\(["\\$`])/g, '$1');
+  }
+  return inner;
+}
+
+function quoteShellArg(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function extractClaudeSteps(events, workspaceDir, skipped) {
+  const failedIds = new Set();
+  for (const event of events) {
+    if (event.type !== 'user' || !Array.isArray(event.message?.content)) continue;
+    for (const block of event.message.content) {
+      if (block.type === 'tool_result' && block.is_error) failedIds.add(block.tool_use_id);
+    }
+  }
+
+  const steps = [];
+  for (const event of events) {
+    if (event.type !== 'assistant' || !Array.isArray(event.message?.content)) continue;
+    for (const block of event.message.content) {
+      // Failed tool calls left the workspace untouched
+      if (block.type !== 'tool_use' || failedIds.has(block.id)) continue;
+      const input = block.input || {};
+
+      if (block.name === 'Bash') {
+        if (input.run_in_background) {
+          skipped.push({ tool: block.name, target: input.command, reason: 'background command' });
+        } else {
+          steps.push({ type: 'bash', command: relativizeCommand(input.command || '', workspaceDir) });
+        }
+        continue;
+      }
+      if (!['Write', 'Edit', 'MultiEdit', 'NotebookEdit'].includes(block.name)) continue;
+
+      const filePath = toWorkspacePath(input.file_path || input.notebook_path, workspaceDir);
+      if (!filePath) {
+        skipped.push({ tool: block.name, target: input.file_path, reason: 'path outside the workspace' });
+      } else if (block.name === 'Write') {
+        steps.push({ type: 'write', path: filePath, content: input.content ?? '' });
+      } else if (block.name === 'Edit') {
+        steps.push({
+          type: 'edit', path: filePath, oldString: input.old_string, newString: input.new_string, replaceAll: Boolean(input.replace_all),
+        });
+      } else if (block.name === 'MultiEdit') {
+        for (const edit of input.edits || []) {
+          steps.push({
+            type: 'edit', path: filePath, oldString: edit.old_string, newString: edit.new_string, replaceAll: Boolean(edit.replace_all),
+          });
+        }
+      } else {
+        skipped.push({ tool: block.name, target: filePath, reason: 'unsupported tool' });
+      }
+    }
+  }
+  return steps;
+}
+
+function extractCursorSteps(events, workspaceDir, skipped) {
+  const steps = [];
+  for (const event of events) {
+    if (event.type !== 'tool_call' || event.subtype !== 'completed') continue;
+    const key = Object.keys(event.tool_call || {})[0] || '';
+    const { args = {}, result = {} } = event.tool_call[key] || {};
+    const tool = key.replace(/ToolCall$/, '').replace(/Call$/, '');
+
+    if (tool === 'shell') {
+      // Commands can have side effects even when they exit non-zero
+      if (args.command) steps.push({ type: 'bash', command: relativizeCommand(args.command, workspaceDir) });
+      continue;
+    }
+    if (!['write', 'edit', 'delete'].includes(tool) || result.error) continue;
+
+    const filePath = toWorkspacePath(args.path, workspaceDir);
+    if (!filePath) {
+      skipped.push({ tool, target: args.path, reason: 'path outside the workspace' });
+    } else if (tool === 'delete') {
+      steps.push({ type: 'bash', command: `rm -f -- ${quoteShellArg(filePath)}` });
+    } else if (tool === 'write' && args.fileText !== undefined) {
+      steps.push({ type: 'write', path: filePath, content: args.fileText });
+    } else if (result.success?.afterFullFileContent !== undefined) {
+      steps.push({ type: 'write', path: filePath, content: result.success.afterFullFileContent });
+    } else {
+      skipped.push({ tool, target: filePath, reason: 'file content not recorded' });
+    }
+  }
+  return steps;
+}
+
+function extractCodexSteps(events, workspaceDir, skipped) {
+  const steps = [];
+  for (const event of events) {
+    if (event.type !== 'item.completed' || !event.item) continue;
+    const { item } = event;
+
+    if (item.type === 'command_execution' && item.command) {
+      steps.push({ type: 'bash', command: relativizeCommand(unwrapShellCommand(item.command), workspaceDir) });
+    } else if (item.type === 'file_change') {
+      // Codex logs which files a patch touched, not the patch itself
+      for (const change of item.changes || []) {
+        skipped.push({ tool: 'file_change', target: change.path, reason: 'patch content not recorded' });
+      }
+    }
+  }
+  return steps;
+}
+
+const extractors = {
+  claude: extractClaudeSteps,
+  cursor: extractCursorSteps,
+  codex: extractCodexSteps,
+};
+
+/**
+ * Turn a recorded output.jsonl back into workspace steps — the reverse of
+ * parseAgentLog(), keeping full tool inputs instead of summaries.
+ *
+ * Steps use the mock agent fixture shape (write, edit, bash) with
+ * workspace-relative paths. Reads and searches are dropped; tool calls that
+ * failed are dropped since they left no trace; calls whose effect is not in
+ * the log (Codex patches, background commands) are listed in `skipped`.
+ *
+ * @param {string} jsonlContent - Contents of output.jsonl
+ * @param {Object} [options]
+ * @param {string} [options.workspaceDir] - Workspace the run used (task.json workspaceDir)
+ * @returns {{ format: string, steps: Object[], skipped: Object[] }}
+ */
+export function extractReplaySteps(jsonlContent, { workspaceDir } = {}) {
+  const events = [];
+  for (const line of jsonlContent.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Partial line from an interrupted run
+    }
+  }
+
+  const format = detectFormat(events);
+  const skipped = [];
+  const steps = extractors[format](events, workspaceDir, skipped);
+  return { format, steps, skipped };
+}
+
+/**
+ * Apply extracted steps to a workspace in order. A failing step is recorded
+ * and the replay continues, as it did for the agent.
+ *
+ * @param {Object[]} steps - Steps from extractReplaySteps()
+ * @param {string} workspaceDir - Workspace to apply them to
+ * @param {Object} [options]
+ * @param {boolean} [options.commands=true] - Run bash steps (false applies file changes only)
+ * @param {number} [options.commandTimeoutMs] - Per-command timeout
+ * @returns {Promise<{ applied: number, failed: Object[], skippedCommands: number }>}
+ */
+export async function replaySteps(steps, workspaceDir, { commands = true, commandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS } = {}) {
+  let applied = 0;
+  let skippedCommands = 0;
+  const failed = [];
+
+  for (const step of steps) {
+    if (step.type === 'bash' && !commands) {
+      skippedCommands++;
+      continue;
+    }
+    const result = await applyWorkspaceStep({ timeoutMs: commandTimeoutMs, ...step }, workspaceDir);
+    if (result.ok) {
+      applied++;
+    } else {
+      failed.push({ step, output: result.output.trim().slice(-500) });
+    }
+  }
+
+  return { applied, failed, skippedCommands };
+}
+
+/**
+ * Re-apply a recorded run's tool calls to a workspace that has been
+ * bootstrapped the same way as the original (see reconstruct-workspace.js).
+ *
+ * @param {string} resultFolder - Run folder with output.jsonl and task.json
+ * @param {string} workspaceDir - Freshly bootstrapped workspace
+ * @param {Object} [options] - Passed to replaySteps()
+ * @returns {Promise<Object|null>} Replay report, or null if the run has no transcript
+ */
+export async function replayTranscript(resultFolder, workspaceDir, options = {}) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(resultFolder, 'output.jsonl'), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const taskJson = JSON.parse(await fs.readFile(path.join(resultFolder, 'task.json'), 'utf-8'));
+
+  const { format, steps, skipped } = extractReplaySteps(content, { workspaceDir: taskJson.workspaceDir });
+  const report = await replaySteps(steps, workspaceDir, options);
+  return { format, steps: steps.length, skipped, ...report };
+}
+
+/**
+ * Build a mock agent fixture from a recorded run, so the run can be replayed
+ * with `--agents mock` — in its own format or another agent's.
+ *
+ * @param {string} resultFolder - Run folder with output.jsonl and task.json
+ * @param {Object} [options]
+ * @param {string} [options.format] - Output format for the fixture (default: the recorded one)
+ * @returns {Promise<{ fixture: Object, skipped: Object[] }>}
+ */
+export async function transcriptToFixture(resultFolder, { format } = {}) {
+  if (format && !MOCK_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of ${MOCK_FORMATS.join(', ')}`);
+  }
+  const [content, taskJsonContent] = await Promise.all([
+    fs.readFile(path.join(resultFolder, 'output.jsonl'), 'utf-8'),
+    fs.readFile(path.join(resultFolder, 'task.json'), 'utf-8'),
+  ]);
+  const taskJson = JSON.parse(taskJsonContent);
+  const extracted = extractReplaySteps(content, { workspaceDir: taskJson.workspaceDir });
+
+  return {
+    fixture: {
+      format: format || extracted.format,
+      model: taskJson.model || undefined,
+      steps: extracted.steps,
+    },
+    skipped: extracted.skipped,
+  };
+}
+
+// CLI entry point
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : undefined;
+  const [resultFolder, outputPath] = args.filter((a, i) => !a.startsWith('--') && (formatIndex === -1 || i !== formatIndex + 1));
+
+  if (!resultFolder || !outputPath) {
+    console.error('Usage: node scripts/replay-transcript.js <result-folder> <mock-agent.json> [--format claude|cursor|codex]');
+    process.exit(1);
+  }
+
+  try {
+    const { fixture, skipped } = await transcriptToFixture(path.resolve(resultFolder), { format });
+    for (const s of skipped) {
+      console.error(`Skipped ${s.tool} ${s.target || ''}: ${s.reason}`);
+    }
+    await fs.writeFile(path.resolve(outputPath), JSON.stringify(fixture, null, 2) + '\n', 'utf-8');
+    console.log(`Written ${fixture.steps.length} steps to ${outputPath}`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
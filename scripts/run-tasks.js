@@ -4,15 +4,25 @@ import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { sanitizeName, getCurrentTimestamp, computeTaskHash } from './utils/string-utils.js';
 import { ensureDir, cleanupDir } from './utils/fs-utils.js';
-import { addAndCommit, captureGitChanges, captureGitCommits, pushBranch, removeWorktree } from './utils/git-utils.js';
+import { addAndCommit, captureGitChanges, captureGitCommits, pushBranch, removeWorktree, deleteBranch } from './utils/git-utils.js';
 import { CloneRegistry } from './utils/clone-registry.js';
+import { nodeModulesKey, restoreNodeModules, saveNodeModules } from './utils/workspace-cache.js';
 import { hasNpmScript, runNpmScript } from './utils/npm-utils.js';
-import { runInParallel } from './utils/progress-utils.js';
+import { runInParallel, RUN_STATUS } from './utils/progress-utils.js';
 import { extractAgentMetricsFromOutput } from './utils/agent-metrics.js';
-import { getEnv, getAgentConfig } from './utils/env-config.js';
+import { getEnv, getAgentConfig, getAgentProfile, getRetryConfig, getCacheConfig } from './utils/env-config.js';
 import { createRunLogger } from './utils/run-logger.js';
 import { runTaskChecks } from './utils/task-checks.js';
+import { runTaskHook } from './utils/task-hooks.js';
+import { normalizeServices, startServices } from './utils/task-services.js';
+import { snapshotAugmentations } from './utils/augmentation-snapshot.js';
+import { FAILURE_KINDS, classifyRunError, markInfraError, runWithRetry } from './utils/retry-utils.js';
 import { hasUserFlags, confirmOrEdit, runInteractiveFlow } from './utils/interactive-prompts.js';
+import { loadMatrix, expandMatrixCells } from './utils/run-matrix.js';
+import { loadAgentDefinition } from './utils/agent-definitions.js';
+import { loadTaskTurns, runTurns } from './utils/task-turns.js';
+import { loadUserSimulator } from './utils/user-simulator.js';
+import { AGENT_API_HOSTS, normalizeNetworkPolicy, startEgressProxy } from './utils/network-proxy.js';
 import { bootstrapWorkspace, copyAgentConfig, loadScriptedAugmentation } from './utils/workspace-setup.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -46,7 +56,10 @@ async function loadAugmentationsFromPaths(augPaths) {
         if (Array.isArray(parsed)) {
           fileCopy.push(...parsed);
         } else if (parsed && Array.isArray(parsed.augmentations)) {
-          fileCopy.push(...parsed.augmentations);
+          // Set-level vars apply to every template in the set; entry vars win
+          fileCopy.push(...parsed.augmentations.map(aug => (parsed.vars
+            ? { ...aug, vars: { ...parsed.vars, ...aug.vars } }
+            : aug)));
           if (parsed.name) names.push(parsed.name);
         } else {
           throw new Error(`Augmentations file must contain an array or {name, augmentations} object (${augPath})`);
@@ -93,25 +106,34 @@ export async function findTasks(args, tasksDir = null, augmentationsFiles = null
     const promptPath = path.join(taskPath, 'prompt.txt');
     const criteriaPath = path.join(taskPath, 'criteria.txt');
     
+    let taskJsonContent, prompt, criteria;
     try {
-      // Read task.json
-      const taskJsonContent = await fs.readFile(taskJsonPath, 'utf-8');
-      const taskData = JSON.parse(taskJsonContent);
-      
-      // Read prompt.txt
-      const prompt = await fs.readFile(promptPath, 'utf-8');
-      
-      // Read criteria.txt
-      const criteria = await fs.readFile(criteriaPath, 'utf-8');
+      [taskJsonContent, prompt, criteria] = await Promise.all(
+        [taskJsonPath, promptPath, criteriaPath].map(file => fs.readFile(file, 'utf-8'))
+      );
+    } catch (error) {
+      // Skip folders that don't have the required task files
+      continue;
+    }
+
+    let taskData = null;
+    try {
+      taskData = JSON.parse(taskJsonContent);
+
+      // Read follow-up prompts for multi-turn tasks
+      const turns = await loadTaskTurns(taskPath, taskData.turns);
+      const userSimulator = await loadUserSimulator(taskPath, taskData.userSimulator);
+      const network = normalizeNetworkPolicy(taskData.network);
+      const services = normalizeServices(taskData.services);
       
-      // Split task augmentations: strings and .js paths are scripted, objects with source/target are file-copy
+      // Split task augmentations: strings and .js paths are scripted, objects with a target are file augmentations
       const taskAugEntries = taskData.augmentations || [];
       const taskPaths = [];
       const taskFileCopy = [];
       for (const aug of taskAugEntries) {
         if (typeof aug === 'string') {
           taskPaths.push(aug);
-        } else if (aug.source && aug.target) {
+        } else if (aug.target && (aug.source || aug.mode === 'delete')) {
           taskFileCopy.push(aug);
         }
       }
@@ -131,11 +153,20 @@ export async function findTasks(args, tasksDir = null, augmentationsFiles = null
         augmentationSetName,
         taskPath,
         prompt,
+        turns,
+        userSimulator,
+        network,
+        services,
         criteria
       });
     } catch (error) {
-      // Skip tasks that don't have required files
-      continue;
+      // Kept so the filters below decide whether the broken task matters
+      allTasks.push({
+        name: taskData?.name ?? dir.name,
+        tags: taskData?.tags,
+        taskPath,
+        loadError: error.message,
+      });
     }
   }
   
@@ -164,35 +195,83 @@ export async function findTasks(args, tasksDir = null, augmentationsFiles = null
       return !task.tags.includes('diagnostic');
     });
   }
+
+  // A selected task with an invalid configuration stops the batch; others are only reported
+  for (const task of allTasks) {
+    if (task.loadError && !filteredTasks.includes(task)) {
+      console.warn(`Warning: task '${task.name}' is invalid: ${task.loadError}`);
+    }
+  }
+  const invalid = filteredTasks.filter(task => task.loadError);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid task configuration:\n${invalid.map(task => `  ${task.name} (${task.taskPath}): ${task.loadError}`).join('\n')}`);
+  }
   
   return filteredTasks;
 }
 
 export { copyAgentConfig };
 
+/**
+ * Install the workspace's npm dependencies, from the node_modules cache when
+ * its lockfile has been installed before.
+ */
+async function installWorkspaceDependencies(task, cache) {
+  const key = cache ? await nodeModulesKey(task.workspaceDir) : null;
+  if (key && await restoreNodeModules(cache.dir, key, task.workspaceDir)) {
+    return;
+  }
+
+  const { execAsync } = await import('./utils/process-utils.js');
+  try {
+    await execAsync('npm ci', { cwd: task.workspaceDir });
+  } catch (error) {
+    const stderr = (error.stderr || '').trim().slice(-500);
+    throw markInfraError(new Error(`npm ci failed: ${stderr || error.message}`), 'install');
+  }
+
+  if (key) {
+    try {
+      await saveNodeModules(cache.dir, key, task.workspaceDir, { source: task.startFrom });
+    } catch (error) {
+      console.error(`Warning: Failed to cache node_modules for ${task.name}: ${error.message}`);
+    }
+  }
+}
+
 export async function createTaskWorkspace(task, options = {}) {
-  const { cloneRegistry, clonesBaseDir } = options;
+  const { cloneRegistry, clonesBaseDir, cache } = options;
 
-  await bootstrapWorkspace(task, {
-    cloneRegistry,
-    clonesBaseDir,
-    branchName: task.branchName
-  });
+  try {
+    const { rendered } = await bootstrapWorkspace(task, {
+      cloneRegistry,
+      clonesBaseDir,
+      branchName: task.branchName,
+      // Rendered template augmentations, for auditing
+      renderedAugmentationsDir: task.taskInfoFolder && path.join(task.taskInfoFolder, 'augmentations'),
+    });
+    // Record the exact augmentation content, so comparisons don't depend on the files still existing
+    if (task.taskInfoFolder) await snapshotAugmentations(task, { rendered });
+  } catch (error) {
+    throw markInfraError(error, 'bootstrap');
+  }
+
+  // Task setup.js: seed data, apply patches, create history the agent must inspect
+  await runTaskHook('setup', task);
 
-  // Single commit for all workspace setup (augmentations + agent settings)
+  // Single commit for all workspace setup (augmentations, agent settings, setup.js)
   addAndCommit(task.workspaceDir, 'Workspace setup');
 
   // Install dependencies if package.json exists
   const packageJsonPath = path.join(task.workspaceDir, 'package.json');
   try {
     await fs.access(packageJsonPath);
-    // package.json exists, run npm ci
-    const { execAsync } = await import('./utils/process-utils.js');
-    await execAsync('npm ci', { cwd: task.workspaceDir });
-  } catch (error) {
-    // package.json doesn't exist or npm ci failed - continue anyway
-    // The agent might not need dependencies, or might install them themselves
+  } catch {
+    // No package.json - the agent might not need dependencies
+    return;
   }
+
+  await installWorkspaceDependencies(task, cache);
 }
 
 export async function createTaskInfoFolder(task) {
@@ -209,7 +288,8 @@ export async function createTaskInfoFolder(task) {
     fs.readFile(sourceCriteriaPath, 'utf-8'),
     fs.readFile(sourceTaskJsonPath, 'utf-8')
   ]);
-  const taskHash = computeTaskHash(sourcePrompt, sourceCriteria, sourceTaskJsonContent);
+  const turnPrompts = (task.turns || []).map(t => t.prompt).join('');
+  const taskHash = computeTaskHash(sourcePrompt + turnPrompts, sourceCriteria, sourceTaskJsonContent);
 
   // Build task.json with all runtime information
   const taskJson = {
@@ -220,8 +300,17 @@ export async function createTaskInfoFolder(task) {
     augmentations: task.augmentations,
     scriptedAugmentations: (task.scriptedAugmentations || []).map(s => ({ name: s.name, path: s.path })),
     augmentationSetName: task.augmentationSetName || null,
+    turns: (task.turns || []).map(({ turn, promptFile, when }) => ({ turn, promptFile, when })),
+    userSimulator: task.userSimulator
+      ? { path: path.relative(task.taskPath, task.userSimulator.path), maxInterventions: task.userSimulator.maxInterventions }
+      : null,
+    network: task.network || null,
+    services: task.services?.length ? task.services : null,
     agent: task.agent,
+    profile: task.profile || null,
     model: task.model || null,
+    matrixCell: task.matrixCell || null,
+    taskPath: task.taskPath,
     runSetId: task.timestamp,
     iteration: task.iteration,
     timestamp: task.timestamp,
@@ -240,6 +329,12 @@ export async function createTaskInfoFolder(task) {
 
   const destCriteriaPath = path.join(task.taskInfoFolder, 'criteria.txt');
   await fs.copyFile(sourceCriteriaPath, destCriteriaPath);
+
+  // Follow-up prompts, saved under their own names
+  for (const turn of task.turns || []) {
+    const destTurnPath = path.join(task.taskInfoFolder, path.basename(turn.promptFile));
+    await fs.writeFile(destTurnPath, turn.prompt, 'utf-8');
+  }
   
   return task.taskInfoFolder;
 }
@@ -252,6 +347,9 @@ export function parseArgs(argv) {
     workspaceDir: path.join(os.tmpdir(), 'skills-evals-workspace'),
     augmentationsFiles: [], // Only load if explicitly specified
     times: 1, // Number of times to run each task
+    resume: null, // Batch timestamp to resume
+    matrixFile: null, // Run matrix file (replaces task/agent/augmentation flags)
+    cache: true, // Reuse cached repos and node_modules across batches
     debug: false,
     showHelp: false
   };
@@ -264,6 +362,8 @@ export function parseArgs(argv) {
       result.showHelp = true;
     } else if (arg === '--debug') {
       result.debug = true;
+    } else if (arg === '--no-cache') {
+      result.cache = false;
     } else if (arg === '--task' && i + 1 < argv.length) {
       const value = argv[++i];
       // Handle comma-separated values
@@ -289,6 +389,10 @@ export function parseArgs(argv) {
         throw new Error('--times must be a positive integer');
       }
       result.times = value;
+    } else if (arg === '--resume' && i + 1 < argv.length) {
+      result.resume = argv[++i];
+    } else if (arg === '--matrix' && i + 1 < argv.length) {
+      result.matrixFile = argv[++i];
     }
   }
 
@@ -311,6 +415,9 @@ Options:
   --augmentations <f> Augmentation file(s) to apply (can be used multiple times)
   --workspace <path>  Directory to create task workspaces (default: system temp)
   --times <number>    Number of times to run each task (default: 1)
+  --resume <ts>       Resume an interrupted batch, re-running only incomplete runs
+  --matrix <file>     Run the task × agent × model × augmentation matrix declared in a JSON file
+  --no-cache          Clone and npm ci from scratch instead of using the workspace cache
   --debug             Verbose logging to batch.log; preserve agent workspaces for inspection
   -h, --help          Show this help message
 
@@ -323,13 +430,34 @@ Examples:
   npm run run-tasks --augmentations augmentations/a.json --augmentations augmentations/b.json
   npm run run-tasks --workspace /tmp/my-workspace --task build-block
   npm run run-tasks --task build-block --times 3
+  npm run run-tasks --resume 20260308-135305
+  npm run run-tasks --matrix experiments/opus-vs-sonnet.json
 `);
 }
 
-export function enrichTasks(tasks, agents, workspaceDir, times = 1) {
+/**
+ * Expand tasks into one enriched run per task × iteration × agent.
+ *
+ * Agent names may be profile names (see getAgentProfile): the run's `agent`
+ * is then the profile's base agent and `profile` records the profile name.
+ *
+ * With `options.cells` (from a run matrix) the cells take the place of the
+ * agents list: each cell supplies its agent, an optional model override and
+ * its augmentation set, and the cell id is used in the run folder name.
+ *
+ * @param {Object[]} tasks - Tasks from findTasks()
+ * @param {string[]} agents - Agent or profile names (ignored when options.cells is given)
+ * @param {string} workspaceDir - Base directory for workspaces
+ * @param {number} [times] - Iterations per task
+ * @param {Object} [options]
+ * @param {Object[]} [options.cells] - Matrix cells from loadMatrixCells()
+ * @returns {Object[]} Enriched tasks
+ */
+export function enrichTasks(tasks, agents, workspaceDir, times = 1, options = {}) {
   // Generate timestamp once for the entire run
   const timestamp = getCurrentTimestamp();
   const resultsBaseDir = path.join(__dirname, '..', 'results');
+  const cells = options.cells || agents.map(agent => ({ id: sanitizeName(agent), agent }));
 
   // Create enriched task objects for each task/agent/iteration combination
   // Order by iteration first, then agent - this ensures parallel execution spreads across agents
@@ -341,20 +469,22 @@ export function enrichTasks(tasks, agents, workspaceDir, times = 1) {
   const enrichedTasks = [];
   for (const task of tasks) {
     for (let iteration = 1; iteration <= times; iteration++) {
-      for (const agent of agents) {
+      for (const cell of cells) {
         taskCounter++;
-        const sanitizedAgent = sanitizeName(agent);
-        const folderName = `${task.name}-${sanitizedAgent}-${iteration}`;
+        const profile = getAgentProfile(cell.agent);
+        const sanitizedAgent = sanitizeName(cell.agent);
+        const folderName = `${task.name}-${cell.id}-${iteration}`;
 
         // Keep branch name short for AEM dev server DNS label limit (63 chars).
         // Use a global counter instead of task name for uniqueness.
         const branchName = `${sanitizedAgent}-${shortTs}-${taskCounter}`;
 
-        const config = getAgentConfig(agent);
+        const config = getAgentConfig(cell.agent);
         const enrichedTask = {
           ...task,
-          agent,
-          model: config.model || null,
+          agent: profile ? profile.agent : cell.agent,
+          profile: profile ? profile.name : null,
+          model: cell.model || config.model || null,
           timestamp,
           iteration,
           branchName,
@@ -362,6 +492,14 @@ export function enrichTasks(tasks, agents, workspaceDir, times = 1) {
           workspaceDir: path.join(workspaceDir, timestamp, folderName)
         };
 
+        if (options.cells) {
+          // Cell augmentations apply before the task's own, like --augmentations
+          enrichedTask.matrixCell = cell.id;
+          enrichedTask.augmentations = [...cell.augmentations.fileCopy, ...(task.augmentations || [])];
+          enrichedTask.scriptedAugmentations = [...cell.augmentations.scripted, ...(task.scriptedAugmentations || [])];
+          enrichedTask.augmentationSetName = cell.augmentationSetName;
+        }
+
         enrichedTasks.push(enrichedTask);
       }
     }
@@ -370,28 +508,76 @@ export function enrichTasks(tasks, agents, workspaceDir, times = 1) {
   return enrichedTasks;
 }
 
+/**
+ * Expand a matrix into cells and load each cell's augmentation set.
+ *
+ * @param {Object} matrix - Matrix from loadMatrix()
+ * @returns {Promise<Object[]>} Cells with an `augmentations` ({ fileCopy, scripted }) property
+ */
+export async function loadMatrixCells(matrix) {
+  const cells = [];
+  for (const cell of expandMatrixCells(matrix)) {
+    const loaded = await loadAugmentationsFromPaths(cell.augmentationsFiles);
+    const augmentationSetName = cell.augmentationSetName
+      || (loaded.names.length > 0 ? loaded.names.join(' + ') : null);
+    cells.push({ ...cell, augmentationSetName, augmentations: loaded });
+  }
+  return cells;
+}
+
 async function runTask(task, onActivity, signal) {
   // Dynamically load the handler for the specified agent
-  const handlerPath = `./handlers/${sanitizeName(task.agent)}.js`;
+  const agentName = sanitizeName(task.agent);
+  const handlerPath = `./handlers/${agentName}.js`;
 
+  let handler;
+  let agentHosts = AGENT_API_HOSTS[agentName] || [];
   try {
-    const handler = await import(handlerPath);
-    const runHandler = handler.default;
+    handler = await import(handlerPath);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
 
-    if (typeof runHandler !== 'function') {
-      throw new Error(`Handler at ${handlerPath} does not export a default function`);
+    // No dedicated handler — fall back to the generic one for declared agents
+    const definition = await loadAgentDefinition(agentName);
+    if (!definition) {
+      throw new Error(`No handler found for agent '${task.agent}'. Expected handler at ${handlerPath} or definition at config/agents/${agentName}.json`);
     }
+    handler = await import('./handlers/generic.js');
+    agentHosts = definition.apiHosts;
+  }
 
-    await runHandler(task, onActivity, signal);
-  } catch (error) {
-    if (error.code === 'ERR_MODULE_NOT_FOUND') {
-      throw new Error(`No handler found for agent '${task.agent}'. Expected handler at ${handlerPath}`);
+  const runHandler = handler.default;
+  if (typeof runHandler !== 'function') {
+    throw new Error(`Handler at ${handlerPath} does not export a default function`);
+  }
+
+  // Route agent traffic through a proxy that enforces and logs the task's network policy
+  let proxy = null;
+  if (task.network) {
+    try {
+      proxy = await startEgressProxy({
+        policy: task.network,
+        agentHosts,
+        logPath: path.join(task.taskInfoFolder, 'network-log.jsonl'),
+      });
+    } catch (error) {
+      throw markInfraError(error, 'network-proxy');
     }
-    throw error;
+  }
+  const agentTask = proxy ? { ...task, networkProxyUrl: proxy.url } : task;
+
+  try {
+    if (task.turns?.length > 0 || task.userSimulator) {
+      await runTurns(agentTask, runHandler, { onActivity, signal });
+    } else {
+      await runHandler(agentTask, onActivity, signal);
+    }
+  } finally {
+    if (proxy) await proxy.close();
   }
 }
 
-async function captureResults(task, runMetrics = null) {
+async function captureResults(task, runMetrics = null, serviceEnv = {}) {
   const results = {};
 
   // Capture diff of all changes from augmentations commit
@@ -407,7 +593,11 @@ async function captureResults(task, runMetrics = null) {
 
   // Run task-specific checks if checks.js exists
   if (task.taskPath) {
-    results.checks = await runTaskChecks(task.taskPath, task.workspaceDir);
+    results.checks = await runTaskChecks(task.taskPath, task.workspaceDir, serviceEnv, {
+      task,
+      diff: results.diff,
+      commits: results.commits,
+    });
   }
 
   // Write test results if they exist
@@ -459,18 +649,24 @@ async function captureResults(task, runMetrics = null) {
   }
 }
 
+/**
+ * Push the task branch to the startFrom remote for reconstruction
+ * (best-effort). Local repos, bundles and snapshots are left alone.
+ */
+async function pushTaskBranch(task) {
+  if (!task.branchName || task.localStartFrom) return;
+  try {
+    await pushBranch(task.workspaceDir, task.branchName);
+  } catch (error) {
+    console.error(`Warning: Failed to push branch ${task.branchName}: ${error.message}`);
+  }
+}
+
 async function cleanUp(task) {
   // Commit any uncommitted agent work
   addAndCommit(task.workspaceDir, 'Final state');
 
-  // Push branch to remote for reconstruction (best-effort)
-  if (task.branchName) {
-    try {
-      await pushBranch(task.workspaceDir, task.branchName);
-    } catch (error) {
-      console.error(`Warning: Failed to push branch ${task.branchName}: ${error.message}`);
-    }
-  }
+  await pushTaskBranch(task);
 
   // Remove worktree or fall back to directory cleanup
   try {
@@ -486,20 +682,64 @@ async function cleanUp(task) {
 }
 
 function getTaskId(task) {
+  // The run folder name is unique per batch, including matrix cells
+  if (task.taskInfoFolder) return path.basename(task.taskInfoFolder);
   return `${task.name}-${sanitizeName(task.agent)}-${task.iteration}`;
 }
 
-async function processTask(task, onActivity, { cloneRegistry, clonesBaseDir, debug, logger } = {}) {
+/**
+ * Tear down a workspace without pushing — used when an attempt failed for
+ * infrastructure reasons and its state is not worth keeping.
+ */
+async function discardWorkspace(task) {
+  if (task.parentRepoPath) {
+    try {
+      removeWorktree(task.parentRepoPath, task.workspaceDir);
+    } catch {
+      // Worktree may not have been created
+    }
+    try {
+      deleteBranch(task.parentRepoPath, task.branchName);
+    } catch {
+      // Branch may not have been created
+    }
+  }
+  await cleanupDir(task.workspaceDir);
+}
+
+/**
+ * An agent that exits before producing any output never started working —
+ * treat that as a CLI/startup crash rather than a task failure.
+ */
+async function hasAgentOutput(task) {
+  try {
+    const output = await fs.readFile(path.join(task.taskInfoFolder, 'output.jsonl'), 'utf-8');
+    return output.trim().length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run one attempt of a task: bootstrap its workspace, run the agent, capture
+ * results and clean up. Exported for integration tests (with the mock agent).
+ */
+export async function processTask(task, onActivity, { cloneRegistry, clonesBaseDir, cache, debug, logger, attempt = 1 } = {}) {
   const taskId = getTaskId(task);
 
   // Bootstrap workspace just-in-time so setup pipelines with other tasks running
   if (onActivity) onActivity('bootstrapping workspace...');
-  await createTaskWorkspace(task, { cloneRegistry, clonesBaseDir });
+  try {
+    await createTaskWorkspace(task, { cloneRegistry, clonesBaseDir, cache });
+  } catch (error) {
+    await discardWorkspace(task);
+    throw error;
+  }
 
   if (logger) {
     await logger.debug(taskId, `workspace: ${task.workspaceDir}`);
     await logger.debug(taskId, `branch: ${task.branchName || 'none'}`);
-    await logger.debug(taskId, `agent: ${task.agent}, model: ${task.model || 'default'}`);
+    await logger.debug(taskId, `agent: ${task.agent}${task.profile ? ` (profile ${task.profile})` : ''}, model: ${task.model || 'default'}`);
     if (task.augmentations?.length) {
       await logger.debug(taskId, `augmentations: ${task.augmentations.map(a => a.name || a.src).join(', ')}`);
     }
@@ -508,7 +748,25 @@ async function processTask(task, onActivity, { cloneRegistry, clonesBaseDir, deb
     }
   }
 
-  const timeoutMs = parseInt(getEnv('AGENT_TIMEOUT_MS', ''), 10) || DEFAULT_AGENT_TIMEOUT_MS;
+  // Start the task's dev servers and mock backends before the agent
+  let services = null;
+  if (task.services?.length) {
+    if (onActivity) onActivity('starting services...');
+    try {
+      services = await startServices(task.services, { workspaceDir: task.workspaceDir, logDir: task.taskInfoFolder });
+    } catch (error) {
+      await runTeardown(task, logger);
+      await discardWorkspace(task);
+      throw error;
+    }
+    if (logger) {
+      await logger.debug(taskId, `services: ${services.services.map(s => `${s.name}${s.port ? `:${s.port}` : ''}`).join(', ')}`);
+    }
+  }
+  const serviceEnv = services?.env || {};
+
+  const timeoutMs = getAgentConfig(task.profile || task.agent).timeoutMs
+    || parseInt(getEnv('AGENT_TIMEOUT_MS', ''), 10) || DEFAULT_AGENT_TIMEOUT_MS;
   if (logger) await logger.debug(taskId, `timeout: ${timeoutMs / 1000}s`);
   const ac = new AbortController();
   const timer = setTimeout(() => ac.abort(), timeoutMs);
@@ -518,57 +776,228 @@ async function processTask(task, onActivity, { cloneRegistry, clonesBaseDir, deb
   let runError = null;
   let timedOut = false;
   try {
-    await runTask(task, onActivity, ac.signal);
+    await runTask(services ? { ...task, serviceEnv } : task, onActivity, ac.signal);
   } catch (error) {
     timedOut = ac.signal.aborted;
     runError = timedOut
       ? new Error(`Agent timed out after ${timeoutMs / 1000}s`)
       : error;
+    if (timedOut) runError.kind = FAILURE_KINDS.TIMEOUT;
     if (logger) await logger.debug(taskId, `error: ${runError.message}`);
   } finally {
     clearTimeout(timer);
   }
+
+  if (runError && classifyRunError(runError) === FAILURE_KINDS.AGENT && !(await hasAgentOutput(task))) {
+    markInfraError(runError, 'agent-startup');
+  }
+  if (runError && classifyRunError(runError) === FAILURE_KINDS.INFRA) {
+    // Nothing the agent did is worth capturing or pushing
+    if (services) await services.stop();
+    await runTeardown(task, logger);
+    await discardWorkspace(task);
+    throw runError;
+  }
+
   if (onActivity) onActivity(timedOut ? 'timed out, capturing partial results...' : 'capturing results...');
   const finishedAt = new Date().toISOString();
   const durationMs = Date.now() - start;
-  await captureResults(task, { startedAt, finishedAt, durationMs, timedOut });
+  try {
+    // Services keep running so checks can exercise them
+    await captureResults(task, { startedAt, finishedAt, durationMs, timedOut, attempt }, serviceEnv);
+  } finally {
+    if (services) await services.stop();
+  }
+
+  // After capture, so checks still see whatever setup.js left running
+  const teardownError = await runTeardown(task, logger);
 
   if (debug) {
     // Push branch but preserve workspace for inspection
-    if (task.branchName) {
-      try {
-        await pushBranch(task.workspaceDir, task.branchName);
-      } catch (error) {
-        console.error(`Warning: Failed to push branch ${task.branchName}: ${error.message}`);
-      }
-    }
+    await pushTaskBranch(task);
     if (logger) await logger.debug(taskId, `workspace preserved: ${task.workspaceDir}`);
   } else {
     await cleanUp(task);
   }
   if (runError) throw runError;
+  if (teardownError) throw teardownError;
 }
 
-export function buildBatchMetadata(args, enrichedTasks, startedAt, finishedAt, hasFailures, timedOutRuns = []) {
+/**
+ * Run the task's teardown.js, returning its error instead of throwing so the
+ * workspace is still cleaned up.
+ */
+async function runTeardown(task, logger) {
+  try {
+    await runTaskHook('teardown', task);
+    return null;
+  } catch (error) {
+    if (logger) await logger.debug(getTaskId(task), `teardown failed: ${error.message}`);
+    return error;
+  }
+}
+
+/**
+ * Preserve a failed attempt in the run folder: append it to attempts.json
+ * and keep its stderr.log under an attempt-specific name.
+ */
+export async function recordFailedAttempt(task, { attempt, kind, error, willRetry, delayMs }) {
+  const attemptsPath = path.join(task.taskInfoFolder, 'attempts.json');
+  let attempts = [];
+  try {
+    attempts = JSON.parse(await fs.readFile(attemptsPath, 'utf-8'));
+  } catch {
+    // First recorded attempt
+  }
+
+  attempts.push({
+    attempt,
+    kind,
+    phase: error.phase || null,
+    error: error.message,
+    failedAt: new Date().toISOString(),
+    retried: willRetry,
+    retryDelayMs: willRetry ? delayMs : null
+  });
+  await fs.writeFile(attemptsPath, JSON.stringify(attempts, null, 2), 'utf-8');
+
+  if (willRetry) {
+    try {
+      await fs.rename(
+        path.join(task.taskInfoFolder, 'stderr.log'),
+        path.join(task.taskInfoFolder, `stderr.attempt-${attempt}.log`)
+      );
+    } catch {
+      // No stderr captured for this attempt
+    }
+  }
+}
+
+async function processTaskWithRetry(task, onActivity, options = {}) {
+  const { logger } = options;
+  const taskId = getTaskId(task);
+  const policy = options.retryPolicy || getRetryConfig();
+
+  return runWithRetry(
+    async (attempt) => {
+      await processTask(task, onActivity, { ...options, attempt });
+      return { attempts: attempt };
+    },
+    policy,
+    {
+      async onAttemptFailed(failure) {
+        await recordFailedAttempt(task, failure);
+        if (!failure.willRetry) return;
+        const message = `infra error (${failure.error.phase || 'unknown'}), retrying in ${Math.round(failure.delayMs / 1000)}s (attempt ${failure.attempt + 1}/${policy.maxAttempts})`;
+        if (onActivity) onActivity(message);
+        if (logger) await logger.debug(taskId, `${message}: ${failure.error.message}`);
+      }
+    }
+  );
+}
+
+/**
+ * Build the per-run status list for batch.json — one entry per run folder.
+ * Outcomes from this invocation win; runs carried over from an interrupted
+ * batch keep their previous entry; anything else has not run yet.
+ *
+ * @param {Object[]} enrichedTasks - All runs in the batch
+ * @param {Object[]} [outcomes] - Outcomes from runInParallel, keyed by taskId
+ * @param {Object[]} [previousRuns] - Run entries carried over from a previous invocation
+ * @returns {Object[]} Run entries
+ */
+export function buildRunStatuses(enrichedTasks, outcomes = [], previousRuns = []) {
+  const outcomesById = new Map(outcomes.map(o => [o.taskId, o]));
+  const previousByFolder = new Map(previousRuns.map(r => [r.folderName, r]));
+
+  return enrichedTasks.map((task) => {
+    const folderName = path.basename(task.taskInfoFolder || getTaskId(task));
+    const base = {
+      folderName,
+      task: task.name,
+      agent: task.agent,
+      profile: task.profile || null,
+      matrixCell: task.matrixCell || null,
+      iteration: task.iteration
+    };
+
+    const outcome = outcomesById.get(getTaskId(task));
+    if (outcome) {
+      return {
+        ...base,
+        status: outcome.status,
+        error: outcome.error,
+        startedAt: outcome.startedAt,
+        finishedAt: outcome.finishedAt,
+        durationMs: outcome.durationMs,
+        attempts: outcome.attempts
+      };
+    }
+
+    const previous = previousByFolder.get(folderName);
+    if (previous && previous.status !== RUN_STATUS.PENDING) {
+      return { ...previous, ...base, carriedOver: true };
+    }
+
+    return {
+      ...base,
+      status: RUN_STATUS.PENDING,
+      error: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      attempts: null
+    };
+  });
+}
+
+export function buildBatchMetadata(args, enrichedTasks, startedAt, finishedAt, runs = [], resume = null) {
   const timestamp = enrichedTasks[0]?.timestamp || null;
-  const durationMs = new Date(finishedAt).getTime() - new Date(startedAt).getTime();
+  const durationMs = finishedAt
+    ? new Date(finishedAt).getTime() - new Date(startedAt).getTime()
+    : null;
 
   // Collect unique task names
   const taskNames = [...new Set(enrichedTasks.map(t => t.name))];
 
-  // Build agent → model map
+  // Build agent (or profile) → model map
   const agentModels = {};
   for (const task of enrichedTasks) {
-    if (!agentModels[task.agent]) {
-      agentModels[task.agent] = task.model || null;
+    const agentName = task.profile || task.agent;
+    if (!agentModels[agentName]) {
+      agentModels[agentName] = task.model || null;
     }
   }
 
-  // Count completed vs failed based on whether taskInfoFolder has a run-metrics.json
-  // Since we don't have per-task status here, use the overall hasFailures flag
+  // Tally per-run statuses
+  const statusCounts = {};
+  for (const run of runs) {
+    statusCounts[run.status] = (statusCounts[run.status] || 0) + 1;
+  }
   const runCount = enrichedTasks.length;
-  const failedCount = hasFailures ? null : 0; // null = unknown breakdown
-  const completedCount = hasFailures ? null : runCount;
+  const completedCount = statusCounts[RUN_STATUS.COMPLETED] || 0;
+  const pendingCount = runCount - runs.length + (statusCounts[RUN_STATUS.PENDING] || 0);
+  const failedCount = runCount - completedCount - pendingCount;
+  const timedOutRuns = runs
+    .filter(r => r.status === RUN_STATUS.TIMED_OUT)
+    .map(r => r.folderName);
+
+  // Describe each matrix cell once so summaries can label their groups
+  let matrix = null;
+  if (args.matrix) {
+    const cells = new Map();
+    for (const task of enrichedTasks) {
+      if (!task.matrixCell || cells.has(task.matrixCell)) continue;
+      cells.set(task.matrixCell, {
+        id: task.matrixCell,
+        agent: task.agent,
+        profile: task.profile || null,
+        model: task.model || null,
+        augmentationSetName: task.augmentationSetName || null
+      });
+    }
+    matrix = { name: args.matrix.name, file: args.matrix.file, cells: [...cells.values()] };
+  }
 
   return {
     timestamp,
@@ -585,56 +1014,267 @@ export function buildBatchMetadata(args, enrichedTasks, startedAt, finishedAt, h
       debug: args.debug || false,
     },
     augmentationSetName: enrichedTasks[0]?.augmentationSetName || null,
+    matrix,
     agentModels,
     taskNames,
     runCount,
     completedCount,
     failedCount,
-    timedOutRuns
+    statusCounts,
+    timedOutRuns,
+    resumed: Boolean(resume),
+    resumedAt: resume?.resumedAt || null,
+    carriedOverCount: resume?.carriedOverCount ?? 0,
+    runs
   };
 }
 
-async function collectTimedOutRuns(enrichedTasks) {
-  const timedOut = [];
-  for (const task of enrichedTasks) {
-    if (!task.taskInfoFolder) continue;
+/**
+ * Reconstruct a run entry for a completed run of an older batch whose
+ * batch.json predates per-run statuses.
+ */
+async function inferCompletedRunStatus(task) {
+  const folderName = path.basename(task.taskInfoFolder);
+  let metrics = {};
+  try {
+    metrics = JSON.parse(await fs.readFile(path.join(task.taskInfoFolder, 'run-metrics.json'), 'utf-8'));
+  } catch {
+    // Only called for complete runs, but stay lenient
+  }
+  return {
+    folderName,
+    status: metrics.timedOut ? RUN_STATUS.TIMED_OUT : RUN_STATUS.COMPLETED,
+    error: null,
+    startedAt: metrics.startedAt || null,
+    finishedAt: metrics.finishedAt || null,
+    durationMs: metrics.durationMs ?? null,
+    attempts: metrics.attempt ?? null
+  };
+}
+
+// Files written by createTaskInfoFolder, with the turns' prompt files — everything else in a run folder is output
+const RUN_DEFINITION_FILES = new Set(['task.json', 'prompt.txt', 'criteria.txt']);
+
+/**
+ * A run is complete once captureResults has written both its metrics and
+ * the agent transcript. Anything less means the batch died mid-run.
+ *
+ * @param {Object} task - Enriched task with taskInfoFolder
+ * @returns {Promise<boolean>}
+ */
+export async function isRunComplete(task) {
+  try {
+    await fs.access(path.join(task.taskInfoFolder, 'run-metrics.json'));
+    await fs.access(path.join(task.taskInfoFolder, 'output.jsonl'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rebuild the enriched task list of an existing batch from its run folders.
+ * Each run's task.json, prompt.txt and criteria.txt were written by
+ * createTaskInfoFolder, so they carry everything needed to re-execute it.
+ *
+ * @param {string} timestamp - Batch timestamp (folder name under results/)
+ * @param {string} [resultsBaseDir] - Results directory (default: results/)
+ * @returns {Promise<{ batch: Object|null, enrichedTasks: Object[] }>}
+ */
+export async function loadBatchForResume(timestamp, resultsBaseDir = path.join(__dirname, '..', 'results')) {
+  const batchDir = path.join(resultsBaseDir, timestamp);
+
+  let entries;
+  try {
+    entries = await fs.readdir(batchDir, { withFileTypes: true });
+  } catch {
+    throw new Error(`Batch not found: ${batchDir}`);
+  }
+
+  let batch = null;
+  try {
+    batch = JSON.parse(await fs.readFile(path.join(batchDir, 'batch.json'), 'utf-8'));
+  } catch {
+    // batch.json may be missing if the batch died before writing it
+  }
+
+  const enrichedTasks = [];
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const taskInfoFolder = path.join(batchDir, entry.name);
+    let taskJson;
     try {
-      const metricsPath = path.join(task.taskInfoFolder, 'run-metrics.json');
-      const metrics = JSON.parse(await fs.readFile(metricsPath, 'utf-8'));
-      if (metrics.timedOut) {
-        timedOut.push(path.basename(task.taskInfoFolder));
-      }
+      taskJson = JSON.parse(await fs.readFile(path.join(taskInfoFolder, 'task.json'), 'utf-8'));
     } catch {
-      // run-metrics.json may not exist for runs that failed before capturing results
+      continue;
+    }
+
+    const [prompt, criteria] = await Promise.all([
+      fs.readFile(path.join(taskInfoFolder, 'prompt.txt'), 'utf-8'),
+      fs.readFile(path.join(taskInfoFolder, 'criteria.txt'), 'utf-8')
+    ]);
+    // Older batches did not record taskPath — fall back to the tasks/ folder
+    const taskPath = taskJson.taskPath || path.join(__dirname, '..', 'tasks', taskJson.name);
+
+    // task.json only names the follow-up prompts and the simulator: restore
+    // the prompts saved with the run and reload the simulator's rules
+    let turns, userSimulator;
+    try {
+      turns = await Promise.all((taskJson.turns || []).map(async turn => ({
+        ...turn,
+        prompt: await fs.readFile(path.join(taskInfoFolder, path.basename(turn.promptFile)), 'utf-8'),
+      })));
+      userSimulator = await loadUserSimulator(taskPath, taskJson.userSimulator);
+    } catch (error) {
+      throw new Error(`Cannot resume ${entry.name}: ${error.message}`);
     }
+
+    enrichedTasks.push({
+      ...taskJson,
+      taskPath,
+      timestamp,
+      prompt,
+      turns,
+      userSimulator,
+      criteria,
+      taskInfoFolder
+    });
   }
-  return timedOut;
+
+  if (enrichedTasks.length === 0) {
+    throw new Error(`No runs found in batch ${batchDir}`);
+  }
+
+  // Preserve the original scheduling order — enrichTasks numbers branches sequentially
+  const scheduleOrder = (task) => parseInt(task.branchName?.match(/-(\d+)$/)?.[1], 10) || 0;
+  enrichedTasks.sort((a, b) => scheduleOrder(a) - scheduleOrder(b));
+
+  return { batch, enrichedTasks };
 }
 
-async function runTasks() {
-  const parsedArgs = parseArgs(process.argv);
+/**
+ * Remove partial output from an incomplete run so it can be re-executed
+ * into the same folder. The run definition files, follow-up prompts
+ * included, are kept.
+ *
+ * @param {Object} task - Enriched task with taskInfoFolder and workspaceDir
+ */
+export async function resetIncompleteRun(task) {
+  const keep = new Set([...RUN_DEFINITION_FILES, ...(task.turns || []).map(turn => path.basename(turn.promptFile))]);
+  const entries = await fs.readdir(task.taskInfoFolder);
+  for (const entry of entries) {
+    if (keep.has(entry)) continue;
+    await fs.rm(path.join(task.taskInfoFolder, entry), { recursive: true, force: true });
+  }
+  await cleanupDir(task.workspaceDir);
+}
 
-  if (parsedArgs.showHelp) {
-    showHelp();
-    return;
+async function writeBatchJson(resultsBaseDir, timestamp, metadata) {
+  const batchJsonPath = path.join(resultsBaseDir, timestamp, 'batch.json');
+  await fs.writeFile(batchJsonPath, JSON.stringify(metadata, null, 2), 'utf-8');
+}
+
+async function prepareRun(parsedArgs) {
+  if (parsedArgs.resume) {
+    const { batch, enrichedTasks } = await loadBatchForResume(parsedArgs.resume);
+    const pendingTasks = [];
+    for (const task of enrichedTasks) {
+      if (!(await isRunComplete(task))) pendingTasks.push(task);
+    }
+
+    // Reuse the original args so batch.json still describes the whole batch
+    const args = {
+      ...parsedArgs,
+      ...(batch?.args || {}),
+      agents: batch?.args?.agents || [...new Set(enrichedTasks.map(t => t.profile || t.agent))],
+      matrix: batch?.matrix || null,
+      debug: parsedArgs.debug,
+    };
+
+    console.log(`Resuming batch ${parsedArgs.resume}: ${pendingTasks.length} of ${enrichedTasks.length} runs incomplete`);
+    for (const task of pendingTasks) {
+      await resetIncompleteRun(task);
+    }
+
+    // Carry over statuses of completed runs, inferring them for older batches
+    const previousByFolder = new Map((batch?.runs || []).map(r => [r.folderName, r]));
+    const previousRuns = [];
+    for (const task of enrichedTasks) {
+      if (pendingTasks.includes(task)) continue;
+      const folderName = path.basename(task.taskInfoFolder);
+      previousRuns.push(previousByFolder.get(folderName) || await inferCompletedRunStatus(task));
+    }
+
+    return {
+      args,
+      enrichedTasks,
+      pendingTasks,
+      previousRuns,
+      startedAt: batch?.startedAt || new Date().toISOString(),
+      resume: {
+        resumedAt: new Date().toISOString(),
+        carriedOverCount: enrichedTasks.length - pendingTasks.length
+      }
+    };
   }
 
-  // Interactive mode: guided flow or confirm-before-run
   let args;
-  if (hasUserFlags(process.argv)) {
-    args = await confirmOrEdit(parsedArgs);
+  let enrichedTasks;
+  if (parsedArgs.matrixFile) {
+    // The matrix file declares the whole batch — no interactive flow
+    const matrix = await loadMatrix(parsedArgs.matrixFile);
+    const cells = await loadMatrixCells(matrix);
+    args = {
+      ...parsedArgs,
+      tasks: matrix.tasks,
+      tags: matrix.tags,
+      agents: matrix.agents,
+      times: matrix.iterations,
+      augmentationsFiles: [...new Set(cells.flatMap(c => c.augmentationsFiles))],
+      matrix
+    };
+    const tasks = await findTasks(args, null, []);
+    enrichedTasks = enrichTasks(tasks, args.agents, args.workspaceDir, args.times, { cells });
+    console.log(`Matrix ${matrix.name}: ${tasks.length} task(s) × ${cells.length} cell(s) × ${matrix.iterations} iteration(s) = ${enrichedTasks.length} runs`);
   } else {
-    args = await runInteractiveFlow();
-  }
+    // Interactive mode: guided flow or confirm-before-run
+    if (hasUserFlags(process.argv)) {
+      args = await confirmOrEdit(parsedArgs);
+    } else {
+      args = await runInteractiveFlow();
+    }
 
-  const tasks = await findTasks(args);
-  const enrichedTasks = enrichTasks(tasks, args.agents, args.workspaceDir, args.times);
+    const tasks = await findTasks(args);
+    enrichedTasks = enrichTasks(tasks, args.agents, args.workspaceDir, args.times);
+  }
 
   // Create result folders up front so the full run is visible immediately
   for (const task of enrichedTasks) {
     await createTaskInfoFolder(task);
   }
 
+  return {
+    args,
+    enrichedTasks,
+    pendingTasks: enrichedTasks,
+    previousRuns: [],
+    startedAt: new Date().toISOString(),
+    resume: null
+  };
+}
+
+async function runTasks() {
+  const parsedArgs = parseArgs(process.argv);
+
+  if (parsedArgs.showHelp) {
+    showHelp();
+    return;
+  }
+
+  // Fail on a bad RUN_* retry setting before any run starts
+  const retryPolicy = getRetryConfig();
+
+  const { args, enrichedTasks, pendingTasks, previousRuns, startedAt, resume } = await prepareRun(parsedArgs);
+
   // Set up run logger
   const timestamp = enrichedTasks[0]?.timestamp;
   const resultsBaseDir = path.join(__dirname, '..', 'results');
@@ -643,19 +1283,30 @@ async function runTasks() {
     const logPath = path.join(resultsBaseDir, timestamp, 'batch.log');
     logger = createRunLogger(logPath, { debug: args.debug });
     await logger.init();
+
+    // Write preliminary batch.json so an interrupted batch can be resumed
+    await writeBatchJson(resultsBaseDir, timestamp,
+      buildBatchMetadata(args, enrichedTasks, startedAt, null,
+        buildRunStatuses(enrichedTasks, [], previousRuns), resume));
   }
 
-  // Set up clone registry for worktree-based workspaces
-  const cloneRegistry = new CloneRegistry();
+  // Set up clone registry for worktree-based workspaces, backed by the
+  // persistent repo and node_modules cache
+  const cacheConfig = getCacheConfig();
+  const cache = parsedArgs.cache && cacheConfig.enabled ? cacheConfig : null;
+  const cloneRegistry = new CloneRegistry({ cacheDir: cache?.dir });
   const clonesBaseDir = path.join(args.workspaceDir, timestamp, '.clones');
+  if (resume) {
+    // Clones left behind by the interrupted batch would block re-cloning
+    await cleanupDir(clonesBaseDir);
+  }
 
   // Run the tasks in parallel
-  const startedAt = new Date().toISOString();
   const concurrency = args.agents.length;
-  const taskRunner = (task, onActivity) => processTask(task, onActivity, {
-    cloneRegistry, clonesBaseDir, debug: args.debug, logger,
+  const taskRunner = (task, onActivity) => processTaskWithRetry(task, onActivity, {
+    cloneRegistry, clonesBaseDir, cache, retryPolicy, debug: args.debug, logger,
   });
-  const hasFailures = await runInParallel(enrichedTasks, concurrency, taskRunner, getTaskId, { logger });
+  const { hasFailures, outcomes } = await runInParallel(pendingTasks, concurrency, taskRunner, getTaskId, { logger });
   const finishedAt = new Date().toISOString();
 
   // Clean up bare clones directory (skip in debug mode to preserve worktrees)
@@ -669,10 +1320,9 @@ async function runTasks() {
 
   // Write batch.json
   if (timestamp) {
-    const timedOutRuns = await collectTimedOutRuns(enrichedTasks);
-    const batchMetadata = buildBatchMetadata(args, enrichedTasks, startedAt, finishedAt, hasFailures, timedOutRuns);
-    const batchJsonPath = path.join(resultsBaseDir, timestamp, 'batch.json');
-    await fs.writeFile(batchJsonPath, JSON.stringify(batchMetadata, null, 2), 'utf-8');
+    const runs = buildRunStatuses(enrichedTasks, outcomes, previousRuns);
+    const batchMetadata = buildBatchMetadata(args, enrichedTasks, startedAt, finishedAt, runs, resume);
+    await writeBatchJson(resultsBaseDir, timestamp, batchMetadata);
   }
 
   // Exit with non-zero code if any tasks failed
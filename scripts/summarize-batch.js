@@ -1,5 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { RUN_STATUS, UNEVALUABLE_STATUSES } from './utils/progress-utils.js';
 
 export function parseArgs(argv) {
   const result = {
@@ -41,7 +42,16 @@ async function safeReadJson(filePath) {
   }
 }
 
-export async function loadBatchRuns(batchDir) {
+/**
+ * Index the per-run statuses recorded in batch.json by folder name.
+ * Returns null for older batches that predate per-run statuses.
+ */
+export function indexRunStatuses(batch) {
+  if (!batch || !Array.isArray(batch.runs)) return null;
+  return new Map(batch.runs.map(r => [r.folderName, r]));
+}
+
+export async function loadBatchRuns(batchDir, runStatuses = null) {
   const targetDir = path.resolve(batchDir);
   const entries = await fs.readdir(targetDir, { withFileTypes: true });
   const dirs = entries.filter(e => e.isDirectory());
@@ -56,18 +66,22 @@ export async function loadBatchRuns(batchDir) {
     if (!taskJson) continue;
 
     const metrics = await safeReadJson(path.join(runDir, 'run-metrics.json'));
+    const runStatus = runStatuses?.get(dir.name);
 
     runs.push({
       folderName: dir.name,
       task: taskJson.name,
       agent: taskJson.agent,
+      profile: taskJson.profile ?? null,
+      matrixCell: taskJson.matrixCell ?? null,
       iteration: taskJson.iteration ?? 1,
+      status: runStatus?.status ?? null,
       score: evalResult.score ?? null,
       maxScore: evalResult.maxScore ?? null,
       overallSuccess: evalResult.overallSuccess ?? null,
       totalTokens: metrics?.tokenUsage?.totalTokens ?? null,
       durationMs: metrics?.durationMs ?? null,
-      timedOut: metrics?.timedOut ?? false,
+      timedOut: runStatus ? runStatus.status === RUN_STATUS.TIMED_OUT : (metrics?.timedOut ?? false),
       criteriaChecks: evalResult.criteriaChecks ?? []
     });
   }
@@ -75,13 +89,24 @@ export async function loadBatchRuns(batchDir) {
   return runs;
 }
 
+/**
+ * Group runs per task+agent. Runs using an agent profile are grouped per
+ * task+profile, and runs from a run matrix per task+cell, since one agent can
+ * appear under several profiles or cells (models, augmentation sets).
+ */
 export function groupRuns(runs) {
   const groups = {};
 
   for (const run of runs) {
-    const key = `${run.task}::${run.agent}`;
+    const key = `${run.task}::${run.matrixCell || run.profile || run.agent}`;
     if (!groups[key]) {
-      groups[key] = { task: run.task, agent: run.agent, runs: [] };
+      groups[key] = {
+        task: run.task,
+        agent: run.agent,
+        profile: run.profile || null,
+        matrixCell: run.matrixCell || null,
+        runs: []
+      };
     }
     groups[key].runs.push(run);
   }
@@ -201,11 +226,27 @@ export async function summarizeBatch(batchDir) {
   // Load batch metadata (may not exist for older batches)
   const batch = await safeReadJson(path.join(targetDir, 'batch.json'));
 
-  // Count total runs (dirs with task.json) to determine missing evals
-  const totalRuns = await countTotalRuns(batchDir);
+  // Per-run statuses from batch.json; older batches fall back to counting
+  // dirs with task.json and treating every run as evaluable
+  const runStatuses = indexRunStatuses(batch);
+  let totalRuns;
+  let runStatusCounts = null;
+  const unevaluableRuns = [];
+  if (runStatuses) {
+    totalRuns = runStatuses.size;
+    runStatusCounts = {};
+    for (const run of runStatuses.values()) {
+      runStatusCounts[run.status] = (runStatusCounts[run.status] || 0) + 1;
+      if (UNEVALUABLE_STATUSES.has(run.status)) {
+        unevaluableRuns.push({ folderName: run.folderName, status: run.status, error: run.error ?? null });
+      }
+    }
+  } else {
+    totalRuns = await countTotalRuns(batchDir);
+  }
 
   // Load and group runs (only those with eval-result.json)
-  const runs = await loadBatchRuns(batchDir);
+  const runs = await loadBatchRuns(batchDir, runStatuses);
   const groups = groupRuns(runs);
 
   // Compute per-group stats
@@ -224,6 +265,8 @@ export async function summarizeBatch(batchDir) {
       Object.entries(groups).map(([key, g]) => [key, {
         task: g.task,
         agent: g.agent,
+        profile: g.profile,
+        matrixCell: g.matrixCell,
         stats: g.stats,
         runs: g.runs.map(r => ({
           folderName: r.folderName,
@@ -235,8 +278,10 @@ export async function summarizeBatch(batchDir) {
       }])
     ),
     runCount: totalRuns,
+    runStatusCounts,
+    unevaluableRuns,
     evaluatedCount: runs.length,
-    missingEvalCount: totalRuns - runs.length
+    missingEvalCount: totalRuns - unevaluableRuns.length - runs.length
   };
 }
 
@@ -266,6 +311,9 @@ async function main() {
   // Print summary
   console.log(`\nBatch: ${targetDir}`);
   console.log(`Runs evaluated: ${summary.evaluatedCount}`);
+  if (summary.unevaluableRuns.length > 0) {
+    console.log(`Runs without output (not evaluable): ${summary.unevaluableRuns.map(r => `${r.folderName} [${r.status}]`).join(', ')}`);
+  }
   console.log(`Mean score: ${summary.batchStats.meanScorePct != null ? (summary.batchStats.meanScorePct * 100).toFixed(1) + '%' : 'n/a'}`);
   console.log(`Success rate: ${summary.batchStats.successRate != null ? (summary.batchStats.successRate * 100).toFixed(1) + '%' : 'n/a'}`);
   console.log(`Mean tokens: ${summary.batchStats.meanTokens != null ? Math.round(summary.batchStats.meanTokens).toLocaleString() : 'n/a'}`);
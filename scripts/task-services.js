@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Start or stop a run's background services for evaluation.
+ *
+ * Usage: node scripts/task-services.js start <result-folder> <workspace-path>
+ *        node scripts/task-services.js stop <result-folder>
+ *
+ * `start` reads the services recorded in the result folder's task.json,
+ * starts them in the (reconstructed) workspace with fresh ports and leaves
+ * them running. Their ports, URLs and process ids go to eval-services.json
+ * in the result folder, where assemble-eval-prompt.js and `stop` find them;
+ * their output goes to eval-service-<name>.log.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeServices, startServices, stopServiceGroups } from './utils/task-services.js';
+
+export const EVAL_SERVICES_FILE = 'eval-services.json';
+
+async function readState(resultFolder) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(resultFolder, EVAL_SERVICES_FILE), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stop the services recorded in a result folder, if any.
+ * @returns {Promise<number>} Number of services stopped
+ */
+export async function stopEvalServices(resultFolder) {
+  const state = await readState(resultFolder);
+  if (!state) return 0;
+  await stopServiceGroups(state.services.map(s => s.pid).filter(Boolean), state.workspaceDir);
+  await fs.rm(path.join(resultFolder, EVAL_SERVICES_FILE), { force: true });
+  return state.services.length;
+}
+
+/**
+ * Start the services recorded in a result folder against a workspace,
+ * replacing any started earlier for the same folder.
+ * @returns {Promise<Object[]>} Running services: { name, port, url, pid }
+ */
+export async function startEvalServices(resultFolder, workspaceDir) {
+  const taskJson = JSON.parse(await fs.readFile(path.join(resultFolder, 'task.json'), 'utf-8'));
+  const services = normalizeServices(taskJson.services);
+  await stopEvalServices(resultFolder);
+  if (services.length === 0) return [];
+
+  const running = await startServices(services, {
+    workspaceDir,
+    logDir: resultFolder,
+    logPrefix: 'eval-service-',
+    keepAlive: true,
+  });
+  await fs.writeFile(
+    path.join(resultFolder, EVAL_SERVICES_FILE),
+    JSON.stringify({ workspaceDir, services: running.services }, null, 2),
+    'utf-8',
+  );
+  return running.services;
+}
+
+async function main() {
+  const [command, resultFolder, workspacePath] = process.argv.slice(2);
+
+  if (command === 'start' && resultFolder && workspacePath) {
+    const services = await startEvalServices(path.resolve(resultFolder), path.resolve(workspacePath));
+    if (services.length === 0) {
+      console.log('Task declares no services');
+      return;
+    }
+    for (const service of services) {
+      console.log(`${service.name}: ${service.url || '(no port)'} (pid ${service.pid})`);
+    }
+    return;
+  }
+
+  if (command === 'stop' && resultFolder) {
+    const stopped = await stopEvalServices(path.resolve(resultFolder));
+    console.log(`Stopped ${stopped} service(s)`);
+    return;
+  }
+
+  console.error('Usage: node scripts/task-services.js start <result-folder> <workspace-path>');
+  console.error('       node scripts/task-services.js stop <result-folder>');
+  process.exit(1);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
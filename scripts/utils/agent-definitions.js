@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const defaultDefinitionsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'agents');
+
+export const PROMPT_DELIVERY = ['stdin', 'arg', 'file'];
+export const OUTPUT_FORMATS = ['stream-json', 'codex-json', 'text'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+/**
+ * Validate an agent definition and fill in defaults.
+ *
+ * @param {string} name - Agent name (file name without .json)
+ * @param {Object} raw - Parsed definition
+ * @returns {Object} Normalized definition
+ * @throws {Error} If a field is missing or invalid
+ */
+export function normalizeAgentDefinition(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Agent definition '${name}' must be an object`);
+  }
+  if (typeof raw.bin !== 'string' || !raw.bin) {
+    throw new Error(`Agent definition '${name}' must specify "bin"`);
+  }
+  for (const field of ['args', 'modelArgs', 'resumeArgs', 'envPass', 'apiHosts']) {
+    if (raw[field] !== undefined && !isStringList(raw[field])) {
+      throw new Error(`Agent definition '${name}': "${field}" must be an array of strings`);
+    }
+  }
+
+  const prompt = raw.prompt || 'stdin';
+  if (!PROMPT_DELIVERY.includes(prompt)) {
+    throw new Error(`Agent definition '${name}': "prompt" must be one of ${PROMPT_DELIVERY.join(', ')}`);
+  }
+  const outputFormat = raw.outputFormat || 'text';
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Agent definition '${name}': "outputFormat" must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    name,
+    bin: raw.bin,
+    args: raw.args || [],
+    modelArgs: raw.modelArgs || [],
+    resumeArgs: raw.resumeArgs || [],
+    prompt,
+    promptFile: raw.promptFile || '.eval-prompt.md',
+    outputFormat,
+    envPass: raw.envPass || [],
+    apiHosts: raw.apiHosts || [],
+  };
+}
+
+/**
+ * Load the declarative definition for an agent from config/agents/<name>.json.
+ *
+ * @param {string} name - Agent name
+ * @param {string} [definitionsDir] - Directory holding definitions (default: config/agents/)
+ * @returns {Promise<Object|null>} Normalized definition, or null if none exists
+ */
+export async function loadAgentDefinition(name, definitionsDir = defaultDefinitionsDir) {
+  const definitionPath = path.join(definitionsDir, `${name}.json`);
+
+  let content;
+  try {
+    content = await fs.readFile(definitionPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Error reading agent definition ${definitionPath}: ${error.message}`);
+  }
+  return normalizeAgentDefinition(name, raw);
+}
@@ -1,6 +1,28 @@
 import fs from 'fs/promises';
+import { execFileSync } from 'child_process';
+import { accessSync, constants, lstatSync, readlinkSync, realpathSync, statSync } from 'fs';
+import os from 'os';
 import path from 'path';
-import { getSafehouseConfig, getBotAuthConfig } from './env-config.js';
+import { getSafehouseConfig, getSandboxConfig, getBotAuthConfig } from './env-config.js';
+
+export const SANDBOX_BACKENDS = ['safehouse', 'bubblewrap'];
+
+// System directories mounted read-only inside bubblewrap (toolchains, certs, DNS)
+const BWRAP_SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt', '/nix', '/run/systemd/resolve'];
+
+// Home paths an agent needs to read
+const BWRAP_READ_ONLY_HOME_PATHS = ['.gitconfig'];
+
+// Home paths an agent writes: its own login and session state, package and browser caches
+const BWRAP_WRITABLE_HOME_PATHS = [
+  '.claude', '.claude.json', '.codex', '.cursor', '.config/cursor', '.npm', '.cache',
+];
+
+// Credentials masked even when a configured path would expose them
+const BWRAP_HIDDEN_HOME_PATHS = ['.ssh', '.aws', '.config/gh', '.gnupg', '.netrc', '.docker', '.kube'];
+
+// Variables kept in the sandbox besides the envPass lists, like Safehouse's allowlist
+const BWRAP_ENV_ALLOWLIST = ['HOME', 'PATH', 'SHELL', 'USER', 'LOGNAME', 'TERM', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TZ'];
 
 /**
  * Wrap an agent command in safehouse.
@@ -31,6 +53,183 @@ export function wrapWithSafehouse(agentBin, agentArgs, options = {}) {
   };
 }
 
+function expandHome(p, home) {
+  if (p === '~') return home;
+  return p.startsWith('~/') ? path.join(home, p.slice(2)) : path.resolve(p);
+}
+
+function pathExists(p) {
+  try {
+    statSync(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function findOnPath(bin, pathDirs) {
+  if (bin.includes('/')) return path.resolve(bin);
+  for (const dir of pathDirs) {
+    const candidate = path.join(dir, bin);
+    try {
+      accessSync(candidate, constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this PATH entry
+    }
+  }
+  return null;
+}
+
+/**
+ * Repository a git worktree shares its objects and refs with, when it lives
+ * outside the workspace (worktrees of the clone registry's bare clones).
+ * Commits write there, so it must be writable too.
+ */
+function gitCommonDir(workspaceDir) {
+  let commonDir;
+  try {
+    commonDir = execFileSync('git', ['rev-parse', '--path-format=absolute', '--git-common-dir'], {
+      cwd: workspaceDir,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return null;
+  }
+  const workspace = path.resolve(workspaceDir);
+  return commonDir === workspace || commonDir.startsWith(`${workspace}/`) ? null : commonDir;
+}
+
+/**
+ * Toolchain directories to mount read-only: PATH entries outside the system
+ * directories, where the agent binary really lives (installers symlink it into
+ * PATH), and the Node.js install prefix (global packages).
+ */
+function toolchainPaths(agentBin, pathDirs) {
+  const paths = [...pathDirs];
+  const resolvedBin = findOnPath(agentBin, pathDirs);
+  if (resolvedBin) {
+    try {
+      paths.push(path.dirname(realpathSync(resolvedBin)));
+    } catch {
+      // Dangling symlink: the agent will fail to start and report it
+    }
+  }
+  paths.push(path.dirname(path.dirname(process.execPath)));
+  return paths;
+}
+
+/**
+ * Wrap an agent command in bubblewrap, enforcing the Safehouse policy with
+ * Linux namespaces: the workspace (and the repository of a git worktree) is
+ * read-write, toolchains read-only, the home directory is an empty read-only
+ * tmpfs with only agent state and caches mounted, and the environment is
+ * reduced to an allowlist plus `envPass`.
+ * Network access is shared with the host.
+ *
+ * @param {string} agentBin - The agent binary
+ * @param {string[]} agentArgs - Args for the agent binary
+ * @param {Object} options
+ * @param {string} options.workspaceDir - Workspace mounted read-write (also the cwd)
+ * @param {string[]} [options.envPass] - Env var names to pass through the sandbox
+ * @returns {{ bin: string, args: string[], env: Object }} - Command, args, and extra env vars to spawn with
+ */
+export function wrapWithBubblewrap(agentBin, agentArgs, options = {}) {
+  const { bubblewrap, env: sandboxEnv } = getSandboxConfig();
+  const { workspaceDir } = options;
+  if (!workspaceDir) {
+    throw new Error('The bubblewrap sandbox needs the workspace directory');
+  }
+
+  const home = process.env.HOME || os.homedir();
+  const pathDirs = (process.env.PATH || '').split(':').filter(p => path.isAbsolute(p));
+  const underMount = (p, mounts) => mounts.some(m => p === m || p.startsWith(`${m}/`));
+
+  const args = ['--die-with-parent', '--new-session', '--unshare-pid', '--unshare-ipc', '--unshare-uts'];
+  const systemMounts = [];
+  for (const systemPath of BWRAP_SYSTEM_PATHS) {
+    let stat;
+    try {
+      stat = lstatSync(systemPath);
+    } catch {
+      continue;
+    }
+    // Merged-/usr systems: /bin -> usr/bin
+    if (stat.isSymbolicLink()) {
+      args.push('--symlink', readlinkSync(systemPath), systemPath);
+    } else {
+      args.push('--ro-bind', systemPath, systemPath);
+      systemMounts.push(systemPath);
+    }
+  }
+  args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/dev/shm', '--tmpfs', '/tmp', '--tmpfs', home);
+
+  const readOnly = [
+    ...toolchainPaths(agentBin, pathDirs),
+    ...BWRAP_READ_ONLY_HOME_PATHS.map(p => path.join(home, p)),
+    ...bubblewrap.readOnlyPaths.map(p => expandHome(p, home)),
+  ];
+  const mounted = [...systemMounts];
+  for (const p of readOnly) {
+    if (underMount(p, mounted) || !pathExists(p)) continue;
+    args.push('--ro-bind', p, p);
+    mounted.push(p);
+  }
+  const writable = [
+    ...BWRAP_WRITABLE_HOME_PATHS.map(p => path.join(home, p)),
+    ...bubblewrap.writablePaths.map(p => expandHome(p, home)),
+  ];
+  for (const p of writable) {
+    if (pathExists(p)) args.push('--bind', p, p);
+  }
+  args.push('--bind', workspaceDir, workspaceDir);
+  const commonDir = gitCommonDir(workspaceDir);
+  if (commonDir) args.push('--bind', commonDir, commonDir);
+
+  const hidden = [
+    ...BWRAP_HIDDEN_HOME_PATHS.map(p => path.join(home, p)),
+    ...bubblewrap.hiddenPaths.map(p => expandHome(p, home)),
+  ];
+  for (const p of hidden) {
+    if (!pathExists(p) || !underMount(p, [...mounted, ...writable])) continue;
+    if (statSync(p).isDirectory()) {
+      args.push('--tmpfs', p, '--remount-ro', p);
+    } else {
+      args.push('--ro-bind', '/dev/null', p);
+    }
+  }
+  // Nothing outside the mounts above can be written in the home directory
+  args.push('--remount-ro', home);
+
+  const keep = new Set([...BWRAP_ENV_ALLOWLIST, ...(options.envPass || []), ...Object.keys(sandboxEnv)]);
+  for (const name of Object.keys(process.env)) {
+    if (!keep.has(name)) args.push('--unsetenv', name);
+  }
+
+  args.push('--chdir', workspaceDir, '--', agentBin, ...agentArgs);
+  return { bin: bubblewrap.bin, args, env: sandboxEnv };
+}
+
+/**
+ * Wrap an agent command in the configured sandbox backend
+ * (`backend` in config/safehouse/config.json or SANDBOX_BACKEND).
+ *
+ * @param {string} agentBin - The agent binary
+ * @param {string[]} agentArgs - Args for the agent binary
+ * @param {Object} options
+ * @param {string} options.workspaceDir - The workspace directory
+ * @param {string[]} [options.envPass] - Env var names to pass through the sandbox
+ * @returns {{ bin: string, args: string[], env: Object }} - Command, args, and extra env vars to spawn with
+ * @throws {Error} If the backend is unknown
+ */
+export function wrapWithSandbox(agentBin, agentArgs, options = {}) {
+  const { backend } = getSandboxConfig();
+  if (backend === 'safehouse') return wrapWithSafehouse(agentBin, agentArgs, options);
+  if (backend === 'bubblewrap') return wrapWithBubblewrap(agentBin, agentArgs, options);
+  throw new Error(`Unknown sandbox backend '${backend}' (expected one of ${SANDBOX_BACKENDS.join(', ')})`);
+}
+
 /**
  * Build the environment variable overlay for bot auth isolation.
  * Returns only the extra vars to spread into the child env.
@@ -54,6 +253,50 @@ export function buildBotAuthEnv(workspaceDir) {
   return { env, envPass: Object.keys(env) };
 }
 
+/**
+ * Build the environment variable overlay that routes an agent's HTTP(S)
+ * traffic through the task's egress proxy. localhost stays direct so dev
+ * servers in the workspace keep working.
+ *
+ * @param {string} [proxyUrl] - Proxy URL from startEgressProxy(), if the task has a network policy
+ * @returns {{ env: Object, envPass: string[] }} Environment overlay and var names for sandbox passthrough
+ */
+export function buildProxyEnv(proxyUrl) {
+  if (!proxyUrl) return { env: {}, envPass: [] };
+
+  const noProxy = 'localhost,127.0.0.1,::1';
+  const env = {
+    HTTP_PROXY: proxyUrl,
+    HTTPS_PROXY: proxyUrl,
+    http_proxy: proxyUrl,
+    https_proxy: proxyUrl,
+    NO_PROXY: noProxy,
+    no_proxy: noProxy,
+    // Node.js >= 24 only honors the variables above for fetch/http with this set
+    NODE_USE_ENV_PROXY: '1',
+  };
+
+  return { env, envPass: Object.keys(env) };
+}
+
+/**
+ * Build the environment overlay for an agent process: bot auth, the egress
+ * proxy when the task has a network policy, and the ports and URLs of the
+ * task's background services.
+ *
+ * @param {Object} task - Enriched task (workspaceDir, networkProxyUrl, serviceEnv)
+ * @returns {{ env: Object, envPass: string[] }} Environment overlay and var names for sandbox passthrough
+ */
+export function buildAgentEnv(task) {
+  const auth = buildBotAuthEnv(task.workspaceDir);
+  const proxy = buildProxyEnv(task.networkProxyUrl);
+  const services = task.serviceEnv || {};
+  return {
+    env: { ...auth.env, ...proxy.env, ...services },
+    envPass: [...auth.envPass, ...proxy.envPass, ...Object.keys(services)],
+  };
+}
+
 /**
  * Create the workspace-local askpass script so git can authenticate
  * without touching the operator's global credential helpers.
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { augmentationAppliesTo } from './workspace-setup.js';
+
+export const MANIFEST_FILE = 'augmentation-manifest.json';
+export const CONTENT_DIR = 'augmentation-content';
+
+const MAX_DIFF_CHARS = 8000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a file or directory tree. Directories hash the sorted relative paths
+ * and file hashes, so the same content hashes the same wherever it lives.
+ *
+ * @returns {Promise<{ type: string, hash: string|null, files: number, bytes: number }>} type is
+ *   'file', 'directory' or 'deleted' (the target doesn't exist)
+ */
+export async function hashTarget(targetPath) {
+  let stats;
+  try {
+    stats = await fs.lstat(targetPath);
+  } catch {
+    return { type: 'deleted', hash: null, files: 0, bytes: 0 };
+  }
+  if (!stats.isDirectory()) {
+    const data = stats.isSymbolicLink() ? await fs.readlink(targetPath) : await fs.readFile(targetPath);
+    return { type: 'file', hash: sha256(data), files: 1, bytes: stats.size };
+  }
+
+  const lines = [];
+  let bytes = 0;
+  async function walk(dir, rel) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, entryRel);
+      } else {
+        const data = entry.isSymbolicLink() ? await fs.readlink(entryPath) : await fs.readFile(entryPath);
+        bytes += data.length;
+        lines.push(`${entryRel}\0${sha256(data)}`);
+      }
+    }
+  }
+  await walk(targetPath, '');
+  lines.sort();
+  return { type: 'directory', hash: sha256(lines.join('\n')), files: lines.length, bytes };
+}
+
+// Publish via rename so parallel runs storing the same content don't see half a copy
+async function storeContent(storeDir, hash, sourcePath) {
+  const destPath = path.join(storeDir, hash);
+  try {
+    await fs.access(destPath);
+    return;
+  } catch {
+    // not stored yet
+  }
+  await fs.mkdir(storeDir, { recursive: true });
+  const tempPath = path.join(storeDir, `.tmp-${hash}-${process.pid}-${Date.now()}`);
+  await fs.cp(sourcePath, tempPath, { recursive: true, verbatimSymlinks: true });
+  try {
+    await fs.rename(tempPath, destPath);
+  } catch {
+    // Another run stored it first
+    await fs.rm(tempPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Record the augmentation content a run's workspace was bootstrapped with.
+ *
+ * Hashes every target touched by the run's file augmentations after they
+ * were applied, copies the content into `augmentation-content/<hash>` in the
+ * batch folder (shared by all runs of the batch) and writes
+ * augmentation-manifest.json to the run folder. Templates also get a
+ * `templateHash` of their unrendered text and vars, which stays the same
+ * across runs that only differ in built-ins such as the branch name.
+ * Scripted augmentations are recorded by the hash of their source.
+ *
+ * @param {Object} task - Enriched task (augmentations, scriptedAugmentations, workspaceDir, taskInfoFolder)
+ * @param {Object} [options]
+ * @param {Object[]} [options.rendered] - Rendered templates from bootstrapWorkspace()
+ * @returns {Promise<Object>} The manifest: { hash, targets, scripted }
+ */
+export async function snapshotAugmentations(task, { rendered = [] } = {}) {
+  const storeDir = path.join(path.dirname(task.taskInfoFolder), CONTENT_DIR);
+  const entriesByTarget = new Map();
+  for (const aug of task.augmentations || []) {
+    if (!aug.target || !augmentationAppliesTo(aug, task)) continue;
+    if (!entriesByTarget.has(aug.target)) entriesByTarget.set(aug.target, []);
+    entriesByTarget.get(aug.target).push({ mode: aug.mode || 'merge', source: aug.source || null, template: !!aug.template });
+  }
+
+  const targets = [];
+  for (const [target, entries] of entriesByTarget) {
+    const targetPath = path.join(task.workspaceDir, target);
+    const content = await hashTarget(targetPath);
+    if (content.hash) await storeContent(storeDir, content.hash, targetPath);
+
+    const templates = rendered.filter(r => r.target === target);
+    const templateHash = templates.length > 0
+      ? sha256(JSON.stringify(templates.map(r => [r.template, r.vars])))
+      : null;
+    targets.push({ target, ...content, ...(templateHash ? { templateHash } : {}), entries });
+  }
+
+  const scripted = [];
+  for (const script of task.scriptedAugmentations || []) {
+    let hash = null;
+    if (script.path) {
+      try {
+        hash = sha256(await fs.readFile(path.resolve(script.path)));
+      } catch {
+        // inline or moved script
+      }
+    }
+    scripted.push({ name: script.name || null, path: script.path || null, hash });
+  }
+
+  const manifest = { hash: manifestHash(targets, scripted), targets, scripted };
+  await fs.writeFile(path.join(task.taskInfoFolder, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+  return manifest;
+}
+
+function identity(target) {
+  return target.templateHash || target.hash || 'deleted';
+}
+
+function manifestHash(targets, scripted) {
+  const parts = targets.map(t => `${t.target}\0${identity(t)}`).sort();
+  parts.push(...scripted.map(s => `script\0${s.hash || s.name}`).sort());
+  return sha256(parts.join('\n')).slice(0, 16);
+}
+
+/**
+ * Combine the augmentation manifests of a batch's runs.
+ *
+ * @param {string} batchDir - Batch folder (results/<timestamp>)
+ * @returns {Promise<Object|null>} { hash, runs, targets: { [target]: { type, hashes, identities } }, scripted }
+ *   with hashes/identities sorted and de-duplicated, or null if no run has a manifest
+ */
+export async function loadBatchAugmentations(batchDir) {
+  let runDirs;
+  try {
+    runDirs = await fs.readdir(batchDir, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const targets = {};
+  const scripted = new Map();
+  let runs = 0;
+  for (const dirent of runDirs) {
+    if (!dirent.isDirectory()) continue;
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(batchDir, dirent.name, MANIFEST_FILE), 'utf-8'));
+    } catch {
+      continue;
+    }
+    runs++;
+    for (const t of manifest.targets) {
+      const entry = targets[t.target] ||= { type: t.type, hashes: [], identities: [] };
+      if (t.hash && !entry.hashes.includes(t.hash)) entry.hashes.push(t.hash);
+      if (!entry.identities.includes(identity(t))) entry.identities.push(identity(t));
+    }
+    for (const s of manifest.scripted || []) scripted.set(s.hash || s.name, s);
+  }
+  if (runs === 0) return null;
+
+  for (const entry of Object.values(targets)) {
+    entry.hashes.sort();
+    entry.identities.sort();
+  }
+  const parts = Object.entries(targets).map(([target, t]) => `${target}\0${t.identities.join(',')}`).sort();
+  parts.push(...[...scripted.keys()].map(key => `script\0${key}`).sort());
+  return {
+    hash: sha256(parts.join('\n')).slice(0, 16),
+    runs,
+    targets,
+    scripted: [...scripted.values()],
+  };
+}
+
+/**
+ * Unified diff between two stored contents (files or directories), with
+ * paths shown as baseline/<target> and candidate/<target>.
+ */
+function diffStoredContent(baselineDir, candidateDir, target, baselineHash, candidateHash) {
+  const root = path.dirname(path.resolve(baselineDir));
+  const relBaseline = path.relative(root, path.join(baselineDir, CONTENT_DIR, baselineHash));
+  const relCandidate = path.relative(root, path.join(candidateDir, CONTENT_DIR, candidateHash));
+  const result = spawnSync('git', ['diff', '--no-index', '--no-color', '--no-prefix', relBaseline, relCandidate], {
+    cwd: root,
+    encoding: 'utf-8',
+  });
+  if (result.status !== 0 && result.status !== 1) return null;
+
+  const diff = result.stdout
+    .replaceAll(relBaseline, `baseline/${target}`)
+    .replaceAll(relCandidate, `candidate/${target}`);
+  return diff.length > MAX_DIFF_CHARS ? `${diff.slice(0, MAX_DIFF_CHARS)}\n... (diff truncated)` : diff;
+}
+
+/**
+ * Compare the augmentation content of two batches by target.
+ *
+ * A target counts as changed when its content differs (for templates: the
+ * template text or vars). Changed targets with a single stored version on
+ * each side get a unified diff of the content.
+ *
+ * @returns {Promise<Object|null>} { identical, baselineHash, candidateHash, changed, added, removed, scriptedChanged },
+ *   or null when either batch has no manifests (batches from before they were recorded)
+ */
+export async function diffAugmentationContent(baselineDir, candidateDir) {
+  const [baseline, candidate] = await Promise.all([
+    loadBatchAugmentations(baselineDir),
+    loadBatchAugmentations(candidateDir),
+  ]);
+  if (!baseline || !candidate) return null;
+
+  const changed = [];
+  const added = [];
+  const removed = [];
+  const allTargets = [...new Set([...Object.keys(baseline.targets), ...Object.keys(candidate.targets)])].sort();
+  for (const target of allTargets) {
+    const b = baseline.targets[target];
+    const c = candidate.targets[target];
+    if (!b) {
+      added.push({ target, type: c.type, hashes: c.hashes });
+    } else if (!c) {
+      removed.push({ target, type: b.type, hashes: b.hashes });
+    } else if (b.identities.join(',') !== c.identities.join(',')) {
+      const diff = b.hashes.length === 1 && c.hashes.length === 1
+        ? diffStoredContent(baselineDir, candidateDir, target, b.hashes[0], c.hashes[0])
+        : null;
+      changed.push({
+        target,
+        baselineType: b.type,
+        candidateType: c.type,
+        baselineHashes: b.hashes,
+        candidateHashes: c.hashes,
+        diff,
+      });
+    }
+  }
+
+  const scriptKeys = batch => batch.scripted.map(s => s.hash || s.name).sort().join(',');
+  return {
+    identical: baseline.hash === candidate.hash,
+    baselineHash: baseline.hash,
+    candidateHash: candidate.hash,
+    changed,
+    added,
+    removed,
+    scriptedChanged: scriptKeys(baseline) !== scriptKeys(candidate),
+  };
+}
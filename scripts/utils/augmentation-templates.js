@@ -0,0 +1,81 @@
+const VAR_NAME = '[A-Za-z_][\\w-]*';
+const IF_BLOCK = new RegExp(
+  `\\{\\{#if\\s+(${VAR_NAME})\\s*\\}\\}\\n?([\\s\\S]*?)(?:\\{\\{else\\}\\}\\n?([\\s\\S]*?))?\\{\\{/if\\}\\}\\n?`,
+  'g',
+);
+const PLACEHOLDER = new RegExp(`\\{\\{\\s*(${VAR_NAME})\\s*\\}\\}`, 'g');
+
+/**
+ * AEM preview URL of a branch of a GitHub repository
+ * (`https://{branch}--{repo}--{owner}.aem.page`), or null for other sources.
+ */
+export function aemPreviewUrl(startFrom, branchName) {
+  if (!branchName) return null;
+  let url;
+  try {
+    url = new URL(startFrom);
+  } catch {
+    return null;
+  }
+  const [owner, repo] = url.pathname.split('/').filter(Boolean);
+  if (!url.hostname.endsWith('github.com') || !owner || !repo) return null;
+
+  const host = [branchName, repo.replace(/\.git$/, ''), owner]
+    .map(part => part.toLowerCase().replace(/[^a-z0-9]+/g, '-'))
+    .join('--');
+  return `https://${host}.aem.page`;
+}
+
+/**
+ * Variables available to a template augmentation: the built-ins of the run,
+ * overridden by the entry's `vars`.
+ *
+ * @param {Object} task - Enriched task (name, agent, profile, model, iteration, startFrom, branchName)
+ * @param {Object} aug - Augmentation entry
+ * @returns {Object} Variable values; built-ins that don't apply to the run are null
+ */
+export function templateVars(task, aug) {
+  if (aug.vars !== undefined && (typeof aug.vars !== 'object' || aug.vars === null || Array.isArray(aug.vars))) {
+    throw new Error(`"vars" of augmentation ${aug.source} must be an object`);
+  }
+  return {
+    agent: task.agent,
+    profile: task.profile || null,
+    model: task.model || null,
+    taskName: task.name,
+    iteration: task.iteration ?? null,
+    branchName: task.branchName || null,
+    previewUrl: aemPreviewUrl(task.startFrom, task.branchName),
+    ...aug.vars,
+  };
+}
+
+/**
+ * Render `{{name}}` placeholders and `{{#if name}}…{{else}}…{{/if}}` sections
+ * (not nested; the else branch is optional). A section tag followed by a
+ * newline takes the newline with it, so tags can sit on their own lines.
+ *
+ * @param {string} text - Template
+ * @param {Object} vars - From templateVars()
+ * @param {string} [source] - Template name for error messages
+ * @returns {string} Rendered text
+ * @throws {Error} On unknown variables, or placeholders whose variable has no value
+ */
+export function renderTemplate(text, vars, source = 'template') {
+  const lookup = (name) => {
+    if (!Object.hasOwn(vars, name)) {
+      throw new Error(`Unknown template variable '${name}' in ${source}`);
+    }
+    return vars[name];
+  };
+
+  return text
+    .replace(IF_BLOCK, (_, name, then, otherwise = '') => (lookup(name) ? then : otherwise))
+    .replace(PLACEHOLDER, (_, name) => {
+      const value = lookup(name);
+      if (value === null || value === undefined) {
+        throw new Error(`Template variable '${name}' has no value for this run (${source})`);
+      }
+      return String(value);
+    });
+}
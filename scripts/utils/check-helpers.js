@@ -2,6 +2,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { parse as parseJs } from 'acorn';
+import postcss from 'postcss';
 
 const execFileAsync = promisify(execFile);
 
@@ -54,9 +56,10 @@ export async function listFiles(dir, ext) {
 }
 
 /**
- * Run `npm run lint` in a workspace and return a check result.
+ * Run `npm run lint` in a workspace and return a check result. Pass the
+ * check's `signal` to stop the lint run when the check times out.
  */
-export async function checkLint(ws) {
+export async function checkLint(ws, { signal } = {}) {
   try {
     // Check if lint script exists first
     const pkgPath = path.join(ws, 'package.json');
@@ -78,7 +81,7 @@ export async function checkLint(ws) {
         evidence: 'No lint script in package.json — lint not applicable',
       };
     }
-    await execFileAsync('npm', ['run', 'lint'], { cwd: ws });
+    await execFileAsync('npm', ['run', 'lint'], { cwd: ws, signal });
     return {
       name: 'lint-passes',
       description: 'npm run lint passes cleanly',
@@ -117,3 +120,460 @@ export async function inspectModule(modulePath) {
 export function check(name, description, passed, evidence) {
   return { name, description, passed, evidence };
 }
+
+// Tool names across agents: Claude (Bash, Read, Edit), Cursor (shell, read, edit), Codex (shell)
+const SHELL_TOOLS = /^(bash|shell|terminal)$/i;
+const READ_TOOLS = /^(read|view)$/i;
+const EDIT_TOOLS = /^(write|edit|multiedit|notebookedit|delete)$/i;
+const SHELL_READ = /(^|[\s;&|('"])(cat|head|tail|less|more|sed|nl|bat)\s/;
+
+function matches(pattern, text = '') {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, pattern.flags.replace('g', '')).test(text);
+  return text.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Helpers over a run's transcript: the normalized events from
+ * parseAgentLog() that module checks get as `ctx.events` (and, wrapped,
+ * as `ctx.transcript`).
+ *
+ * The finders take a string (case-insensitive substring) or RegExp and
+ * return the first matching tool call, or the last with `{ last: true }`,
+ * as the event plus its `index` in the transcript; null if there is none.
+ *
+ *   const lint = ctx.transcript.ranCommand(/npm run lint/, { last: true });
+ *   const edit = ctx.transcript.editedFile(/blocks\//, { last: true });
+ *   ctx.transcript.orderOf(edit, lint) === 'before'  // linted after the last edit
+ *
+ * @param {Object[]} [events] - From parseAgentLog()
+ */
+export function transcriptHelpers(events = []) {
+  const toolCalls = events
+    .map((event, index) => ({ ...event, index }))
+    .filter(event => event.type === 'tool_call');
+  const commands = toolCalls.filter(event => SHELL_TOOLS.test(event.tool));
+  const pick = (hits, { last = false } = {}) => (last ? hits.at(-1) : hits[0]) ?? null;
+
+  return {
+    toolCalls,
+    commands,
+    /** A shell command matching the pattern. */
+    ranCommand: (pattern, options) => pick(commands.filter(e => matches(pattern, e.input)), options),
+    /** A call of a tool whose name matches, e.g. 'playwright' for mcp__playwright__browser_navigate. */
+    usedTool: (pattern, options) => pick(toolCalls.filter(e => matches(pattern, e.tool)), options),
+    /** A read of a matching path, with a read tool or a shell command such as cat or sed. */
+    readFile: (pattern, options) => pick(toolCalls.filter(e => matches(pattern, e.input)
+      && (READ_TOOLS.test(e.tool) || (SHELL_TOOLS.test(e.tool) && SHELL_READ.test(e.input)))), options),
+    /** A write, edit or delete of a matching path. */
+    editedFile: (pattern, options) => pick(toolCalls.filter(e => EDIT_TOOLS.test(e.tool) && matches(pattern, e.input)), options),
+    /**
+     * Order of two found events: 'before' if a came first, 'after' if b
+     * did, null if either is missing.
+     */
+    orderOf: (a, b) => {
+      if (!a || !b) return null;
+      return a.index < b.index ? 'before' : 'after';
+    },
+  };
+}
+
+// Walk every node of an acorn AST
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    if (Array.isArray(value)) value.forEach(child => walk(child, visit));
+    else if (value && typeof value === 'object') walk(value, visit);
+  }
+}
+
+function calleeName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression') {
+    const object = calleeName(node.object);
+    if (!object) return null;
+    if (!node.computed) return `${object}.${node.property.name ?? node.property.value}`;
+    return node.property.type === 'Literal' ? `${object}.${node.property.value}` : `${object}[]`;
+  }
+  return null;
+}
+
+function isFunction(node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node?.type);
+}
+
+// What a default export is: { kind: 'function'|'class'|'value', name, async, params }
+function describeExport(node, name, declarations) {
+  if (node?.type === 'Identifier') {
+    return describeExport(declarations.get(node.name) ?? null, node.name, new Map());
+  }
+  if (isFunction(node)) {
+    return { kind: 'function', name: node.id?.name ?? name, async: node.async, params: node.params.length };
+  }
+  if (node?.type === 'ClassDeclaration' || node?.type === 'ClassExpression') {
+    return { kind: 'class', name: node.id?.name ?? name, async: false, params: 0 };
+  }
+  return { kind: 'value', name, async: false, params: 0 };
+}
+
+/**
+ * Parse a JS module without running it (unlike inspectModule(), so browser
+ * code such as a block's decorate() works) and describe its imports,
+ * exports and call sites:
+ *
+ *   const js = analyzeJs(await readFile(path.join(ws, 'blocks/cards/cards.js')));
+ *   js.exportsDefaultFunction('decorate')        // export default function decorate(block)
+ *   js.importsFrom(/aem\.js$/, 'createOptimizedPicture')
+ *   js.callsOf('createOptimizedPicture')          // also through `as` aliases
+ *   js.thirdPartyImports()                        // bare specifiers and URLs
+ *
+ * - `imports`: `{ source, default, namespace, named: [{ imported, local }], dynamic, line }`;
+ *   `import('x')` with a literal source counts as a dynamic import
+ * - `exports`: `{ default, named, reexports }`; `default` is
+ *   `{ kind: 'function'|'class'|'value', name, async, params }` or null,
+ *   with identifiers followed to their declaration
+ * - `calls`: `{ callee, imported, args, line }` per call, `callee` as written
+ *   (`document.createElement`) and `imported` as `{ source, name }` when it's
+ *   an imported binding
+ *
+ * A source that doesn't parse gives `error` and nothing found.
+ *
+ * @param {string} source
+ */
+export function analyzeJs(source) {
+  let ast = null;
+  let error = null;
+  try {
+    ast = parseJs(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true, allowHashBang: true });
+  } catch (e) {
+    error = e.message;
+  }
+
+  const imports = [];
+  const exports = { default: null, named: [], reexports: [] };
+  const calls = [];
+  const bindings = new Map();
+  const declarations = new Map();
+
+  for (const node of ast?.body ?? []) {
+    const declaration = node.type.startsWith('Export') ? node.declaration : node;
+    if (declaration?.type === 'FunctionDeclaration' || declaration?.type === 'ClassDeclaration') {
+      if (declaration.id) declarations.set(declaration.id.name, declaration);
+    } else if (declaration?.type === 'VariableDeclaration') {
+      for (const { id, init } of declaration.declarations) {
+        if (id.type === 'Identifier' && init) declarations.set(id.name, init);
+      }
+    }
+  }
+
+  for (const node of ast?.body ?? []) {
+    if (node.type === 'ImportDeclaration') {
+      const entry = { source: node.source.value, default: null, namespace: null, named: [], dynamic: false, line: node.loc.start.line };
+      for (const spec of node.specifiers) {
+        if (spec.type === 'ImportDefaultSpecifier') {
+          entry.default = spec.local.name;
+          bindings.set(spec.local.name, { source: entry.source, name: 'default' });
+        } else if (spec.type === 'ImportNamespaceSpecifier') {
+          entry.namespace = spec.local.name;
+          bindings.set(spec.local.name, { source: entry.source, name: '*' });
+        } else {
+          const imported = spec.imported.name ?? spec.imported.value;
+          entry.named.push({ imported, local: spec.local.name });
+          bindings.set(spec.local.name, { source: entry.source, name: imported });
+        }
+      }
+      imports.push(entry);
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      exports.default = describeExport(node.declaration, null, declarations);
+    } else if (node.type === 'ExportAllDeclaration') {
+      exports.reexports.push(node.source.value);
+      if (node.exported) exports.named.push(node.exported.name ?? node.exported.value);
+    } else if (node.type === 'ExportNamedDeclaration') {
+      if (node.source) exports.reexports.push(node.source.value);
+      if (node.declaration?.type === 'VariableDeclaration') {
+        for (const { id } of node.declaration.declarations) {
+          if (id.type === 'Identifier') exports.named.push(id.name);
+        }
+      } else if (node.declaration) {
+        exports.named.push(node.declaration.id.name);
+      }
+      for (const spec of node.specifiers) {
+        const exported = spec.exported.name ?? spec.exported.value;
+        const local = spec.local.name ?? spec.local.value;
+        if (exported === 'default') {
+          exports.default = node.source
+            ? { kind: 'value', name: local, async: false, params: 0 }
+            : describeExport(spec.local, local, declarations);
+        } else {
+          exports.named.push(exported);
+        }
+      }
+    }
+  }
+
+  walk(ast, (node) => {
+    if (node.type === 'ImportExpression' && node.source.type === 'Literal') {
+      imports.push({ source: node.source.value, default: null, namespace: null, named: [], dynamic: true, line: node.loc.start.line });
+    } else if (node.type === 'CallExpression') {
+      const callee = calleeName(node.callee);
+      const [head, member] = callee?.split('.') ?? [];
+      const binding = bindings.get(head);
+      let imported = null;
+      if (binding && callee === head) imported = binding;
+      else if (binding?.name === '*' && member && callee === `${head}.${member}`) imported = { source: binding.source, name: member };
+      calls.push({ callee, imported, args: node.arguments.length, line: node.loc.start.line });
+    }
+  });
+
+  return {
+    error,
+    imports,
+    exports,
+    calls,
+    /** Whether the default export is a function, optionally with the given name. */
+    exportsDefaultFunction: name => exports.default?.kind === 'function' && (!name || exports.default.name === name),
+    /**
+     * The first import whose source matches (string: case-insensitive
+     * substring, or RegExp), optionally one that imports `name`; null if none.
+     */
+    importsFrom: (pattern, name) => imports.find(entry => matches(pattern, entry.source)
+      && (!name || entry.named.some(spec => spec.imported === name) || (name === 'default' && entry.default))) ?? null,
+    /** Calls of a function, by the name it's written or imported as (e.g. 'createOptimizedPicture' or 'document.createElement'). */
+    callsOf: name => calls.filter(call => call.callee === name || call.imported?.name === name),
+    /** Imports of packages or URLs rather than files of the project. */
+    thirdPartyImports: () => imports.filter(entry => !/^\.{0,2}\//.test(entry.source)),
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a stylesheet and describe its rules, for criteria such as scoped
+ * selectors, breakpoints or grid layouts:
+ *
+ *   const css = analyzeCss(await readFile(path.join(ws, 'blocks/cards/cards.css')));
+ *   css.unscopedSelectors('cards')        // [] if all are under .cards (or .cards-wrapper/-container)
+ *   css.mediaQueries                      // ['(width >= 900px)']
+ *   css.usesGrid()
+ *
+ * - `rules`: `{ selector, selectors, media, line, declarations: [{ prop, value }] }`,
+ *   `media` being the conditions of enclosing @media rules (rules in
+ *   @keyframes are left out)
+ * - `mediaQueries`: the distinct @media conditions, in order
+ * - `declarations(prop)`: declarations whose property matches (string:
+ *   exact, or RegExp), as `{ prop, value, selector, media, line }`
+ *
+ * A source that doesn't parse gives `error` and no rules.
+ *
+ * @param {string} source
+ */
+export function analyzeCss(source) {
+  let root = null;
+  let error = null;
+  try {
+    root = postcss.parse(source);
+  } catch (e) {
+    error = e.message;
+  }
+
+  const rules = [];
+  const mediaQueries = [];
+  root?.walkAtRules('media', (atRule) => {
+    if (!mediaQueries.includes(atRule.params)) mediaQueries.push(atRule.params);
+  });
+  root?.walkRules((rule) => {
+    const media = [];
+    for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+      if (parent.type === 'atrule' && /keyframes$/i.test(parent.name)) return;
+      if (parent.type === 'atrule' && parent.name === 'media') media.unshift(parent.params);
+    }
+    rules.push({
+      selector: rule.selector,
+      selectors: rule.selectors,
+      media,
+      line: rule.source?.start?.line ?? null,
+      declarations: rule.nodes.filter(node => node.type === 'decl').map(({ prop, value }) => ({ prop, value })),
+    });
+  });
+
+  const declarations = prop => rules.flatMap(rule => rule.declarations
+    .filter(decl => (prop instanceof RegExp ? prop.test(decl.prop) : decl.prop === prop))
+    .map(decl => ({ ...decl, selector: rule.selector, media: rule.media, line: rule.line })));
+
+  return {
+    error,
+    rules,
+    mediaQueries,
+    declarations,
+    /** Selectors that don't include `.<blockName>`, `.<blockName>-wrapper` or `.<blockName>-container`. */
+    unscopedSelectors: (blockName) => {
+      const scope = new RegExp(`\\.${escapeRegExp(blockName)}(-wrapper|-container)?(?![\\w-])`);
+      return rules.flatMap(rule => rule.selectors).filter(selector => !scope.test(selector));
+    },
+    /** Whether any rule lays out a grid (display: grid or grid-* properties). */
+    usesGrid: () => declarations('display').some(decl => /\bgrid\b/.test(decl.value))
+      || declarations(/^grid(-|$)/).length > 0,
+  };
+}
+
+// Files an agent has no business changing in an AEM project: the boilerplate library and lockfiles
+export const PROTECTED_PATHS = [
+  'scripts/aem.js',
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml)$/,
+];
+
+// <type>(<scope>)!: <subject>, e.g. "fix(carousel): stop clipping slide text"
+export const CONVENTIONAL_COMMIT = /^(feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)(\([\w./-]+\))?!?: \S/;
+
+function unquotePath(text) {
+  const value = text.trim();
+  return value.startsWith('"') ? JSON.parse(value) : value;
+}
+
+function diffPath(text) {
+  const value = unquotePath(text);
+  return value === '/dev/null' ? null : value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Split a unified diff (as in changes.diff) into its files:
+ * `{ path, oldPath, status, added, removed, churn, binary }`, status being
+ * added, modified, deleted or renamed. A file that appears more than once
+ * (committed and uncommitted changes) is counted once, with both changes.
+ */
+export function parseDiff(diff = '') {
+  const files = new Map();
+  let current = null;
+  let inHunk = false;
+
+  const finish = () => {
+    if (!current) return;
+    current.path ??= current.oldPath;
+    current.oldPath ??= current.path;
+    current.churn = current.added + current.removed;
+    const previous = files.get(current.path);
+    if (previous) {
+      previous.added += current.added;
+      previous.removed += current.removed;
+      previous.churn += current.churn;
+      previous.binary ||= current.binary;
+      if (current.status === 'deleted') previous.status = 'deleted';
+    } else if (current.path) {
+      files.set(current.path, current);
+    }
+    current = null;
+  };
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      finish();
+      const [, oldPath, newPath] = line.match(/^diff --git (?:a\/)?(.+?) (?:b\/)?(\S+|"[^"]+")$/) ?? [];
+      current = {
+        path: newPath ? unquotePath(newPath) : null,
+        oldPath: oldPath ? unquotePath(oldPath) : null,
+        status: 'modified',
+        added: 0,
+        removed: 0,
+        churn: 0,
+        binary: false,
+      };
+      inHunk = false;
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('@@')) {
+      inHunk = true;
+    } else if (inHunk) {
+      if (line.startsWith('+')) current.added++;
+      else if (line.startsWith('-')) current.removed++;
+    } else if (line.startsWith('new file mode')) {
+      current.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      current.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      current.status = 'renamed';
+      current.oldPath = unquotePath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      current.path = unquotePath(line.slice('rename to '.length));
+    } else if (line.startsWith('--- ')) {
+      current.oldPath = diffPath(line.slice(4)) ?? current.oldPath;
+    } else if (line.startsWith('+++ ')) {
+      const newPath = diffPath(line.slice(4));
+      if (newPath) current.path = newPath;
+    } else if (/^Binary files .* differ$/.test(line)) {
+      current.binary = true;
+    }
+  }
+  finish();
+  return [...files.values()];
+}
+
+// A path pattern: RegExp, or a string naming a file or a folder
+function matchesPath(pattern, filePath) {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, pattern.flags.replace('g', '')).test(filePath);
+  const prefix = String(pattern).replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  return filePath === prefix || filePath.startsWith(`${prefix}/`);
+}
+
+/**
+ * Helpers over the agent's changes: the captured diff and commits that
+ * module checks get as `ctx.diff` and `ctx.commits` (and, wrapped, as
+ * `ctx.changes`).
+ *
+ * Path patterns are a RegExp or a string naming a file or folder
+ * ('scripts/aem.js', 'blocks/carousel'); a list of them matches any.
+ *
+ *   const { changes } = ctx;
+ *   changes.churnOf('blocks/carousel') <= 80          // a fix, not a rewrite
+ *   changes.forbiddenChanges()                         // [] unless protected files changed
+ *   changes.commitsNotMatching(CONVENTIONAL_COMMIT)    // commits with other messages
+ *
+ * @param {string} [diff] - As in changes.diff
+ * @param {Object[]} [commits] - As in commits.json
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.protectedPaths] - Default for forbiddenChanges()
+ */
+export function diffHelpers(diff = '', commits = [], { protectedPaths = PROTECTED_PATHS } = {}) {
+  const files = parseDiff(diff);
+  const select = patterns => files.filter(file => [patterns].flat()
+    .some(pattern => matchesPath(pattern, file.path) || matchesPath(pattern, file.oldPath)));
+  const withStatus = status => files.filter(file => file.status === status).map(file => file.path);
+  const linesAdded = files.reduce((sum, file) => sum + file.added, 0);
+  const linesRemoved = files.reduce((sum, file) => sum + file.removed, 0);
+
+  return {
+    files,
+    added: withStatus('added'),
+    modified: withStatus('modified'),
+    deleted: withStatus('deleted'),
+    renamed: withStatus('renamed'),
+    linesAdded,
+    linesRemoved,
+    churn: linesAdded + linesRemoved,
+    commits,
+    /** Changed files matching the pattern(s). */
+    touched: patterns => select(patterns),
+    /** Changed files matching none of the pattern(s), e.g. changes outside the block being fixed. */
+    outside: (patterns) => {
+      const inside = new Set(select(patterns));
+      return files.filter(file => !inside.has(file));
+    },
+    /** Lines added plus removed in files matching the pattern(s). */
+    churnOf: patterns => select(patterns).reduce((sum, file) => sum + file.churn, 0),
+    /** Changed files matching the pattern(s), by default the protected paths. */
+    forbiddenChanges: (patterns = protectedPaths) => select(patterns),
+    /** Commits whose message (subject) doesn't match the pattern, e.g. CONVENTIONAL_COMMIT. */
+    commitsNotMatching: pattern => commits.filter(commit => !pattern.test(commit.message ?? '')),
+    /** One line for evidence, e.g. "2 files changed (1 added, 1 modified), +12 -3". */
+    summary: () => {
+      const counts = ['added', 'modified', 'deleted', 'renamed']
+        .map(status => [status, files.filter(file => file.status === status).length])
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `${count} ${status}`);
+      return `${files.length} file${files.length === 1 ? '' : 's'} changed${counts.length ? ` (${counts.join(', ')})` : ''}, +${linesAdded} -${linesRemoved}`;
+    },
+  };
+}
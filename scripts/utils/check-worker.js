@@ -0,0 +1,75 @@
+/**
+ * Worker thread for runTaskChecks(): loads a checks module and runs its
+ * checks in order from `workerData.from`, reporting each to the parent.
+ *
+ * Messages: { type: 'checks', checks } once loaded, then { type: 'start', index }
+ * and { type: 'result', index, result } per check, and { type: 'done' };
+ * { type: 'load-error', message } if the module can't be used.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { pathToFileURL } from 'url';
+import { normalizeChecks, normalizeCheckOutcome } from './task-checks.js';
+import { transcriptHelpers, diffHelpers, PROTECTED_PATHS } from './check-helpers.js';
+
+const { checksPath, context, from } = workerData;
+
+async function runCheck(check) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort(new Error(`Check timed out after ${check.timeoutMs}ms`));
+      resolve({ timedOut: true });
+    }, check.timeoutMs);
+  });
+
+  const startedAt = Date.now();
+  const base = { name: check.name, description: check.description };
+  try {
+    const ctx = {
+      ...context,
+      transcript: transcriptHelpers(context.events),
+      changes: diffHelpers(context.diff, context.commits, { protectedPaths: [...PROTECTED_PATHS, ...context.augmentationFiles] }),
+      signal: controller.signal,
+    };
+    const outcome = await Promise.race([
+      Promise.resolve().then(() => check.run(ctx)).then(value => ({ value })),
+      timedOut,
+    ]);
+    const durationMs = Date.now() - startedAt;
+    if (outcome.timedOut) {
+      return { ...base, passed: false, evidence: `Timed out after ${check.timeoutMs}ms`, status: 'timeout', durationMs };
+    }
+    const { passed, evidence } = normalizeCheckOutcome(outcome.value);
+    return { ...base, passed, evidence, status: passed ? 'passed' : 'failed', durationMs };
+  } catch (error) {
+    return {
+      ...base,
+      passed: false,
+      evidence: `Check threw: ${error?.message ?? error}`,
+      status: 'error',
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let checks;
+try {
+  checks = normalizeChecks((await import(pathToFileURL(checksPath).href)).default);
+} catch (error) {
+  parentPort.postMessage({ type: 'load-error', message: error.message });
+}
+
+if (checks) {
+  parentPort.postMessage({
+    type: 'checks',
+    checks: checks.map(({ name, description, timeoutMs }) => ({ name, description, timeoutMs })),
+  });
+  for (let index = from; index < checks.length; index++) {
+    parentPort.postMessage({ type: 'start', index });
+    parentPort.postMessage({ type: 'result', index, result: await runCheck(checks[index]) });
+  }
+  parentPort.postMessage({ type: 'done' });
+}
@@ -1,40 +1,87 @@
 import path from 'path';
-import { ensureDir } from './fs-utils.js';
-import { cloneRepository } from './git-utils.js';
+import { ensureDir, cleanupDir } from './fs-utils.js';
+import { cloneRepository, extractSnapshot } from './git-utils.js';
+import { cloneFromCache } from './workspace-cache.js';
 
 /**
  * Deduplicates clones by cloneUrl + ref.
  * Concurrent calls for the same key await the first caller's clone.
+ * A failed clone is evicted so a retried run can clone again.
  */
 export class CloneRegistry {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.cacheDir] - Persistent cache to clone remote repos from (see workspace-cache.js)
+   */
+  constructor(options = {}) {
     this.entries = new Map();
+    this.cacheDir = options.cacheDir || null;
   }
 
   /**
    * Get or create a clone for the given repo + ref combination.
    * Returns the path to the cloned repo directory.
+   *
+   * `cloneUrl` is anything `git clone` accepts (URL, file:// URL, .bundle
+   * file), or a .tar.gz path with `options.type === 'tarball'`. A null ref
+   * clones the default branch. With a cache, remote repos are cloned from it
+   * unless `options.local` is set.
    */
-  async getOrCreate(cloneUrl, ref, isCommitHash, baseDir) {
-    const key = `${cloneUrl}#${ref}`;
+  async getOrCreate(cloneUrl, ref, isCommitHash, baseDir, options = {}) {
+    const key = `${cloneUrl}#${ref || ''}`;
 
     if (this.entries.has(key)) {
       return this.entries.get(key).promise;
     }
 
-    const repoName = cloneUrl.replace(/.*\//, '').replace('.git', '');
-    const safeBranch = ref.replace(/[^a-zA-Z0-9-]/g, '-');
-    const cloneDir = path.join(baseDir, `${repoName}-${safeBranch}`);
+    const repoName = cloneUrl.replace(/\/+$/, '').replace(/.*\//, '').replace(/\.(git|bundle|tar\.gz|tgz|tar)$/, '');
+    const safeBranch = (ref || 'default').replace(/[^a-zA-Z0-9-]/g, '-');
+    // Local sources make same-named repos (a checkout and its bundle) likely
+    const taken = new Set([...this.entries.values()].map(e => e.path));
+    let cloneDir = path.join(baseDir, `${repoName}-${safeBranch}`);
+    for (let n = 2; taken.has(cloneDir); n++) {
+      cloneDir = path.join(baseDir, `${repoName}-${safeBranch}-${n}`);
+    }
 
-    const promise = this._clone(cloneUrl, cloneDir, ref, isCommitHash);
+    const promise = this._clone(cloneUrl, cloneDir, ref, isCommitHash, options);
     this.entries.set(key, { path: cloneDir, promise });
+    promise.catch(() => {
+      if (this.entries.get(key)?.promise === promise) this.entries.delete(key);
+    });
 
     return promise;
   }
 
-  async _clone(cloneUrl, cloneDir, ref, isCommitHash) {
+  async _clone(cloneUrl, cloneDir, ref, isCommitHash, { type, local = false } = {}) {
+    // Local sources are as fast to clone as the cache would be
+    const cached = this.cacheDir && !local;
     await ensureDir(path.dirname(cloneDir));
-    cloneRepository(cloneUrl, cloneDir, { branch: ref, isCommitHash });
+    try {
+      if (type === 'tarball') {
+        extractSnapshot(cloneUrl, cloneDir);
+      } else if (!(cached && await this._cloneFromCache(cloneUrl, cloneDir, ref, isCommitHash))) {
+        cloneRepository(cloneUrl, cloneDir, { branch: ref, isCommitHash });
+      }
+    } catch (error) {
+      // Remove any partial clone so the next attempt starts clean
+      await cleanupDir(cloneDir);
+      throw new Error(`Failed to clone repository ${cloneUrl}${ref ? `#${ref}` : ''}: ${error.message}`);
+    }
     return cloneDir;
   }
+
+  /**
+   * Clone through the persistent cache. A cache that cannot be used (e.g.
+   * another batch is fetching into it) is not worth failing the run over.
+   */
+  async _cloneFromCache(cloneUrl, cloneDir, ref, isCommitHash) {
+    try {
+      await cloneFromCache(this.cacheDir, cloneUrl, cloneDir, { branch: ref, isCommitHash });
+      return true;
+    } catch (error) {
+      console.error(`Warning: clone cache unavailable for ${cloneUrl}, cloning directly: ${error.message}`);
+      await cleanupDir(cloneDir);
+      return false;
+    }
+  }
 }
@@ -44,17 +44,88 @@ export function getRequiredEnv(key) {
 }
 
 /**
- * Get agent-specific configuration
- * @param {string} agentName - Name of the agent (e.g., 'claude', 'cursor', 'codex')
+ * Read named agent profiles from config/agent-profiles.json (or AGENT_PROFILES_FILE).
+ * A profile maps a name such as `claude-opus` to a base agent handler plus
+ * model, extra args, system prompt file and timeouts.
+ * @returns {Object<string, Object>} Profiles keyed by name
+ * @throws {Error} If the file is not valid JSON or a profile has no base agent
+ */
+export function getAgentProfiles() {
+  const profilesPath = getEnv('AGENT_PROFILES_FILE', path.join(projectRoot, 'config', 'agent-profiles.json'));
+
+  let raw;
+  try {
+    raw = readFileSync(profilesPath, 'utf-8');
+  } catch {
+    // No profiles file — only the built-in agents are available
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Error reading agent profiles ${profilesPath}: ${error.message}`);
+  }
+
+  const profiles = {};
+  for (const [name, profile] of Object.entries(parsed)) {
+    if (!profile || typeof profile.agent !== 'string' || !profile.agent) {
+      throw new Error(`Agent profile '${name}' must name its base agent ("agent")`);
+    }
+    if (profile.agent === name) {
+      throw new Error(`Agent profile '${name}' cannot use itself as base agent`);
+    }
+    profiles[name] = {
+      name,
+      agent: profile.agent,
+      model: profile.model,
+      additionalArgs: Array.isArray(profile.additionalArgs)
+        ? profile.additionalArgs.join(' ')
+        : (profile.additionalArgs || ''),
+      systemPromptFile: profile.systemPromptFile
+        ? path.resolve(projectRoot, profile.systemPromptFile)
+        : undefined,
+      timeoutMs: profile.timeoutMs,
+      idleTimeoutMs: profile.idleTimeoutMs,
+    };
+  }
+  return profiles;
+}
+
+/**
+ * Look up a named agent profile
+ * @param {string} name - Profile name (e.g., 'claude-opus')
+ * @returns {Object|null} Profile, or null if no profile has that name
+ */
+export function getAgentProfile(name) {
+  return getAgentProfiles()[name] || null;
+}
+
+/**
+ * Get agent-specific configuration.
+ * Profile names resolve to their base agent's environment config, with the
+ * profile's model taking precedence and its args appended.
+ * @param {string} agentName - Name of the agent or profile (e.g., 'claude', 'claude-opus')
  * @returns {Object} Configuration object
  */
 export function getAgentConfig(agentName) {
-  const upperName = agentName.toUpperCase();
-  
-  return {
+  const profile = getAgentProfile(agentName);
+  const upperName = (profile ? profile.agent : agentName).toUpperCase();
+
+  const config = {
     model: getEnv(`${upperName}_MODEL`),
     additionalArgs: getEnv(`${upperName}_ADDITIONAL_ARGS`, ''),
   };
+  if (!profile) return config;
+
+  return {
+    model: profile.model || config.model,
+    additionalArgs: [config.additionalArgs, profile.additionalArgs].filter(Boolean).join(' '),
+    systemPromptFile: profile.systemPromptFile,
+    timeoutMs: profile.timeoutMs,
+    idleTimeoutMs: profile.idleTimeoutMs,
+  };
 }
 
 /**
@@ -68,6 +139,48 @@ export function getEvalConfig() {
   };
 }
 
+/**
+ * Get an integer environment variable, or the default if not set
+ * @param {string} key - Environment variable name
+ * @param {number} defaultValue - Default value if not set
+ * @param {number} [min] - Smallest accepted value
+ * @returns {number}
+ * @throws {Error} If the variable is not an integer of at least `min`
+ */
+function getIntEnv(key, defaultValue, min = 0) {
+  const value = getEnv(key, '').trim();
+  if (!value) return defaultValue;
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new Error(`${key} must be ${min > 0 ? 'a positive' : 'a non-negative'} integer (got '${value}')`);
+  }
+  return Number(value);
+}
+
+/**
+ * Get retry policy for infrastructure failures (clone, npm ci, agent startup)
+ * @returns {Object} Retry configuration
+ * @throws {Error} If a retry variable is not a valid number
+ */
+export function getRetryConfig() {
+  return {
+    maxAttempts: getIntEnv('RUN_MAX_ATTEMPTS', 3, 1),
+    backoffMs: getIntEnv('RUN_RETRY_BACKOFF_MS', 10000),
+    maxBackoffMs: getIntEnv('RUN_RETRY_MAX_BACKOFF_MS', 60000),
+  };
+}
+
+/**
+ * Get the persistent workspace cache (bare repos and node_modules shared
+ * across batches). `EVAL_CACHE=off` disables it.
+ * @returns {Object} Cache configuration
+ */
+export function getCacheConfig() {
+  return {
+    enabled: getEnv('EVAL_CACHE', 'on') !== 'off',
+    dir: path.resolve(projectRoot, getEnv('EVAL_CACHE_DIR', '.eval-cache')),
+  };
+}
+
 /**
  * Get safehouse configuration
  * @returns {Object} Safehouse configuration
@@ -84,6 +197,29 @@ export function getSafehouseConfig() {
   };
 }
 
+/**
+ * Get sandbox configuration: the backend that wraps agent processes
+ * (`safehouse` on macOS, `bubblewrap` on Linux) and the bubblewrap policy.
+ * `auto` picks the backend for the current platform.
+ * @returns {Object} Sandbox configuration
+ */
+export function getSandboxConfig() {
+  const backend = getEnv('SANDBOX_BACKEND', safehouseFileConfig.backend || 'auto');
+  const bubblewrap = safehouseFileConfig.bubblewrap || {};
+  return {
+    backend: backend === 'auto'
+      ? (process.platform === 'linux' ? 'bubblewrap' : 'safehouse')
+      : backend,
+    bubblewrap: {
+      bin: getEnv('BWRAP_BIN', bubblewrap.bin || 'bwrap'),
+      readOnlyPaths: bubblewrap.readOnlyPaths || [],
+      writablePaths: bubblewrap.writablePaths || [],
+      hiddenPaths: bubblewrap.hiddenPaths || [],
+    },
+    env: safehouseFileConfig.env || {},
+  };
+}
+
 /**
  * Get bot auth configuration for workspace isolation
  * @returns {Object} Bot auth config (token may be undefined if not configured)
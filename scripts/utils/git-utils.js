@@ -1,31 +1,59 @@
-import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync, execSync } from 'child_process';
 import { execAsync } from './process-utils.js';
 
 export function cloneRepository(cloneUrl, targetDir, options = {}) {
   const { branch, isCommitHash = false } = options;
   
+  // Arguments, not a shell string: startFrom can be any URL or local path
   if (isCommitHash) {
     // For commit hashes, clone without depth and checkout the specific commit
-    execSync(`git clone ${cloneUrl} "${targetDir}"`, {
+    execFileSync('git', ['clone', cloneUrl, targetDir], {
       stdio: 'pipe'
     });
-    execSync(`git checkout ${branch}`, {
+    execFileSync('git', ['checkout', branch], {
       cwd: targetDir,
       stdio: 'pipe'
     });
   } else if (branch) {
     // For branches, use --depth 1 for faster cloning
-    execSync(`git clone --depth 1 --branch ${branch} ${cloneUrl} "${targetDir}"`, {
+    execFileSync('git', ['clone', '--depth', '1', '--branch', branch, cloneUrl, targetDir], {
       stdio: 'pipe'
     });
   } else {
     // Default clone
-    execSync(`git clone ${cloneUrl} "${targetDir}"`, {
+    execFileSync('git', ['clone', cloneUrl, targetDir], {
       stdio: 'pipe'
     });
   }
 }
 
+/**
+ * Unpack a .tar.gz snapshot into targetDir and turn it into a git repository
+ * with a single commit, so worktrees can branch off it like off a clone.
+ * A single top-level folder (as in forge archive downloads) is stripped; an
+ * archive that already contains .git is used as is.
+ */
+export function extractSnapshot(archivePath, targetDir) {
+  const entries = execFileSync('tar', ['-tf', archivePath], { stdio: 'pipe' }).toString()
+    .split('\n').map(e => e.replace(/^\.\//, '')).filter(Boolean);
+  const roots = new Set(entries.map(e => e.split('/')[0]));
+  const strip = roots.size === 1 && entries.some(e => e.includes('/')) ? ['--strip-components=1'] : [];
+
+  fs.mkdirSync(targetDir, { recursive: true });
+  execFileSync('tar', ['-xf', archivePath, '-C', targetDir, ...strip], { stdio: 'pipe' });
+  if (fs.existsSync(path.join(targetDir, '.git'))) return;
+
+  const identity = ['-c', 'user.name=Eval Snapshot', '-c', 'user.email=snapshot@localhost'];
+  execFileSync('git', ['init', '-q'], { cwd: targetDir, stdio: 'pipe' });
+  execFileSync('git', ['add', '-A'], { cwd: targetDir, stdio: 'pipe' });
+  execFileSync('git', [...identity, 'commit', '-q', '--allow-empty', '-m', `Snapshot of ${path.basename(archivePath)}`], {
+    cwd: targetDir,
+    stdio: 'pipe'
+  });
+}
+
 export function checkoutBranch(cwd, branchName, create = false) {
   const createFlag = create ? '-b ' : '';
   execSync(`git checkout ${createFlag}${branchName}`, { cwd });
@@ -119,6 +147,13 @@ export function removeWorktree(repoDir, worktreePath) {
   });
 }
 
+export function deleteBranch(repoDir, branchName) {
+  execSync(`git branch -D ${branchName}`, {
+    cwd: repoDir,
+    stdio: 'pipe'
+  });
+}
+
 export async function pushBranch(cwd, branchName) {
   await execAsync(`git push origin ${branchName}`, { cwd });
 }
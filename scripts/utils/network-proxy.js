@@ -0,0 +1,216 @@
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+
+export const NETWORK_MODES = ['none', 'allowlist', 'full'];
+
+/**
+ * Hosts each built-in agent needs to reach its own API. They are always
+ * allowed so a `none` policy still lets the agent think; requests to them are
+ * logged with `agentApi: true` and left out of the eval summary.
+ */
+export const AGENT_API_HOSTS = {
+  claude: ['api.anthropic.com', 'statsig.anthropic.com'],
+  codex: ['api.openai.com', 'chatgpt.com'],
+  cursor: ['cursor.com', '*.cursor.com', '*.cursor.sh'],
+};
+
+/**
+ * Validate the `network` policy from task.json.
+ *
+ *   "network": "none"                                   only the agent's own API
+ *   "network": { "allow": ["registry.npmjs.org", "*.github.com"] }
+ *   "network": "full"                                   everything, still logged
+ *
+ * @param {string|Object} [config] - `network` from task.json
+ * @returns {{ mode: string, allow: string[] }|null} Policy, or null when the task declares none
+ * @throws {Error} If the policy is malformed
+ */
+export function normalizeNetworkPolicy(config) {
+  if (config === undefined || config === null) return null;
+  if (config === 'none' || config === 'full') return { mode: config, allow: [] };
+
+  const allow = config?.allow;
+  if (typeof config !== 'object' || !Array.isArray(allow) || !allow.every(h => typeof h === 'string' && h)) {
+    throw new Error('"network" must be "none", "full" or { "allow": ["host", "*.domain"] }');
+  }
+  return { mode: 'allowlist', allow: allow.map(h => h.toLowerCase()) };
+}
+
+/**
+ * Whether a host matches a pattern: an exact host name, or `*.domain` for
+ * any subdomain of domain.
+ */
+export function hostMatches(host, pattern) {
+  const name = host.toLowerCase();
+  if (pattern.startsWith('*.')) return name.endsWith(pattern.slice(1));
+  return name === pattern;
+}
+
+function splitHostPort(authority, defaultPort) {
+  const match = authority.match(/^\[?([^\]]+?)\]?(?::(\d+))?$/);
+  return match ? { host: match[1], port: Number(match[2] || defaultPort) } : { host: authority, port: defaultPort };
+}
+
+/**
+ * Start a local HTTP(S) proxy that enforces a network policy and appends
+ * every request to a JSONL log. Only traffic sent through the proxy is
+ * covered: the policy is advisory for processes that ignore HTTP(S)_PROXY.
+ *
+ * Plain HTTP requests are forwarded and logged with method, URL and status.
+ * HTTPS goes through CONNECT tunnels, which are not decrypted: those are
+ * logged per connection with the host and port only.
+ *
+ * @param {Object} options
+ * @param {{ mode: string, allow: string[] }} options.policy - From normalizeNetworkPolicy()
+ * @param {string[]} [options.agentHosts] - Host patterns always allowed (the agent's API)
+ * @param {string} options.logPath - File to append log entries to (network-log.jsonl)
+ * @returns {Promise<{ url: string, port: number, close: Function }>}
+ */
+export async function startEgressProxy({ policy, agentHosts = [], logPath }) {
+  const log = fs.createWriteStream(logPath, { flags: 'a' });
+  const sockets = new Set();
+  const track = (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    return socket;
+  };
+
+  const decide = (host) => {
+    if (agentHosts.some(p => hostMatches(host, p))) return { allowed: true, agentApi: true };
+    if (policy.mode === 'full') return { allowed: true };
+    if (policy.mode === 'allowlist' && policy.allow.some(p => hostMatches(host, p))) return { allowed: true };
+    return { allowed: false };
+  };
+
+  const record = (entry) => {
+    log.write(JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+  };
+
+  const server = http.createServer((req, res) => {
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch {
+      res.writeHead(400).end('Proxy requests must use an absolute URL\n');
+      return;
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const port = Number(target.port || 80);
+    const { allowed, agentApi } = decide(host);
+    const entry = { method: req.method, url: req.url, host, port, allowed, ...(agentApi ? { agentApi } : {}) };
+
+    if (!allowed) {
+      record({ ...entry, status: 403 });
+      res.writeHead(403, { 'content-type': 'text/plain' }).end(`Blocked by the task's network policy: ${host}\n`);
+      return;
+    }
+
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+    const upstream = http.request({
+      host, port, method: req.method, path: `${target.pathname}${target.search}`, headers,
+    }, (upstreamRes) => {
+      record({ ...entry, status: upstreamRes.statusCode });
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+    upstream.on('error', (error) => {
+      record({ ...entry, status: 502, error: error.message });
+      if (!res.headersSent) res.writeHead(502);
+      res.end();
+    });
+    req.pipe(upstream);
+  });
+
+  server.on('connection', track);
+  server.on('connect', (req, clientSocket, head) => {
+    const { host, port } = splitHostPort(req.url, 443);
+    const { allowed, agentApi } = decide(host);
+    const entry = { method: 'CONNECT', host, port, allowed, ...(agentApi ? { agentApi } : {}) };
+    let upstream = null;
+    // Listen first: a client that resets a refused or pending tunnel must not crash the proxy
+    clientSocket.on('error', () => upstream?.destroy());
+
+    if (!allowed) {
+      record({ ...entry, status: 403 });
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    let connected = false;
+    upstream = track(net.connect(port, host, () => {
+      connected = true;
+      record({ ...entry, status: 200 });
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head?.length) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    }));
+    upstream.on('error', (error) => {
+      if (!connected) {
+        record({ ...entry, status: 502, error: error.message });
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      } else {
+        clientSocket.destroy();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    port,
+    close: async () => {
+      for (const socket of sockets) socket.destroy();
+      await new Promise(resolve => server.close(resolve));
+      await new Promise(resolve => log.end(resolve));
+    },
+  };
+}
+
+/**
+ * Summarize a network-log.jsonl for the judge: allowed and blocked requests
+ * per host, leaving out the agent's own API traffic.
+ *
+ * @param {string} jsonlContent - Contents of network-log.jsonl
+ * @returns {{ allowed: number, blocked: number, hosts: Object[] }} Hosts: { host, allowed, blocked }, most requested first
+ */
+export function summarizeNetworkLog(jsonlContent) {
+  const hosts = new Map();
+  let allowed = 0;
+  let blocked = 0;
+
+  for (const line of jsonlContent.split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (entry.agentApi) continue;
+
+    const counts = hosts.get(entry.host) || { host: entry.host, allowed: 0, blocked: 0 };
+    if (entry.allowed) {
+      counts.allowed++;
+      allowed++;
+    } else {
+      counts.blocked++;
+      blocked++;
+    }
+    hosts.set(entry.host, counts);
+  }
+
+  return {
+    allowed,
+    blocked,
+    hosts: [...hosts.values()].sort((a, b) => (b.allowed + b.blocked) - (a.allowed + a.blocked)),
+  };
+}
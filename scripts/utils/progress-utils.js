@@ -1,3 +1,38 @@
+import { FAILURE_KINDS, classifyRunError } from './retry-utils.js';
+
+/**
+ * Per-run statuses recorded in batch.json.
+ */
+export const RUN_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  IDLED_OUT: 'idled_out',
+  INFRA_ERROR: 'infra_error',
+};
+
+/**
+ * Run statuses without agent output to evaluate.
+ */
+export const UNEVALUABLE_STATUSES = new Set([RUN_STATUS.PENDING, RUN_STATUS.INFRA_ERROR]);
+
+const STATUS_BY_FAILURE_KIND = {
+  [FAILURE_KINDS.AGENT]: RUN_STATUS.FAILED,
+  [FAILURE_KINDS.TIMEOUT]: RUN_STATUS.TIMED_OUT,
+  [FAILURE_KINDS.IDLE]: RUN_STATUS.IDLED_OUT,
+  [FAILURE_KINDS.INFRA]: RUN_STATUS.INFRA_ERROR,
+};
+
+/**
+ * Map a task error to its run status.
+ * @param {Error} error
+ * @returns {string} One of RUN_STATUS
+ */
+export function runStatusForError(error) {
+  return STATUS_BY_FAILURE_KIND[classifyRunError(error)] || RUN_STATUS.FAILED;
+}
+
 /**
  * Creates a progress tracker for monitoring task execution
  * @param {number} totalTasks - Total number of tasks to track
@@ -17,9 +52,21 @@ export function createProgressTracker(totalTasks, getTaskId, options = {}) {
     failed: 0,
     total: totalTasks,
     runStartTime: Date.now(),
-    errors: [] // Array of { taskId, error }
+    errors: [], // Array of { taskId, error }
+    outcomes: [] // Array of { taskId, status, error, durationMs, startedAt, finishedAt, attempts }
   };
 
+  function recordOutcome(taskId, durationMs, fields) {
+    const finishedAt = new Date();
+    state.outcomes.push({
+      taskId,
+      startedAt: new Date(finishedAt.getTime() - durationMs).toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs,
+      ...fields
+    });
+  }
+
   function formatElapsed(ms) {
     const secs = Math.floor(ms / 1000);
     if (secs < 60) return `${secs}s`;
@@ -84,13 +131,18 @@ export function createProgressTracker(totalTasks, getTaskId, options = {}) {
       }
     },
 
-    async taskCompleted(task) {
+    async taskCompleted(task, result) {
       const taskId = getTaskId(task);
       const durationMs = Date.now() - (state.startTimes.get(taskId) || Date.now());
       state.running.delete(taskId);
       state.startTimes.delete(taskId);
       state.activity.delete(taskId);
       state.completed++;
+      recordOutcome(taskId, durationMs, {
+        status: RUN_STATUS.COMPLETED,
+        error: null,
+        attempts: result?.attempts ?? null
+      });
       updateDisplay();
       if (logger) {
         await logger.taskCompleted(taskId, durationMs);
@@ -105,6 +157,11 @@ export function createProgressTracker(totalTasks, getTaskId, options = {}) {
       state.activity.delete(taskId);
       state.failed++;
       state.errors.push({ taskId, error: error.message });
+      recordOutcome(taskId, durationMs, {
+        status: runStatusForError(error),
+        error: error.message,
+        attempts: error.attempts ?? null
+      });
       updateDisplay();
       if (logger) {
         await logger.taskFailed(taskId, durationMs, error.message);
@@ -136,6 +193,10 @@ export function createProgressTracker(totalTasks, getTaskId, options = {}) {
 
     hasFailed() {
       return state.failed > 0;
+    },
+
+    getOutcomes() {
+      return [...state.outcomes];
     }
   };
 }
@@ -148,7 +209,7 @@ export function createProgressTracker(totalTasks, getTaskId, options = {}) {
  * @param {Function} getTaskId - Function to generate task ID from task object
  * @param {Object} [options]
  * @param {Object} [options.logger] - Optional run logger for writing to a log file
- * @returns {Promise<boolean>} True if any tasks failed
+ * @returns {Promise<{ hasFailures: boolean, outcomes: Object[] }>} Failure flag and per-task outcomes
  */
 export async function runInParallel(tasks, concurrency, processTask, getTaskId, options = {}) {
   const tracker = createProgressTracker(tasks.length, getTaskId, {
@@ -167,8 +228,8 @@ export async function runInParallel(tasks, concurrency, processTask, getTaskId,
     const onActivity = (message) => tracker.taskActivity(taskId, message);
 
     try {
-      await processTask(task, onActivity);
-      await tracker.taskCompleted(task);
+      const result = await processTask(task, onActivity);
+      await tracker.taskCompleted(task, result);
     } catch (error) {
       await tracker.taskFailed(task, error);
     }
@@ -206,7 +267,10 @@ export async function runInParallel(tasks, concurrency, processTask, getTaskId,
   
   await tracker.printSummary();
 
-  return tracker.hasFailed();
+  return {
+    hasFailures: tracker.hasFailed(),
+    outcomes: tracker.getOutcomes()
+  };
 }
 
 
@@ -0,0 +1,319 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+// Path of the page built from `content` passed to serveWorkspace()
+export const CONTENT_PATH = '/__content__';
+
+export const DEFAULT_VIEWPORT = { width: 1200, height: 800 };
+
+const DEFAULT_WAIT_MS = 10 * 1000;
+
+/**
+ * Wrap the sections of a `.plain.html` draft into a full page the way the
+ * AEM dev server does: the workspace's head.html, then the sections in <main>.
+ */
+export function buildPage(plainHtml, headHtml = '') {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head>\n${headHtml.trim()}\n</head>`,
+    '<body>',
+    '<header></header>',
+    `<main>\n${plainHtml.trim()}\n</main>`,
+    '<footer></footer>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+async function readIfFile(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serve a workspace on a local port. Static files are served as they are;
+ * `/drafts/cards` (or `/drafts/cards.html`) is built from
+ * `drafts/cards.plain.html` with buildPage(). `content` (a `.plain.html`
+ * body) is served as a page at CONTENT_PATH.
+ *
+ * @param {string} workspaceDir
+ * @param {Object} [options]
+ * @param {string} [options.content] - Sections to serve at CONTENT_PATH
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function serveWorkspace(workspaceDir, { content } = {}) {
+  const root = path.resolve(workspaceDir);
+  const headHtml = (await readIfFile(path.join(root, 'head.html')))?.toString('utf-8') ?? '';
+
+  const send = (res, status, type, body) => {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  };
+
+  const handle = async (req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+      send(res, 400, 'text/plain', 'Bad request');
+      return;
+    }
+
+    if (content !== undefined && pathname === CONTENT_PATH) {
+      send(res, 200, 'text/html', buildPage(content, headHtml));
+      return;
+    }
+
+    // Resolve against the workspace, prevent directory traversal
+    const filePath = path.join(root, pathname);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      send(res, 403, 'text/plain', 'Forbidden');
+      return;
+    }
+
+    const file = pathname.endsWith('/') ? null : await readIfFile(filePath);
+    if (file) {
+      send(res, 200, MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream', file);
+      return;
+    }
+
+    const pagePath = pathname.endsWith('/') ? `${pathname}index` : pathname.replace(/\.html$/, '');
+    const plain = await readIfFile(path.join(root, `${pagePath}.plain.html`));
+    if (plain) {
+      send(res, 200, 'text/html', buildPage(plain.toString('utf-8'), headHtml));
+      return;
+    }
+
+    send(res, 404, 'text/plain', 'Not found');
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        send(res, 500, 'text/plain', 'Internal server error');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function matches(value, expected) {
+  if (expected instanceof RegExp) return expected.test(value);
+  if (typeof expected === 'function') return Boolean(expected(value));
+  return value === String(expected);
+}
+
+function screenshotName(name) {
+  const base = String(name).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'screenshot';
+  return base.endsWith('.png') ? base : `${base}.png`;
+}
+
+/**
+ * Open a page of the workspace in headless Chromium (Playwright) and wait
+ * for its blocks to be decorated, for rendering checks:
+ *
+ *   run: async (ctx) => {
+ *     const page = await openPage(ctx, { path: '/drafts/carousel', block: 'carousel' });
+ *     try { ... } finally { await page.close(); }
+ *   }
+ *
+ * The page is a `.plain.html` draft of the workspace (`path`) or given
+ * sections (`content`), wrapped in the workspace's head.html, so the
+ * boilerplate's scripts load the blocks and run their decorate(). Closing
+ * the page stops the browser and the server; so does `ctx.signal` aborting.
+ *
+ * The returned page has:
+ * - `count(selector)`, `text(selector)`, `texts(selector)`, `attribute(selector, name)`
+ *   and `html(selector)` for the decorated DOM (first match; null if none)
+ * - `computedStyle(selector, properties, { width })`: computed values of the
+ *   first match at a viewport width (default: the current one)
+ * - `stylesAtWidths(selector, properties, widths)`: the same per width
+ * - `screenshot(name, { selector, width, fullPage })`: saves a PNG into
+ *   `<run folder>/screenshots` and returns its path
+ * - `expectCount(selector, { min, max })` and
+ *   `expectStyle(selector, property, expected, { widths })` (expected: a
+ *   string, RegExp or predicate): `{ passed, evidence }` to return from a check
+ * - `errors`: uncaught page errors and console errors so far
+ * - `page`: the Playwright page, for anything else
+ *
+ * @param {Object} ctx - The check's ctx (uses `workspaceDir`, `task.taskInfoFolder`, `signal`)
+ * @param {Object} [options]
+ * @param {string} [options.path] - Page path in the workspace (e.g. '/drafts/cards')
+ * @param {string} [options.content] - Sections to render instead of a draft
+ * @param {string|string[]} [options.block] - Block(s) to wait for (default: every block on the page)
+ * @param {number} [options.width] - Initial viewport width (default 1200)
+ * @param {number} [options.timeoutMs] - How long to wait for the page and its blocks (default 10s)
+ * @param {string} [options.screenshotsDir] - Where screenshots go (default: the run folder's screenshots/)
+ * @returns {Promise<Object>}
+ * @throws {Error} If neither path nor content is given, or the page or its blocks don't load in time
+ */
+export async function openPage(ctx, options = {}) {
+  const {
+    path: pagePath,
+    content,
+    block,
+    width = DEFAULT_VIEWPORT.width,
+    timeoutMs = DEFAULT_WAIT_MS,
+    screenshotsDir = ctx.task?.taskInfoFolder ? path.join(ctx.task.taskInfoFolder, 'screenshots') : null,
+  } = options;
+  if (!pagePath && content === undefined) {
+    throw new Error('openPage() needs a "path" or "content"');
+  }
+  ctx.signal?.throwIfAborted();
+
+  const { chromium } = await import('playwright').catch(() => {
+    throw new Error('openPage() needs Playwright, an optional dependency: npm install playwright');
+  });
+  const server = await serveWorkspace(ctx.workspaceDir, { content });
+  let browser = null;
+  let closed = false;
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    ctx.signal?.removeEventListener('abort', close);
+    await browser?.close().catch(() => {});
+    await server.close();
+  };
+  ctx.signal?.addEventListener('abort', close, { once: true });
+
+  try {
+    browser = await chromium.launch();
+    if (closed) {
+      // Aborted while the browser was starting
+      await browser.close();
+      ctx.signal.throwIfAborted();
+    }
+    const page = await browser.newPage({ viewport: { ...DEFAULT_VIEWPORT, width } });
+    const errors = [];
+    page.on('pageerror', error => errors.push(error.message));
+    page.on('console', (message) => {
+      if (message.type() === 'error') errors.push(message.text());
+    });
+
+    await page.goto(`${server.url}${pagePath ?? CONTENT_PATH}`, { waitUntil: 'load', timeout: timeoutMs });
+    const blocks = block ? [block].flat() : null;
+    await page.waitForFunction((names) => {
+      const selectors = names ? names.map(name => `.${name}`) : ['main .block'];
+      const found = [...document.querySelectorAll(selectors.join(', '))];
+      if (names && names.some(name => !document.querySelector(`.${name}`))) return false;
+      return found.every(el => el.dataset.blockStatus === 'loaded');
+    }, blocks, { timeout: timeoutMs });
+
+    const first = selector => page.$(selector);
+    const computedStyle = async (selector, properties, { width: at } = {}) => {
+      if (at && at !== page.viewportSize().width) {
+        await page.setViewportSize({ ...page.viewportSize(), width: at });
+      }
+      return page.$eval(selector, (el, props) => {
+        const style = getComputedStyle(el);
+        return Object.fromEntries(props.map(prop => [prop, style.getPropertyValue(prop)]));
+      }, [properties].flat());
+    };
+
+    const count = async selector => (await page.$$(selector)).length;
+    const stylesAtWidths = async (selector, properties, widths) => {
+      const styles = {};
+      for (const at of widths) {
+        styles[at] = await computedStyle(selector, properties, { width: at });
+      }
+      return styles;
+    };
+
+    return {
+      page,
+      errors,
+      count,
+      text: async selector => (await first(selector))?.evaluate(el => el.textContent.trim()) ?? null,
+      texts: selector => page.$$eval(selector, els => els.map(el => el.textContent.trim())),
+      attribute: async (selector, name) => (await first(selector))?.getAttribute(name) ?? null,
+      html: async selector => (await first(selector))?.evaluate(el => el.outerHTML) ?? null,
+      computedStyle,
+      stylesAtWidths,
+      screenshot: async (name, { selector, width: at, fullPage = false } = {}) => {
+        if (!screenshotsDir) {
+          throw new Error('No folder for screenshots: pass "screenshotsDir" or run with a task');
+        }
+        if (at && at !== page.viewportSize().width) {
+          await page.setViewportSize({ ...page.viewportSize(), width: at });
+        }
+        await fs.mkdir(screenshotsDir, { recursive: true });
+        const filePath = path.join(screenshotsDir, screenshotName(name));
+        if (selector) {
+          await page.locator(selector).first().screenshot({ path: filePath });
+        } else {
+          await page.screenshot({ path: filePath, fullPage });
+        }
+        return filePath;
+      },
+      expectCount: async (selector, { min = 1, max = Infinity } = {}) => {
+        const n = await count(selector);
+        const range = max === Infinity ? `at least ${min}` : min === max ? `${min}` : `${min}-${max}`;
+        return { passed: n >= min && n <= max, evidence: `${n} × ${selector} (expected ${range})` };
+      },
+      expectStyle: async (selector, property, expected, { widths = [page.viewportSize().width] } = {}) => {
+        if (!await page.$(selector)) {
+          return { passed: false, evidence: `No element matches ${selector}` };
+        }
+        const styles = await stylesAtWidths(selector, [property], widths);
+        const values = widths.map(at => [at, styles[at][property]]);
+        return {
+          passed: values.every(([, value]) => matches(value, expected)),
+          evidence: `${selector} ${property}: ${values.map(([at, value]) => `${value} @${at}px`).join(', ')}`,
+        };
+      },
+      close,
+    };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+/**
+ * openPage(), fn(page), then close the page whatever happened; returns what
+ * fn returned.
+ */
+export async function withPage(ctx, options, fn) {
+  const page = await openPage(ctx, options);
+  try {
+    return await fn(page);
+  } finally {
+    await page.close();
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Failure kinds for a single run attempt.
+ * Only infra failures are retried — timeouts, idle-outs and agent failures
+ * are legitimate results that belong in the eval.
+ */
+export const FAILURE_KINDS = {
+  INFRA: 'infra',
+  TIMEOUT: 'timeout',
+  IDLE: 'idle',
+  AGENT: 'agent',
+};
+
+// Messages from code paths that fail before the agent gets to do any work
+const INFRA_PATTERNS = [
+  /Failed to clone repository/,
+  /Failed to spawn .* CLI/,
+  /npm ci failed/,
+];
+
+/**
+ * Tag an error as an infrastructure failure.
+ *
+ * @param {Error} error - The error to tag
+ * @param {string} phase - Where it happened (e.g. 'bootstrap', 'install', 'agent-startup')
+ * @returns {Error} The same error, tagged
+ */
+export function markInfraError(error, phase) {
+  error.kind = FAILURE_KINDS.INFRA;
+  error.phase = phase;
+  return error;
+}
+
+/**
+ * Classify a run error into one of FAILURE_KINDS.
+ * Errors tagged with `kind` win; otherwise the message is matched.
+ *
+ * @param {Error} error
+ * @returns {string}
+ */
+export function classifyRunError(error) {
+  if (error?.kind && Object.values(FAILURE_KINDS).includes(error.kind)) {
+    return error.kind;
+  }
+
+  const message = error?.message || '';
+  if (/timed out after/.test(message)) return FAILURE_KINDS.TIMEOUT;
+  if (/idle for .* with no output/.test(message)) return FAILURE_KINDS.IDLE;
+  if (INFRA_PATTERNS.some((pattern) => pattern.test(message))) return FAILURE_KINDS.INFRA;
+  return FAILURE_KINDS.AGENT;
+}
+
+/**
+ * Exponential backoff delay before the given retry.
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} policy
+ * @param {number} policy.backoffMs - Delay after the first failure
+ * @param {number} [policy.maxBackoffMs] - Upper bound for the delay
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(attempt, policy) {
+  const delay = policy.backoffMs * 2 ** (attempt - 1);
+  return policy.maxBackoffMs ? Math.min(delay, policy.maxBackoffMs) : delay;
+}
+
+/**
+ * Run an attempt function, retrying infra failures per the policy.
+ * Every failed attempt is reported through onAttemptFailed before the
+ * next one starts (or before the final error is rethrown).
+ *
+ * @param {(attempt: number) => Promise<any>} fn - Runs one attempt
+ * @param {Object} policy
+ * @param {number} policy.maxAttempts - Total attempts, including the first
+ * @param {number} policy.backoffMs - Delay after the first failure
+ * @param {number} [policy.maxBackoffMs] - Upper bound for the delay
+ * @param {Object} [options]
+ * @param {Function} [options.onAttemptFailed] - async ({ attempt, kind, error, willRetry, delayMs }) => void
+ * @param {Function} [options.sleep] - Delay function (for testing)
+ * @returns {Promise<any>} Result of the first successful attempt
+ */
+export async function runWithRetry(fn, policy, options = {}) {
+  const { onAttemptFailed, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) } = options;
+  const maxAttempts = Math.max(1, policy.maxAttempts || 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const kind = classifyRunError(error);
+      const willRetry = kind === FAILURE_KINDS.INFRA && attempt < maxAttempts;
+      const delayMs = willRetry ? computeBackoff(attempt, policy) : 0;
+
+      if (onAttemptFailed) {
+        await onAttemptFailed({ attempt, kind, error, willRetry, delayMs });
+      }
+      if (!willRetry) {
+        error.kind = kind;
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(delayMs);
+    }
+  }
+}
@@ -0,0 +1,152 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { sanitizeName } from './string-utils.js';
+
+/**
+ * Resolve a path listed in a matrix file: relative to the matrix file's
+ * folder first, then the project cwd (mirrors how task augmentation
+ * sources are resolved).
+ */
+async function resolveMatrixPath(entry, matrixDir) {
+  if (path.isAbsolute(entry)) return entry;
+
+  const matrixRelative = path.join(matrixDir, entry);
+  try {
+    await fs.access(matrixRelative);
+    return matrixRelative;
+  } catch {
+    return path.resolve(process.cwd(), entry);
+  }
+}
+
+function toStringList(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`Matrix "${field}" must be an array of non-empty strings`);
+  }
+  return value.map(v => v.trim());
+}
+
+/**
+ * Load and validate a run matrix file.
+ *
+ * Shape:
+ *   {
+ *     "name": "opus-vs-sonnet",
+ *     "tasks": ["build-block"] | "tags": ["blocks"],
+ *     "agents": ["claude", "codex"],
+ *     "models": { "claude": ["model-a", "model-b"] },
+ *     "augmentationSets": [{ "name": "baseline", "files": ["augmentations/a.json"] }],
+ *     "iterations": 5
+ *   }
+ *
+ * @param {string} matrixPath - Path to the matrix JSON file
+ * @returns {Promise<Object>} Normalized matrix with resolved augmentation file paths
+ */
+export async function loadMatrix(matrixPath) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(matrixPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Error reading matrix file ${matrixPath}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Matrix file must contain an object (${matrixPath})`);
+  }
+
+  const tasks = toStringList(raw.tasks, 'tasks');
+  const tags = toStringList(raw.tags, 'tags');
+  if (tasks.length > 0 && tags.length > 0) {
+    throw new Error('Matrix cannot specify both "tasks" and "tags". Use one or the other.');
+  }
+
+  const agents = toStringList(raw.agents, 'agents');
+  if (agents.length === 0) {
+    throw new Error('Matrix "agents" must list at least one agent');
+  }
+
+  const models = {};
+  for (const [agent, list] of Object.entries(raw.models || {})) {
+    if (!agents.includes(agent)) {
+      throw new Error(`Matrix "models" lists agent '${agent}' which is not in "agents"`);
+    }
+    models[agent] = toStringList(list, `models.${agent}`);
+  }
+
+  const matrixDir = path.dirname(path.resolve(matrixPath));
+  const augmentationSets = [];
+  for (const [index, set] of (raw.augmentationSets || []).entries()) {
+    if (!set || typeof set.name !== 'string' || !set.name.trim()) {
+      throw new Error(`Matrix augmentationSets[${index}] must have a name`);
+    }
+    const files = [];
+    for (const file of toStringList(set.files, `augmentationSets[${index}].files`)) {
+      files.push(await resolveMatrixPath(file, matrixDir));
+    }
+    augmentationSets.push({ name: set.name.trim(), files });
+  }
+  const setNames = augmentationSets.map(s => sanitizeName(s.name));
+  if (new Set(setNames).size !== setNames.length) {
+    throw new Error('Matrix augmentationSets must have unique names');
+  }
+
+  const iterations = raw.iterations ?? 1;
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error('Matrix "iterations" must be a positive integer');
+  }
+
+  return {
+    name: raw.name || path.basename(matrixPath, path.extname(matrixPath)),
+    file: matrixPath,
+    tasks,
+    tags,
+    agents,
+    models,
+    augmentationSets,
+    iterations
+  };
+}
+
+/**
+ * Expand a matrix into its cells: agent × model (per agent) × augmentation set.
+ * Agents without model overrides contribute one cell per set using their
+ * default model. A matrix without augmentation sets runs every cell bare.
+ *
+ * The cell id is used in folder names and as the grouping key in summaries,
+ * so it only includes the dimensions that actually vary per agent.
+ *
+ * @param {Object} matrix - Normalized matrix from loadMatrix()
+ * @returns {Object[]} Cells: { id, agent, model, augmentationSetName, augmentationsFiles }
+ */
+export function expandMatrixCells(matrix) {
+  const sets = matrix.augmentationSets.length > 0
+    ? matrix.augmentationSets
+    : [{ name: null, files: [] }];
+
+  const cells = [];
+  for (const agent of matrix.agents) {
+    const models = matrix.models[agent]?.length > 0 ? matrix.models[agent] : [null];
+    for (const model of models) {
+      for (const set of sets) {
+        const idParts = [agent];
+        if (model && models.length > 1) idParts.push(model);
+        if (set.name && sets.length > 1) idParts.push(set.name);
+        cells.push({
+          id: sanitizeName(idParts.join('-')),
+          agent,
+          model,
+          augmentationSetName: set.name,
+          augmentationsFiles: set.files
+        });
+      }
+    }
+  }
+
+  const ids = cells.map(c => c.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) {
+    throw new Error(`Matrix cells must have unique ids after sanitizing (duplicate: ${duplicate})`);
+  }
+
+  return cells;
+}
@@ -1,37 +1,265 @@
 import path from 'path';
 import fs from 'fs/promises';
+import { Worker } from 'worker_threads';
 import { execAsync } from './process-utils.js';
+import { captureGitChanges, captureGitCommits } from './git-utils.js';
+import { hookMetadata } from './task-hooks.js';
+import { parseAgentLog } from '../parse-agent-log.js';
+import { MANIFEST_FILE } from './augmentation-snapshot.js';
+
+export const DEFAULT_CHECK_TIMEOUT_MS = 60 * 1000;
+
+// Extra time a check gets before its worker is presumed blocked and terminated
+const WORKER_GRACE_MS = 2000;
 
 /**
- * Run a task's checks.js script against a workspace, if it exists.
+ * Whether checks.js follows the module contract (`export default [checks]`)
+ * rather than printing its results as a script.
+ */
+export function isChecksModule(source) {
+  return /^\s*export\s+default\b/m.test(source);
+}
+
+/**
+ * Validate the default export of a checks module:
  *
- * The script receives the workspace path as its first argument and is expected
- * to print a JSON array of check results to stdout.
+ *   export default [
+ *     { name: 'lint-passes', description: 'npm run lint passes', timeoutMs: 120000, run: async (ctx) => ... },
+ *   ];
  *
- * Returns null if no checks.js exists, or an array of check results.
+ * @returns {Array<{ name: string, description: string, timeoutMs: number, run: Function }>}
+ * @throws {Error} If the export is not an array of named checks with a run function
+ */
+export function normalizeChecks(checks) {
+  if (!Array.isArray(checks)) {
+    throw new Error('checks.js must export default an array of { name, description, run } checks');
+  }
+  const names = new Set();
+  return checks.map((check, index) => {
+    const { name, description = '', timeoutMs = DEFAULT_CHECK_TIMEOUT_MS, run } = check || {};
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`checks[${index}] needs a "name"`);
+    }
+    if (names.has(name)) {
+      throw new Error(`checks[${index}]: duplicate check name '${name}'`);
+    }
+    names.add(name);
+    if (typeof run !== 'function') {
+      throw new Error(`checks[${index}] (${name}) needs a "run" function`);
+    }
+    if (!(typeof timeoutMs === 'number' && timeoutMs > 0)) {
+      throw new Error(`checks[${index}] (${name}): "timeoutMs" must be a positive number`);
+    }
+    return { name, description: String(description), timeoutMs, run };
+  });
+}
+
+/**
+ * Turn what a check's run() returned into `{ passed, evidence }`: either a
+ * boolean or an object with a boolean `passed` and optional `evidence`.
+ * @throws {Error} For anything else
  */
-export async function runTaskChecks(taskPath, workspacePath) {
+export function normalizeCheckOutcome(outcome) {
+  if (typeof outcome === 'boolean') {
+    return { passed: outcome, evidence: '' };
+  }
+  if (outcome && typeof outcome === 'object' && typeof outcome.passed === 'boolean') {
+    return { passed: outcome.passed, evidence: outcome.evidence === undefined ? '' : String(outcome.evidence) };
+  }
+  throw new Error(`Check returned ${JSON.stringify(outcome)}; expected a boolean or { passed, evidence }`);
+}
+
+function scriptError(message) {
+  return {
+    name: 'checks-script-error',
+    description: 'Task checks script failed to run',
+    passed: false,
+    evidence: message,
+  };
+}
+
+async function loadTranscriptEvents(taskInfoFolder) {
+  if (!taskInfoFolder) return [];
+  try {
+    return parseAgentLog(await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+// Files the run's augmentations put in place (e.g. AGENTS.md), from its augmentation manifest
+async function loadAugmentationFiles(taskInfoFolder) {
+  if (!taskInfoFolder) return [];
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(taskInfoFolder, MANIFEST_FILE), 'utf-8'));
+    return manifest.targets.filter(t => t.type === 'file').map(t => t.target);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The data part of a check's ctx; what can't cross into the worker (the
+ * abort signal) is added there.
+ */
+async function buildCheckContext(taskPath, workspacePath, env, { task = null, diff, commits } = {}) {
+  return {
+    workspaceDir: workspacePath,
+    taskPath,
+    task: task ? hookMetadata(task) : null,
+    diff: diff ?? await captureGitChanges(workspacePath, 'Workspace setup'),
+    commits: commits ?? await captureGitCommits(workspacePath, 'Workspace setup'),
+    events: await loadTranscriptEvents(task?.taskInfoFolder),
+    augmentationFiles: await loadAugmentationFiles(task?.taskInfoFolder),
+    env,
+  };
+}
+
+/**
+ * Run the checks of a module from index `from` on in a worker thread.
+ * Resolves when the worker finishes, or when it has to be given up on: a
+ * check outlived its timeout without yielding, or the worker died.
+ */
+function runChecksWorker(checksPath, context, from, onChecks, onResult) {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./check-worker.js', import.meta.url), {
+      workerData: { checksPath, context, from },
+      env: { ...process.env, ...context.env },
+      // Keep stray console output out of the runner's
+      stdout: true,
+      stderr: true,
+    });
+    worker.stdout.resume();
+    worker.stderr.resume();
+
+    let checks = null;
+    let current = null;
+    let watchdog = null;
+    let settled = false;
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(watchdog);
+      worker.terminate();
+      resolve(outcome);
+    };
+
+    worker.on('message', (message) => {
+      if (message.type === 'checks') {
+        checks = message.checks;
+        onChecks(checks);
+      } else if (message.type === 'start') {
+        current = message.index;
+        watchdog = setTimeout(() => finish({
+          index: current,
+          status: 'timeout',
+          message: `Timed out after ${checks[current].timeoutMs}ms (the check blocked its worker)`,
+        }), checks[current].timeoutMs + WORKER_GRACE_MS);
+      } else if (message.type === 'result') {
+        clearTimeout(watchdog);
+        onResult(message.index, message.result);
+        current = null;
+      } else if (message.type === 'load-error') {
+        finish({ loadError: message.message });
+      } else if (message.type === 'done') {
+        finish({ done: true });
+      }
+    });
+    worker.on('error', (error) => {
+      finish(checks ? { index: current, status: 'error', message: error.message } : { loadError: error.message });
+    });
+    worker.on('exit', (code) => {
+      const message = `Checks worker exited with code ${code}`;
+      finish(checks ? { index: current, status: 'error', message } : { loadError: message });
+    });
+  });
+}
+
+async function runChecksModule(checksPath, context) {
+  let checks = null;
+  const results = [];
+  let from = 0;
+
+  while (checks === null || from < checks.length) {
+    const outcome = await runChecksWorker(
+      checksPath,
+      context,
+      from,
+      (list) => { checks ??= list; },
+      (index, result) => { results[index] = result; },
+    );
+    if (outcome.loadError) return [scriptError(outcome.loadError)];
+    if (outcome.done) break;
+
+    // The worker was lost: record the check it was running and go on with a fresh one
+    const index = outcome.index ?? results.length;
+    if (index < checks.length) {
+      results[index] = {
+        name: checks[index].name,
+        description: checks[index].description,
+        passed: false,
+        evidence: outcome.message,
+        status: outcome.status,
+        durationMs: outcome.status === 'timeout' ? checks[index].timeoutMs : null,
+      };
+    }
+    from = index + 1;
+  }
+  return results;
+}
+
+/**
+ * Run a task's checks.js against a workspace, if it exists.
+ *
+ * A checks module (`export default [{ name, description, timeoutMs, run(ctx) }]`)
+ * runs in a worker thread, one check after the other. Each check's run()
+ * gets a ctx with `workspaceDir`, `taskPath`, `task` (run metadata), `diff`,
+ * `commits`, `changes` (diffHelpers() over them, with the files the run's
+ * augmentations put in place, listed in `augmentationFiles`, as protected
+ * paths), `events` (the transcript, from parseAgentLog()), `transcript`
+ * (transcriptHelpers() over the events), `env` and a `signal` that aborts
+ * when the check's timeout (default 60s) is up. It returns a boolean or
+ * `{ passed, evidence }`; a check that throws or times out fails on its own
+ * without affecting the others. Results carry a `status` (passed, failed,
+ * error or timeout) and `durationMs`.
+ *
+ * Any other checks.js runs as a script: it receives the workspace path as
+ * its first argument and is expected to print a JSON array of check
+ * results to stdout.
+ *
+ * `env` is added to the environment of either (e.g. the EVAL_SERVICE_*
+ * variables of running services).
+ *
+ * @param {string} taskPath - Task folder
+ * @param {string} workspacePath - Workspace to check
+ * @param {Object} [env] - Extra environment variables
+ * @param {Object} [context] - For the ctx of module checks
+ * @param {Object} [context.task] - Enriched task (its output.jsonl provides `events`)
+ * @param {string} [context.diff] - Captured diff (default: captured from the workspace)
+ * @param {Object[]} [context.commits] - Captured commits (default: captured from the workspace)
+ * @returns {Promise<Object[]|null>} Check results, or null if no checks.js exists
+ */
+export async function runTaskChecks(taskPath, workspacePath, env = {}, context = {}) {
   const checksPath = path.join(taskPath, 'checks.js');
 
+  let source;
   try {
-    await fs.access(checksPath);
+    source = await fs.readFile(checksPath, 'utf-8');
   } catch {
     return null;
   }
 
+  if (isChecksModule(source)) {
+    return runChecksModule(checksPath, await buildCheckContext(taskPath, workspacePath, env, context));
+  }
+
   try {
     const { stdout } = await execAsync(
-      `node "${checksPath}" "${workspacePath}"`
+      `node "${checksPath}" "${workspacePath}"`,
+      { env: { ...process.env, ...env } }
     );
     return JSON.parse(stdout);
   } catch (error) {
-    return [
-      {
-        name: 'checks-script-error',
-        description: 'Task checks script failed to run',
-        passed: false,
-        evidence: error.message
-      }
-    ];
+    return [scriptError(error.message)];
   }
 }
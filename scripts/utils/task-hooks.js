@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { markInfraError } from './retry-utils.js';
+
+const execFileAsync = promisify(execFile);
+
+export const TASK_HOOKS = ['setup', 'teardown'];
+
+const DEFAULT_HOOK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Task metadata handed to hooks in the EVAL_TASK environment variable.
+ */
+export function hookMetadata(task) {
+  return {
+    name: task.name,
+    agent: task.agent,
+    profile: task.profile || null,
+    model: task.model || null,
+    iteration: task.iteration ?? null,
+    startFrom: task.startFrom,
+    branchName: task.branchName || null,
+    taskPath: task.taskPath,
+    workspaceDir: task.workspaceDir,
+    taskInfoFolder: task.taskInfoFolder || null,
+  };
+}
+
+/**
+ * Run a task's setup.js or teardown.js, if the task folder has one.
+ *
+ * Like checks.js, the script runs with node and gets the workspace path as
+ * its first argument; it also runs in the workspace and gets the task
+ * metadata as JSON in EVAL_TASK. Its stdout and stderr are written to
+ * `<hook>.log` in the run folder. A hook that exits non-zero or times out
+ * fails the run as an infra error, so the attempt is retried rather than
+ * scored against the agent.
+ *
+ * @param {string} hook - 'setup' or 'teardown'
+ * @param {Object} task - Enriched task (taskPath, workspaceDir, taskInfoFolder)
+ * @param {Object} [options]
+ * @param {string|null} [options.logPath] - Where to write the output (default: <taskInfoFolder>/<hook>.log; null to skip)
+ * @param {number} [options.timeoutMs] - Kill the hook after this long (default: 5 min)
+ * @returns {Promise<{ hook: string, durationMs: number }|null>} null if the task has no such hook
+ * @throws {Error} Tagged as infra error with phase = hook when the hook fails
+ */
+export async function runTaskHook(hook, task, options = {}) {
+  if (!task.taskPath) return null;
+  const scriptPath = path.join(task.taskPath, `${hook}.js`);
+  try {
+    await fs.access(scriptPath);
+  } catch {
+    return null;
+  }
+
+  const logPath = options.logPath !== undefined
+    ? options.logPath
+    : (task.taskInfoFolder ? path.join(task.taskInfoFolder, `${hook}.log`) : null);
+  const start = Date.now();
+  let stdout = '';
+  let stderr = '';
+  let failure = null;
+
+  try {
+    // No shell in between, so a timeout kills the hook itself
+    ({ stdout, stderr } = await execFileAsync(process.execPath, [scriptPath, task.workspaceDir], {
+      cwd: task.workspaceDir,
+      env: { ...process.env, EVAL_TASK: JSON.stringify(hookMetadata(task)) },
+      timeout: options.timeoutMs || DEFAULT_HOOK_TIMEOUT_MS,
+    }));
+  } catch (error) {
+    stdout = error.stdout || '';
+    stderr = error.stderr || '';
+    failure = error.killed ? 'timed out' : `exited with code ${error.code}`;
+  }
+
+  if (logPath) {
+    await fs.writeFile(logPath, stdout + (stderr ? `\n--- stderr ---\n${stderr}` : ''), 'utf-8');
+  }
+  if (failure) {
+    const detail = stderr.trim().slice(-500) || stdout.trim().slice(-500);
+    throw markInfraError(new Error(`${hook}.js ${failure}${detail ? `: ${detail}` : ''}`), hook);
+  }
+  return { hook, durationMs: Date.now() - start };
+}
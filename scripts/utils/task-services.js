@@ -0,0 +1,303 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { killOrphanedProcesses } from '../handlers/shared.js';
+import { markInfraError } from './retry-utils.js';
+
+export const READY_PROBES = ['http', 'tcp', 'log'];
+
+const DEFAULT_READY_TIMEOUT_MS = 60000;
+const POLL_INTERVAL_MS = 250;
+const STOP_GRACE_MS = 5000;
+
+/**
+ * Validate the `services` declared in task.json:
+ *
+ *   "services": [
+ *     { "name": "api", "command": "node mock-api.js --port {{port}}", "ready": { "tcp": true } },
+ *     { "name": "aem", "command": "npx -y @adobe/aem-cli up --no-open --port {{port}}", "ready": { "http": "/" } }
+ *   ]
+ *
+ * `port` defaults to "auto" (a free port per run, so parallel runs don't
+ * collide); a number pins it, null runs the service without one. `ready`
+ * holds one probe — `http` (path answering below 500), `tcp` or `log`
+ * (regex on the output) — and an optional `timeoutMs`; without it a service
+ * with a port is ready once the port accepts connections.
+ *
+ * @param {Array} [config] - `services` from task.json
+ * @returns {Object[]} Services: { name, command, port, ready, env, cwd }
+ * @throws {Error} If an entry is malformed
+ */
+export function normalizeServices(config) {
+  if (config === undefined || config === null) return [];
+  if (!Array.isArray(config)) {
+    throw new Error('"services" must be an array');
+  }
+
+  const names = new Set();
+  return config.map((service, index) => {
+    const { name, command, port = 'auto', ready = null, env = {}, cwd = '.' } = service || {};
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(name)) {
+      throw new Error(`services[${index}] needs a "name" of letters, digits and dashes`);
+    }
+    if (names.has(name)) {
+      throw new Error(`services[${index}]: duplicate service name '${name}'`);
+    }
+    names.add(name);
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error(`services[${index}] (${name}) needs a "command"`);
+    }
+    if (port !== 'auto' && port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+      throw new Error(`services[${index}] (${name}): "port" must be "auto", a port number or null`);
+    }
+    if (ready !== null) {
+      const probes = Object.keys(ready).filter(key => key !== 'timeoutMs');
+      if (probes.length !== 1 || !READY_PROBES.includes(probes[0])) {
+        throw new Error(`services[${index}] (${name}): "ready" needs exactly one of ${READY_PROBES.join(', ')}`);
+      }
+      if (probes[0] !== 'log' && port === null) {
+        throw new Error(`services[${index}] (${name}): a ${probes[0]} probe needs a port`);
+      }
+      if (probes[0] === 'log') new RegExp(ready.log);
+    }
+    return { name, command, port, ready, env, cwd };
+  });
+}
+
+/**
+ * Environment variable prefix for a service: `api` → EVAL_SERVICE_API.
+ */
+export function serviceEnvPrefix(name) {
+  return `EVAL_SERVICE_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+// Ports handed out by this process that may not be bound yet
+const reservedPorts = new Set();
+
+/**
+ * Find a free local port. Ports already handed to another run of this
+ * process are skipped, so parallel runs starting at once don't share one.
+ */
+export async function allocatePort() {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const port = await new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        const { port: free } = server.address();
+        server.close(() => resolve(free));
+      });
+    });
+    if (!reservedPorts.has(port)) {
+      reservedPorts.add(port);
+      return port;
+    }
+  }
+  throw new Error('Could not allocate a free port');
+}
+
+// Process groups of running services, killed if the runner exits early
+const runningGroups = new Set();
+let exitHandlersInstalled = false;
+
+function killGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+  } catch {
+    // already gone
+  }
+}
+
+function groupAlive(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function installExitHandlers() {
+  if (exitHandlersInstalled) return;
+  exitHandlersInstalled = true;
+
+  const killAll = () => {
+    for (const pid of runningGroups) killGroup(pid, 'SIGKILL');
+  };
+  process.once('exit', killAll);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      killAll();
+      // Exit the way the signal would have without our handler
+      process.kill(process.pid, signal);
+    });
+  }
+}
+
+/**
+ * Stop service process groups: SIGTERM, then SIGKILL for groups still alive
+ * after a grace period, then sweep processes that left their group but still
+ * run in the workspace.
+ *
+ * @param {number[]} pids - Process group leaders from startServices()
+ * @param {string} workspaceDir - Workspace the services ran in
+ */
+export async function stopServiceGroups(pids, workspaceDir) {
+  for (const pid of pids) killGroup(pid, 'SIGTERM');
+  const deadline = Date.now() + STOP_GRACE_MS;
+  while (pids.some(groupAlive) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  for (const pid of pids) {
+    killGroup(pid, 'SIGKILL');
+    runningGroups.delete(pid);
+  }
+  killOrphanedProcesses(workspaceDir);
+}
+
+function canConnect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+async function answersHttp(port, urlPath) {
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}${urlPath.startsWith('/') ? urlPath : `/${urlPath}`}`, {
+      signal: AbortSignal.timeout(2000),
+    });
+    return response.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+async function readLog(logPath) {
+  try {
+    return await fs.promises.readFile(logPath, 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+async function logTail(logPath) {
+  const tail = (await readLog(logPath)).trim().split('\n').slice(-5).join('\n');
+  return tail || '(no output)';
+}
+
+async function waitUntilReady(service, port, handle) {
+  const { ready } = service;
+  const probe = ready ? Object.keys(ready).find(key => key !== 'timeoutMs') : (port ? 'tcp' : null);
+  if (!probe) return;
+
+  const timeoutMs = ready?.timeoutMs || DEFAULT_READY_TIMEOUT_MS;
+  const deadline = Date.now() + timeoutMs;
+  const logPattern = probe === 'log' ? new RegExp(ready.log, 'm') : null;
+
+  while (Date.now() < deadline) {
+    if (handle.exited) {
+      throw new Error(`Service '${service.name}' exited with code ${handle.exitCode} before it was ready: ${await logTail(handle.logPath)}`);
+    }
+    if (probe === 'log' && logPattern.test(await readLog(handle.logPath))) return;
+    if (probe === 'tcp' && await canConnect(port)) return;
+    if (probe === 'http' && await answersHttp(port, ready.http)) return;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  throw new Error(`Service '${service.name}' was not ready (${probe}) within ${timeoutMs / 1000}s: ${await logTail(handle.logPath)}`);
+}
+
+function spawnService({ command, cwd, env, logPath, keepAlive }) {
+  // Output goes straight to the log, so a kept-alive service doesn't depend on this process
+  const logFd = fs.openSync(logPath, 'a');
+  const child = spawn('sh', ['-c', command], {
+    cwd,
+    env,
+    detached: true,
+    stdio: ['ignore', logFd, logFd],
+  });
+  fs.closeSync(logFd);
+
+  const handle = { pid: child.pid, logPath, exited: false, exitCode: null };
+  child.once('error', (error) => {
+    handle.exited = true;
+    fs.appendFileSync(logPath, `${error.message}\n`);
+  });
+  child.once('exit', (code) => {
+    handle.exited = true;
+    handle.exitCode = code;
+  });
+
+  if (keepAlive) {
+    child.unref();
+  } else if (handle.pid) {
+    runningGroups.add(handle.pid);
+  }
+  return handle;
+}
+
+/**
+ * Start a task's services in order, each once the previous one is ready.
+ *
+ * Every service runs in its own process group in the workspace, with PORT
+ * set and `{{port}}` in its command replaced by its port. Services started
+ * earlier are visible to later ones, and to the agent, as
+ * EVAL_SERVICE_<NAME>_PORT and EVAL_SERVICE_<NAME>_URL. Output goes to
+ * `<logPrefix><name>.log` in logDir.
+ *
+ * Services are stopped when this process exits unless `keepAlive` is set;
+ * then they outlive it and are stopped with stopServiceGroups().
+ *
+ * @param {Object[]} services - From normalizeServices()
+ * @param {Object} options
+ * @param {string} options.workspaceDir - Working directory (and orphan sweep root)
+ * @param {string} options.logDir - Folder for the service logs
+ * @param {string} [options.logPrefix] - Log file name prefix (default: 'service-')
+ * @param {boolean} [options.keepAlive] - Leave the services running after this process exits
+ * @returns {Promise<{ services: Object[], env: Object, stop: Function }>} Running services: { name, port, url, pid }
+ * @throws {Error} Tagged as infra error (phase 'services') when a service fails to start
+ */
+export async function startServices(services, { workspaceDir, logDir, logPrefix = 'service-', keepAlive = false }) {
+  if (!keepAlive) installExitHandlers();
+  const pids = [];
+  const running = [];
+  const env = {};
+  const stop = () => stopServiceGroups(pids, workspaceDir);
+
+  try {
+    for (const service of services) {
+      const port = service.port === 'auto' ? await allocatePort() : service.port;
+      const handle = spawnService({
+        command: port ? service.command.replaceAll('{{port}}', String(port)) : service.command,
+        cwd: path.resolve(workspaceDir, service.cwd),
+        env: { ...process.env, ...env, ...service.env, ...(port ? { PORT: String(port) } : {}) },
+        logPath: path.join(logDir, `${logPrefix}${service.name}.log`),
+        keepAlive,
+      });
+      if (handle.pid) pids.push(handle.pid);
+      try {
+        await waitUntilReady(service, port, handle);
+      } finally {
+        // Bound by now, or no longer needed
+        reservedPorts.delete(port);
+      }
+
+      const url = port ? `http://localhost:${port}` : null;
+      running.push({ name: service.name, port, url, pid: handle.pid });
+      if (port) {
+        env[`${serviceEnvPrefix(service.name)}_PORT`] = String(port);
+        env[`${serviceEnvPrefix(service.name)}_URL`] = url;
+      }
+    }
+  } catch (error) {
+    await stop();
+    throw markInfraError(error, 'services');
+  }
+
+  return { services: running, env, stop };
+}
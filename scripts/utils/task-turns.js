@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execAsync } from './process-utils.js';
+import { runTaskChecks } from './task-checks.js';
+import { parseAgentLog, findSessionId } from '../parse-agent-log.js';
+import { isQuestion, answerQuestion } from './user-simulator.js';
+
+export const TURN_CONDITIONS = [
+  'fileExists',
+  'fileMissing',
+  'messageMatches',
+  'checkPassed',
+  'checkFailed',
+  'commandSucceeds',
+  'commandFails',
+];
+
+const CONDITION_COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * Load the follow-up turns declared in task.json.
+ *
+ * Each entry is a prompt file name, or { prompt, when } where `when` holds
+ * conditions that must all hold for the turn to be sent:
+ *
+ *   "turns": [
+ *     "prompt-2.txt",
+ *     { "prompt": "prompt-3.txt", "when": { "checkFailed": "mobile-layout" } }
+ *   ]
+ *
+ * @param {string} taskPath - Task folder holding the prompt files
+ * @param {Array} turnsConfig - `turns` from task.json
+ * @returns {Promise<Object[]>} Turns: { turn, promptFile, prompt, when }, numbered from 2
+ * @throws {Error} If an entry is malformed or its prompt file is missing
+ */
+export async function loadTaskTurns(taskPath, turnsConfig) {
+  if (turnsConfig === undefined) return [];
+  if (!Array.isArray(turnsConfig)) {
+    throw new Error('"turns" must be an array');
+  }
+
+  const turns = [];
+  for (const [index, entry] of turnsConfig.entries()) {
+    const { prompt: promptFile, when = null } = typeof entry === 'string' ? { prompt: entry } : (entry || {});
+    if (typeof promptFile !== 'string' || !promptFile) {
+      throw new Error(`turns[${index}] must name a prompt file`);
+    }
+    if (when !== null) {
+      if (typeof when !== 'object' || Array.isArray(when)) {
+        throw new Error(`turns[${index}].when must be an object`);
+      }
+      const unknown = Object.keys(when).filter(key => !TURN_CONDITIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`turns[${index}].when has unknown condition '${unknown[0]}' (expected one of ${TURN_CONDITIONS.join(', ')})`);
+      }
+    }
+
+    const prompt = await fs.readFile(path.join(taskPath, promptFile), 'utf-8');
+    turns.push({ turn: index + 2, promptFile, prompt, when });
+  }
+  return turns;
+}
+
+async function commandSucceeds(command, workspaceDir) {
+  try {
+    await execAsync(command, { cwd: workspaceDir, timeout: CONDITION_COMMAND_TIMEOUT_MS });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decide whether a follow-up turn should be sent. All conditions must hold.
+ *
+ * @param {Object|null} when - Conditions from the turn definition
+ * @param {Object} context
+ * @param {string} context.workspaceDir - Workspace after the previous turn
+ * @param {string} [context.taskPath] - Task folder (for checks.js)
+ * @param {string} [context.lastMessage] - Final assistant message of the previous turn
+ * @param {Object} [context.task] - Enriched task, for the ctx of module checks
+ * @returns {Promise<{ met: boolean, reason: string|null }>} `reason` names the first unmet condition
+ */
+export async function evaluateTurnCondition(when, { workspaceDir, taskPath, lastMessage = '', task = null }) {
+  if (!when) return { met: true, reason: null };
+
+  let checks;
+  const getCheck = async (name) => {
+    if (checks === undefined) {
+      checks = (taskPath && await runTaskChecks(taskPath, workspaceDir, {}, { task })) || [];
+    }
+    return checks.find(c => c.name === name);
+  };
+
+  for (const [condition, value] of Object.entries(when)) {
+    let met;
+    switch (condition) {
+      case 'fileExists':
+        met = await fileExists(path.join(workspaceDir, value));
+        break;
+      case 'fileMissing':
+        met = !(await fileExists(path.join(workspaceDir, value)));
+        break;
+      case 'messageMatches':
+        met = new RegExp(value, 'i').test(lastMessage);
+        break;
+      case 'checkPassed':
+        met = (await getCheck(value))?.passed === true;
+        break;
+      case 'checkFailed':
+        met = (await getCheck(value))?.passed === false;
+        break;
+      case 'commandSucceeds':
+        met = await commandSucceeds(value, workspaceDir);
+        break;
+      case 'commandFails':
+        met = !(await commandSucceeds(value, workspaceDir));
+        break;
+    }
+    if (!met) {
+      return { met: false, reason: `${condition}: ${value}` };
+    }
+  }
+  return { met: true, reason: null };
+}
+
+/**
+ * Final assistant message in an agent log, or '' if there is none.
+ */
+export function lastAssistantMessage(output) {
+  const texts = parseAgentLog(output).filter(e => e.type === 'assistant_text');
+  return texts.length > 0 ? texts[texts.length - 1].text : '';
+}
+
+/**
+ * Line written to output.jsonl before each turn so the log parser and the
+ * conversation viewer can split the transcript per turn.
+ */
+export function formatTurnMarker(turn) {
+  return JSON.stringify({ type: 'eval_turn', ...turn }) + '\n';
+}
+
+async function readOutput(outputPath) {
+  try {
+    return await fs.readFile(outputPath, 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Run the initial prompt and each follow-up turn, resuming the agent's
+ * session between turns.
+ *
+ * Handlers write output.jsonl per invocation; this collects every turn's
+ * output (with a marker line before each turn) into one output.jsonl, and
+ * records what happened per turn in turns.json.
+ *
+ * With a user simulator, a turn that ends in a question is answered by the
+ * simulator in an extra turn (`source: 'simulator'`) before the next
+ * scripted turn, up to the simulator's maxInterventions.
+ *
+ * @param {Object} task - Enriched task with `turns` from loadTaskTurns() and
+ *   `userSimulator` from loadUserSimulator()
+ * @param {Function} runHandler - Agent handler: (task, onActivity, signal)
+ * @param {Object} [options]
+ * @param {Function} [options.onActivity] - Activity callback
+ * @param {AbortSignal} [options.signal] - Abort signal passed to the handler
+ */
+export async function runTurns(task, runHandler, { onActivity, signal } = {}) {
+  const outputPath = path.join(task.taskInfoFolder, 'output.jsonl');
+  const simulator = task.userSimulator || null;
+  const pending = [{ promptFile: 'prompt.txt', prompt: task.prompt, when: null }, ...(task.turns || [])];
+  const records = [];
+  let transcript = '';
+  let hasOutput = false;
+  let sessionId = null;
+  let lastOutput = '';
+  let turn = 0;
+  let interventions = 0;
+
+  // The question is already in the transcript, so markers only note the source
+  const skip = ({ question, ...marker }) => {
+    records.push({ ...marker, ...(question ? { question } : {}), skipped: true });
+    transcript += formatTurnMarker({ ...marker, skipped: true });
+  };
+
+  try {
+    while (pending.length > 0) {
+      if (signal?.aborted) break;
+      const { promptFile, prompt, when, source, question } = pending.shift();
+      turn++;
+      const origin = source ? { source, question } : {};
+
+      if (turn > 1) {
+        const { met, reason } = await evaluateTurnCondition(when, {
+          workspaceDir: task.workspaceDir,
+          taskPath: task.taskPath,
+          lastMessage: lastAssistantMessage(lastOutput),
+          task,
+        });
+        const skipReason = !met ? `condition not met (${reason})` : (!sessionId ? 'no session id to resume' : null);
+        if (skipReason) {
+          skip({ turn, promptFile, ...origin, reason: skipReason });
+          continue;
+        }
+        if (onActivity) onActivity(source ? `turn ${turn}: simulated user answer` : `turn ${turn}: ${promptFile}`);
+      }
+
+      transcript += formatTurnMarker({ turn, promptFile, prompt, ...(source ? { source } : {}) });
+      // A handler that fails before writing must not leave the previous turn's output behind
+      await fs.rm(outputPath, { force: true });
+
+      const startedAt = new Date().toISOString();
+      const start = Date.now();
+      let turnError = null;
+      try {
+        await runHandler({ ...task, prompt, turn, sessionId }, onActivity, signal);
+      } catch (error) {
+        turnError = error;
+      }
+
+      lastOutput = await readOutput(outputPath);
+      if (lastOutput.trim()) {
+        hasOutput = true;
+        transcript += lastOutput.endsWith('\n') ? lastOutput : `${lastOutput}\n`;
+      }
+      sessionId = findSessionId(lastOutput) || sessionId;
+      records.push({
+        turn,
+        promptFile,
+        ...origin,
+        ...(source ? { answer: prompt } : {}),
+        skipped: false,
+        startedAt,
+        durationMs: Date.now() - start,
+        error: turnError ? turnError.message : null,
+      });
+
+      if (turnError) throw turnError;
+
+      const message = lastAssistantMessage(lastOutput);
+      if (!simulator || !isQuestion(message, simulator)) continue;
+
+      const simulated = { promptFile: null, source: 'simulator', question: message };
+      if (interventions >= simulator.maxInterventions) {
+        skip({ turn: ++turn, ...simulated, reason: `simulator limit of ${simulator.maxInterventions} answers reached` });
+        continue;
+      }
+      const answer = await answerQuestion(simulator, {
+        message,
+        intervention: interventions + 1,
+        turn,
+        workspaceDir: task.workspaceDir,
+        taskPath: task.taskPath,
+      });
+      if (!answer) {
+        skip({ turn: ++turn, ...simulated, reason: 'simulator has no answer' });
+        continue;
+      }
+      interventions++;
+      pending.unshift({ ...simulated, prompt: answer, when: null });
+    }
+  } finally {
+    // Leave output.jsonl empty when the agent never produced anything, so a
+    // startup crash is still recognised as one
+    await fs.writeFile(outputPath, hasOutput ? transcript : '', 'utf-8');
+    await fs.writeFile(path.join(task.taskInfoFolder, 'turns.json'), JSON.stringify(records, null, 2), 'utf-8');
+  }
+}
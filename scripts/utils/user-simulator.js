@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_MAX_INTERVENTIONS = 3;
+
+/**
+ * Load the user simulator declared in task.json as `userSimulator`.
+ *
+ * The simulator answers when the agent ends a turn with a question. It is
+ * either a rule file (.json) of canned answers keyed by regex:
+ *
+ *   {
+ *     "rules": [{ "match": "dark (mode|variant)", "answer": "Yes, add a dark variant." }],
+ *     "fallback": "Use your best judgement.",
+ *     "maxInterventions": 2
+ *   }
+ *
+ * or a script (.js) whose default export returns the answer:
+ *
+ *   export default async function respond({ message, intervention, workspaceDir }) { ... }
+ *
+ * `userSimulator` is the file name relative to the task folder, or
+ * { path, maxInterventions } to cap the answers for a script.
+ *
+ * @param {string} taskPath - Task folder
+ * @param {string|Object} [config] - `userSimulator` from task.json
+ * @returns {Promise<Object|null>} { path, type, rules, fallback, questionPattern, maxInterventions }, or null if not configured
+ * @throws {Error} If the config or rule file is malformed, or the file is missing
+ */
+export async function loadUserSimulator(taskPath, config) {
+  if (config === undefined || config === null) return null;
+
+  const { path: file, maxInterventions } = typeof config === 'string' ? { path: config } : config;
+  if (typeof file !== 'string' || !file) {
+    throw new Error('"userSimulator" must name a .json rule file or a .js script');
+  }
+
+  const simulatorPath = path.resolve(taskPath, file);
+  const simulator = {
+    path: simulatorPath,
+    type: simulatorPath.endsWith('.js') ? 'script' : 'rules',
+    rules: [],
+    fallback: null,
+    questionPattern: null,
+    maxInterventions: maxInterventions ?? DEFAULT_MAX_INTERVENTIONS,
+  };
+
+  if (simulator.type === 'script') {
+    await fs.access(simulatorPath);
+  } else {
+    const ruleFile = JSON.parse(await fs.readFile(simulatorPath, 'utf-8'));
+    if (!Array.isArray(ruleFile.rules)) {
+      throw new Error(`User simulator ${file} must have a "rules" array`);
+    }
+    for (const [index, rule] of ruleFile.rules.entries()) {
+      if (typeof rule?.match !== 'string' || typeof rule.answer !== 'string') {
+        throw new Error(`User simulator ${file}: rules[${index}] needs "match" and "answer" strings`);
+      }
+      // Fail on a bad regex now rather than mid-run
+      new RegExp(rule.match, 'i');
+    }
+    if (ruleFile.questionPattern) new RegExp(ruleFile.questionPattern, 'i');
+
+    simulator.rules = ruleFile.rules;
+    simulator.fallback = ruleFile.fallback ?? null;
+    simulator.questionPattern = ruleFile.questionPattern ?? null;
+    simulator.maxInterventions = maxInterventions ?? ruleFile.maxInterventions ?? DEFAULT_MAX_INTERVENTIONS;
+  }
+
+  if (!Number.isInteger(simulator.maxInterventions) || simulator.maxInterventions < 0) {
+    throw new Error(`User simulator ${file}: maxInterventions must be a non-negative integer`);
+  }
+  return simulator;
+}
+
+/**
+ * Whether the agent's final message asks the user something: its last
+ * paragraph has a line ending in a question mark, or it matches the rule
+ * file's `questionPattern`.
+ */
+export function isQuestion(message, simulator = {}) {
+  const text = (message || '').trim();
+  if (!text) return false;
+  if (simulator.questionPattern) {
+    return new RegExp(simulator.questionPattern, 'i').test(text);
+  }
+  const lastParagraph = text.split(/\n\s*\n/).pop();
+  return /\?[\s"'`*_)]*$/m.test(lastParagraph);
+}
+
+/**
+ * Answer the agent's question as the simulated user.
+ *
+ * @param {Object} simulator - From loadUserSimulator()
+ * @param {Object} context - { message, intervention, turn, workspaceDir, taskPath }
+ * @returns {Promise<string|null>} The answer, or null if the simulator has none
+ */
+export async function answerQuestion(simulator, context) {
+  if (simulator.type === 'script') {
+    const mod = await import(pathToFileURL(simulator.path).href);
+    if (typeof mod.default !== 'function') {
+      throw new Error(`User simulator script must export a default function (${simulator.path})`);
+    }
+    const answer = await mod.default(context);
+    return typeof answer === 'string' && answer.trim() ? answer : null;
+  }
+
+  const rule = simulator.rules.find(r => new RegExp(r.match, 'i').test(context.message));
+  return rule ? rule.answer : simulator.fallback;
+}
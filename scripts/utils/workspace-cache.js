@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+export const CACHE_KINDS = ['repos', 'node_modules'];
+
+function hashKey(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part).update('\0');
+  return hash.digest('hex').slice(0, 16);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readMeta(entryDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(entryDir, 'meta.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+async function touchEntry(entryDir) {
+  const meta = { ...(await readMeta(entryDir)), lastUsedAt: new Date().toISOString() };
+  await fs.writeFile(path.join(entryDir, 'meta.json'), JSON.stringify(meta, null, 2), 'utf-8');
+}
+
+/**
+ * Publish a fully written temp entry under its key. Another batch may have
+ * published the same key meanwhile; its entry is as good as ours.
+ */
+async function publishEntry(tempDir, entryDir) {
+  try {
+    await fs.rename(tempDir, entryDir);
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    if (!['EEXIST', 'ENOTEMPTY'].includes(error.code)) throw error;
+  }
+}
+
+function tempDirFor(entryDir) {
+  return `${entryDir}.tmp-${process.pid}-${Date.now()}`;
+}
+
+/**
+ * Bring the cached bare repository for cloneUrl up to date, creating it on
+ * first use. Later calls only fetch what changed. Branches and tags are
+ * mirrored; a commit that is on neither is fetched by hash.
+ *
+ * @param {string} cacheDir - Cache root
+ * @param {string} cloneUrl - Remote to mirror
+ * @param {Object} [options]
+ * @param {string} [options.commit] - Commit that must be present afterwards
+ * @returns {Promise<string>} Path to the bare repository
+ */
+export async function syncCachedRepo(cacheDir, cloneUrl, { commit } = {}) {
+  const repoDir = path.join(cacheDir, 'repos', hashKey(cloneUrl));
+
+  if (await exists(repoDir)) {
+    execFileSync('git', ['fetch', '--quiet', '--prune', '--tags', 'origin'], { cwd: repoDir, stdio: 'pipe' });
+  } else {
+    const tempDir = tempDirFor(repoDir);
+    await fs.mkdir(path.dirname(repoDir), { recursive: true });
+    try {
+      execFileSync('git', ['clone', '--quiet', '--bare', cloneUrl, tempDir], { stdio: 'pipe' });
+      execFileSync('git', ['config', 'remote.origin.fetch', '+refs/heads/*:refs/heads/*'], { cwd: tempDir, stdio: 'pipe' });
+      await fs.writeFile(path.join(tempDir, 'meta.json'), JSON.stringify({
+        kind: 'repos', source: cloneUrl, createdAt: new Date().toISOString(),
+      }, null, 2), 'utf-8');
+    } catch (error) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+    await publishEntry(tempDir, repoDir);
+  }
+
+  if (commit) {
+    try {
+      execFileSync('git', ['cat-file', '-e', `${commit}^{commit}`], { cwd: repoDir, stdio: 'pipe' });
+    } catch {
+      execFileSync('git', ['fetch', '--quiet', 'origin', commit], { cwd: repoDir, stdio: 'pipe' });
+    }
+  }
+
+  await touchEntry(repoDir);
+  return repoDir;
+}
+
+/**
+ * Clone cloneUrl at ref into targetDir from the cache instead of the network.
+ * Git hardlinks objects for local clones, so this costs little disk; the
+ * clone's origin is pointed back at cloneUrl so branches push upstream.
+ *
+ * @param {string} cacheDir - Cache root
+ * @param {string} cloneUrl - Remote the clone stands in for
+ * @param {string} targetDir - Clone destination
+ * @param {Object} options - { branch, isCommitHash } as for cloneRepository()
+ */
+export async function cloneFromCache(cacheDir, cloneUrl, targetDir, { branch, isCommitHash = false } = {}) {
+  const repoDir = await syncCachedRepo(cacheDir, cloneUrl, { commit: isCommitHash ? branch : undefined });
+  const branchArgs = branch && !isCommitHash ? ['--branch', branch] : [];
+  execFileSync('git', ['clone', '--quiet', ...branchArgs, repoDir, targetDir], { stdio: 'pipe' });
+  if (isCommitHash) {
+    execFileSync('git', ['checkout', '--quiet', branch], { cwd: targetDir, stdio: 'pipe' });
+  }
+  execFileSync('git', ['remote', 'set-url', 'origin', cloneUrl], { cwd: targetDir, stdio: 'pipe' });
+}
+
+/**
+ * Cache key for a workspace's installed dependencies: the lockfile plus the
+ * Node ABI and platform, since native modules are built for both.
+ *
+ * @param {string} workspaceDir - Workspace with package.json
+ * @returns {Promise<string|null>} Key, or null without a package-lock.json
+ */
+export async function nodeModulesKey(workspaceDir) {
+  let lockfile;
+  try {
+    lockfile = await fs.readFile(path.join(workspaceDir, 'package-lock.json'), 'utf-8');
+  } catch {
+    return null;
+  }
+  return hashKey(lockfile, process.versions.modules, process.platform, process.arch);
+}
+
+// Copy-on-write where the filesystem supports it (APFS, btrfs, XFS), a plain copy elsewhere
+async function copyTree(src, dest) {
+  await fs.cp(src, dest, { recursive: true, verbatimSymlinks: true, mode: fs.constants.COPYFILE_FICLONE });
+}
+
+/**
+ * Put a copy of the cached node_modules for key into the workspace. It is
+ * never linked: the agent can edit node_modules, and the edits must not
+ * reach later batches through the cache.
+ *
+ * @param {string} cacheDir - Cache root
+ * @param {string} key - From nodeModulesKey()
+ * @param {string} workspaceDir - Workspace to install into
+ * @returns {Promise<boolean>} Whether the cache had an entry
+ */
+export async function restoreNodeModules(cacheDir, key, workspaceDir) {
+  const entryDir = path.join(cacheDir, 'node_modules', key);
+  if (!(await exists(path.join(entryDir, 'node_modules')))) return false;
+
+  const target = path.join(workspaceDir, 'node_modules');
+  await fs.rm(target, { recursive: true, force: true });
+  await copyTree(path.join(entryDir, 'node_modules'), target);
+  await touchEntry(entryDir);
+  return true;
+}
+
+/**
+ * Store a workspace's freshly installed node_modules under key.
+ *
+ * @param {string} cacheDir - Cache root
+ * @param {string} key - From nodeModulesKey()
+ * @param {string} workspaceDir - Workspace after `npm ci`
+ * @param {Object} [meta] - Extra fields for meta.json (e.g. source)
+ */
+export async function saveNodeModules(cacheDir, key, workspaceDir, meta = {}) {
+  const entryDir = path.join(cacheDir, 'node_modules', key);
+  if (await exists(entryDir)) return;
+
+  const tempDir = tempDirFor(entryDir);
+  try {
+    await copyTree(path.join(workspaceDir, 'node_modules'), path.join(tempDir, 'node_modules'));
+    await fs.writeFile(path.join(tempDir, 'meta.json'), JSON.stringify({
+      kind: 'node_modules', ...meta, createdAt: new Date().toISOString(), lastUsedAt: new Date().toISOString(),
+    }, null, 2), 'utf-8');
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+  await publishEntry(tempDir, entryDir);
+}
+
+async function diskUsage(dir, seen = new Set()) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await diskUsage(entryPath, seen);
+    } else if (entry.isFile()) {
+      const stat = await fs.lstat(entryPath);
+      // Hardlinked files are only counted once
+      if (seen.has(stat.ino)) continue;
+      seen.add(stat.ino);
+      total += stat.size;
+    }
+  }
+  return total;
+}
+
+/**
+ * List cache entries, least recently used first.
+ *
+ * @param {string} cacheDir - Cache root
+ * @returns {Promise<Object[]>} Entries: { kind, key, path, source, createdAt, lastUsedAt, sizeBytes }
+ */
+export async function listCacheEntries(cacheDir) {
+  const entries = [];
+  for (const kind of CACHE_KINDS) {
+    let names;
+    try {
+      names = await fs.readdir(path.join(cacheDir, kind));
+    } catch {
+      continue;
+    }
+    for (const key of names) {
+      // Half-written entries of a batch that was killed
+      if (key.includes('.tmp-')) continue;
+      const entryPath = path.join(cacheDir, kind, key);
+      const meta = await readMeta(entryPath);
+      entries.push({
+        kind,
+        key,
+        path: entryPath,
+        source: meta.source || null,
+        createdAt: meta.createdAt || null,
+        lastUsedAt: meta.lastUsedAt || meta.createdAt || null,
+        sizeBytes: await diskUsage(entryPath),
+      });
+    }
+  }
+  return entries.sort((a, b) => (a.lastUsedAt || '').localeCompare(b.lastUsedAt || ''));
+}
+
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+/**
+ * Remove cache entries not used within olderThanMs (or all of them), plus
+ * temp directories left behind by interrupted batches.
+ *
+ * @param {string} cacheDir - Cache root
+ * @param {Object} options
+ * @param {number} [options.olderThanMs] - Age since last use above which an entry is removed
+ * @param {boolean} [options.all=false] - Remove every entry
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed
+ * @returns {Promise<Object[]>} Removed (or, with dryRun, removable) entries
+ */
+export async function pruneCache(cacheDir, { olderThanMs, all = false, dryRun = false } = {}) {
+  const cutoff = Date.now() - (olderThanMs ?? 0);
+  const removable = (await listCacheEntries(cacheDir))
+    .filter(e => all || !e.lastUsedAt || Date.parse(e.lastUsedAt) < cutoff);
+
+  if (!dryRun) {
+    for (const entry of removable) {
+      await fs.rm(entry.path, { recursive: true, force: true });
+    }
+    for (const kind of CACHE_KINDS) {
+      const names = await fs.readdir(path.join(cacheDir, kind)).catch(() => []);
+      for (const name of names.filter(n => n.includes('.tmp-'))) {
+        const tempDir = path.join(cacheDir, kind, name);
+        // A batch running right now may still be writing it
+        const { mtimeMs } = await fs.stat(tempDir);
+        if (Date.now() - mtimeMs > STALE_TEMP_MS) await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+  return removable;
+}
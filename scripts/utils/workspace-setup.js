@@ -1,13 +1,15 @@
 import os from 'os';
 import path from 'path';
 import fs from 'fs/promises';
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { copyDirectoryRecursive, ensureDir, cleanupDir } from './fs-utils.js';
-import { cloneRepository, addWorktree } from './git-utils.js';
+import { cloneRepository, addWorktree, extractSnapshot } from './git-utils.js';
 import { downloadFromGitHub } from './github-utils.js';
 import { sanitizeName } from './string-utils.js';
+import { getAgentConfig } from './env-config.js';
 import { createAskpassScript, configureGitIdentity } from './agent-launch.js';
+import { renderTemplate, templateVars } from './augmentation-templates.js';
 
 const configDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config');
 
@@ -50,16 +52,102 @@ export function parseGitHubStartFrom(startFrom) {
   };
 }
 
-export async function cloneStartFromIntoWorkspace(startFrom, workspaceDir) {
-  const { cloneUrl, ref, isCommitHash } = parseGitHubStartFrom(startFrom);
+const START_FROM_FORMATS = 'a git URL, a local repository, a .bundle file or a .tar.gz snapshot';
+
+function splitRef(value) {
+  const index = value.lastIndexOf('#');
+  return index === -1 ? [value, null] : [value.slice(0, index), value.slice(index + 1) || null];
+}
+
+/**
+ * Parse any supported startFrom:
+ *
+ *   https://github.com/org/repo/tree/branch      GitHub (ref defaults to main)
+ *   https://gitlab.example.com/org/repo.git#v2   any git URL, ref after #
+ *   git@host:org/repo.git#main                   scp-style SSH remotes
+ *   file:///srv/repos/site#main, ../site         local repositories
+ *   ./fixtures/site.bundle#main                  git bundles
+ *   ./fixtures/site.tar.gz                       snapshots, committed on extraction
+ *
+ * Without a ref, non-GitHub sources clone their default branch. Relative
+ * paths resolve against baseDir (the task folder).
+ *
+ * @param {string} startFrom - `startFrom` from task.json
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Folder relative paths resolve against (default: cwd)
+ * @returns {{ type: string, cloneUrl: string, ref: string|null, isCommitHash: boolean, local: boolean }}
+ *   `type` is git, bundle or tarball; `local` sources have no remote to push branches to
+ * @throws {Error} If startFrom is missing or not in a supported form
+ */
+export function parseStartFrom(startFrom, { baseDir = process.cwd() } = {}) {
+  if (!startFrom) {
+    throw new Error('startFrom is required');
+  }
+
+  if (/^https?:\/\/([^/]+\.)?github\.com\//.test(startFrom) && !startFrom.includes('#')) {
+    return { type: 'git', ...parseGitHubStartFrom(startFrom), local: false };
+  }
+
+  const [location, ref] = splitRef(startFrom);
+  const hasScheme = /^[a-z][\w+.-]*:\/\//i.test(location);
+  const isPath = location.startsWith('file://') || path.isAbsolute(location)
+    || /^\.\.?\//.test(location) || (!hasScheme && /\.(bundle|tar\.gz|tgz|tar)$/.test(location));
+
+  if (!isPath) {
+    const isRemote = /^(https?|ssh|git):\/\/[^/]+\/.+/.test(location) || /^[\w.-]+@[\w.-]+:.+/.test(location);
+    if (!isRemote) {
+      throw new Error(`startFrom must be ${START_FROM_FORMATS}`);
+    }
+    if (/\.(tar\.gz|tgz|tar)$/.test(location)) {
+      throw new Error(`startFrom ${location} is a remote snapshot; snapshots must be local files`);
+    }
+    return { type: 'git', cloneUrl: location, ref, isCommitHash: Boolean(ref && isCommitHash(ref)), local: false };
+  }
+
+  let filePath;
+  try {
+    filePath = location.startsWith('file://') ? fileURLToPath(location) : path.resolve(baseDir, location);
+  } catch {
+    throw new Error(`startFrom must be ${START_FROM_FORMATS}`);
+  }
+
+  if (/\.(tar\.gz|tgz|tar)$/.test(filePath)) {
+    if (ref) {
+      throw new Error(`startFrom ${location} is a snapshot and has no refs to check out`);
+    }
+    return { type: 'tarball', cloneUrl: filePath, ref: null, isCommitHash: false, local: true };
+  }
+  if (filePath.endsWith('.bundle')) {
+    return { type: 'bundle', cloneUrl: filePath, ref, isCommitHash: Boolean(ref && isCommitHash(ref)), local: true };
+  }
+  // file:// keeps shallow clones shallow; plain paths make git ignore --depth
+  return {
+    type: 'git', cloneUrl: pathToFileURL(filePath).href, ref, isCommitHash: Boolean(ref && isCommitHash(ref)), local: true,
+  };
+}
+
+function fetchStartFrom(source, targetDir) {
+  if (source.type === 'tarball') {
+    extractSnapshot(source.cloneUrl, targetDir);
+  } else {
+    cloneRepository(source.cloneUrl, targetDir, { branch: source.ref, isCommitHash: source.isCommitHash });
+  }
+}
+
+export async function cloneStartFromIntoWorkspace(startFrom, workspaceDir, { baseDir } = {}) {
+  const source = parseStartFrom(startFrom, { baseDir });
+  const { ref, isCommitHash } = source;
 
   const tempDir = path.join(os.tmpdir(), `clone-${Date.now()}`);
   try {
-    cloneRepository(cloneUrl, tempDir, { branch: ref, isCommitHash });
+    fetchStartFrom(source, tempDir);
   } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
     throw new Error(
       `Failed to clone repository from ${startFrom}.\n` +
-      `Make sure the repository exists, you have access, and the ${isCommitHash ? 'commit' : 'branch'} '${ref}' exists.\n` +
+      (ref
+        ? `Make sure the repository exists, you have access, and the ${isCommitHash ? 'commit' : 'branch'} '${ref}' exists.\n`
+        : 'Make sure the repository exists and you have access.\n') +
       `Error: ${error.message}`
     );
   }
@@ -76,11 +164,19 @@ export async function cloneStartFromIntoWorkspace(startFrom, workspaceDir) {
   await fs.rm(tempDir, { recursive: true, force: true });
 }
 
-export async function copyAgentConfig(agent, workspaceDir) {
+/**
+ * Copy the agent's config files from config/ into the workspace.
+ *
+ * @param {string} agent - Base agent name
+ * @param {string} workspaceDir - Workspace path
+ * @param {Object} [options]
+ * @param {string} [options.systemPromptFile] - Replaces cursor's system prompt (from an agent profile)
+ */
+export async function copyAgentConfig(agent, workspaceDir, options = {}) {
   const copies = {
     claude: [],
     cursor: [
-      { src: 'cursor-system-prompt.md', dest: '.cursor/rules/system-prompt.md' },
+      { src: options.systemPromptFile || 'cursor-system-prompt.md', dest: '.cursor/rules/system-prompt.md' },
     ],
     codex: [
       { src: 'codex-config.toml', dest: '.codex/config.toml' },
@@ -89,7 +185,7 @@ export async function copyAgentConfig(agent, workspaceDir) {
 
   const filesToCopy = copies[agent] || [];
   for (const { src, dest } of filesToCopy) {
-    const srcPath = path.join(configDir, src);
+    const srcPath = path.resolve(configDir, src);
     try {
       await fs.access(srcPath);
       const destPath = path.join(workspaceDir, dest);
@@ -101,7 +197,11 @@ export async function copyAgentConfig(agent, workspaceDir) {
   }
 }
 
-async function resolveAugmentationSource(augSource, taskPath) {
+/**
+ * Resolve a local augmentation source: absolute paths as they are, relative
+ * ones against the task folder when the file exists there, else the cwd.
+ */
+export async function resolveAugmentationSource(augSource, taskPath) {
   if (path.isAbsolute(augSource)) {
     return augSource;
   }
@@ -120,8 +220,8 @@ async function resolveAugmentationSource(augSource, taskPath) {
 }
 
 async function applyFileCopyAugmentation(workspaceDir, aug, taskPath) {
-  const targetPath = path.join(workspaceDir, aug.target);
   const mode = aug.mode || 'merge';
+  const targetPath = resolveAugmentationTarget(workspaceDir, aug, mode);
 
   if (aug.source.startsWith('http://') || aug.source.startsWith('https://')) {
     if (aug.source.includes('github.com')) {
@@ -152,6 +252,164 @@ async function applyFileCopyAugmentation(workspaceDir, aug, taskPath) {
   }
 }
 
+export const AUGMENTATION_MODES = ['merge', 'replace', 'patch', 'delete', 'append', 'prepend'];
+
+// Modes that read the source as text and change an existing workspace file
+const TEXT_MODES = ['patch', 'append', 'prepend'];
+
+// Modes that remove or rewrite their target, which can't be the workspace itself
+export const FILE_TARGET_MODES = ['replace', 'delete', ...TEXT_MODES];
+
+/**
+ * Resolve an augmentation target in the workspace.
+ * @throws {Error} If the target is outside the workspace, or is the workspace itself for one of FILE_TARGET_MODES
+ */
+function resolveAugmentationTarget(workspaceDir, aug, mode) {
+  const root = path.resolve(workspaceDir);
+  const targetPath = path.resolve(root, aug.target);
+  if (targetPath !== root && !targetPath.startsWith(root + path.sep)) {
+    throw new Error(`Augmentation target ${aug.target} is outside the workspace`);
+  }
+  if (targetPath === root && FILE_TARGET_MODES.includes(mode)) {
+    throw new Error(`Augmentation target ${aug.target} is the workspace itself; mode '${mode}' needs a file or folder in it`);
+  }
+  return targetPath;
+}
+
+/**
+ * Read an augmentation source (local path, GitHub file or HTTP URL) as text.
+ */
+async function readAugmentationSource(source, taskPath) {
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    if (source.includes('github.com')) {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aug-source-'));
+      try {
+        await downloadFromGitHub(source, path.join(tempDir, 'source'));
+        return await fs.readFile(path.join(tempDir, 'source'), 'utf-8');
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: ${response.statusText}`);
+    }
+    return response.text();
+  }
+  return fs.readFile(await resolveAugmentationSource(source, taskPath), 'utf-8');
+}
+
+/**
+ * Apply a unified diff to one file. The diff's own file headers are ignored,
+ * so a patch made with `diff -u` or `git diff` works for any target.
+ */
+async function applyPatchToFile(targetPath, patch, source) {
+  const hunks = patch.slice(Math.max(patch.search(/^@@ /m), 0));
+  if (!hunks.startsWith('@@ ')) {
+    throw new Error(`Patch ${source} has no hunks`);
+  }
+  if (/^(diff --git |--- .*\n\+\+\+ )/m.test(hunks)) {
+    throw new Error(`Patch ${source} must change a single file`);
+  }
+
+  // Patch a copy outside the workspace, where git apply can't mistake it for part of a repository
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aug-patch-'));
+  try {
+    await fs.copyFile(targetPath, path.join(tempDir, 'file'));
+    await fs.writeFile(path.join(tempDir, 'change.patch'), `--- a/file\n+++ b/file\n${hunks}`, 'utf-8');
+    try {
+      execFileSync('git', ['apply', '--recount', 'change.patch'], {
+        cwd: tempDir,
+        stdio: 'pipe',
+        env: { ...process.env, GIT_CEILING_DIRECTORIES: path.dirname(tempDir) },
+      });
+    } catch (error) {
+      const detail = (error.stderr?.toString() || error.message).trim();
+      throw new Error(`Patch ${source} does not apply to ${path.basename(targetPath)}: ${detail}`);
+    }
+    await fs.copyFile(path.join(tempDir, 'file'), targetPath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function applyTextAugmentation(workspaceDir, aug, text) {
+  const targetPath = resolveAugmentationTarget(workspaceDir, aug, aug.mode);
+
+  if (aug.mode === 'patch') {
+    try {
+      await fs.access(targetPath);
+    } catch {
+      throw new Error(`Cannot patch ${aug.target}: not found in the workspace`);
+    }
+    await applyPatchToFile(targetPath, text, aug.source);
+    return;
+  }
+
+  let existing = '';
+  try {
+    existing = await fs.readFile(targetPath, 'utf-8');
+  } catch {
+    // append/prepend to a missing file creates it
+  }
+  const joined = aug.mode === 'append'
+    ? existing + (existing && !existing.endsWith('\n') ? '\n' : '') + text
+    : text + (text && existing && !text.endsWith('\n') ? '\n' : '') + existing;
+  await ensureDir(path.dirname(targetPath));
+  await fs.writeFile(targetPath, joined, 'utf-8');
+}
+
+async function deleteAugmentationTarget(workspaceDir, aug) {
+  const targetPath = resolveAugmentationTarget(workspaceDir, aug, 'delete');
+  try {
+    await fs.access(targetPath);
+  } catch {
+    throw new Error(`Cannot delete ${aug.target}: not found in the workspace`);
+  }
+  await fs.rm(targetPath, { recursive: true, force: true });
+}
+
+/**
+ * Apply one file augmentation entry according to its mode.
+ * @returns {Promise<Object|null>} Rendered template ({ target, content, template, vars }), if the entry is one
+ */
+async function applyAugmentationEntry(task, aug) {
+  const mode = aug.mode || 'merge';
+  if (!AUGMENTATION_MODES.includes(mode)) {
+    throw new Error(`Unknown augmentation mode '${mode}' for ${aug.target} (expected ${AUGMENTATION_MODES.join(', ')})`);
+  }
+
+  if (mode === 'delete') {
+    await deleteAugmentationTarget(task.workspaceDir, aug);
+    return null;
+  }
+
+  if (TEXT_MODES.includes(mode)) {
+    const source = await readAugmentationSource(aug.source, task.taskPath);
+    const text = aug.template ? renderTemplate(source, templateVars(task, aug), aug.source) : source;
+    await applyTextAugmentation(task.workspaceDir, { ...aug, mode }, text);
+    return aug.template ? { target: aug.target, content: text, template: source, vars: aug.vars || null } : null;
+  }
+
+  await applyFileCopyAugmentation(task.workspaceDir, aug, task.taskPath);
+  return aug.template ? renderTemplateAugmentation(task, aug) : null;
+}
+
+/**
+ * Render a copied template augmentation in place.
+ * @returns {Promise<{ target: string, content: string, template: string, vars: Object|null }>}
+ */
+async function renderTemplateAugmentation(task, aug) {
+  const targetPath = path.join(task.workspaceDir, aug.target);
+  if ((await fs.stat(targetPath)).isDirectory()) {
+    throw new Error(`Template augmentation ${aug.source} must be a file`);
+  }
+  const template = await fs.readFile(targetPath, 'utf-8');
+  const content = renderTemplate(template, templateVars(task, aug), aug.source);
+  await fs.writeFile(targetPath, content, 'utf-8');
+  return { target: aug.target, content, template, vars: aug.vars || null };
+}
+
 export async function loadScriptedAugmentation(script) {
   if (typeof script.augment === 'function') {
     return script;
@@ -173,22 +431,49 @@ export async function loadScriptedAugmentation(script) {
   return { ...loaded, path: script.path, name: script.name || loaded.name };
 }
 
-export async function applyWorkspaceAugmentations(task) {
+/**
+ * Whether a file augmentation entry applies to the task's agent (or profile).
+ */
+export function augmentationAppliesTo(aug, task) {
+  return !Array.isArray(aug.agents) || aug.agents.length === 0
+    || aug.agents.includes(task.agent) || aug.agents.includes(task.profile);
+}
+
+/**
+ * Apply file augmentations in order — copies (rendering templates), patches,
+ * deletions, appends and prepends — and then scripted augmentations to the
+ * task's workspace.
+ *
+ * @param {Object} task - Enriched task
+ * @param {Object} [options]
+ * @param {string} [options.renderedDir] - Also save rendered templates here, under their target paths
+ * @returns {Promise<Array<{ target: string, content: string, template: string, vars: Object|null }>>} Rendered templates
+ */
+export async function applyWorkspaceAugmentations(task, options = {}) {
+  const rendered = [];
   if (task.augmentations && Array.isArray(task.augmentations)) {
     for (const aug of task.augmentations) {
-      if (Array.isArray(aug.agents) && aug.agents.length > 0 && !aug.agents.includes(task.agent)) {
-        continue;
-      }
-      if (aug.source && aug.target) {
-        await applyFileCopyAugmentation(task.workspaceDir, aug, task.taskPath);
+      if (!augmentationAppliesTo(aug, task)) continue;
+      if (aug.target && (aug.source || aug.mode === 'delete')) {
+        const result = await applyAugmentationEntry(task, aug);
+        if (result) rendered.push(result);
       }
     }
   }
 
+  if (options.renderedDir) {
+    for (const { target, content } of rendered) {
+      const savedPath = path.join(options.renderedDir, target);
+      await ensureDir(path.dirname(savedPath));
+      await fs.writeFile(savedPath, content, 'utf-8');
+    }
+  }
+
   if (task.scriptedAugmentations && Array.isArray(task.scriptedAugmentations)) {
     const context = {
       workspaceDir: task.workspaceDir,
       agent: task.agent,
+      profile: task.profile || null,
       taskName: task.name
     };
     for (const scriptDef of task.scriptedAugmentations) {
@@ -196,11 +481,12 @@ export async function applyWorkspaceAugmentations(task) {
       await script.augment(context);
     }
   }
+  return rendered;
 }
 
-export async function createWorktreeWorkspace(startFrom, workspaceDir, branchName, cloneRegistry, clonesBaseDir) {
-  const { cloneUrl, ref, isCommitHash } = parseGitHubStartFrom(startFrom);
-  const parentRepoPath = await cloneRegistry.getOrCreate(cloneUrl, ref, isCommitHash, clonesBaseDir);
+export async function createWorktreeWorkspace(startFrom, workspaceDir, branchName, cloneRegistry, clonesBaseDir, { baseDir } = {}) {
+  const { type, cloneUrl, ref, isCommitHash, local } = parseStartFrom(startFrom, { baseDir });
+  const parentRepoPath = await cloneRegistry.getOrCreate(cloneUrl, ref, isCommitHash, clonesBaseDir, { type, local });
   addWorktree(parentRepoPath, workspaceDir, branchName);
   return parentRepoPath;
 }
@@ -208,16 +494,20 @@ export async function createWorktreeWorkspace(startFrom, workspaceDir, branchNam
 export async function bootstrapWorkspace(task, options = {}) {
   const { cloneRegistry, clonesBaseDir, branchName } = options;
 
+  const baseDir = task.taskPath;
+  // Branches of local sources stay in the clone; there is no remote to push to
+  task.localStartFrom = parseStartFrom(task.startFrom, { baseDir }).local;
+
   if (cloneRegistry && clonesBaseDir && branchName) {
     // Worktree-based workspace
     const parentRepoPath = await createWorktreeWorkspace(
-      task.startFrom, task.workspaceDir, branchName, cloneRegistry, clonesBaseDir
+      task.startFrom, task.workspaceDir, branchName, cloneRegistry, clonesBaseDir, { baseDir }
     );
     task.parentRepoPath = parentRepoPath;
   } else {
     // Legacy clone-based workspace (used by reconstruct-workspace)
     await ensureDir(task.workspaceDir);
-    await cloneStartFromIntoWorkspace(task.startFrom, task.workspaceDir);
+    await cloneStartFromIntoWorkspace(task.startFrom, task.workspaceDir, { baseDir });
   }
 
   // Set up bot auth before any git operations that might need identity
@@ -225,8 +515,10 @@ export async function bootstrapWorkspace(task, options = {}) {
   await createAskpassScript(task.workspaceDir);
 
   if (options.copyAgentConfig !== false) {
-    await copyAgentConfig(sanitizeName(task.agent), task.workspaceDir);
+    const { systemPromptFile } = task.profile ? getAgentConfig(task.profile) : {};
+    await copyAgentConfig(sanitizeName(task.agent), task.workspaceDir, { systemPromptFile });
   }
 
-  await applyWorkspaceAugmentations(task);
+  const rendered = await applyWorkspaceAugmentations(task, { renderedDir: options.renderedAugmentationsDir });
+  return { rendered };
 }
@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDir } from './fs-utils.js';
+import { execAsync } from './process-utils.js';
+
+export const WORKSPACE_STEP_TYPES = ['write', 'edit', 'read', 'bash'];
+
+function resolveStepPath(workspaceDir, stepPath) {
+  const root = path.resolve(workspaceDir);
+  const filePath = path.join(root, stepPath);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Path ${stepPath} is outside the workspace`);
+  }
+  return filePath;
+}
+
+/**
+ * Apply a tool step (write, edit, read, bash) to a workspace.
+ * Used by the mock agent to replay fixtures and by replay-transcript to
+ * re-apply a recorded run's tool calls.
+ *
+ * Paths are workspace-relative and must stay inside the workspace; bash
+ * commands run with the workspace as cwd. Failures are reported in the
+ * result, the way a real agent sees a failing tool.
+ *
+ * @param {Object} step - { type, path, content, oldString, newString, replaceAll, command, timeoutMs }
+ * @param {string} workspaceDir - Workspace to apply the step to
+ * @returns {Promise<{ ok: boolean, output: string, exitCode?: number, content?: string }>}
+ *   `content` is the file content after a successful write or edit
+ */
+export async function applyWorkspaceStep(step, workspaceDir) {
+  try {
+    const filePath = step.path ? resolveStepPath(workspaceDir, step.path) : null;
+    switch (step.type) {
+      case 'write': {
+        const content = step.content ?? '';
+        await ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, content, 'utf-8');
+        return { ok: true, output: `File created successfully at: ${filePath}`, content };
+      }
+      case 'edit': {
+        const content = await fs.readFile(filePath, 'utf-8');
+        if (!content.includes(step.oldString)) {
+          return { ok: false, output: `String to replace not found in file: ${step.oldString}` };
+        }
+        const updated = step.replaceAll
+          ? content.split(step.oldString).join(step.newString)
+          : content.replace(step.oldString, () => step.newString);
+        await fs.writeFile(filePath, updated, 'utf-8');
+        return { ok: true, output: `The file ${filePath} has been updated.`, content: updated };
+      }
+      case 'read':
+        return { ok: true, output: await fs.readFile(filePath, 'utf-8') };
+      default: {
+        const { stdout, stderr } = await execAsync(step.command, {
+          cwd: workspaceDir,
+          ...(step.timeoutMs ? { timeout: step.timeoutMs } : {}),
+        });
+        return { ok: true, output: `${stdout}${stderr}`, exitCode: 0 };
+      }
+    }
+  } catch (error) {
+    const output = [error.stdout, error.stderr].filter(Boolean).join('') || error.message;
+    return { ok: false, output, exitCode: typeof error.code === 'number' ? error.code : 1 };
+  }
+}
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * Check augmentation files and the augmentations of tasks before a batch
+ * uses them.
+ *
+ * Usage: npm run validate-augmentations -- [augmentation-file ...] [--task <name>] [--no-tasks]
+ *
+ * Files given together are checked as one set, the way run-tasks combines
+ * several --augmentations flags; without files, every file in augmentations/
+ * is checked on its own. Each task's augmentations in task.json are checked
+ * too, combined with the given files.
+ *
+ * Exits with code 1 if any problem or overlapping target is found.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseGitHubUrl } from './utils/github-utils.js';
+import { renderTemplate, templateVars } from './utils/augmentation-templates.js';
+import {
+  AUGMENTATION_MODES,
+  FILE_TARGET_MODES,
+  loadScriptedAugmentation,
+  resolveAugmentationSource,
+} from './utils/workspace-setup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_AUGMENTATIONS_DIR = path.join(__dirname, '..', 'augmentations');
+const DEFAULT_TASKS_DIR = path.join(__dirname, '..', 'tasks');
+
+// Modes that edit whatever an earlier entry left at the target, rather than replacing it
+const LAYERING_MODES = ['patch', 'append', 'prepend'];
+
+function isScriptPath(filePath) {
+  return filePath.endsWith('.js') || filePath.endsWith('.mjs');
+}
+
+function normalizeTarget(target) {
+  return path.posix.normalize(target.replaceAll('\\', '/')).replace(/\/+$/, '');
+}
+
+async function checkTemplate(sourcePath, aug) {
+  // Built-ins get placeholder values: only unknown variables are an error here
+  const vars = Object.fromEntries(Object.entries(templateVars({}, aug)).map(([name, value]) => [name, value ?? name]));
+  renderTemplate(await fs.readFile(sourcePath, 'utf-8'), vars, aug.source);
+}
+
+async function checkSource(aug, mode, taskPath) {
+  const { source } = aug;
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    if (source.includes('github.com')) {
+      const { org, repo, branch, itemPath } = parseGitHubUrl(source);
+      if (!org || !repo || !branch || !itemPath) {
+        throw new Error(`GitHub source ${source} needs an owner, repository, branch and path`);
+      }
+    } else {
+      new URL(source);
+    }
+    return;
+  }
+
+  const sourcePath = await resolveAugmentationSource(source, taskPath);
+  let stats;
+  try {
+    stats = await fs.stat(sourcePath);
+  } catch {
+    const tried = [taskPath && !path.isAbsolute(source) ? path.join(taskPath, source) : null, sourcePath].filter(Boolean);
+    throw new Error(`source not found (tried ${tried.join(', ')})`);
+  }
+  if (stats.isDirectory() && (LAYERING_MODES.includes(mode) || aug.template)) {
+    throw new Error(`source ${source} is a folder; ${aug.template ? 'templates' : `mode '${mode}'`} need a file`);
+  }
+  if (aug.template) await checkTemplate(sourcePath, aug);
+}
+
+/**
+ * Check one file augmentation entry.
+ * @returns {Promise<string[]>} Problems
+ */
+async function checkEntry(aug, taskPath) {
+  if (!aug || typeof aug !== 'object' || Array.isArray(aug)) {
+    return ['must be an object with a "target"'];
+  }
+
+  const problems = [];
+  const mode = aug.mode || 'merge';
+  if (!AUGMENTATION_MODES.includes(mode)) {
+    problems.push(`unknown mode '${mode}' (expected ${AUGMENTATION_MODES.join(', ')})`);
+  }
+  if (typeof aug.target !== 'string' || !aug.target) {
+    problems.push('needs a "target"');
+  } else if (path.isAbsolute(aug.target) || normalizeTarget(aug.target).split('/')[0] === '..') {
+    problems.push(`target ${aug.target} is outside the workspace`);
+  } else if (normalizeTarget(aug.target) === '.' && FILE_TARGET_MODES.includes(mode)) {
+    problems.push(`target ${aug.target} is the workspace itself; mode '${mode}' needs a file or folder in it`);
+  }
+  if (aug.agents !== undefined && !(Array.isArray(aug.agents) && aug.agents.every(a => typeof a === 'string'))) {
+    problems.push('"agents" must be an array of agent or profile names');
+  }
+  if (aug.template !== undefined && typeof aug.template !== 'boolean') {
+    problems.push('"template" must be true or false');
+  }
+  try {
+    templateVars({}, aug);
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  if (mode === 'delete') return problems;
+  if (typeof aug.source !== 'string' || !aug.source) {
+    problems.push('needs a "source"');
+    return problems;
+  }
+  if (problems.length > 0) return problems;
+
+  try {
+    await checkSource(aug, mode, taskPath);
+  } catch (error) {
+    problems.push(error.message);
+  }
+  return problems;
+}
+
+// Local folder an entry copies from, for the overlap check
+async function localSourcePath(aug, taskPath) {
+  if (typeof aug.source !== 'string' || !aug.source || /^https?:\/\//.test(aug.source)) return null;
+  const sourcePath = await resolveAugmentationSource(aug.source, taskPath);
+  try {
+    return (await fs.stat(sourcePath)).isDirectory() ? sourcePath : null;
+  } catch {
+    return null;
+  }
+}
+
+function describeEntry(index, aug) {
+  return `augmentations[${index}]${typeof aug?.target === 'string' ? ` (${aug.target})` : ''}`;
+}
+
+/**
+ * Entry as the overlap check sees it: where it comes from, target, mode,
+ * agents and the local folder it copies from.
+ */
+async function overlapEntry(aug, file, index, taskPath) {
+  return {
+    file,
+    where: `${file} ${describeEntry(index, aug)}`,
+    target: aug.target,
+    mode: aug.mode || 'merge',
+    agents: aug.agents,
+    sourcePath: await localSourcePath(aug, taskPath),
+  };
+}
+
+/**
+ * Check an augmentation file: a scripted augmentation (.js/.mjs) must load
+ * and export `{ name, augment }`; a JSON file must hold an array of entries
+ * or `{ name, vars, augmentations }`, and each entry must be complete, with
+ * a source that resolves like it would for the task.
+ *
+ * @param {string} filePath - Augmentation file (relative paths resolve against the cwd)
+ * @param {Object} [options]
+ * @param {string} [options.taskPath] - Task folder local sources are looked up in first
+ * @returns {Promise<{ problems: string[], entries: Object[] }>} Problems, and the file
+ *   entries for the overlap check
+ */
+export async function checkAugmentationFile(filePath, { taskPath = null } = {}) {
+  if (isScriptPath(filePath)) {
+    try {
+      const loaded = await loadScriptedAugmentation({ path: filePath });
+      if (typeof loaded.name !== 'string' || !loaded.name) {
+        return { problems: [`Scripted augmentation must export a "name" (${filePath})`], entries: [] };
+      }
+      return { problems: [], entries: [] };
+    } catch (error) {
+      return { problems: [error.message], entries: [] };
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    return { problems: [`Cannot read ${filePath}: ${error.message}`], entries: [] };
+  }
+
+  const problems = [];
+  let list;
+  let setVars;
+  if (Array.isArray(parsed)) {
+    list = parsed;
+  } else if (parsed && Array.isArray(parsed.augmentations)) {
+    list = parsed.augmentations;
+    setVars = parsed.vars;
+    if (parsed.name !== undefined && typeof parsed.name !== 'string') problems.push('"name" must be a string');
+    if (setVars !== undefined && (typeof setVars !== 'object' || setVars === null || Array.isArray(setVars))) {
+      problems.push('"vars" must be an object');
+      setVars = undefined;
+    }
+  } else {
+    return { problems: ['must contain an array or a {name, augmentations} object'], entries: [] };
+  }
+
+  const entries = [];
+  for (const [index, entry] of list.entries()) {
+    const aug = setVars && entry && typeof entry === 'object' ? { ...entry, vars: { ...setVars, ...entry.vars } } : entry;
+    const where = describeEntry(index, entry);
+    for (const problem of await checkEntry(aug, taskPath)) problems.push(`${where}: ${problem}`);
+    if (typeof aug?.target === 'string') entries.push(await overlapEntry(aug, filePath, index, taskPath));
+  }
+  return { problems, entries };
+}
+
+/**
+ * Check the augmentations of a task.json: inline entries like any other
+ * entry, paths as augmentation files. Entries run-tasks would silently drop
+ * (neither a path nor an entry with a target and source) are reported.
+ *
+ * @returns {Promise<{ problems: string[], entries: Object[], files: string[] }>} Also the
+ *   augmentation files the task refers to
+ */
+export async function checkTaskAugmentations(taskPath) {
+  const taskJsonPath = path.join(taskPath, 'task.json');
+  let taskData;
+  try {
+    taskData = JSON.parse(await fs.readFile(taskJsonPath, 'utf-8'));
+  } catch (error) {
+    return { problems: [`Cannot read ${taskJsonPath}: ${error.message}`], entries: [], files: [] };
+  }
+  if (taskData.augmentations === undefined) return { problems: [], entries: [], files: [] };
+  if (!Array.isArray(taskData.augmentations)) {
+    return { problems: ['"augmentations" must be an array'], entries: [], files: [] };
+  }
+
+  const problems = [];
+  const inline = [];
+  const files = [];
+  for (const [index, entry] of taskData.augmentations.entries()) {
+    if (typeof entry === 'string') {
+      files.push(entry);
+      continue;
+    }
+    const where = describeEntry(index, entry);
+    for (const problem of await checkEntry(entry, taskPath)) problems.push(`${where}: ${problem}`);
+    if (typeof entry?.target === 'string') inline.push(await overlapEntry(entry, taskJsonPath, index, taskPath));
+  }
+
+  const fromFiles = [];
+  for (const file of files) {
+    const result = await checkAugmentationFile(file, { taskPath });
+    problems.push(...result.problems.map(problem => `${file}: ${problem}`));
+    fromFiles.push(...result.entries);
+  }
+  // Same order as findTasks(): inline entries first, then those of referenced files
+  return { problems, entries: [...inline, ...fromFiles], files };
+}
+
+function agentsOverlap(a, b) {
+  const all = list => !Array.isArray(list) || list.length === 0;
+  return all(a) || all(b) || a.some(agent => b.includes(agent));
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a later entry clobbers what an earlier one wrote: the same target,
+ * a folder replaced or deleted around it, or a local folder merged over it
+ * that has the same path (remote folders aren't downloaded to find out).
+ */
+async function clobbers(earlier, later) {
+  const [a, b] = [normalizeTarget(earlier.target), normalizeTarget(later.target)];
+  if (a === b) return true;
+
+  const inside = (inner, outer) => outer === '.' || inner.startsWith(`${outer}/`);
+  const [outer, inner] = inside(b, a) ? [earlier, later] : inside(a, b) ? [later, earlier] : [null, null];
+  if (!outer) return false;
+  if (outer === later && ['replace', 'delete'].includes(later.mode)) return true;
+  if (!outer.sourcePath) return false;
+  const outerTarget = normalizeTarget(outer.target);
+  const rel = outerTarget === '.' ? normalizeTarget(inner.target) : normalizeTarget(inner.target).slice(outerTarget.length + 1);
+  return exists(path.join(outer.sourcePath, rel));
+}
+
+/**
+ * Find entries of different files where the later one overwrites or removes
+ * what the earlier one wrote, for the same agents. A later patch, append or
+ * prepend builds on the earlier content on purpose and doesn't count.
+ *
+ * @param {Array<{ file: string, entries: Object[] }>} groups - File entries in the order they apply
+ * @returns {Promise<Object[]>} Overlaps: { first, second } entries with their `where`
+ */
+export async function findOverlappingTargets(groups) {
+  const overlaps = [];
+  const seen = [];
+  for (const { file, entries } of groups) {
+    for (const entry of entries) {
+      if (LAYERING_MODES.includes(entry.mode)) continue;
+      for (const earlier of seen) {
+        if (earlier.file !== file && agentsOverlap(earlier.entry.agents, entry.agents)
+          && await clobbers(earlier.entry, entry)) {
+          overlaps.push({ first: earlier.entry, second: entry });
+        }
+      }
+    }
+    seen.push(...entries.map(entry => ({ file, entry })));
+  }
+  return overlaps;
+}
+
+async function listAugmentationFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(e => e.isFile() && (e.name.endsWith('.json') || isScriptPath(e.name)))
+      .map(e => path.join(dir, e.name))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+async function listTasks(tasksDir, taskNames) {
+  let entries;
+  try {
+    entries = await fs.readdir(tasksDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.isDirectory() && (taskNames.length === 0 || taskNames.includes(e.name)))
+    .map(e => path.join(tasksDir, e.name))
+    .sort();
+}
+
+/**
+ * Validate augmentation files and task augmentations.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Files used together in one batch; default: each file in augmentationsDir alone
+ * @param {string} [options.augmentationsDir] - Where to find files when none are given
+ * @param {string|null} [options.tasksDir] - Tasks folder, or null to skip tasks
+ * @param {string[]} [options.taskNames] - Only check these tasks (folder names)
+ * @returns {Promise<{ results: Array<{ label: string, problems: string[] }>, overlaps: Object[], ok: boolean }>}
+ */
+export async function validateAugmentations({
+  files = [],
+  augmentationsDir = DEFAULT_AUGMENTATIONS_DIR,
+  tasksDir = DEFAULT_TASKS_DIR,
+  taskNames = [],
+} = {}) {
+  const results = [];
+  const overlaps = [];
+
+  const sets = files.length > 0 ? [files] : (await listAugmentationFiles(augmentationsDir)).map(file => [file]);
+  for (const set of sets) {
+    const groups = [];
+    for (const file of set) {
+      const { problems, entries } = await checkAugmentationFile(file);
+      results.push({ label: file, problems });
+      groups.push({ file, entries });
+    }
+    overlaps.push(...await findOverlappingTargets(groups));
+  }
+
+  const taskPaths = tasksDir ? await listTasks(tasksDir, taskNames) : [];
+  for (const taskPath of taskPaths) {
+    const { problems, entries, files: taskFiles } = await checkTaskAugmentations(taskPath);
+    if (problems.length === 0 && entries.length === 0 && taskFiles.length === 0) continue;
+    results.push({ label: path.join(taskPath, 'task.json'), problems });
+
+    // Entries of the given files, then the task's, as findTasks() combines them
+    const groups = [];
+    for (const file of files) groups.push({ file, entries: (await checkAugmentationFile(file, { taskPath })).entries });
+    for (const entry of entries) {
+      const group = groups.find(g => g.file === entry.file);
+      if (group) group.entries.push(entry);
+      else groups.push({ file: entry.file, entries: [entry] });
+    }
+    for (const overlap of await findOverlappingTargets(groups)) {
+      const isNew = !overlaps.some(o => o.first.where === overlap.first.where && o.second.where === overlap.second.where);
+      if (isNew) overlaps.push(overlap);
+    }
+  }
+
+  const ok = overlaps.length === 0 && results.every(r => r.problems.length === 0);
+  return { results, overlaps, ok };
+}
+
+/**
+ * Format a validateAugmentations() result for the console.
+ */
+export function formatValidationReport({ results, overlaps }) {
+  const cwd = process.cwd();
+  const rel = text => text.replaceAll(`${cwd}${path.sep}`, '');
+  const lines = [];
+  for (const { label, problems } of results) {
+    if (problems.length === 0) {
+      lines.push(`✓ ${rel(label)}`);
+      continue;
+    }
+    lines.push(`✗ ${rel(label)}`);
+    for (const problem of problems) lines.push(`    ${rel(problem)}`);
+  }
+
+  if (overlaps.length > 0) {
+    lines.push('', 'Overlapping targets:');
+    for (const { first, second } of overlaps) {
+      lines.push(`  ${second.target}: ${rel(second.where)} overwrites ${first.target} from ${rel(first.where)}`);
+    }
+  }
+
+  const failed = results.filter(r => r.problems.length > 0);
+  const problemCount = failed.reduce((sum, r) => sum + r.problems.length, 0);
+  lines.push('', `${results.length} checked, ${problemCount} problem(s) in ${failed.length} file(s), ${overlaps.length} overlapping target(s)`);
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const args = { files: [], taskNames: [], tasks: true };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--task') {
+      args.taskNames.push(argv[++i]);
+    } else if (argv[i] === '--no-tasks') {
+      args.tasks = false;
+    } else if (argv[i].startsWith('--')) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: npm run validate-augmentations -- [augmentation-file ...] [--task <name>] [--no-tasks]');
+    process.exit(1);
+  }
+
+  const report = await validateAugmentations({
+    files: args.files,
+    tasksDir: args.tasks ? DEFAULT_TASKS_DIR : null,
+    taskNames: args.taskNames,
+  });
+  console.log(formatValidationReport(report));
+  if (!report.ok) process.exit(1);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
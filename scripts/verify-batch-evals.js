@@ -1,36 +1,61 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { UNEVALUABLE_STATUSES } from './utils/progress-utils.js';
+
+async function loadBatchRunStatuses(targetDir) {
+  try {
+    const batch = JSON.parse(await fs.readFile(path.join(targetDir, 'batch.json'), 'utf-8'));
+    return Array.isArray(batch?.runs) ? batch.runs : null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Scan a batch directory and report which runs are missing eval-result.json.
- * A "run" is a subdirectory containing task.json.
+ * Uses the per-run statuses in batch.json when present; older batches fall
+ * back to treating every subdirectory containing task.json as a run.
+ * Runs that never produced output (infra errors, still pending) are reported
+ * separately and do not count as missing.
  */
 export async function verifyBatchEvals(batchDir) {
   const targetDir = path.resolve(batchDir);
-  const entries = await fs.readdir(targetDir, { withFileTypes: true });
-  const dirs = entries.filter(e => e.isDirectory());
 
   const missingEvals = [];
+  const unevaluableRuns = [];
   let totalRuns = 0;
   let evaluatedCount = 0;
 
-  for (const dir of dirs) {
-    const runDir = path.join(targetDir, dir.name);
-
-    // Only count directories that are actual runs (have task.json)
-    try {
-      await fs.access(path.join(runDir, 'task.json'));
-    } catch {
-      continue;
-    }
-
+  async function checkEval(folderName) {
     totalRuns++;
-
     try {
-      await fs.access(path.join(runDir, 'eval-result.json'));
+      await fs.access(path.join(targetDir, folderName, 'eval-result.json'));
       evaluatedCount++;
     } catch {
-      missingEvals.push(dir.name);
+      missingEvals.push(folderName);
+    }
+  }
+
+  const batchRuns = await loadBatchRunStatuses(targetDir);
+  if (batchRuns) {
+    for (const run of batchRuns) {
+      if (UNEVALUABLE_STATUSES.has(run.status)) {
+        totalRuns++;
+        unevaluableRuns.push({ folderName: run.folderName, status: run.status });
+        continue;
+      }
+      await checkEval(run.folderName);
+    }
+  } else {
+    const entries = await fs.readdir(targetDir, { withFileTypes: true });
+    for (const dir of entries.filter(e => e.isDirectory())) {
+      // Only count directories that are actual runs (have task.json)
+      try {
+        await fs.access(path.join(targetDir, dir.name, 'task.json'));
+      } catch {
+        continue;
+      }
+      await checkEval(dir.name);
     }
   }
 
@@ -38,6 +63,7 @@ export async function verifyBatchEvals(batchDir) {
     totalRuns,
     evaluatedCount,
     missingEvals,
+    unevaluableRuns,
     allEvaluated: missingEvals.length === 0
   };
 }
@@ -57,6 +83,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   console.log(`Total runs: ${result.totalRuns}`);
   console.log(`Evaluated: ${result.evaluatedCount}`);
   console.log(`Missing: ${result.missingEvals.length}`);
+  if (result.unevaluableRuns.length > 0) {
+    console.log(`Not evaluable: ${result.unevaluableRuns.length}`);
+    for (const run of result.unevaluableRuns) {
+      console.log(`  ${run.folderName} [${run.status}]`);
+    }
+  }
 
   if (result.missingEvals.length > 0) {
     console.log('\nMissing eval-result.json:');
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+import { getCacheConfig } from './utils/env-config.js';
+import { listCacheEntries, pruneCache } from './utils/workspace-cache.js';
+
+const DEFAULT_MAX_AGE = '14d';
+const AGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse an age such as `90m`, `12h` or `14d` into milliseconds.
+ * @throws {Error} If the value is not a number followed by m, h or d
+ */
+export function parseAge(value) {
+  const match = String(value).match(/^(\d+)([mhd])$/);
+  if (!match) {
+    throw new Error(`Invalid age '${value}' (expected e.g. 90m, 12h, 14d)`);
+  }
+  return Number(match[1]) * AGE_UNITS[match[2]];
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatEntry(entry) {
+  const lastUsed = entry.lastUsedAt ? entry.lastUsedAt.slice(0, 16).replace('T', ' ') : 'never';
+  return `  ${entry.kind.padEnd(12)} ${entry.key}  ${formatBytes(entry.sizeBytes).padStart(9)}  last used ${lastUsed}  ${entry.source || ''}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const { dir } = getCacheConfig();
+
+  if (command === 'list') {
+    const entries = await listCacheEntries(dir);
+    if (entries.length === 0) {
+      console.log(`Cache is empty (${dir})`);
+      return;
+    }
+    console.log(`Cache ${dir}:`);
+    for (const entry of entries) console.log(formatEntry(entry));
+    const total = entries.reduce((sum, e) => sum + e.sizeBytes, 0);
+    console.log(`\n${entries.length} entries, ${formatBytes(total)}`);
+    return;
+  }
+
+  if (command === 'prune') {
+    const all = args.includes('--all');
+    const dryRun = args.includes('--dry-run');
+    const ageIndex = args.indexOf('--older-than');
+    const maxAge = ageIndex !== -1 ? args[ageIndex + 1] : DEFAULT_MAX_AGE;
+
+    const removed = await pruneCache(dir, { all, dryRun, olderThanMs: parseAge(maxAge) });
+    const verb = dryRun ? 'Would remove' : 'Removed';
+    const scope = all ? 'all entries' : `entries unused for ${maxAge}`;
+    console.log(`${verb} ${removed.length} ${scope} (${formatBytes(removed.reduce((sum, e) => sum + e.sizeBytes, 0))})`);
+    for (const entry of removed) console.log(formatEntry(entry));
+    return;
+  }
+
+  console.error('Usage: npm run cache -- [list]');
+  console.error('       npm run cache -- prune [--older-than 14d] [--all] [--dry-run]');
+  process.exit(1);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
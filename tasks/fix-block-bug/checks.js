@@ -1,33 +1,70 @@
 import path from 'path';
-import { exists, checkLint, check } from '../../scripts/utils/check-helpers.js';
+import { exists, checkLint } from '../../scripts/utils/check-helpers.js';
 
-const ws = process.argv[2];
-if (!ws) {
-  console.error('Usage: node checks.js <workspace-path>');
-  process.exit(1);
-}
+// Lines added plus removed in the block beyond which a "fix" is a rewrite (the buggy block has ~200)
+const MAX_BLOCK_CHURN = 80;
 
-const carouselDir = path.join(ws, 'blocks', 'carousel');
-
-const results = await Promise.all([
-  checkCarouselFilesExist(),
-  checkLint(ws),
-]);
-
-console.log(JSON.stringify(results));
-
-async function checkCarouselFilesExist() {
-  const [hasJs, hasCss] = await Promise.all([
-    exists(path.join(carouselDir, 'carousel.js')),
-    exists(path.join(carouselDir, 'carousel.css')),
-  ]);
-  const both = hasJs && hasCss;
-  return check(
-    'carousel-files-exist',
-    'Carousel block JS and CSS files still exist',
-    both,
-    both
-      ? 'Both carousel.js and carousel.css present'
-      : `Missing: ${!hasCss ? 'carousel.css ' : ''}${!hasJs ? 'carousel.js' : ''}`,
-  );
-}
+export default [
+  {
+    name: 'carousel-files-exist',
+    description: 'Carousel block JS and CSS files still exist',
+    run: async ({ workspaceDir }) => {
+      const carouselDir = path.join(workspaceDir, 'blocks', 'carousel');
+      const [hasJs, hasCss] = await Promise.all([
+        exists(path.join(carouselDir, 'carousel.js')),
+        exists(path.join(carouselDir, 'carousel.css')),
+      ]);
+      const both = hasJs && hasCss;
+      return {
+        passed: both,
+        evidence: both
+          ? 'Both carousel.js and carousel.css present'
+          : `Missing: ${!hasCss ? 'carousel.css ' : ''}${!hasJs ? 'carousel.js' : ''}`,
+      };
+    },
+  },
+  {
+    name: 'lint-passes',
+    description: 'npm run lint passes cleanly',
+    timeoutMs: 120000,
+    run: ({ workspaceDir, signal }) => checkLint(workspaceDir, { signal }),
+  },
+  {
+    name: 'linted-after-last-edit',
+    description: 'Agent ran lint after its last change to the carousel block',
+    run: ({ transcript }) => {
+      const lint = transcript.ranCommand(/npm run lint|eslint|stylelint/, { last: true });
+      // Codex transcripts only record shell commands, so there may be no edit to order against
+      const edit = transcript.editedFile(/blocks\/carousel\//, { last: true });
+      if (!lint) return { passed: false, evidence: 'No lint command in the transcript' };
+      if (!edit) return { passed: true, evidence: `Ran \`${lint.input}\`; no edits to the block visible in the transcript` };
+      const passed = transcript.orderOf(edit, lint) === 'before';
+      return {
+        passed,
+        evidence: passed
+          ? `Ran \`${lint.input}\` after the last edit of ${edit.input}`
+          : `Last lint run (\`${lint.input}\`) came before the last edit of ${edit.input}`,
+      };
+    },
+  },
+  {
+    name: 'targeted-fix',
+    description: `Fix stays in the carousel block (at most ${MAX_BLOCK_CHURN} lines changed) and leaves protected files alone`,
+    run: ({ changes }) => {
+      const churn = changes.churnOf('blocks/carousel');
+      const forbidden = changes.forbiddenChanges().map(file => file.path);
+      const otherCode = changes.outside('blocks/carousel')
+        .filter(file => /\.(js|css)$/.test(file.path) && !forbidden.includes(file.path))
+        .map(file => file.path);
+      const problems = [
+        churn > MAX_BLOCK_CHURN && `${churn} lines changed in blocks/carousel`,
+        forbidden.length > 0 && `protected files changed: ${forbidden.join(', ')}`,
+        otherCode.length > 0 && `code changed outside the block: ${otherCode.join(', ')}`,
+      ].filter(Boolean);
+      return {
+        passed: problems.length === 0,
+        evidence: `${changes.summary()}${problems.length ? `; ${problems.join('; ')}` : ''}`,
+      };
+    },
+  },
+];
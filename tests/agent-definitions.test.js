@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadAgentDefinition, normalizeAgentDefinition } from '../scripts/utils/agent-definitions.js';
+
+describe('normalizeAgentDefinition', () => {
+  it('should fill in defaults', () => {
+    expect(normalizeAgentDefinition('gemini', { bin: 'gemini' })).toEqual({
+      name: 'gemini',
+      bin: 'gemini',
+      args: [],
+      modelArgs: [],
+      resumeArgs: [],
+      prompt: 'stdin',
+      promptFile: '.eval-prompt.md',
+      outputFormat: 'text',
+      envPass: [],
+      apiHosts: []
+    });
+  });
+
+  it('should require bin', () => {
+    expect(() => normalizeAgentDefinition('gemini', { args: [] })).toThrow('must specify "bin"');
+  });
+
+  it('should reject unknown prompt delivery', () => {
+    expect(() => normalizeAgentDefinition('gemini', { bin: 'gemini', prompt: 'pipe' }))
+      .toThrow('"prompt" must be one of stdin, arg, file');
+  });
+
+  it('should reject unknown output formats', () => {
+    expect(() => normalizeAgentDefinition('gemini', { bin: 'gemini', outputFormat: 'xml' }))
+      .toThrow('"outputFormat" must be one of');
+  });
+
+  it('should reject non-string args', () => {
+    expect(() => normalizeAgentDefinition('gemini', { bin: 'gemini', args: ['--x', 1] }))
+      .toThrow('"args" must be an array of strings');
+  });
+});
+
+describe('loadAgentDefinition', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-definitions-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null when no definition exists', async () => {
+    expect(await loadAgentDefinition('missing', tmpDir)).toBeNull();
+  });
+
+  it('should load and normalize a definition', async () => {
+    await fs.writeFile(path.join(tmpDir, 'opencode.json'), JSON.stringify({
+      bin: 'opencode',
+      args: ['run', '{prompt}'],
+      prompt: 'arg',
+      outputFormat: 'stream-json'
+    }));
+
+    const definition = await loadAgentDefinition('opencode', tmpDir);
+
+    expect(definition).toMatchObject({ name: 'opencode', bin: 'opencode', prompt: 'arg', outputFormat: 'stream-json' });
+  });
+
+  it('should report invalid JSON', async () => {
+    await fs.writeFile(path.join(tmpDir, 'broken.json'), '{ nope');
+
+    await expect(loadAgentDefinition('broken', tmpDir)).rejects.toThrow('Error reading agent definition');
+  });
+
+  it('should load the bundled aider definition', async () => {
+    const definition = await loadAgentDefinition('aider');
+
+    expect(definition).toMatchObject({ bin: 'aider', prompt: 'file', outputFormat: 'text' });
+  });
+});
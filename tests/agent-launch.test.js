@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -9,6 +10,7 @@ const testWorkspaceRoot = path.join(__dirname, 'fixtures', 'agent-launch-workspa
 // Mock env-config to control env vars in tests
 vi.mock('../scripts/utils/env-config.js', () => ({
   getSafehouseConfig: vi.fn(() => ({ bin: 'safehouse', enableFeatures: '', appendProfile: '', env: {} })),
+  getSandboxConfig: vi.fn(),
   getBotAuthConfig: vi.fn(() => ({
     ghToken: 'ghp_test123',
     gitName: 'test-bot',
@@ -18,11 +20,15 @@ vi.mock('../scripts/utils/env-config.js', () => ({
 
 import {
   wrapWithSafehouse,
+  wrapWithBubblewrap,
+  wrapWithSandbox,
   buildBotAuthEnv,
+  buildProxyEnv,
+  buildAgentEnv,
   createAskpassScript,
   configureGitIdentity,
 } from '../scripts/utils/agent-launch.js';
-import { getSafehouseConfig, getBotAuthConfig } from '../scripts/utils/env-config.js';
+import { getSafehouseConfig, getSandboxConfig, getBotAuthConfig } from '../scripts/utils/env-config.js';
 
 describe('wrapWithSafehouse', () => {
   beforeEach(() => {
@@ -96,6 +102,194 @@ describe('wrapWithSafehouse', () => {
   });
 });
 
+function sandboxConfig(backend, bubblewrap = {}, env = {}) {
+  return {
+    backend,
+    bubblewrap: { bin: 'bwrap', readOnlyPaths: [], writablePaths: [], hiddenPaths: [], ...bubblewrap },
+    env,
+  };
+}
+
+// Pairs of [source, dest] for each occurrence of a two-argument bwrap option
+function mounts(args, option) {
+  return args.flatMap((arg, i) => (arg === option ? [[args[i + 1], args[i + 2]]] : []));
+}
+
+describe('wrapWithBubblewrap', () => {
+  const home = path.join(testWorkspaceRoot, 'home');
+  const workspace = path.join(testWorkspaceRoot, 'ws');
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    getSandboxConfig.mockReturnValue(sandboxConfig('bubblewrap'));
+    for (const dir of ['.ssh', '.aws', '.claude', '.local/bin', 'tools', 'tools/.aws']) {
+      await fs.mkdir(path.join(home, dir), { recursive: true });
+    }
+    await fs.writeFile(path.join(home, '.claude.json'), '{}', 'utf-8');
+    await fs.mkdir(workspace, { recursive: true });
+    vi.stubEnv('HOME', home);
+    vi.stubEnv('PATH', `${path.join(home, '.local/bin')}:/usr/bin`);
+    vi.stubEnv('SECRET_TOKEN', 'x');
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(testWorkspaceRoot, { recursive: true, force: true });
+  });
+
+  it('should run the agent in the workspace with the workspace writable', () => {
+    const result = wrapWithBubblewrap('claude', ['--verbose'], { workspaceDir: workspace });
+
+    expect(result.bin).toBe('bwrap');
+    expect(result.args.slice(-5)).toEqual(['--chdir', workspace, '--', 'claude', '--verbose']);
+    expect(mounts(result.args, '--bind')).toContainEqual([workspace, workspace]);
+  });
+
+  it('should mount toolchains read-only and agent state writable', () => {
+    const { args } = wrapWithBubblewrap('claude', [], { workspaceDir: workspace });
+
+    const readOnly = mounts(args, '--ro-bind').map(([src]) => src);
+    expect(readOnly).toContain(path.join(home, '.local/bin'));
+    // Covered by the read-only /usr mount
+    expect(readOnly).not.toContain('/usr/bin');
+    expect(mounts(args, '--bind').map(([src]) => src))
+      .toEqual(expect.arrayContaining([path.join(home, '.claude'), path.join(home, '.claude.json')]));
+  });
+
+  it('should leave credentials out of an empty, read-only home directory', () => {
+    const { args } = wrapWithBubblewrap('claude', [], { workspaceDir: workspace });
+
+    expect(args.join(' ')).toContain(`--tmpfs ${home}`);
+    expect(args.slice(args.indexOf('--remount-ro'), args.indexOf('--remount-ro') + 2)).toEqual(['--remount-ro', home]);
+    const sources = [...mounts(args, '--ro-bind'), ...mounts(args, '--bind')].map(([src]) => src);
+    expect(sources).not.toContain(path.join(home, '.ssh'));
+    expect(sources).not.toContain(path.join(home, '.aws'));
+  });
+
+  it('should mask hidden paths inside configured mounts', () => {
+    getSandboxConfig.mockReturnValue(sandboxConfig('bubblewrap', {
+      readOnlyPaths: ['~/tools'],
+      hiddenPaths: ['~/tools/.aws'],
+    }));
+
+    const { args } = wrapWithBubblewrap('claude', [], { workspaceDir: workspace });
+
+    expect(mounts(args, '--ro-bind').map(([src]) => src)).toContain(path.join(home, 'tools'));
+    const masked = path.join(home, 'tools/.aws');
+    expect(args.join(' ')).toContain(`--tmpfs ${masked} --remount-ro ${masked}`);
+  });
+
+  it('should unset variables outside the allowlist and envPass', () => {
+    getSandboxConfig.mockReturnValue(sandboxConfig('bubblewrap', {}, { CUSTOM_VAR: 'value' }));
+    vi.stubEnv('GH_TOKEN', 'ghp');
+    vi.stubEnv('CUSTOM_VAR', 'value');
+
+    const { args, env } = wrapWithBubblewrap('claude', [], { workspaceDir: workspace, envPass: ['GH_TOKEN'] });
+
+    const unset = args.flatMap((arg, i) => (arg === '--unsetenv' ? [args[i + 1]] : []));
+    expect(unset).toContain('SECRET_TOKEN');
+    expect(unset).not.toContain('GH_TOKEN');
+    expect(unset).not.toContain('CUSTOM_VAR');
+    expect(unset).not.toContain('PATH');
+    expect(env).toEqual({ CUSTOM_VAR: 'value' });
+  });
+
+  it('should require the workspace directory', () => {
+    expect(() => wrapWithBubblewrap('claude', [])).toThrow('needs the workspace directory');
+  });
+
+  // A worktree of a bare clone outside the workspace, like the clone registry makes
+  async function makeWorktree() {
+    const bare = path.join(testWorkspaceRoot, 'clones', 'repo.git');
+    const worktree = path.join(testWorkspaceRoot, 'worktree');
+    const git = (args, cwd) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd, stdio: 'pipe' });
+    const seed = path.join(testWorkspaceRoot, 'seed');
+    await fs.mkdir(seed, { recursive: true });
+    git(['init', '-q', '-b', 'main'], seed);
+    git(['commit', '-q', '--allow-empty', '-m', 'init'], seed);
+    git(['clone', '-q', '--bare', seed, bare], testWorkspaceRoot);
+    git(['worktree', 'add', '-q', '-b', 'run-1', worktree], bare);
+    return { bare: await fs.realpath(bare), worktree };
+  }
+
+  it('should make the repository of a git worktree writable', async () => {
+    const { bare, worktree } = await makeWorktree();
+
+    const { args } = wrapWithBubblewrap('claude', [], { workspaceDir: worktree });
+
+    expect(mounts(args, '--bind')).toContainEqual([bare, bare]);
+  });
+
+  it('should not mount the repository of a plain clone twice', async () => {
+    execFileSync('git', ['init', '-q'], { cwd: workspace });
+
+    const { args } = wrapWithBubblewrap('claude', [], { workspaceDir: workspace });
+
+    expect(mounts(args, '--bind').map(([src]) => src).filter(src => src.startsWith(workspace))).toEqual([workspace]);
+  });
+
+  const hasBwrap = spawnSync('bwrap', ['--ro-bind', '/', '/', 'true']).status === 0;
+
+  it.skipIf(!hasBwrap)('should let the agent commit from a git worktree when run', async () => {
+    const { worktree } = await makeWorktree();
+    const { bin, args } = wrapWithBubblewrap('sh', ['-c', [
+      'echo change > file.txt',
+      'git add file.txt',
+      'git -c user.name=t -c user.email=t@example.com commit -q -m change',
+    ].join(' && ')], { workspaceDir: worktree });
+
+    const result = spawnSync(bin, args, { cwd: worktree, encoding: 'utf-8' });
+
+    expect(result.stderr).toBe('');
+    expect(result.status).toBe(0);
+    expect(execFileSync('git', ['log', '-1', '--format=%s', 'run-1'], { cwd: worktree, encoding: 'utf-8' })).toBe('change\n');
+  });
+
+  it.skipIf(!hasBwrap)('should enforce the policy when run', async () => {
+    await fs.writeFile(path.join(home, '.ssh', 'id_ed25519'), 'private', 'utf-8');
+    const run = (script) => {
+      const { bin, args } = wrapWithBubblewrap('sh', ['-c', script], { workspaceDir: workspace });
+      return spawnSync(bin, args, { cwd: workspace, encoding: 'utf-8' });
+    };
+
+    expect(run('echo ok > probe.txt && cat probe.txt').stdout).toBe('ok\n');
+    expect(run(`cat ${home}/.ssh/id_ed25519`).status).not.toBe(0);
+    expect(run(`touch ${home}/escape.log`).status).not.toBe(0);
+    expect(run('printenv SECRET_TOKEN').status).not.toBe(0);
+  });
+});
+
+describe('wrapWithSandbox', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getSafehouseConfig.mockReturnValue({ bin: 'safehouse', enableFeatures: '', appendProfile: '', env: {} });
+  });
+
+  it('should use safehouse when configured', () => {
+    getSandboxConfig.mockReturnValue(sandboxConfig('safehouse'));
+
+    const result = wrapWithSandbox('claude', ['--verbose'], { workspaceDir: '/ws', envPass: ['GH_TOKEN'] });
+
+    expect(result.bin).toBe('safehouse');
+    expect(result.args).toEqual(['--env-pass=GH_TOKEN', 'claude', '--verbose']);
+  });
+
+  it('should use bubblewrap when configured', () => {
+    getSandboxConfig.mockReturnValue(sandboxConfig('bubblewrap', { bin: '/usr/bin/bwrap' }));
+
+    const result = wrapWithSandbox('codex', ['exec'], { workspaceDir: '/ws' });
+
+    expect(result.bin).toBe('/usr/bin/bwrap');
+    expect(result.args.slice(-4)).toEqual(['/ws', '--', 'codex', 'exec']);
+  });
+
+  it('should reject unknown backends', () => {
+    getSandboxConfig.mockReturnValue(sandboxConfig('firejail'));
+
+    expect(() => wrapWithSandbox('claude', [], { workspaceDir: '/ws' })).toThrow("Unknown sandbox backend 'firejail'");
+  });
+});
+
 describe('buildBotAuthEnv', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -129,6 +323,43 @@ describe('buildBotAuthEnv', () => {
   });
 });
 
+describe('buildProxyEnv', () => {
+  it('should route HTTP(S) through the proxy but keep localhost direct', () => {
+    const { env, envPass } = buildProxyEnv('http://127.0.0.1:4567');
+    expect(env.HTTPS_PROXY).toBe('http://127.0.0.1:4567');
+    expect(env.http_proxy).toBe('http://127.0.0.1:4567');
+    expect(env.NO_PROXY).toContain('localhost');
+    expect(envPass).toEqual(Object.keys(env));
+  });
+
+  it('should return nothing without a proxy', () => {
+    expect(buildProxyEnv(undefined)).toEqual({ env: {}, envPass: [] });
+  });
+});
+
+describe('buildAgentEnv', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getBotAuthConfig.mockReturnValue({ ghToken: 'ghp_test123', gitName: 'test-bot', gitEmail: 'test-bot@example.com' });
+  });
+
+  it('should combine bot auth and proxy env', () => {
+    const { env, envPass } = buildAgentEnv({ workspaceDir: '/workspace/task-1', networkProxyUrl: 'http://127.0.0.1:4567' });
+    expect(env.GH_TOKEN).toBe('ghp_test123');
+    expect(env.HTTPS_PROXY).toBe('http://127.0.0.1:4567');
+    expect(envPass).toEqual(expect.arrayContaining(['GH_TOKEN', 'HTTPS_PROXY', 'NO_PROXY']));
+  });
+
+  it('should pass the ports and URLs of running services', () => {
+    const { env, envPass } = buildAgentEnv({
+      workspaceDir: '/workspace/task-1',
+      serviceEnv: { EVAL_SERVICE_API_PORT: '4100', EVAL_SERVICE_API_URL: 'http://localhost:4100' },
+    });
+    expect(env.EVAL_SERVICE_API_URL).toBe('http://localhost:4100');
+    expect(envPass).toEqual(expect.arrayContaining(['EVAL_SERVICE_API_PORT', 'EVAL_SERVICE_API_URL']));
+  });
+});
+
 describe('createAskpassScript', () => {
   beforeEach(async () => {
     vi.clearAllMocks();
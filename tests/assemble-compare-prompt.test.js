@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { diffAugmentations } from '../scripts/assemble-compare-prompt.js';
+import { diffAugmentations, formatAugmentationDiff, formatAugmentationContentDiff, formatComparisonData } from '../scripts/assemble-compare-prompt.js';
 
 describe('diffAugmentations', () => {
   it('should identify identical augmentation sets as no changes', () => {
@@ -179,6 +179,58 @@ describe('diffAugmentations', () => {
     expect(diff.filesRemoved).toEqual([]);
   });
 
+  it('should diff targets by mode as well as source', () => {
+    const baseline = {
+      augmentationSetName: 'Baseline',
+      args: { augmentationsFiles: ['/path/to/base.json'] },
+    };
+    const candidate = {
+      augmentationSetName: 'Without security section',
+      args: { augmentationsFiles: ['/path/to/base.json', '/path/to/cand.json'] },
+    };
+    const augFiles = {
+      '/path/to/base.json': [
+        { source: 'agents/AGENTS.md', target: 'AGENTS.md' },
+        { source: 'skills/deploy', target: '.claude/skills/deploy' },
+      ],
+      '/path/to/cand.json': {
+        name: 'Without security section',
+        augmentations: [
+          { source: 'drop-security.patch', target: 'AGENTS.md', mode: 'patch' },
+          { target: '.claude/skills/deploy', mode: 'delete' },
+          { source: 'extra.md', target: 'README.md', mode: 'append' },
+        ],
+      },
+    };
+
+    const diff = diffAugmentations(baseline, candidate, augFiles);
+    expect(diff.filesChanged).toEqual([
+      { target: 'AGENTS.md', baselineSource: 'agents/AGENTS.md', candidateSource: 'agents/AGENTS.md + patch drop-security.patch' },
+      { target: '.claude/skills/deploy', baselineSource: 'skills/deploy', candidateSource: '(deleted)' },
+    ]);
+    expect(diff.targetsAdded).toEqual([{ target: 'README.md', source: 'append extra.md' }]);
+    expect(formatAugmentationDiff(diff)).toContain('  - .claude/skills/deploy ← (deleted)');
+  });
+
+  it('should treat different template vars as a changed target', () => {
+    const template = { source: 'AGENTS.tmpl.md', target: 'AGENTS.md', template: true };
+    const augFiles = {
+      '/path/to/base.json': { name: 'Baseline', vars: { commandsFirst: false }, augmentations: [template] },
+      '/path/to/cand.json': { name: 'Candidate', vars: { commandsFirst: true }, augmentations: [template] },
+    };
+
+    const diff = diffAugmentations(
+      { augmentationSetName: 'Baseline', args: { augmentationsFiles: ['/path/to/base.json'] } },
+      { augmentationSetName: 'Candidate', args: { augmentationsFiles: ['/path/to/cand.json'] } },
+      augFiles,
+    );
+    expect(diff.filesChanged).toEqual([{
+      target: 'AGENTS.md',
+      baselineSource: 'AGENTS.tmpl.md (template, vars {"commandsFirst":false})',
+      candidateSource: 'AGENTS.tmpl.md (template, vars {"commandsFirst":true})',
+    }]);
+  });
+
   it('should handle unreadable augmentation files', () => {
     const baseline = {
       augmentationSetName: 'Set A',
@@ -195,3 +247,56 @@ describe('diffAugmentations', () => {
     expect(diff.unreadable).toContain('/path/to/missing.json');
   });
 });
+
+describe('formatAugmentationContentDiff', () => {
+  const contentDiff = {
+    identical: false,
+    baselineHash: 'aaa',
+    candidateHash: 'bbb',
+    changed: [
+      { target: 'AGENTS.md', baselineType: 'file', candidateType: 'file', baselineHashes: ['1'], candidateHashes: ['2'], diff: '--- baseline/AGENTS.md\n+++ candidate/AGENTS.md\n+rule\n' },
+      { target: 'CLAUDE.md', baselineType: 'file', candidateType: 'file', baselineHashes: ['3', '4'], candidateHashes: ['5'], diff: null },
+    ],
+    added: [{ target: '.skills', type: 'directory', hashes: ['6'] }],
+    removed: [],
+    scriptedChanged: false,
+  };
+
+  it('shows the content diff of each changed target', () => {
+    const text = formatAugmentationContentDiff(contentDiff, { augmentationSetName: 'v1' }, { augmentationSetName: 'v2' });
+
+    expect(text).toContain('Augmentation set name changed: "v1" → "v2"');
+    expect(text).toContain('- **AGENTS.md** (file)\n```diff\n--- baseline/AGENTS.md\n+++ candidate/AGENTS.md\n+rule\n```');
+    expect(text).toContain('Content varies between runs');
+    expect(text).toContain('### New workspace targets in candidate\n- .skills (directory)');
+    expect(text).not.toContain('Workspace targets only in baseline');
+  });
+
+  it('says when the content is identical despite different names', () => {
+    const text = formatAugmentationContentDiff(
+      { identical: true, baselineHash: 'aaa', candidateHash: 'aaa', changed: [], added: [], removed: [], scriptedChanged: false },
+      { augmentationSetName: 'old-name' },
+      { augmentationSetName: 'new-name' },
+    );
+
+    expect(text).toContain('identical augmentation content (aaa)');
+    expect(text).not.toContain('###');
+  });
+});
+
+describe('formatComparisonData', () => {
+  it('should leave out the augmentation diff shown in its own section', () => {
+    const comparison = {
+      baselineDir: 'results/a',
+      candidateDir: 'results/b',
+      tasks: [{ name: 'build-block' }],
+      augmentations: { changed: [{ target: 'AGENTS.md', diff: '-old\n+new' }] },
+    };
+
+    const data = formatComparisonData(comparison);
+
+    expect(JSON.parse(data)).toEqual({ baselineDir: 'results/a', candidateDir: 'results/b', tasks: [{ name: 'build-block' }] });
+    expect(data).not.toContain('+new');
+    expect(comparison.augmentations.changed).toHaveLength(1);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  MANIFEST_FILE,
+  CONTENT_DIR,
+  hashTarget,
+  snapshotAugmentations,
+  loadBatchAugmentations,
+  diffAugmentationContent,
+} from '../scripts/utils/augmentation-snapshot.js';
+
+async function writeFiles(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+    await fs.writeFile(path.join(root, rel), content, 'utf-8');
+  }
+}
+
+describe('hashTarget', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'aug-hash-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('hashes the same content the same wherever it lives', async () => {
+    await writeFiles(root, {
+      'a/skills/x/SKILL.md': 'skill',
+      'a/skills/y.md': 'y',
+      'b/other/x/SKILL.md': 'skill',
+      'b/other/y.md': 'y',
+    });
+
+    const a = await hashTarget(path.join(root, 'a/skills'));
+    const b = await hashTarget(path.join(root, 'b/other'));
+
+    expect(a).toEqual({ type: 'directory', hash: b.hash, files: 2, bytes: 6 });
+    expect((await hashTarget(path.join(root, 'a/skills/y.md'))).type).toBe('file');
+    expect(await hashTarget(path.join(root, 'missing'))).toEqual({ type: 'deleted', hash: null, files: 0, bytes: 0 });
+  });
+
+  it('changes when a file moves within the directory', async () => {
+    await writeFiles(root, { 'a/x.md': 'same', 'b/y.md': 'same' });
+
+    expect((await hashTarget(path.join(root, 'a'))).hash).not.toBe((await hashTarget(path.join(root, 'b'))).hash);
+  });
+});
+
+describe('snapshotAugmentations', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'aug-snapshot-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  // One run of a batch: the workspace as the augmentations left it
+  async function snapshotRun(batch, run, workspaceFiles, augmentations, options = {}) {
+    const workspaceDir = path.join(root, 'workspaces', batch, run);
+    const taskInfoFolder = path.join(root, batch, run);
+    await fs.mkdir(workspaceDir, { recursive: true });
+    await fs.mkdir(taskInfoFolder, { recursive: true });
+    await writeFiles(workspaceDir, workspaceFiles);
+    return snapshotAugmentations({ agent: 'claude', augmentations, workspaceDir, taskInfoFolder }, options);
+  }
+
+  it('writes the manifest and stores the content under the batch folder', async () => {
+    const manifest = await snapshotRun('batch', 'run-1', { 'AGENTS.md': '# Rules\n', '.skills/x/SKILL.md': 'x' }, [
+      { source: 'rules.md', target: 'AGENTS.md' },
+      { source: 'skills', target: '.skills', mode: 'replace' },
+      { target: 'CLAUDE.md', mode: 'delete' },
+      { source: 'other.md', target: 'OTHER.md', agents: ['codex'] },
+    ]);
+
+    expect(manifest.targets.map(t => [t.target, t.type])).toEqual([
+      ['AGENTS.md', 'file'],
+      ['.skills', 'directory'],
+      ['CLAUDE.md', 'deleted'],
+    ]);
+    expect(manifest.targets[2].entries).toEqual([{ mode: 'delete', source: null, template: false }]);
+    expect(JSON.parse(await fs.readFile(path.join(root, 'batch/run-1', MANIFEST_FILE), 'utf-8'))).toEqual(manifest);
+
+    const storeDir = path.join(root, 'batch', CONTENT_DIR);
+    expect(await fs.readFile(path.join(storeDir, manifest.targets[0].hash), 'utf-8')).toBe('# Rules\n');
+    expect(await fs.readFile(path.join(storeDir, manifest.targets[1].hash, 'x/SKILL.md'), 'utf-8')).toBe('x');
+    expect((await fs.readdir(storeDir)).sort()).toEqual([manifest.targets[0].hash, manifest.targets[1].hash].sort());
+  });
+
+  it('identifies templates by their unrendered text, not the per-run output', async () => {
+    const augmentations = [{ source: 'AGENTS.md', target: 'AGENTS.md', template: true }];
+    const renderedFor = branch => ({ rendered: [{ target: 'AGENTS.md', content: branch, template: 'Branch {{branchName}}', vars: {} }] });
+
+    const first = await snapshotRun('batch', 'run-1', { 'AGENTS.md': 'Branch one' }, augmentations, renderedFor('one'));
+    const second = await snapshotRun('batch', 'run-2', { 'AGENTS.md': 'Branch two' }, augmentations, renderedFor('two'));
+
+    expect(first.targets[0].hash).not.toBe(second.targets[0].hash);
+    expect(first.targets[0].templateHash).toBe(second.targets[0].templateHash);
+    expect(first.hash).toBe(second.hash);
+
+    const batch = await loadBatchAugmentations(path.join(root, 'batch'));
+    expect(batch.runs).toBe(2);
+    expect(batch.targets['AGENTS.md'].hashes).toHaveLength(2);
+    expect(batch.targets['AGENTS.md'].identities).toEqual([first.targets[0].templateHash]);
+  });
+
+  it('recognises batches with the same content from differently named sources', async () => {
+    await snapshotRun('baseline', 'run', { 'AGENTS.md': 'same' }, [{ source: 'v1/AGENTS.md', target: 'AGENTS.md' }]);
+    await snapshotRun('candidate', 'run', { 'AGENTS.md': 'same' }, [{ source: 'renamed.md', target: 'AGENTS.md' }]);
+
+    const diff = await diffAugmentationContent(path.join(root, 'baseline'), path.join(root, 'candidate'));
+
+    expect(diff).toMatchObject({ identical: true, changed: [], added: [], removed: [], scriptedChanged: false });
+    expect(diff.baselineHash).toBe(diff.candidateHash);
+  });
+
+  it('diffs the content of changed targets and lists added and removed ones', async () => {
+    await snapshotRun('baseline', 'run', { 'AGENTS.md': 'keep\n', 'old.md': 'old' }, [
+      { source: 'AGENTS.md', target: 'AGENTS.md' },
+      { source: 'old.md', target: 'old.md' },
+    ]);
+    await snapshotRun('candidate', 'run', { 'AGENTS.md': 'keep\nnew rule\n', 'new.md': 'new' }, [
+      { source: 'AGENTS.md', target: 'AGENTS.md' },
+      { source: 'new.md', target: 'new.md' },
+    ]);
+
+    const diff = await diffAugmentationContent(path.join(root, 'baseline'), path.join(root, 'candidate'));
+
+    expect(diff.identical).toBe(false);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0]).toMatchObject({ target: 'AGENTS.md', baselineType: 'file', candidateType: 'file' });
+    expect(diff.changed[0].diff).toContain('--- baseline/AGENTS.md');
+    expect(diff.changed[0].diff).toContain('+++ candidate/AGENTS.md');
+    expect(diff.changed[0].diff).toContain('+new rule');
+    expect(diff.added.map(a => a.target)).toEqual(['new.md']);
+    expect(diff.removed.map(r => r.target)).toEqual(['old.md']);
+  });
+
+  it('returns null for batches recorded before manifests existed', async () => {
+    await snapshotRun('baseline', 'run', { 'AGENTS.md': 'x' }, [{ source: 'AGENTS.md', target: 'AGENTS.md' }]);
+    await fs.mkdir(path.join(root, 'legacy', 'run'), { recursive: true });
+
+    expect(await diffAugmentationContent(path.join(root, 'baseline'), path.join(root, 'legacy'))).toBeNull();
+  });
+});
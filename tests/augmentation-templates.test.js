@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate, templateVars, aemPreviewUrl } from '../scripts/utils/augmentation-templates.js';
+
+describe('renderTemplate', () => {
+  it('fills placeholders, with or without spaces', () => {
+    expect(renderTemplate('Run {{ cmd }} in {{dir}}.', { cmd: 'npm test', dir: 'blocks' })).toBe('Run npm test in blocks.');
+  });
+
+  it('keeps the matching branch of if sections and drops tag-only lines', () => {
+    const template = 'Intro\n{{#if candidate}}\nNew paragraph.\n{{else}}\nOld paragraph.\n{{/if}}\nOutro\n';
+
+    expect(renderTemplate(template, { candidate: true })).toBe('Intro\nNew paragraph.\nOutro\n');
+    expect(renderTemplate(template, { candidate: false })).toBe('Intro\nOld paragraph.\nOutro\n');
+    expect(renderTemplate('a{{#if x}} b{{/if}}', { x: '' })).toBe('a');
+  });
+
+  it('rejects unknown variables and placeholders without a value', () => {
+    expect(() => renderTemplate('{{nope}}', {}, 'AGENTS.md')).toThrow("Unknown template variable 'nope' in AGENTS.md");
+    expect(() => renderTemplate('{{#if nope}}x{{/if}}', {})).toThrow("Unknown template variable 'nope'");
+    expect(() => renderTemplate('{{previewUrl}}', { previewUrl: null }, 'AGENTS.md'))
+      .toThrow("Template variable 'previewUrl' has no value for this run (AGENTS.md)");
+    expect(renderTemplate('{{#if previewUrl}}{{previewUrl}}{{else}}local{{/if}}', { previewUrl: null })).toBe('local');
+  });
+});
+
+describe('templateVars', () => {
+  const task = {
+    name: 'build-block', agent: 'codex', iteration: 2, branchName: 'codex-1200-3',
+    startFrom: 'https://github.com/Org/Site.git',
+  };
+
+  it('provides run built-ins that entry vars can override', () => {
+    expect(templateVars(task, { source: 'a.md', vars: { agent: 'any' } })).toEqual({
+      agent: 'any', profile: null, model: null, taskName: 'build-block', iteration: 2,
+      branchName: 'codex-1200-3', previewUrl: 'https://codex-1200-3--site--org.aem.page',
+    });
+  });
+
+  it('rejects vars that are not an object', () => {
+    expect(() => templateVars(task, { source: 'a.md', vars: ['x'] })).toThrow('"vars" of augmentation a.md must be an object');
+  });
+});
+
+describe('aemPreviewUrl', () => {
+  it('is only derived for GitHub sources with a branch', () => {
+    expect(aemPreviewUrl('https://github.com/adobe/aem-boilerplate/tree/main', 'feat/Hero_1'))
+      .toBe('https://feat-hero-1--aem-boilerplate--adobe.aem.page');
+    expect(aemPreviewUrl('https://github.com/adobe/aem-boilerplate', null)).toBeNull();
+    expect(aemPreviewUrl('../fixtures/site', 'b')).toBeNull();
+    expect(aemPreviewUrl('https://gitlab.com/org/repo.git', 'b')).toBeNull();
+  });
+});
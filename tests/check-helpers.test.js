@@ -2,7 +2,11 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { readFile, exists, listDirs, listFiles, checkLint, inspectModule, check } from '../scripts/utils/check-helpers.js';
+import {
+  readFile, exists, listDirs, listFiles, checkLint, inspectModule, check, transcriptHelpers, analyzeJs, analyzeCss,
+  parseDiff, diffHelpers, PROTECTED_PATHS, CONVENTIONAL_COMMIT,
+} from '../scripts/utils/check-helpers.js';
+import { parseAgentLog } from '../scripts/parse-agent-log.js';
 
 let tempDir;
 
@@ -128,3 +132,266 @@ describe('check', () => {
     });
   });
 });
+
+describe('transcriptHelpers', () => {
+  const events = [
+    { type: 'assistant_text', text: 'Let me look at the rules' },
+    { type: 'tool_call', tool: 'Read', id: '1', input: '/ws/AGENTS.md' },
+    { type: 'tool_call', tool: 'Edit', id: '2', input: '/ws/blocks/cards/cards.js' },
+    { type: 'tool_call', tool: 'Bash', id: '3', input: 'npm run lint' },
+    { type: 'tool_call', tool: 'mcp__playwright__browser_navigate', id: '4', input: '{"url":"http://localhost:3000"}' },
+    { type: 'tool_call', tool: 'Write', id: '5', input: '/ws/blocks/cards/cards.css' },
+    { type: 'result', subtype: 'success' },
+  ];
+
+  it('finds commands, tools, reads and edits with their position', () => {
+    const t = transcriptHelpers(events);
+
+    expect(t.ranCommand(/npm run lint/)).toMatchObject({ tool: 'Bash', index: 3 });
+    expect(t.ranCommand('NPM TEST')).toBeNull();
+    expect(t.usedTool('playwright')).toMatchObject({ id: '4', index: 4 });
+    expect(t.readFile(/AGENTS\.md/)).toMatchObject({ id: '1' });
+    expect(t.readFile(/cards\.js/)).toBeNull();
+    expect(t.editedFile(/blocks\//)).toMatchObject({ id: '2' });
+    expect(t.editedFile(/blocks\//, { last: true })).toMatchObject({ id: '5' });
+    expect(t.commands).toHaveLength(1);
+    expect(t.toolCalls).toHaveLength(5);
+  });
+
+  it('orders found events', () => {
+    const t = transcriptHelpers(events);
+    const lint = t.ranCommand(/lint/, { last: true });
+
+    expect(t.orderOf(t.editedFile(/cards\.js/), lint)).toBe('before');
+    expect(t.orderOf(t.editedFile(/blocks\//, { last: true }), lint)).toBe('after');
+    expect(t.orderOf(t.ranCommand(/deploy/), lint)).toBeNull();
+  });
+
+  it('recognises shell reads of Codex transcripts', () => {
+    const log = [
+      { type: 'thread.started', thread_id: 't' },
+      { type: 'item.completed', item: { id: 'a', type: 'command_execution', command: "/bin/bash -lc 'sed -n 1,80p AGENTS.md'" } },
+      { type: 'item.completed', item: { id: 'b', type: 'command_execution', command: "/bin/bash -lc 'npx eslint blocks/'" } },
+    ].map(line => JSON.stringify(line)).join('\n');
+    const t = transcriptHelpers(parseAgentLog(log));
+
+    expect(t.readFile('AGENTS.md')).toMatchObject({ tool: 'shell', index: 0 });
+    expect(t.ranCommand(/eslint/)).toMatchObject({ index: 1 });
+    expect(t.readFile('blocks/')).toBeNull();
+  });
+
+  it('copes with a missing transcript', () => {
+    expect(transcriptHelpers().ranCommand(/lint/)).toBeNull();
+  });
+});
+
+describe('analyzeJs', () => {
+  const block = `
+import { createOptimizedPicture as picture, loadCSS } from '../../scripts/aem.js';
+import * as aem from '../../scripts/aem.js';
+import Swiper from 'swiper';
+
+const decorate = async (block) => {
+  block.querySelectorAll('img').forEach((img) => img.closest('picture').replaceWith(picture(img.src)));
+  aem.decorateIcons(block);
+  const { default: lib } = await import('https://cdn.example.com/lib.js');
+  return document.createElement('div');
+};
+
+export const VERSION = 1;
+export { loadCSS as load };
+export * from './shared.js';
+export default decorate;
+`;
+
+  it('describes imports, exports and calls without running the module', () => {
+    const js = analyzeJs(block);
+
+    expect(js.error).toBeNull();
+    expect(js.imports.map(i => [i.source, i.dynamic])).toEqual([
+      ['../../scripts/aem.js', false],
+      ['../../scripts/aem.js', false],
+      ['swiper', false],
+      ['https://cdn.example.com/lib.js', true],
+    ]);
+    expect(js.imports[0].named).toEqual([{ imported: 'createOptimizedPicture', local: 'picture' }, { imported: 'loadCSS', local: 'loadCSS' }]);
+    expect(js.exports).toEqual({
+      default: { kind: 'function', name: 'decorate', async: true, params: 1 },
+      named: ['VERSION', 'load'],
+      reexports: ['./shared.js'],
+    });
+    expect(js.callsOf('document.createElement')).toEqual([{ callee: 'document.createElement', imported: null, args: 1, line: 10 }]);
+  });
+
+  it('answers the usual block criteria', () => {
+    const js = analyzeJs(block);
+
+    expect(js.exportsDefaultFunction('decorate')).toBe(true);
+    expect(js.exportsDefaultFunction('init')).toBe(false);
+    expect(js.importsFrom(/aem\.js$/, 'createOptimizedPicture')).toMatchObject({ line: 2 });
+    expect(js.importsFrom('AEM.js', 'readBlockConfig')).toBeNull();
+    expect(js.callsOf('createOptimizedPicture')).toMatchObject([{ callee: 'picture', imported: { source: '../../scripts/aem.js', name: 'createOptimizedPicture' } }]);
+    expect(js.callsOf('decorateIcons')).toMatchObject([{ callee: 'aem.decorateIcons' }]);
+    expect(js.thirdPartyImports().map(i => i.source)).toEqual(['swiper', 'https://cdn.example.com/lib.js']);
+  });
+
+  it('follows default exports to their declaration', () => {
+    expect(analyzeJs('export default function (block) {}').exports.default).toEqual({ kind: 'function', name: null, async: false, params: 1 });
+    expect(analyzeJs('function decorate() {}\nexport { decorate as default };').exportsDefaultFunction('decorate')).toBe(true);
+    expect(analyzeJs('export default { decorate() {} };').exports.default.kind).toBe('value');
+    expect(analyzeJs('export const decorate = () => {};').exports.default).toBeNull();
+  });
+
+  it('reports sources that do not parse', () => {
+    const js = analyzeJs('export default function decorate( {');
+
+    expect(js.error).toMatch(/Unexpected token/);
+    expect(js.exportsDefaultFunction()).toBe(false);
+    expect(js.imports).toEqual([]);
+  });
+});
+
+describe('analyzeCss', () => {
+  const css = `
+.cards > ul { display: grid; gap: 16px; }
+.cards-container .cards-wrapper, main .cards li { margin: 0; }
+ul li, .cardsx { padding: 0; }
+@media (width >= 900px) {
+  .cards > ul { grid-template-columns: repeat(3, 1fr); }
+  @media (prefers-reduced-motion: reduce) { .cards img { transition: none; } }
+}
+@keyframes fade { from { opacity: 0; } to { opacity: 1; } }
+`;
+
+  it('describes rules, media queries and declarations', () => {
+    const result = analyzeCss(css);
+
+    expect(result.error).toBeNull();
+    expect(result.rules.map(r => r.selector)).toEqual([
+      '.cards > ul',
+      '.cards-container .cards-wrapper, main .cards li',
+      'ul li, .cardsx',
+      '.cards > ul',
+      '.cards img',
+    ]);
+    expect(result.mediaQueries).toEqual(['(width >= 900px)', '(prefers-reduced-motion: reduce)']);
+    expect(result.declarations('grid-template-columns')).toEqual([
+      { prop: 'grid-template-columns', value: 'repeat(3, 1fr)', selector: '.cards > ul', media: ['(width >= 900px)'], line: 6 },
+    ]);
+    expect(result.declarations(/^(margin|padding)$/).map(d => d.selector)).toEqual(['.cards-container .cards-wrapper, main .cards li', 'ul li, .cardsx']);
+  });
+
+  it('finds selectors outside the block scope and grid usage', () => {
+    const result = analyzeCss(css);
+
+    expect(result.unscopedSelectors('cards')).toEqual(['ul li', '.cardsx']);
+    expect(result.usesGrid()).toBe(true);
+    expect(analyzeCss('.hero { display: flex; }').usesGrid()).toBe(false);
+    expect(analyzeCss('.hero { display: inline-grid; }').usesGrid()).toBe(true);
+  });
+
+  it('reports sources that do not parse', () => {
+    const result = analyzeCss('.cards { color: red;');
+
+    expect(result.error).toMatch(/Unclosed block/);
+    expect(result.rules).toEqual([]);
+    expect(result.unscopedSelectors('cards')).toEqual([]);
+  });
+});
+
+describe('parseDiff', () => {
+  // As captured: committed changes, then uncommitted ones, then untracked files
+  const diff = [
+    'diff --git a/blocks/carousel/carousel.css b/blocks/carousel/carousel.css',
+    'index 1111111..2222222 100644',
+    '--- a/blocks/carousel/carousel.css',
+    '+++ b/blocks/carousel/carousel.css',
+    '@@ -10,3 +10,3 @@ .carousel-slide {',
+    '-  height: 400px;',
+    '+  min-height: 400px;',
+    '   overflow: hidden;',
+    'diff --git a/scripts/old.js b/scripts/old.js',
+    'deleted file mode 100644',
+    'index 3333333..0000000',
+    '--- a/scripts/old.js',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@',
+    '-const a = 1;',
+    '--- not a header',
+    'diff --git a/styles/a.css b/styles/b.css',
+    'similarity index 100%',
+    'rename from styles/a.css',
+    'rename to styles/b.css',
+    'diff --git a/icons/logo.png b/icons/logo.png',
+    'Binary files a/icons/logo.png and b/icons/logo.png differ',
+    '',
+    'diff --git a/blocks/carousel/carousel.css b/blocks/carousel/carousel.css',
+    '--- a/blocks/carousel/carousel.css',
+    '+++ b/blocks/carousel/carousel.css',
+    '@@ -20 +20,2 @@',
+    '+  gap: 8px;',
+    '+++ more',
+    '',
+    'diff --git a/drafts/test.plain.html b/drafts/test.plain.html',
+    'new file mode 100644',
+    'index 0000000..4444444',
+    '--- /dev/null',
+    '+++ b/drafts/test.plain.html',
+    '@@ -0,0 +1 @@',
+    '+<div>test</div>',
+    '\\ No newline at end of file',
+  ].join('\n');
+
+  it('lists each file once with its status and churn', () => {
+    expect(parseDiff(diff)).toEqual([
+      { path: 'blocks/carousel/carousel.css', oldPath: 'blocks/carousel/carousel.css', status: 'modified', added: 3, removed: 1, churn: 4, binary: false },
+      { path: 'scripts/old.js', oldPath: 'scripts/old.js', status: 'deleted', added: 0, removed: 2, churn: 2, binary: false },
+      { path: 'styles/b.css', oldPath: 'styles/a.css', status: 'renamed', added: 0, removed: 0, churn: 0, binary: false },
+      { path: 'icons/logo.png', oldPath: 'icons/logo.png', status: 'modified', added: 0, removed: 0, churn: 0, binary: true },
+      { path: 'drafts/test.plain.html', oldPath: 'drafts/test.plain.html', status: 'added', added: 1, removed: 0, churn: 1, binary: false },
+    ]);
+  });
+
+  it('finds nothing in an empty or failed capture', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff('Error capturing diff: not a git repository')).toEqual([]);
+  });
+
+  describe('diffHelpers', () => {
+    const commits = [
+      { hash: 'a1', message: 'fix(carousel): let slides grow with their content' },
+      { hash: 'b2', message: 'Fixed stuff' },
+    ];
+
+    it('reports files by status and churn', () => {
+      const changes = diffHelpers(diff, commits);
+
+      expect(changes.added).toEqual(['drafts/test.plain.html']);
+      expect(changes.modified).toEqual(['blocks/carousel/carousel.css', 'icons/logo.png']);
+      expect(changes.deleted).toEqual(['scripts/old.js']);
+      expect(changes.renamed).toEqual(['styles/b.css']);
+      expect([changes.linesAdded, changes.linesRemoved, changes.churn]).toEqual([4, 3, 7]);
+      expect(changes.summary()).toBe('5 files changed (1 added, 2 modified, 1 deleted, 1 renamed), +4 -3');
+    });
+
+    it('matches files and folders by path', () => {
+      const changes = diffHelpers(diff, commits);
+
+      expect(changes.churnOf('blocks/carousel')).toBe(4);
+      expect(changes.churnOf(['blocks/carousel/', /\.plain\.html$/])).toBe(5);
+      expect(changes.touched('styles/a.css').map(f => f.path)).toEqual(['styles/b.css']);
+      expect(changes.touched('blocks/car')).toEqual([]);
+      expect(changes.outside(['blocks/carousel', 'drafts', 'icons']).map(f => f.path)).toEqual(['scripts/old.js', 'styles/b.css']);
+    });
+
+    it('flags protected paths and commit messages', () => {
+      const lockfile = 'diff --git a/package-lock.json b/package-lock.json\n--- a/package-lock.json\n+++ b/package-lock.json\n@@ -1 +1 @@\n-{}\n+{ }';
+      const changes = diffHelpers(`${diff}\n${lockfile}`, commits, { protectedPaths: [...PROTECTED_PATHS, 'AGENTS.md'] });
+
+      expect(changes.forbiddenChanges().map(f => f.path)).toEqual(['package-lock.json']);
+      expect(changes.forbiddenChanges(['scripts']).map(f => f.path)).toEqual(['scripts/old.js']);
+      expect(changes.commitsNotMatching(CONVENTIONAL_COMMIT)).toEqual([commits[1]]);
+      expect(diffHelpers().summary()).toBe('0 files changed, +0 -0');
+    });
+  });
+});
@@ -72,6 +72,27 @@ describe('buildArgs', () => {
     expect(args).toContain('claude-sonnet-4-20250514');
   });
 
+  it('should prefer a model override over the configured model', async () => {
+    getAgentConfig.mockReturnValue({ model: 'claude-sonnet-4-20250514', additionalArgs: '' });
+
+    const args = await buildArgs(configDir, { model: 'claude-opus-4-20250514' });
+    expect(args[args.indexOf('--model') + 1]).toBe('claude-opus-4-20250514');
+    expect(args).not.toContain('claude-sonnet-4-20250514');
+  });
+
+  it('should read config and system prompt file from a profile', async () => {
+    const profilePromptPath = path.join(configDir, 'profile-prompt.txt');
+    await fs.writeFile(profilePromptPath, 'Profile prompt.');
+    await fs.writeFile(path.join(configDir, 'claude-system-prompt-append.txt'), 'Default prompt.');
+    getAgentConfig.mockReturnValue({ model: 'opus', additionalArgs: '', systemPromptFile: profilePromptPath });
+
+    const args = await buildArgs(configDir, { profile: 'claude-opus' });
+    expect(getAgentConfig).toHaveBeenCalledWith('claude-opus');
+    expect(args).toContain('Profile prompt.');
+    expect(args).not.toContain('Default prompt.');
+    expect(args[args.indexOf('--model') + 1]).toBe('opus');
+  });
+
   it('should not include model when not configured', async () => {
     const args = await buildArgs(configDir);
     expect(args).not.toContain('--model');
@@ -84,4 +105,10 @@ describe('buildArgs', () => {
     expect(args).toContain('--max-turns');
     expect(args).toContain('50');
   });
+
+  it('should resume a session when given a session id', async () => {
+    const args = await buildArgs(configDir, { sessionId: 'session-1' });
+    expect(args[args.indexOf('--resume') + 1]).toBe('session-1');
+    expect(await buildArgs(configDir)).not.toContain('--resume');
+  });
 });
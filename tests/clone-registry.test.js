@@ -3,15 +3,24 @@ import { CloneRegistry } from '../scripts/utils/clone-registry.js';
 
 // Mock git-utils
 vi.mock('../scripts/utils/git-utils.js', () => ({
-  cloneRepository: vi.fn()
+  cloneRepository: vi.fn(),
+  extractSnapshot: vi.fn()
+}));
+
+// Mock workspace-cache
+vi.mock('../scripts/utils/workspace-cache.js', () => ({
+  cloneFromCache: vi.fn()
 }));
 
 // Mock fs-utils
 vi.mock('../scripts/utils/fs-utils.js', () => ({
-  ensureDir: vi.fn()
+  ensureDir: vi.fn(),
+  cleanupDir: vi.fn()
 }));
 
-import { cloneRepository } from '../scripts/utils/git-utils.js';
+import { cloneRepository, extractSnapshot } from '../scripts/utils/git-utils.js';
+import { cleanupDir } from '../scripts/utils/fs-utils.js';
+import { cloneFromCache } from '../scripts/utils/workspace-cache.js';
 
 describe('CloneRegistry', () => {
   let registry;
@@ -91,6 +100,21 @@ describe('CloneRegistry', () => {
     await expect(p2).rejects.toThrow('clone failed');
   });
 
+  it('should evict a failed clone so a later call can retry', async () => {
+    cloneRepository.mockImplementationOnce(() => {
+      throw new Error('clone failed');
+    });
+
+    await expect(
+      registry.getOrCreate('https://github.com/org/repo.git', 'main', false, '/tmp/clones')
+    ).rejects.toThrow('Failed to clone repository');
+    expect(cleanupDir).toHaveBeenCalledWith(expect.stringContaining('repo-main'));
+
+    const result = await registry.getOrCreate('https://github.com/org/repo.git', 'main', false, '/tmp/clones');
+    expect(cloneRepository).toHaveBeenCalledTimes(2);
+    expect(result).toContain('repo-main');
+  });
+
   it('should pass isCommitHash flag through to cloneRepository', async () => {
     await registry.getOrCreate(
       'https://github.com/org/repo.git', 'abc123', true, '/tmp/clones'
@@ -111,4 +135,51 @@ describe('CloneRegistry', () => {
     expect(result).toContain('repo-feature-foo');
     expect(result).not.toContain('/foo');
   });
+
+  it('should extract tarball snapshots instead of cloning', async () => {
+    const result = await registry.getOrCreate('/fixtures/site-1.0.tar.gz', null, false, '/tmp/clones', { type: 'tarball' });
+
+    expect(extractSnapshot).toHaveBeenCalledWith('/fixtures/site-1.0.tar.gz', result);
+    expect(cloneRepository).not.toHaveBeenCalled();
+    expect(result).toBe('/tmp/clones/site-1.0-default');
+  });
+
+  it('should give same-named sources separate directories', async () => {
+    const first = await registry.getOrCreate('file:///repos/site', 'main', false, '/tmp/clones');
+    const second = await registry.getOrCreate('/fixtures/site.bundle', 'main', false, '/tmp/clones');
+
+    expect(first).toBe('/tmp/clones/site-main');
+    expect(second).toBe('/tmp/clones/site-main-2');
+  });
+
+  describe('with a cache', () => {
+    beforeEach(() => {
+      registry = new CloneRegistry({ cacheDir: '/cache' });
+    });
+
+    it('should clone remote repos through the cache', async () => {
+      const result = await registry.getOrCreate('https://github.com/org/repo.git', 'main', false, '/tmp/clones');
+
+      expect(cloneFromCache).toHaveBeenCalledWith('/cache', 'https://github.com/org/repo.git', result, { branch: 'main', isCommitHash: false });
+      expect(cloneRepository).not.toHaveBeenCalled();
+    });
+
+    it('should clone directly when the cache fails', async () => {
+      cloneFromCache.mockRejectedValueOnce(new Error('ref lock'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await registry.getOrCreate('https://github.com/org/repo.git', 'main', false, '/tmp/clones');
+
+      expect(cloneRepository).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('clone cache unavailable'));
+      console.error.mockRestore();
+    });
+
+    it('should bypass the cache for local sources', async () => {
+      await registry.getOrCreate('file:///repos/site', 'main', false, '/tmp/clones', { local: true });
+
+      expect(cloneFromCache).not.toHaveBeenCalled();
+      expect(cloneRepository).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -48,10 +48,23 @@ describe('codex buildArgs', () => {
     expect(args).toContain('o3');
   });
 
+  it('should prefer a model override over the configured model', () => {
+    getAgentConfig.mockReturnValue({ model: 'configured', additionalArgs: '' });
+    const args = buildArgs({ model: 'override' });
+    expect(args[args.indexOf('--model') + 1]).toBe('override');
+    expect(args).not.toContain('configured');
+  });
+
   it('should include additional args when configured', () => {
     parseAdditionalArgs.mockReturnValue(['--max-turns', '50']);
     const args = buildArgs();
     expect(args).toContain('--max-turns');
     expect(args).toContain('50');
   });
+
+  it('should resume a thread with the prompt read from stdin', () => {
+    const args = buildArgs({ sessionId: 'thread-1' });
+    expect(args.slice(-3)).toEqual(['resume', 'thread-1', '-']);
+    expect(buildArgs()).not.toContain('resume');
+  });
 });
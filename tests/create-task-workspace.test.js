@@ -3,7 +3,7 @@ import { createTaskWorkspace, copyAgentConfig } from '../scripts/run-tasks.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 
 // Mock child_process
 vi.mock('child_process', async (importOriginal) => {
@@ -11,6 +11,7 @@ vi.mock('child_process', async (importOriginal) => {
   return {
     ...actual,
     execSync: vi.fn(),
+    execFileSync: vi.fn(),
     exec: vi.fn()
   };
 });
@@ -19,24 +20,32 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const testWorkspaceRoot = path.join(__dirname, 'fixtures', 'workspaces');
 
-// Helper to mock git clone
+const { execFileSync: realExecFileSync } = await vi.importActual('child_process');
+
+// Helper to mock git clone (and checkouts in the fake clone); other commands, like git apply, run
 const mockGitClone = () => {
-  execSync.mockImplementation((cmd) => {
-    // Synchronously create directories when git clone is called
-    if (cmd.includes('git clone')) {
-      const match = cmd.match(/git clone[^"]*"([^"]+)"/);
-      if (match) {
-        const targetDir = match[1];
-        // Use synchronous fs operations since execSync is synchronous
-        const fsSync = require('fs');
-        fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
-        fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test Repo');
-      }
+  execFileSync.mockImplementation((file, args, options) => {
+    if (file !== 'git' || !['clone', 'checkout'].includes(args[0])) {
+      return realExecFileSync(file, args, options);
+    }
+    // Synchronously create the clone's directory when git clone is called
+    if (args[0] === 'clone') {
+      const targetDir = args[args.length - 1];
+      // Use synchronous fs operations since execFileSync is synchronous
+      const fsSync = require('fs');
+      fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
+      fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test Repo');
     }
     return Buffer.from('');
   });
+  execSync.mockImplementation(() => Buffer.from(''));
 };
 
+// git commands run with execFileSync, as command lines
+const gitCommands = () => execFileSync.mock.calls
+  .filter(([file]) => file === 'git')
+  .map(([, args]) => `git ${args.join(' ')}`);
+
 describe('createTaskWorkspace', () => {
   beforeEach(() => {
     // Reset mocks before each test
@@ -97,9 +106,9 @@ describe('createTaskWorkspace', () => {
       await createTaskWorkspace(task);
 
       // Verify git clone was called with correct repo
-      const cloneCalls = execSync.mock.calls.filter(call => call[0].includes('git clone'));
+      const cloneCalls = gitCommands().filter(cmd => cmd.includes('git clone'));
       expect(cloneCalls.length).toBeGreaterThan(0);
-      expect(cloneCalls[0][0]).toContain('https://github.com/adobe/aem-boilerplate.git');
+      expect(cloneCalls[0]).toContain('https://github.com/adobe/aem-boilerplate.git');
     });
 
     it('should not create branch in legacy (no cloneRegistry) mode', async () => {
@@ -154,19 +163,22 @@ describe('createTaskWorkspace', () => {
         startFrom: 'not-a-url'
       };
 
-      await expect(createTaskWorkspace(task)).rejects.toThrow('startFrom must be a valid GitHub URL');
+      await expect(createTaskWorkspace(task)).rejects.toThrow('startFrom must be a git URL, a local repository');
     });
 
-    it('should throw error when startFrom is not a GitHub URL', async () => {
+    it('should clone startFrom from other git hosts with a ref after #', async () => {
       const task = {
         name: 'test-task',
         agent: 'claude',
         timestamp: '20231215-143022',
         workspaceDir: path.join(testWorkspaceRoot, '20231215-143022', 'test-task-claude'),
-        startFrom: 'https://gitlab.com/org/repo'
+        startFrom: 'https://gitlab.com/org/repo.git#release/2.0'
       };
 
-      await expect(createTaskWorkspace(task)).rejects.toThrow('startFrom must be a valid GitHub URL');
+      await createTaskWorkspace(task);
+
+      const cloneCmd = gitCommands().find(cmd => cmd.includes('git clone'));
+      expect(cloneCmd).toContain('--branch release/2.0 https://gitlab.com/org/repo.git');
     });
 
     it('should handle commit hash in GitHub URL', async () => {
@@ -185,23 +197,8 @@ describe('createTaskWorkspace', () => {
         ]
       };
 
-      // Mock git clone to detect commit hash handling
-      const cloneCommands = [];
-      execSync.mockImplementation((cmd) => {
-        cloneCommands.push(cmd);
-        if (cmd.includes('git clone')) {
-          const match = cmd.match(/git clone[^"]*"([^"]+)"/);
-          if (match) {
-            const targetDir = match[1];
-            const fsSync = require('fs');
-            fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
-            fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test');
-          }
-        }
-        return Buffer.from('');
-      });
-
       await createTaskWorkspace(task);
+      const cloneCommands = gitCommands();
 
       // Should have cloned without --depth for commit hash
       const augClone = cloneCommands.find(cmd => cmd.includes('gh-aug'));
@@ -223,22 +220,8 @@ describe('createTaskWorkspace', () => {
         startFrom: 'https://github.com/adobe/aem-boilerplate/tree/abc123def456789012345678901234567890abcd'
       };
 
-      const cloneCommands = [];
-      execSync.mockImplementation((cmd) => {
-        cloneCommands.push(cmd);
-        if (cmd.includes('git clone')) {
-          const match = cmd.match(/git clone[^"]*"([^"]+)"/);
-          if (match) {
-            const targetDir = match[1];
-            const fsSync = require('fs');
-            fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
-            fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test');
-          }
-        }
-        return Buffer.from('');
-      });
-
       await createTaskWorkspace(task);
+      const cloneCommands = gitCommands();
 
       const cloneCmd = cloneCommands.find(cmd => cmd.includes('git clone'));
       expect(cloneCmd).toBeDefined();
@@ -578,6 +561,7 @@ describe('createTaskWorkspace', () => {
       expect(augmentFn).toHaveBeenCalledWith({
         workspaceDir: task.workspaceDir,
         agent: 'claude',
+        profile: null,
         taskName: 'test-task'
       });
     });
@@ -725,6 +709,166 @@ describe('createTaskWorkspace', () => {
       expect(oldExists).toBe(false);
     });
   });
+
+  describe('patch, delete, append and prepend modes', () => {
+    const makeTask = (sourceDir, augmentations) => ({
+      name: 'test-task',
+      agent: 'claude',
+      workspaceDir: path.join(testWorkspaceRoot, '20231215-143022', 'test-task-claude'),
+      taskPath: sourceDir,
+      startFrom: 'https://github.com/adobe/aem-boilerplate',
+      augmentations,
+    });
+
+    let sourceDir;
+    beforeEach(async () => {
+      sourceDir = path.join(testWorkspaceRoot, 'source');
+      await fs.mkdir(path.join(sourceDir, 'skills', 'deploy'), { recursive: true });
+      await fs.writeFile(path.join(sourceDir, 'AGENTS.md'), '# Agents\n\n## Setup\nRun npm ci.\n\n## Security\nNever commit secrets.\n');
+      await fs.writeFile(path.join(sourceDir, 'skills', 'deploy', 'SKILL.md'), 'Deploy skill');
+    });
+
+    it('should apply a unified diff to a workspace file, ignoring its file headers', async () => {
+      await fs.writeFile(path.join(sourceDir, 'drop-security.patch'), [
+        '--- AGENTS.md\t2024-01-01',
+        '+++ AGENTS.new.md\t2024-01-01',
+        '@@ -4,5 +4,2 @@',
+        ' ## Setup',
+        ' Run npm ci.',
+        '-',
+        '-## Security',
+        '-Never commit secrets.',
+        '',
+      ].join('\n'));
+
+      await createTaskWorkspace(makeTask(sourceDir, [
+        { source: 'AGENTS.md', target: 'docs/AGENTS.md' },
+        { source: 'drop-security.patch', target: 'docs/AGENTS.md', mode: 'patch' },
+      ]));
+
+      const content = await fs.readFile(path.join(testWorkspaceRoot, '20231215-143022', 'test-task-claude', 'docs', 'AGENTS.md'), 'utf-8');
+      expect(content).toBe('# Agents\n\n## Setup\nRun npm ci.\n');
+    });
+
+    it('should fail when a patch does not apply', async () => {
+      await fs.writeFile(path.join(sourceDir, 'stale.patch'), '@@ -1 +1 @@\n-# Old Title\n+# New Title\n');
+
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { source: 'stale.patch', target: 'README.md', mode: 'patch' },
+      ]))).rejects.toThrow('Patch stale.patch does not apply to README.md');
+    });
+
+    it('should delete files and folders from the cloned repo', async () => {
+      const task = makeTask(sourceDir, [
+        { source: 'skills', target: '.claude/skills' },
+        { target: '.claude/skills/deploy', mode: 'delete' },
+        { target: 'README.md', mode: 'delete' },
+      ]);
+
+      await createTaskWorkspace(task);
+
+      const exists = p => fs.access(path.join(task.workspaceDir, p)).then(() => true, () => false);
+      expect(await exists('.claude/skills')).toBe(true);
+      expect(await exists('.claude/skills/deploy')).toBe(false);
+      expect(await exists('README.md')).toBe(false);
+    });
+
+    it('should fail to delete a target that does not exist', async () => {
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { target: 'AGENT.md', mode: 'delete' },
+      ]))).rejects.toThrow('Cannot delete AGENT.md: not found in the workspace');
+    });
+
+    it('should refuse targets outside the workspace or the workspace itself', async () => {
+      await fs.writeFile(path.join(sourceDir, 'note.md'), '> Generated workspace');
+
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { target: '.', mode: 'delete' },
+      ]))).rejects.toThrow("Augmentation target . is the workspace itself; mode 'delete' needs a file or folder in it");
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { source: 'note.md', target: '../outside.md', mode: 'append' },
+      ]))).rejects.toThrow('Augmentation target ../outside.md is outside the workspace');
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { target: '..', mode: 'delete' },
+      ]))).rejects.toThrow('Augmentation target .. is outside the workspace');
+      expect(await fs.readFile(path.join(sourceDir, 'note.md'), 'utf-8')).toBe('> Generated workspace');
+    });
+
+    it('should append and prepend text, creating missing files', async () => {
+      await fs.writeFile(path.join(sourceDir, 'note.md'), '> Generated workspace');
+      const task = makeTask(sourceDir, [
+        { source: 'note.md', target: 'README.md', mode: 'append' },
+        { source: 'note.md', target: 'README.md', mode: 'prepend' },
+        { source: 'note.md', target: 'docs/NOTES.md', mode: 'append' },
+      ]);
+
+      await createTaskWorkspace(task);
+
+      expect(await fs.readFile(path.join(task.workspaceDir, 'README.md'), 'utf-8'))
+        .toBe('> Generated workspace\n# Test Repo\n> Generated workspace');
+      expect(await fs.readFile(path.join(task.workspaceDir, 'docs', 'NOTES.md'), 'utf-8')).toBe('> Generated workspace');
+    });
+
+    it('should reject unknown modes', async () => {
+      await expect(createTaskWorkspace(makeTask(sourceDir, [
+        { source: 'AGENTS.md', target: 'AGENTS.md', mode: 'overwrite' },
+      ]))).rejects.toThrow("Unknown augmentation mode 'overwrite' for AGENTS.md");
+    });
+  });
+
+  describe('template augmentations', () => {
+    it('should render vars and built-ins and save the output in the run folder', async () => {
+      const sourceDir = path.join(testWorkspaceRoot, 'source');
+      await fs.mkdir(sourceDir, { recursive: true });
+      await fs.writeFile(
+        path.join(sourceDir, 'AGENTS.md'),
+        '# {{taskName}} for {{agent}}\n{{#if strict}}\nNever skip linting.\n{{else}}\nLint when convenient.\n{{/if}}\nPreview: {{previewUrl}}\n',
+      );
+
+      const task = {
+        name: 'test-task',
+        agent: 'claude',
+        timestamp: '20231215-143022',
+        workspaceDir: path.join(testWorkspaceRoot, '20231215-143022', 'test-task-claude'),
+        taskInfoFolder: path.join(testWorkspaceRoot, 'results', 'test-task-claude-1'),
+        branchName: 'claude-143022-1',
+        taskPath: sourceDir,
+        startFrom: 'https://github.com/adobe/aem-boilerplate',
+        augmentations: [
+          { source: 'AGENTS.md', target: 'AGENTS.md', template: true, vars: { strict: true } },
+          { source: 'AGENTS.md', target: 'docs/RAW.md' }
+        ]
+      };
+
+      await createTaskWorkspace(task);
+
+      const expected = '# test-task for claude\nNever skip linting.\n'
+        + 'Preview: https://claude-143022-1--aem-boilerplate--adobe.aem.page\n';
+      expect(await fs.readFile(path.join(task.workspaceDir, 'AGENTS.md'), 'utf-8')).toBe(expected);
+      expect(await fs.readFile(path.join(task.taskInfoFolder, 'augmentations', 'AGENTS.md'), 'utf-8')).toBe(expected);
+      // Only entries marked as templates are rendered
+      expect(await fs.readFile(path.join(task.workspaceDir, 'docs', 'RAW.md'), 'utf-8')).toContain('{{taskName}}');
+    });
+
+    it('should fail on template variables that are not defined', async () => {
+      const sourceDir = path.join(testWorkspaceRoot, 'source');
+      await fs.mkdir(sourceDir, { recursive: true });
+      await fs.writeFile(path.join(sourceDir, 'AGENTS.md'), 'Use {{pakage_manager}}');
+
+      const task = {
+        name: 'test-task',
+        agent: 'claude',
+        workspaceDir: path.join(testWorkspaceRoot, '20231215-143022', 'test-task-claude'),
+        taskPath: sourceDir,
+        startFrom: 'https://github.com/adobe/aem-boilerplate',
+        augmentations: [
+          { source: 'AGENTS.md', target: 'AGENTS.md', template: true, vars: { package_manager: 'npm' } }
+        ]
+      };
+
+      await expect(createTaskWorkspace(task)).rejects.toThrow("Unknown template variable 'pakage_manager' in AGENTS.md");
+    });
+  });
 });
 
 describe('copyAgentConfig', () => {
@@ -50,10 +50,23 @@ describe('cursor buildArgs', () => {
     expect(args).not.toContain('--model');
   });
 
+  it('should prefer a model override over the configured model', () => {
+    getAgentConfig.mockReturnValue({ model: 'configured', additionalArgs: '' });
+    const args = buildArgs({ model: 'override' });
+    expect(args[args.indexOf('--model') + 1]).toBe('override');
+    expect(args).not.toContain('configured');
+  });
+
   it('should include additional args when configured', () => {
     parseAdditionalArgs.mockReturnValue(['--max-turns', '50']);
     const args = buildArgs();
     expect(args).toContain('--max-turns');
     expect(args).toContain('50');
   });
+
+  it('should resume a chat when given a session id', () => {
+    const args = buildArgs({ sessionId: 'chat-1' });
+    expect(args[args.indexOf('--resume') + 1]).toBe('chat-1');
+    expect(buildArgs()).not.toContain('--resume');
+  });
 });
@@ -1,4 +1,7 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
 import { enrichTasks } from '../scripts/run-tasks.js';
 
 describe('enrichTasks', () => {
@@ -299,5 +302,112 @@ describe('enrichTasks', () => {
       expect(enriched[0].taskInfoFolder).toContain('build-block-claude-1');
     });
   });
-});
 
+  describe('matrix cells', () => {
+    const cells = [
+      {
+        id: 'claude-model-a',
+        agent: 'claude',
+        model: 'model-a',
+        augmentationSetName: 'baseline',
+        augmentations: { fileCopy: [{ source: 'a.md', target: 'AGENTS.md' }], scripted: [] }
+      },
+      {
+        id: 'claude-model-b',
+        agent: 'claude',
+        model: 'model-b',
+        augmentationSetName: 'baseline',
+        augmentations: { fileCopy: [{ source: 'a.md', target: 'AGENTS.md' }], scripted: [] }
+      }
+    ];
+
+    it('should create one run per cell and encode the cell in the folder name', () => {
+      const tasks = [{ name: 'build-block', augmentations: [], scriptedAugmentations: [] }];
+
+      const enriched = enrichTasks(tasks, ['ignored'], '/tmp/workspace', 2, { cells });
+
+      expect(enriched).toHaveLength(4);
+      expect(enriched.map(t => t.taskInfoFolder.split('/').pop())).toEqual([
+        'build-block-claude-model-a-1',
+        'build-block-claude-model-b-1',
+        'build-block-claude-model-a-2',
+        'build-block-claude-model-b-2'
+      ]);
+      expect(enriched.map(t => t.matrixCell)).toEqual([
+        'claude-model-a', 'claude-model-b', 'claude-model-a', 'claude-model-b'
+      ]);
+    });
+
+    it('should apply the cell model and augmentation set', () => {
+      const tasks = [{
+        name: 'build-block',
+        augmentations: [{ source: 'task.md', target: 'TASK.md' }],
+        scriptedAugmentations: []
+      }];
+
+      const [first] = enrichTasks(tasks, [], '/tmp/workspace', 1, { cells });
+
+      expect(first.agent).toBe('claude');
+      expect(first.model).toBe('model-a');
+      expect(first.augmentationSetName).toBe('baseline');
+      expect(first.augmentations.map(a => a.target)).toEqual(['AGENTS.md', 'TASK.md']);
+    });
+
+    it('should keep branch names unique across cells of the same agent', () => {
+      const tasks = [{ name: 'build-block' }];
+
+      const enriched = enrichTasks(tasks, [], '/tmp/workspace', 3, { cells });
+      const branches = enriched.map(t => t.branchName);
+
+      expect(new Set(branches).size).toBe(branches.length);
+    });
+  });
+
+  describe('agent profiles', () => {
+    let tmpDir;
+    let originalProfilesFile;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrich-profiles-test-'));
+      const profilesPath = path.join(tmpDir, 'agent-profiles.json');
+      fs.writeFileSync(profilesPath, JSON.stringify({
+        'claude-opus': { agent: 'claude', model: 'opus' },
+        'claude-sonnet': { agent: 'claude', model: 'sonnet' }
+      }));
+      originalProfilesFile = process.env.AGENT_PROFILES_FILE;
+      process.env.AGENT_PROFILES_FILE = profilesPath;
+    });
+
+    afterEach(() => {
+      if (originalProfilesFile === undefined) delete process.env.AGENT_PROFILES_FILE;
+      else process.env.AGENT_PROFILES_FILE = originalProfilesFile;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should resolve profile names to their base agent and model', () => {
+      const tasks = [{ name: 'build-block' }];
+
+      const enriched = enrichTasks(tasks, ['claude-opus', 'claude-sonnet'], '/tmp/workspace');
+
+      expect(enriched.map(t => t.agent)).toEqual(['claude', 'claude']);
+      expect(enriched.map(t => t.profile)).toEqual(['claude-opus', 'claude-sonnet']);
+      expect(enriched.map(t => t.model)).toEqual(['opus', 'sonnet']);
+    });
+
+    it('should name run folders after the profile', () => {
+      const tasks = [{ name: 'build-block' }];
+
+      const enriched = enrichTasks(tasks, ['claude-opus', 'claude-sonnet'], '/tmp/workspace');
+
+      expect(enriched[0].taskInfoFolder).toContain('build-block-claude-opus-1');
+      expect(enriched[1].taskInfoFolder).toContain('build-block-claude-sonnet-1');
+    });
+
+    it('should leave profile null for plain agents', () => {
+      const enriched = enrichTasks([{ name: 'build-block' }], ['codex'], '/tmp/workspace');
+
+      expect(enriched[0].agent).toBe('codex');
+      expect(enriched[0].profile).toBeNull();
+    });
+  });
+});
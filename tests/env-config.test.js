@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { getEnv, getRequiredEnv, getAgentConfig, getEvalConfig, parseAdditionalArgs } from '../scripts/utils/env-config.js';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  getEnv, getRequiredEnv, getAgentConfig, getAgentProfile, getAgentProfiles,
+  getEvalConfig, getRetryConfig, getSandboxConfig, parseAdditionalArgs
+} from '../scripts/utils/env-config.js';
 
 describe('env-config', () => {
   let originalEnv;
@@ -73,6 +79,86 @@ describe('env-config', () => {
     });
   });
   
+  describe('agent profiles', () => {
+    let tmpDir;
+
+    function writeProfiles(profiles) {
+      const profilesPath = path.join(tmpDir, 'agent-profiles.json');
+      fs.writeFileSync(profilesPath, typeof profiles === 'string' ? profiles : JSON.stringify(profiles));
+      process.env.AGENT_PROFILES_FILE = profilesPath;
+    }
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-profiles-test-'));
+      delete process.env.CLAUDE_MODEL;
+      delete process.env.CLAUDE_ADDITIONAL_ARGS;
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('returns no profiles when the file is missing', () => {
+      process.env.AGENT_PROFILES_FILE = path.join(tmpDir, 'missing.json');
+
+      expect(getAgentProfiles()).toEqual({});
+      expect(getAgentProfile('claude-opus')).toBeNull();
+    });
+
+    it('normalizes profiles', () => {
+      writeProfiles({
+        'claude-opus': {
+          agent: 'claude',
+          model: 'opus',
+          additionalArgs: ['--max-turns', '50'],
+          systemPromptFile: '/abs/prompt.txt',
+          timeoutMs: 600000
+        }
+      });
+
+      expect(getAgentProfile('claude-opus')).toEqual({
+        name: 'claude-opus',
+        agent: 'claude',
+        model: 'opus',
+        additionalArgs: '--max-turns 50',
+        systemPromptFile: '/abs/prompt.txt',
+        timeoutMs: 600000,
+        idleTimeoutMs: undefined
+      });
+    });
+
+    it('rejects profiles without a base agent', () => {
+      writeProfiles({ 'claude-opus': { model: 'opus' } });
+
+      expect(() => getAgentProfiles()).toThrow("Agent profile 'claude-opus' must name its base agent");
+    });
+
+    it('rejects invalid JSON', () => {
+      writeProfiles('{ not json');
+
+      expect(() => getAgentProfiles()).toThrow('Error reading agent profiles');
+    });
+
+    it('resolves profile config on top of the base agent env', () => {
+      writeProfiles({ 'claude-opus': { agent: 'claude', model: 'opus', additionalArgs: '--max-turns 50', idleTimeoutMs: 1000 } });
+      process.env.CLAUDE_MODEL = 'sonnet';
+      process.env.CLAUDE_ADDITIONAL_ARGS = '--verbose';
+
+      const config = getAgentConfig('claude-opus');
+
+      expect(config.model).toBe('opus');
+      expect(config.additionalArgs).toBe('--verbose --max-turns 50');
+      expect(config.idleTimeoutMs).toBe(1000);
+    });
+
+    it('falls back to the base agent model when the profile has none', () => {
+      writeProfiles({ 'claude-long': { agent: 'claude', timeoutMs: 900000 } });
+      process.env.CLAUDE_MODEL = 'sonnet';
+
+      expect(getAgentConfig('claude-long')).toMatchObject({ model: 'sonnet', timeoutMs: 900000 });
+    });
+  });
+
   describe('getEvalConfig', () => {
     it('returns eval config with all settings', () => {
       process.env.OPENAI_API_KEY = 'test-api-key';
@@ -101,6 +187,60 @@ describe('env-config', () => {
     });
   });
   
+  describe('getSandboxConfig', () => {
+    it('picks the backend for the platform by default', () => {
+      delete process.env.SANDBOX_BACKEND;
+      delete process.env.BWRAP_BIN;
+
+      const config = getSandboxConfig();
+
+      expect(config.backend).toBe(process.platform === 'linux' ? 'bubblewrap' : 'safehouse');
+      expect(config.bubblewrap).toEqual({ bin: 'bwrap', readOnlyPaths: [], writablePaths: [], hiddenPaths: [] });
+    });
+
+    it('reads overrides from the environment', () => {
+      process.env.SANDBOX_BACKEND = 'safehouse';
+      process.env.BWRAP_BIN = '/opt/bin/bwrap';
+
+      const config = getSandboxConfig();
+
+      expect(config.backend).toBe('safehouse');
+      expect(config.bubblewrap.bin).toBe('/opt/bin/bwrap');
+    });
+  });
+
+  describe('getRetryConfig', () => {
+    it('uses default values when not set', () => {
+      delete process.env.RUN_MAX_ATTEMPTS;
+      delete process.env.RUN_RETRY_BACKOFF_MS;
+      delete process.env.RUN_RETRY_MAX_BACKOFF_MS;
+
+      expect(getRetryConfig()).toEqual({ maxAttempts: 3, backoffMs: 10000, maxBackoffMs: 60000 });
+    });
+
+    it('reads overrides from the environment', () => {
+      process.env.RUN_MAX_ATTEMPTS = '5';
+      process.env.RUN_RETRY_BACKOFF_MS = '2000';
+      process.env.RUN_RETRY_MAX_BACKOFF_MS = '8000';
+
+      expect(getRetryConfig()).toEqual({ maxAttempts: 5, backoffMs: 2000, maxBackoffMs: 8000 });
+    });
+
+    it('rejects values that are not valid counts or durations', () => {
+      process.env.RUN_RETRY_BACKOFF_MS = '0';
+      process.env.RUN_RETRY_MAX_BACKOFF_MS = '';
+
+      process.env.RUN_MAX_ATTEMPTS = '0';
+      expect(() => getRetryConfig()).toThrow("RUN_MAX_ATTEMPTS must be a positive integer (got '0')");
+      process.env.RUN_MAX_ATTEMPTS = 'three';
+      expect(() => getRetryConfig()).toThrow("RUN_MAX_ATTEMPTS must be a positive integer (got 'three')");
+      process.env.RUN_MAX_ATTEMPTS = '2';
+      expect(getRetryConfig()).toEqual({ maxAttempts: 2, backoffMs: 0, maxBackoffMs: 60000 });
+      process.env.RUN_RETRY_BACKOFF_MS = '-5';
+      expect(() => getRetryConfig()).toThrow("RUN_RETRY_BACKOFF_MS must be a non-negative integer (got '-5')");
+    });
+  });
+  
   describe('parseAdditionalArgs', () => {
     it('parses space-separated arguments', () => {
       const args = parseAdditionalArgs('--verbose --max-tokens 1000');
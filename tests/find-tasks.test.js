@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
 import { findTasks } from '../scripts/run-tasks.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -188,6 +188,44 @@ describe('findTasks', () => {
     });
   });
 
+  describe('invalid tasks', () => {
+    const brokenDir = path.join(testTasksDir, 'task-broken');
+
+    beforeAll(async () => {
+      await fs.mkdir(path.join(testTasksDir, 'not-a-task'), { recursive: true });
+      await fs.mkdir(brokenDir, { recursive: true });
+      await fs.writeFile(path.join(brokenDir, 'task.json'), JSON.stringify({
+        name: 'task-broken',
+        tags: ['broken'],
+        network: 'some',
+      }));
+      await fs.writeFile(path.join(brokenDir, 'prompt.txt'), 'Do it');
+      await fs.writeFile(path.join(brokenDir, 'criteria.txt'), 'Done');
+    });
+
+    afterAll(async () => {
+      await fs.rm(brokenDir, { recursive: true, force: true });
+      await fs.rm(path.join(testTasksDir, 'not-a-task'), { recursive: true, force: true });
+    });
+
+    it('should stop with the task name when a selected task has an invalid configuration', async () => {
+      await expect(findTasks({ tasks: ['task-broken'], tags: [], agents: [] }, testTasksDir))
+        .rejects.toThrow(`Invalid task configuration:\n  task-broken (${brokenDir}): "network" must be "none", "full" or`);
+      await expect(findTasks({ tasks: [], tags: [], agents: [] }, testTasksDir)).rejects.toThrow('task-broken');
+    });
+
+    it('should only warn about invalid tasks that are not selected, and skip folders without task files', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const tasks = await findTasks({ tasks: [], tags: ['web'], agents: [] }, testTasksDir);
+
+      expect(tasks.map(t => t.name).sort()).toEqual(['task-one', 'task-three']);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("Warning: task 'task-broken' is invalid: \"network\" must be"));
+      expect(warn).toHaveBeenCalledTimes(1);
+      warn.mockRestore();
+    });
+  });
+
   describe('global augmentations', () => {
     afterEach(async () => {
       // Clean up test augmentations file if it exists
@@ -333,6 +371,29 @@ describe('findTasks', () => {
       await fs.unlink(augPath2);
     });
 
+    it('should apply set-level vars to each entry of a named set', async () => {
+      const augPath = path.join(process.cwd(), 'test-aug-vars.json');
+      await fs.writeFile(augPath, JSON.stringify({
+        name: 'Candidate',
+        vars: { variant: 'candidate', strict: true },
+        augmentations: [
+          { source: 'AGENTS.tmpl.md', target: 'AGENTS.md', template: true },
+          { source: 'AGENTS.tmpl.md', target: 'CLAUDE.md', template: true, vars: { strict: false } }
+        ]
+      }));
+
+      const args = { tasks: [], tags: [], agents: [], augmentationsFiles: [augPath] };
+      const tasks = await findTasks(args, testTasksDir);
+
+      expect(tasks.length).toBeGreaterThan(0);
+      for (const task of tasks) {
+        expect(task.augmentations[0].vars).toEqual({ variant: 'candidate', strict: true });
+        expect(task.augmentations[1].vars).toEqual({ variant: 'candidate', strict: false });
+      }
+
+      await fs.unlink(augPath);
+    });
+
     it('should load scripted augmentation from JS file', async () => {
       const augPath = path.join(process.cwd(), 'test-aug-scripted.js');
       await fs.writeFile(augPath, `
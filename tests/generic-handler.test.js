@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../scripts/utils/env-config.js', () => ({
+  getAgentConfig: vi.fn(() => ({ model: undefined, additionalArgs: '' })),
+  parseAdditionalArgs: vi.fn((s) => (s ? s.trim().split(/\s+/) : [])),
+  getSafehouseConfig: vi.fn(() => ({ bin: 'safehouse' })),
+  getBotAuthConfig: vi.fn(() => ({ ghToken: undefined })),
+}));
+
+import { buildArgs, formatTextOutput } from '../scripts/handlers/generic.js';
+import { normalizeAgentDefinition } from '../scripts/utils/agent-definitions.js';
+
+const task = { prompt: 'Build the block', workspaceDir: '/tmp/ws/build-block-aider-1' };
+
+describe('generic buildArgs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should fill placeholders in args', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['--cwd', '{workspaceDir}'] });
+    const { args, promptFilePath } = buildArgs(definition, task);
+
+    expect(args).toEqual(['--cwd', '/tmp/ws/build-block-aider-1']);
+    expect(promptFilePath).toBeNull();
+  });
+
+  it('should add modelArgs only when a model is set', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', modelArgs: ['--model', '{model}'] });
+
+    expect(buildArgs(definition, task).args).toEqual([]);
+    expect(buildArgs(definition, task, { model: 'gpt-5' }).args).toEqual(['--model', 'gpt-5']);
+  });
+
+  it('should add resumeArgs only when resuming a session', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['run'], resumeArgs: ['--session', '{sessionId}'] });
+
+    expect(buildArgs(definition, task).args).toEqual(['run']);
+    expect(buildArgs(definition, { ...task, sessionId: 's-1' }).args).toEqual(['run', '--session', 's-1']);
+  });
+
+  it('should append additional args', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['run'] });
+    const { args } = buildArgs(definition, task, { additionalArgs: '--max-turns 50' });
+
+    expect(args).toEqual(['run', '--max-turns', '50']);
+  });
+
+  it('should substitute the prompt for arg delivery', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['run', '--message={prompt}'], prompt: 'arg' });
+
+    expect(buildArgs(definition, task).args).toEqual(['run', '--message=Build the block']);
+  });
+
+  it('should append the prompt for arg delivery without a placeholder', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['run'], prompt: 'arg' });
+
+    expect(buildArgs(definition, task, { additionalArgs: '--quiet' }).args).toEqual(['run', '--quiet', 'Build the block']);
+  });
+
+  it('should point file delivery at a file in the workspace', () => {
+    const definition = normalizeAgentDefinition('x', { bin: 'x', args: ['--message-file', '{promptFile}'], prompt: 'file' });
+    const { args, promptFilePath } = buildArgs(definition, task);
+
+    expect(promptFilePath).toBe('/tmp/ws/build-block-aider-1/.eval-prompt.md');
+    expect(args).toEqual(['--message-file', '/tmp/ws/build-block-aider-1/.eval-prompt.md']);
+  });
+});
+
+describe('formatTextOutput', () => {
+  it('should wrap text in a stream-json assistant message', () => {
+    const line = formatTextOutput('Done.\n');
+
+    expect(JSON.parse(line)).toEqual({
+      type: 'assistant',
+      message: { role: 'assistant', content: [{ type: 'text', text: 'Done.' }] }
+    });
+  });
+
+  it('should produce no output for empty text', () => {
+    expect(formatTextOutput('  \n')).toBe('');
+  });
+});
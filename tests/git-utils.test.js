@@ -9,7 +9,7 @@ import {
   captureGitChanges,
   captureGitCommits
 } from '../scripts/utils/git-utils.js';
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 
 // Mock child_process
 vi.mock('child_process', async (importOriginal) => {
@@ -17,6 +17,7 @@ vi.mock('child_process', async (importOriginal) => {
   return {
     ...actual,
     execSync: vi.fn(),
+    execFileSync: vi.fn(),
     exec: vi.fn()
   };
 });
@@ -37,8 +38,8 @@ describe('git-utils', () => {
     it('should clone repository with default settings', () => {
       cloneRepository('https://github.com/owner/repo.git', '/path/to/dest');
 
-      expect(execSync).toHaveBeenCalledWith(
-        'git clone https://github.com/owner/repo.git "/path/to/dest"',
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git', ['clone', 'https://github.com/owner/repo.git', '/path/to/dest'],
         { stdio: 'pipe' }
       );
     });
@@ -48,8 +49,8 @@ describe('git-utils', () => {
         branch: 'develop'
       });
 
-      expect(execSync).toHaveBeenCalledWith(
-        'git clone --depth 1 --branch develop https://github.com/owner/repo.git "/path/to/dest"',
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git', ['clone', '--depth', '1', '--branch', 'develop', 'https://github.com/owner/repo.git', '/path/to/dest'],
         { stdio: 'pipe' }
       );
     });
@@ -60,24 +61,34 @@ describe('git-utils', () => {
         isCommitHash: true
       });
 
-      expect(execSync).toHaveBeenCalledTimes(2);
-      expect(execSync).toHaveBeenNthCalledWith(
+      expect(execFileSync).toHaveBeenCalledTimes(2);
+      expect(execFileSync).toHaveBeenNthCalledWith(
         1,
-        'git clone https://github.com/owner/repo.git "/path/to/dest"',
+        'git', ['clone', 'https://github.com/owner/repo.git', '/path/to/dest'],
         { stdio: 'pipe' }
       );
-      expect(execSync).toHaveBeenNthCalledWith(
+      expect(execFileSync).toHaveBeenNthCalledWith(
         2,
-        'git checkout abc123',
+        'git', ['checkout', 'abc123'],
         { cwd: '/path/to/dest', stdio: 'pipe' }
       );
     });
 
     it('should handle paths with spaces', () => {
-      cloneRepository('https://github.com/owner/repo.git', '/path with spaces/dest');
+      cloneRepository('/repos with spaces/site.bundle', '/path with spaces/dest');
 
-      expect(execSync).toHaveBeenCalledWith(
-        'git clone https://github.com/owner/repo.git "/path with spaces/dest"',
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git', ['clone', '/repos with spaces/site.bundle', '/path with spaces/dest'],
+        { stdio: 'pipe' }
+      );
+    });
+
+    it('should pass shell metacharacters to git as they are', () => {
+      cloneRepository('https://host/repo.git;touch pwned', '/path/to/dest', { branch: '$(id)' });
+
+      expect(execSync).not.toHaveBeenCalled();
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git', ['clone', '--depth', '1', '--branch', '$(id)', 'https://host/repo.git;touch pwned', '/path/to/dest'],
         { stdio: 'pipe' }
       );
     });
@@ -87,8 +98,8 @@ describe('git-utils', () => {
         branch: 'feature/new-feature'
       });
 
-      expect(execSync).toHaveBeenCalledWith(
-        'git clone --depth 1 --branch feature/new-feature https://github.com/owner/repo.git "/path/to/dest"',
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git', ['clone', '--depth', '1', '--branch', 'feature/new-feature', 'https://github.com/owner/repo.git', '/path/to/dest'],
         { stdio: 'pipe' }
       );
     });
@@ -99,8 +110,8 @@ describe('git-utils', () => {
         isCommitHash: true
       });
 
-      const cloneCall = execSync.mock.calls[0][0];
-      expect(cloneCall).not.toContain('--depth');
+      const cloneArgs = execFileSync.mock.calls[0][1];
+      expect(cloneArgs).not.toContain('--depth');
     });
   });
 
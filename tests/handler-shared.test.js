@@ -254,6 +254,16 @@ describe('createIdleTimeout', () => {
     expect(proc.kill).toHaveBeenCalledWith('SIGTERM');
   });
 
+  it('should use the timeoutMs option over the default', () => {
+    const proc = makeMockProcess();
+    const idle = createIdleTimeout(proc, null, { timeoutMs: 30 * 1000 });
+
+    vi.advanceTimersByTime(30 * 1000);
+
+    expect(idle.timeoutMs).toBe(30 * 1000);
+    expect(proc.kill).toHaveBeenCalledWith('SIGTERM');
+  });
+
   it('should escalate to SIGKILL after 5 seconds', () => {
     const proc = makeMockProcess();
     createIdleTimeout(proc, null);
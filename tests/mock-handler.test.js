@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import runMock, { loadMockFixture, replayFixture } from '../scripts/handlers/mock.js';
+import { parseAgentLog } from '../scripts/parse-agent-log.js';
+import { extractAgentMetricsFromOutput } from '../scripts/utils/agent-metrics.js';
+
+const steps = [
+  { type: 'message', text: 'Creating the hero block.' },
+  { type: 'write', path: 'blocks/hero/hero.js', content: 'export default function decorate() {}\n' },
+  { type: 'edit', path: 'README.md', oldString: 'TODO', newString: 'Hero block added' },
+  { type: 'bash', command: 'ls blocks/hero' },
+  { type: 'message', text: 'Done.' }
+];
+
+function toJsonl(lines) {
+  return lines.map(l => JSON.stringify(l)).join('\n');
+}
+
+describe('mock agent handler', () => {
+  let tmpDir;
+  let task;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-handler-test-'));
+    const workspaceDir = path.join(tmpDir, 'workspace');
+    const taskInfoFolder = path.join(tmpDir, 'results');
+    const taskPath = path.join(tmpDir, 'task');
+    await Promise.all([
+      fs.mkdir(workspaceDir, { recursive: true }),
+      fs.mkdir(taskInfoFolder, { recursive: true }),
+      fs.mkdir(taskPath, { recursive: true })
+    ]);
+    await fs.writeFile(path.join(workspaceDir, 'README.md'), '# Project\n\nTODO\n');
+    task = { name: 'build-block', prompt: 'Build a hero block', workspaceDir, taskInfoFolder, taskPath };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadMockFixture', () => {
+    it('should load mock-agent.json from the task folder and default to claude format', async () => {
+      await fs.writeFile(path.join(task.taskPath, 'mock-agent.json'), JSON.stringify({ steps }));
+
+      const fixture = await loadMockFixture(task);
+
+      expect(fixture.format).toBe('claude');
+      expect(fixture.steps).toHaveLength(5);
+    });
+
+    it('should reject unknown step types', async () => {
+      await fs.writeFile(path.join(task.taskPath, 'mock-agent.json'), JSON.stringify({ steps: [{ type: 'teleport' }] }));
+
+      await expect(loadMockFixture(task)).rejects.toThrow("unknown type 'teleport'");
+    });
+
+    it('should reject unknown formats', async () => {
+      await fs.writeFile(path.join(task.taskPath, 'mock-agent.json'), JSON.stringify({ format: 'gemini', steps: [] }));
+
+      await expect(loadMockFixture(task)).rejects.toThrow('format must be one of');
+    });
+
+    it('should report a missing fixture', async () => {
+      await expect(loadMockFixture(task)).rejects.toThrow('Error reading mock agent fixture');
+    });
+  });
+
+  describe('replayFixture', () => {
+    it('should apply file edits and shell commands to the workspace', async () => {
+      await replayFixture({ format: 'claude', steps }, task);
+
+      const hero = await fs.readFile(path.join(task.workspaceDir, 'blocks/hero/hero.js'), 'utf-8');
+      const readme = await fs.readFile(path.join(task.workspaceDir, 'README.md'), 'utf-8');
+      expect(hero).toContain('decorate');
+      expect(readme).toContain('Hero block added');
+    });
+
+    it('should emit Claude stream-json that parseAgentLog understands', async () => {
+      const { lines } = await replayFixture({ format: 'claude', steps, usage: { inputTokens: 1000, outputTokens: 200 } }, task);
+      const events = parseAgentLog(toJsonl(lines));
+
+      expect(events.map(e => e.type)).toEqual([
+        'assistant_text', 'tool_call', 'tool_call', 'tool_call', 'assistant_text', 'result'
+      ]);
+      expect(events[1]).toMatchObject({ tool: 'Write', input: path.join(task.workspaceDir, 'blocks/hero/hero.js') });
+      expect(events[3]).toMatchObject({ tool: 'Bash', input: 'ls blocks/hero' });
+      expect(extractAgentMetricsFromOutput(toJsonl(lines)).tokenUsage).toMatchObject({ inputTokens: 1000, outputTokens: 200 });
+    });
+
+    it('should emit Cursor tool_call events', async () => {
+      const { lines } = await replayFixture({ format: 'cursor', steps }, task);
+      const events = parseAgentLog(toJsonl(lines));
+
+      expect(events.filter(e => e.type === 'tool_call').map(e => e.tool)).toEqual(['write', 'edit', 'shell']);
+    });
+
+    it('should emit Codex item events', async () => {
+      const { lines } = await replayFixture({ format: 'codex', steps, usage: { inputTokens: 500, outputTokens: 50 } }, task);
+      const events = parseAgentLog(toJsonl(lines));
+
+      expect(lines[0].type).toBe('thread.started');
+      expect(events).toContainEqual({ type: 'tool_call', tool: 'shell', id: 'mock_4', input: 'ls blocks/hero' });
+      expect(events.filter(e => e.type === 'assistant_text').map(e => e.text)).toEqual(['Creating the hero block.', 'Done.']);
+      expect(events[events.length - 1].type).toBe('result');
+    });
+
+    it('should report failing tools as errors without stopping', async () => {
+      const { lines } = await replayFixture({
+        format: 'claude',
+        steps: [
+          { type: 'edit', path: 'README.md', oldString: 'missing', newString: 'x' },
+          { type: 'bash', command: 'exit 3' },
+          { type: 'message', text: 'Kept going.' }
+        ]
+      }, task);
+
+      const toolResults = lines.filter(l => l.type === 'user').map(l => l.message.content[0]);
+      expect(toolResults.every(r => r.is_error)).toBe(true);
+      expect(lines[lines.length - 1]).toMatchObject({ type: 'result', subtype: 'success' });
+    });
+
+    it('should pass raw events through', async () => {
+      const raw = { type: 'system', subtype: 'task_completed', task_id: 'sub-1' };
+      const { lines } = await replayFixture({ format: 'claude', steps: [{ type: 'event', event: raw }] }, task);
+
+      expect(lines).toContainEqual(raw);
+    });
+
+    it('should stop between steps when aborted', async () => {
+      const ac = new AbortController();
+      ac.abort();
+
+      const { aborted, lines } = await replayFixture({ format: 'claude', steps }, task, { signal: ac.signal });
+
+      expect(aborted).toBe(true);
+      expect(lines[lines.length - 1]).toMatchObject({ type: 'result', is_error: true });
+    });
+  });
+
+  describe('runMock', () => {
+    it('should write output.jsonl', async () => {
+      await fs.writeFile(path.join(task.taskPath, 'mock-agent.json'), JSON.stringify({ steps }));
+
+      await runMock(task, null, undefined);
+
+      const output = await fs.readFile(path.join(task.taskInfoFolder, 'output.jsonl'), 'utf-8');
+      expect(parseAgentLog(output).length).toBeGreaterThan(0);
+    });
+
+    it('should fail with the fixture exit code after writing output', async () => {
+      await fs.writeFile(path.join(task.taskPath, 'mock-agent.json'), JSON.stringify({ steps, exitCode: 2 }));
+
+      await expect(runMock(task, null, undefined)).rejects.toThrow('Mock agent exited with code 2');
+      await expect(fs.access(path.join(task.taskInfoFolder, 'output.jsonl'))).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+  normalizeNetworkPolicy,
+  hostMatches,
+  startEgressProxy,
+  summarizeNetworkLog,
+} from '../scripts/utils/network-proxy.js';
+
+describe('normalizeNetworkPolicy', () => {
+  it('should accept none, full and host allowlists', () => {
+    expect(normalizeNetworkPolicy(undefined)).toBeNull();
+    expect(normalizeNetworkPolicy('none')).toEqual({ mode: 'none', allow: [] });
+    expect(normalizeNetworkPolicy('full')).toEqual({ mode: 'full', allow: [] });
+    expect(normalizeNetworkPolicy({ allow: ['Registry.npmjs.org', '*.github.com'] }))
+      .toEqual({ mode: 'allowlist', allow: ['registry.npmjs.org', '*.github.com'] });
+  });
+
+  it('should reject anything else', () => {
+    expect(() => normalizeNetworkPolicy('offline')).toThrow('"network" must be');
+    expect(() => normalizeNetworkPolicy({ allow: 'github.com' })).toThrow('"network" must be');
+    expect(() => normalizeNetworkPolicy({ allow: [''] })).toThrow('"network" must be');
+  });
+});
+
+describe('hostMatches', () => {
+  it('should match exact hosts and subdomain wildcards', () => {
+    expect(hostMatches('GitHub.com', 'github.com')).toBe(true);
+    expect(hostMatches('api.github.com', '*.github.com')).toBe(true);
+    expect(hostMatches('github.com', '*.github.com')).toBe(false);
+    expect(hostMatches('evilgithub.com', '*.github.com')).toBe(false);
+  });
+});
+
+describe('startEgressProxy', () => {
+  let tmpDir;
+  let logPath;
+  let upstream;
+  let echo;
+  let proxy;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'network-proxy-'));
+    logPath = path.join(tmpDir, 'network-log.jsonl');
+    upstream = http.createServer((req, res) => res.end(`upstream ${req.url}`));
+    echo = net.createServer(socket => socket.pipe(socket));
+    await Promise.all([upstream, echo].map(s => new Promise(resolve => s.listen(0, '127.0.0.1', resolve))));
+  });
+
+  afterEach(async () => {
+    if (proxy) await proxy.close();
+    proxy = null;
+    await Promise.all([upstream, echo].map(s => new Promise(resolve => s.close(resolve))));
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  // Send a plain HTTP request through the proxy
+  function proxiedGet(url) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: proxy.port, path: url, method: 'GET' }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  // Open a CONNECT tunnel and echo a message through it
+  function tunnel(authority) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(proxy.port, '127.0.0.1', () => {
+        socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n\r\n`);
+      });
+      let data = '';
+      socket.on('data', (chunk) => {
+        data += chunk;
+        if (data.startsWith('HTTP/1.1 200') && data.endsWith('\r\n\r\n')) socket.write('ping');
+        if (data.endsWith('ping')) socket.end();
+      });
+      socket.on('close', () => resolve(data));
+      socket.on('error', reject);
+    });
+  }
+
+  const readLog = async () => (await fs.readFile(logPath, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+
+  it('should forward allowed HTTP requests and block the rest', async () => {
+    proxy = await startEgressProxy({ policy: normalizeNetworkPolicy({ allow: ['127.0.0.1'] }), logPath });
+    const { port } = upstream.address();
+
+    expect(await proxiedGet(`http://127.0.0.1:${port}/hello?x=1`)).toEqual({ status: 200, body: 'upstream /hello?x=1' });
+    const blocked = await proxiedGet('http://example.invalid/answers');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body).toContain("Blocked by the task's network policy: example.invalid");
+
+    await proxy.close();
+    proxy = null;
+    expect((await readLog()).map(({ method, host, allowed, status }) => ({ method, host, allowed, status }))).toEqual([
+      { method: 'GET', host: '127.0.0.1', allowed: true, status: 200 },
+      { method: 'GET', host: 'example.invalid', allowed: false, status: 403 },
+    ]);
+  });
+
+  it('should tunnel allowed HTTPS connections and refuse blocked ones', async () => {
+    proxy = await startEgressProxy({ policy: normalizeNetworkPolicy('none'), agentHosts: ['127.0.0.1'], logPath });
+
+    expect(await tunnel(`127.0.0.1:${echo.address().port}`)).toMatch(/^HTTP\/1.1 200 Connection Established\r\n\r\nping$/);
+    expect(await tunnel('example.invalid:443')).toMatch(/^HTTP\/1.1 403/);
+
+    await proxy.close();
+    proxy = null;
+    const log = await readLog();
+    expect(log[0]).toMatchObject({ method: 'CONNECT', host: '127.0.0.1', allowed: true, agentApi: true, status: 200 });
+    expect(log[1]).toMatchObject({ method: 'CONNECT', host: 'example.invalid', port: 443, allowed: false, status: 403 });
+  });
+
+  it('should survive clients that reset refused tunnels', async () => {
+    proxy = await startEgressProxy({ policy: normalizeNetworkPolicy('none'), logPath });
+
+    for (let i = 0; i < 20; i++) {
+      await new Promise((resolve) => {
+        const socket = net.connect(proxy.port, '127.0.0.1', () => {
+          socket.write('CONNECT example.invalid:443 HTTP/1.1\r\nHost: example.invalid:443\r\n\r\n');
+          socket.resetAndDestroy();
+        });
+        socket.on('close', resolve);
+      });
+    }
+
+    expect(await tunnel('example.invalid:443')).toMatch(/^HTTP\/1.1 403/);
+  });
+
+  it('should allow and log everything under the full policy', async () => {
+    proxy = await startEgressProxy({ policy: normalizeNetworkPolicy('full'), logPath });
+
+    const response = await proxiedGet(`http://127.0.0.1:${upstream.address().port}/`);
+
+    expect(response.status).toBe(200);
+    await proxy.close();
+    proxy = null;
+    expect(await readLog()).toHaveLength(1);
+  });
+});
+
+describe('summarizeNetworkLog', () => {
+  it('should count requests per host without the agent API', () => {
+    const log = [
+      { host: 'api.anthropic.com', allowed: true, agentApi: true },
+      { host: 'registry.npmjs.org', allowed: true },
+      { host: 'registry.npmjs.org', allowed: true },
+      { host: 'stackoverflow.com', allowed: false },
+    ].map(e => JSON.stringify(e)).join('\n') + '\n{"truncated';
+
+    expect(summarizeNetworkLog(log)).toEqual({
+      allowed: 2,
+      blocked: 1,
+      hosts: [
+        { host: 'registry.npmjs.org', allowed: 2, blocked: 0 },
+        { host: 'stackoverflow.com', allowed: 0, blocked: 1 },
+      ],
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseAgentLog, formatAgentSummary } from '../scripts/parse-agent-log.js';
+import { parseAgentLog, formatAgentSummary, findSessionId } from '../scripts/parse-agent-log.js';
 
 describe('parseAgentLog — Claude stream-json format', () => {
   it('should extract assistant text', () => {
@@ -326,6 +326,73 @@ describe('parseAgentLog — auto-detection', () => {
   });
 });
 
+describe('parseAgentLog — multi-turn markers', () => {
+  it('should emit turn events in stream-json logs', () => {
+    const lines = [
+      JSON.stringify({ type: 'eval_turn', turn: 1, promptFile: 'prompt.txt', prompt: 'Build it' }),
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Built' }] } }),
+      JSON.stringify({ type: 'eval_turn', turn: 2, promptFile: 'prompt-2.txt', prompt: 'Add a variant' }),
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Added' }] } }),
+      JSON.stringify({ type: 'eval_turn', turn: 3, promptFile: 'prompt-3.txt', skipped: true, reason: 'condition not met' }),
+    ].join('\n');
+
+    const events = parseAgentLog(lines);
+
+    expect(events.map(e => e.type)).toEqual(['turn', 'assistant_text', 'turn', 'assistant_text', 'turn']);
+    expect(events[2]).toEqual({ type: 'turn', turn: 2, promptFile: 'prompt-2.txt', prompt: 'Add a variant', skipped: false, reason: null, source: null });
+    expect(events[4].skipped).toBe(true);
+  });
+
+  it('should emit turn events in codex logs', () => {
+    const lines = [
+      JSON.stringify({ type: 'eval_turn', turn: 1, promptFile: 'prompt.txt', prompt: 'Build it' }),
+      JSON.stringify({ type: 'thread.started', thread_id: 't-1' }),
+      JSON.stringify({ type: 'item.completed', item: { id: 'i', type: 'agent_message', text: 'Built' } }),
+    ].join('\n');
+
+    expect(parseAgentLog(lines).map(e => e.type)).toEqual(['turn', 'assistant_text']);
+  });
+
+  it('should show turns in the summary', () => {
+    const summary = formatAgentSummary([
+      { type: 'turn', turn: 2, prompt: 'Add a variant', skipped: false },
+      { type: 'turn', turn: 3, skipped: true, reason: 'condition not met' },
+    ]);
+
+    expect(summary).toContain('# Turn 2\nAdd a variant');
+    expect(summary).toContain('# Turn 3 (skipped: condition not met)');
+  });
+
+  it('should label turns answered by the user simulator', () => {
+    const lines = [
+      JSON.stringify({ type: 'eval_turn', turn: 2, promptFile: null, prompt: 'Yes, use the dark palette.', source: 'simulator' }),
+    ];
+
+    const events = parseAgentLog(lines.join('\n'));
+
+    expect(events[0].source).toBe('simulator');
+    expect(formatAgentSummary(events)).toContain('# Turn 2 (simulated user)\nYes, use the dark palette.');
+  });
+});
+
+describe('findSessionId', () => {
+  it('should find the session id in stream-json logs', () => {
+    const log = [
+      JSON.stringify({ type: 'eval_turn', turn: 1 }),
+      JSON.stringify({ type: 'system', subtype: 'init', session_id: 'abc-123' }),
+    ].join('\n');
+    expect(findSessionId(log)).toBe('abc-123');
+  });
+
+  it('should find the thread id in codex logs', () => {
+    expect(findSessionId(JSON.stringify({ type: 'thread.started', thread_id: 'thread-9' }))).toBe('thread-9');
+  });
+
+  it('should return null when the log has no session', () => {
+    expect(findSessionId('not json\n{"type":"assistant"}')).toBeNull();
+  });
+});
+
 describe('formatAgentSummary', () => {
   it('should format assistant text with step numbers', () => {
     const summary = formatAgentSummary([
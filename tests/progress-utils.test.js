@@ -49,6 +49,19 @@ describe('Progress Utilities', () => {
       expect(tracker.hasFailed()).toBe(false);
     });
 
+    it('should classify idle-outs in recorded outcomes', async () => {
+      const getTaskId = (task) => task.id;
+      const tracker = createProgressTracker(1, getTaskId);
+      const task = { id: 'task-1' };
+
+      await tracker.taskStarted(task);
+      await tracker.taskFailed(task, new Error('Agent idle for 120s with no output'));
+
+      expect(tracker.getOutcomes()).toEqual([
+        expect.objectContaining({ taskId: 'task-1', status: 'idled_out', error: 'Agent idle for 120s with no output' })
+      ]);
+    });
+
     it('should update display when tasks start and complete', () => {
       const getTaskId = (task) => task.id;
       const tracker = createProgressTracker(1, getTaskId);
@@ -103,7 +116,7 @@ describe('Progress Utilities', () => {
       
       const getTaskId = (task) => task.id;
       
-      const hasFailures = await runInParallel(tasks, 2, processTask, getTaskId);
+      const { hasFailures } = await runInParallel(tasks, 2, processTask, getTaskId);
       
       expect(processTask).toHaveBeenCalledTimes(3);
       expect(hasFailures).toBe(true);
@@ -118,17 +131,52 @@ describe('Progress Utilities', () => {
       const processTask = vi.fn(async () => {});
       const getTaskId = (task) => task.id;
       
-      const hasFailures = await runInParallel(tasks, 2, processTask, getTaskId);
+      const { hasFailures } = await runInParallel(tasks, 2, processTask, getTaskId);
       
       expect(hasFailures).toBe(false);
     });
 
+    it('should return per-task outcomes with status, error and duration', async () => {
+      const tasks = [
+        { id: 'task-1' },
+        { id: 'task-2' },
+        { id: 'task-3' },
+        { id: 'task-4' }
+      ];
+
+      const timeout = new Error('Agent timed out after 300s');
+      timeout.kind = 'timeout';
+      const infra = new Error('npm ci failed: ERESOLVE');
+      infra.kind = 'infra';
+      infra.attempts = 3;
+      const processTask = vi.fn(async (task) => {
+        if (task.id === 'task-2') throw timeout;
+        if (task.id === 'task-3') throw infra;
+        if (task.id === 'task-4') throw new Error('Claude CLI exited with code 1');
+        return { attempts: 2 };
+      });
+      const getTaskId = (task) => task.id;
+
+      const { outcomes } = await runInParallel(tasks, 1, processTask, getTaskId);
+      const byId = Object.fromEntries(outcomes.map(o => [o.taskId, o]));
+
+      expect(byId['task-1']).toMatchObject({ status: 'completed', error: null, attempts: 2 });
+      expect(byId['task-2']).toMatchObject({ status: 'timed_out', error: 'Agent timed out after 300s' });
+      expect(byId['task-3']).toMatchObject({ status: 'infra_error', attempts: 3 });
+      expect(byId['task-4']).toMatchObject({ status: 'failed', error: 'Claude CLI exited with code 1' });
+      for (const outcome of outcomes) {
+        expect(typeof outcome.durationMs).toBe('number');
+        expect(outcome.startedAt).toMatch(/^\d{4}-/);
+        expect(outcome.finishedAt).toMatch(/^\d{4}-/);
+      }
+    });
+
     it('should handle empty task list', async () => {
       const tasks = [];
       const processTask = vi.fn(async () => {});
       const getTaskId = (task) => task.id;
       
-      const hasFailures = await runInParallel(tasks, 2, processTask, getTaskId);
+      const { hasFailures } = await runInParallel(tasks, 2, processTask, getTaskId);
       
       expect(processTask).not.toHaveBeenCalled();
       expect(hasFailures).toBe(false);
@@ -3,7 +3,7 @@ import { reconstructWorkspace } from '../scripts/reconstruct-workspace.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { exec, execFileSync, execSync } from 'child_process';
 
 // Mock child_process
 vi.mock('child_process', async (importOriginal) => {
@@ -11,6 +11,7 @@ vi.mock('child_process', async (importOriginal) => {
   return {
     ...actual,
     execSync: vi.fn(),
+    execFileSync: vi.fn(),
     exec: vi.fn()
   };
 });
@@ -57,21 +58,24 @@ async function createMockResultFolder(dir, overrides = {}) {
 
 // Helper to mock git clone — creates a minimal workspace
 const mockGitClone = () => {
-  execSync.mockImplementation((cmd) => {
-    if (cmd.includes('git clone')) {
-      const match = cmd.match(/git clone[^"]*"([^"]+)"/);
-      if (match) {
-        const targetDir = match[1];
-        const fsSync = require('fs');
-        fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
-        fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test Repo');
-      }
+  execFileSync.mockImplementation((file, args) => {
+    if (file === 'git' && args[0] === 'clone') {
+      const targetDir = args[args.length - 1];
+      const fsSync = require('fs');
+      fsSync.mkdirSync(path.join(targetDir, '.git'), { recursive: true });
+      fsSync.writeFileSync(path.join(targetDir, 'README.md'), '# Test Repo');
     }
-    // git apply, git add, git commit — all no-ops
     return Buffer.from('');
   });
+  // git apply, git add, git commit — all no-ops
+  execSync.mockImplementation(() => Buffer.from(''));
 };
 
+// git clones run with execFileSync, as command lines
+const cloneCommands = () => execFileSync.mock.calls
+  .filter(([file, args]) => file === 'git' && args[0] === 'clone')
+  .map(([, args]) => `git ${args.join(' ')}`);
+
 describe('reconstructWorkspace', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -102,11 +106,9 @@ describe('reconstructWorkspace', () => {
     const workspacePath = await reconstructWorkspace(resultDir);
 
     // Verify git clone was called with the right URL
-    const cloneCalls = execSync.mock.calls.filter(
-      ([cmd]) => typeof cmd === 'string' && cmd.includes('git clone')
-    );
+    const cloneCalls = cloneCommands();
     expect(cloneCalls.length).toBe(1);
-    expect(cloneCalls[0][0]).toContain('shsteimer/aem-boilerplate-evals.git');
+    expect(cloneCalls[0]).toContain('shsteimer/aem-boilerplate-evals.git');
 
     await fs.rm(workspacePath, { recursive: true, force: true });
   });
@@ -178,10 +180,8 @@ describe('reconstructWorkspace', () => {
 
     const workspacePath = await reconstructWorkspace(resultDir);
 
-    const cloneCalls = execSync.mock.calls.filter(
-      ([cmd]) => typeof cmd === 'string' && cmd.includes('git clone')
-    );
-    expect(cloneCalls[0][0]).toContain('--branch develop');
+    const cloneCalls = cloneCommands();
+    expect(cloneCalls[0]).toContain('--branch develop');
 
     await fs.rm(workspacePath, { recursive: true, force: true });
   });
@@ -263,6 +263,74 @@ describe('reconstructWorkspace', () => {
     await fs.rm(workspacePath, { recursive: true, force: true });
   });
 
+  it('should replay the transcript\'s file edits, not its commands, when changes.diff does not apply', async () => {
+    const resultDir = path.join(fixturesDir, 'diff-conflict');
+    await createMockResultFolder(resultDir, { workspaceDir: '/old/ws' });
+    await fs.writeFile(
+      path.join(resultDir, 'output.jsonl'),
+      JSON.stringify({
+        type: 'assistant',
+        message: { content: [
+          { type: 'tool_use', id: 't1', name: 'Write', input: { file_path: '/old/ws/blocks/test/test.js', content: 'replayed' } },
+          { type: 'tool_use', id: 't2', name: 'Bash', input: { command: 'git push origin HEAD' } },
+        ] }
+      }) + '\n',
+      'utf-8'
+    );
+
+    const originalImpl = execSync.getMockImplementation();
+    execSync.mockImplementation((cmd, opts) => {
+      if (cmd.includes('git apply')) throw new Error('patch does not apply');
+      return originalImpl(cmd, opts);
+    });
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const workspacePath = await reconstructWorkspace(resultDir);
+
+    const content = await fs.readFile(path.join(workspacePath, 'blocks', 'test', 'test.js'), 'utf-8');
+    expect(content).toBe('replayed');
+    expect(exec).not.toHaveBeenCalledWith('git push origin HEAD', expect.anything(), expect.anything());
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('1 shell command(s) not run; pass --replay to run them'));
+    // No partial --reject apply once the transcript replayed
+    const rejectCalls = execSync.mock.calls.filter(([cmd]) => cmd.includes('--reject'));
+    expect(rejectCalls).toHaveLength(0);
+
+    errorSpy.mockRestore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  it('should replay the transcript instead of the branch or diff with replay option', async () => {
+    const resultDir = path.join(fixturesDir, 'forced-replay');
+    await createMockResultFolder(resultDir, { workspaceDir: '/old/ws', branchName: 'claude-0308-1353-1' });
+    await fs.writeFile(
+      path.join(resultDir, 'output.jsonl'),
+      JSON.stringify({
+        type: 'assistant',
+        message: { content: [{ type: 'tool_use', id: 't1', name: 'Write', input: { file_path: 'notes.md', content: 'replayed' } }] }
+      }) + '\n',
+      'utf-8'
+    );
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const workspacePath = await reconstructWorkspace(resultDir, { replay: true });
+
+    expect(await fs.readFile(path.join(workspacePath, 'notes.md'), 'utf-8')).toBe('replayed');
+    const allCmds = execSync.mock.calls.map(([cmd]) => cmd);
+    expect(allCmds.filter(c => c.includes('git fetch') || c.includes('git apply'))).toHaveLength(0);
+
+    errorSpy.mockRestore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  it('should throw with replay option when the run has no transcript', async () => {
+    const resultDir = path.join(fixturesDir, 'no-transcript');
+    await createMockResultFolder(resultDir);
+
+    await expect(reconstructWorkspace(resultDir, { replay: true })).rejects.toThrow('No output.jsonl');
+
+    await fs.rm(path.join(projectRoot, '.eval-workspaces', '20260308-135305', 'no-transcript'), { recursive: true, force: true });
+  });
+
   it('should replay scripted augmentations recorded in task.json', async () => {
     const resultDir = path.join(fixturesDir, 'with-scripted-augmentation');
     const scriptPath = path.join(projectRoot, 'tests', 'fixtures', 'reconstruct-scripted-augmentation.mjs');
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildPage, serveWorkspace, openPage, withPage, CONTENT_PATH } from '../scripts/utils/render-helpers.js';
+
+// Playwright is optional and its Chromium may not be installed
+const canLaunchBrowser = await import('playwright')
+  .then(({ chromium }) => chromium.launch())
+  .then(browser => browser.close().then(() => true), () => false);
+
+// A boilerplate-like loader: every block gets its CSS and decorate(), then data-block-status="loaded"
+const SCRIPTS_JS = `
+for (const block of document.querySelectorAll('main > div > div[class]')) {
+  const name = block.classList[0];
+  block.classList.add('block');
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = '/blocks/' + name + '/' + name + '.css';
+  document.head.append(link);
+  const { default: decorate } = await import('/blocks/' + name + '/' + name + '.js');
+  await decorate(block);
+  block.dataset.blockStatus = 'loaded';
+}
+`;
+
+const CARDS_JS = `
+export default function decorate(block) {
+  const ul = document.createElement('ul');
+  [...block.children].forEach((row) => {
+    const li = document.createElement('li');
+    li.textContent = row.textContent.trim();
+    ul.append(li);
+  });
+  block.replaceChildren(ul);
+}
+`;
+
+const CARDS_CSS = `
+.cards ul { display: grid; grid-template-columns: 1fr; }
+@media (width >= 900px) { .cards ul { grid-template-columns: 1fr 1fr 1fr; } }
+`;
+
+const DRAFT = '<div><div class="cards"><div><div>One</div></div><div><div>Two</div></div><div><div>Three</div></div></div></div>';
+
+describe('render-helpers', () => {
+  let workspace;
+
+  async function write(rel, content) {
+    const filePath = path.join(workspace, rel);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+
+  beforeEach(async () => {
+    workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'render-helpers-'));
+    await write('head.html', '<script type="module" src="/scripts/scripts.js"></script>');
+    await write('scripts/scripts.js', SCRIPTS_JS);
+    await write('blocks/cards/cards.js', CARDS_JS);
+    await write('blocks/cards/cards.css', CARDS_CSS);
+    await write('drafts/cards.plain.html', DRAFT);
+  });
+
+  afterEach(async () => {
+    await fs.rm(workspace, { recursive: true, force: true });
+  });
+
+  describe('buildPage', () => {
+    it('puts head.html in the head and the sections in main', () => {
+      const html = buildPage('\n<div>section</div>\n', '<meta name="x">');
+
+      expect(html).toContain('<head>\n<meta name="x">\n</head>');
+      expect(html).toContain('<header></header>\n<main>\n<div>section</div>\n</main>\n<footer></footer>');
+    });
+  });
+
+  describe('serveWorkspace', () => {
+    let server;
+
+    afterEach(async () => {
+      await server?.close();
+      server = null;
+    });
+
+    it('serves files, drafts as pages and given content', async () => {
+      server = await serveWorkspace(workspace, { content: '<div>inline</div>' });
+
+      const script = await fetch(`${server.url}/blocks/cards/cards.js`);
+      expect(script.headers.get('content-type')).toBe('application/javascript');
+      expect(await script.text()).toBe(CARDS_JS);
+
+      for (const page of ['/drafts/cards', '/drafts/cards.html']) {
+        const res = await fetch(`${server.url}${page}`);
+        expect(res.headers.get('content-type')).toBe('text/html');
+        expect(await res.text()).toBe(buildPage(DRAFT, '<script type="module" src="/scripts/scripts.js"></script>'));
+      }
+
+      expect(await (await fetch(`${server.url}${CONTENT_PATH}`)).text()).toContain('<main>\n<div>inline</div>\n</main>');
+      expect((await fetch(`${server.url}/drafts/missing`)).status).toBe(404);
+      expect((await fetch(`${server.url}/..%2Foutside.txt`)).status).toBe(403);
+    });
+
+    it('answers 400 to a path that does not decode', async () => {
+      server = await serveWorkspace(workspace);
+
+      const res = await fetch(`${server.url}/%E0%A4%A`);
+
+      expect(res.status).toBe(400);
+      expect((await fetch(`${server.url}/blocks/cards/cards.js`)).status).toBe(200);
+    });
+  });
+
+  describe('openPage', () => {
+    it('needs a path or content', async () => {
+      await expect(openPage({ workspaceDir: workspace })).rejects.toThrow('openPage() needs a "path" or "content"');
+    });
+
+    it('does not start when the check is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Check timed out after 10ms'));
+
+      await expect(openPage({ workspaceDir: workspace, signal: controller.signal }, { path: '/drafts/cards' }))
+        .rejects.toThrow('Check timed out after 10ms');
+    });
+
+    describe.skipIf(!canLaunchBrowser)('in a browser', { timeout: 30000 }, () => {
+      it('decorates the blocks of a draft and reads the DOM and styles', async () => {
+        await withPage({ workspaceDir: workspace }, { path: '/drafts/cards', block: 'cards', width: 375 }, async (page) => {
+          expect(await page.count('.cards li')).toBe(3);
+          expect(await page.texts('.cards li')).toEqual(['One', 'Two', 'Three']);
+          expect(await page.attribute('.cards', 'data-block-status')).toBe('loaded');
+          expect(await page.text('.missing')).toBeNull();
+          expect(await page.expectCount('.cards li', { min: 3, max: 3 })).toEqual({ passed: true, evidence: '3 × .cards li (expected 3)' });
+
+          const styles = await page.stylesAtWidths('.cards ul', ['display', 'grid-template-columns'], [375, 1200]);
+          expect(styles[375]).toEqual({ display: 'grid', 'grid-template-columns': expect.stringMatching(/^\S+px$/) });
+          expect(styles[1200]['grid-template-columns'].split(' ')).toHaveLength(3);
+
+          const single = await page.expectStyle('.cards ul', 'grid-template-columns', /^\S+$/, { widths: [375, 1200] });
+          expect(single.passed).toBe(false);
+          expect(single.evidence).toMatch(/^\.cards ul grid-template-columns: \S+ @375px, \S+ \S+ \S+ @1200px$/);
+          expect(page.errors).toEqual([]);
+        });
+      });
+
+      it('renders given content and saves screenshots into the run folder', async () => {
+        const taskInfoFolder = path.join(workspace, 'run');
+        const ctx = { workspaceDir: workspace, task: { taskInfoFolder } };
+
+        const saved = await withPage(ctx, { content: DRAFT }, page => page.screenshot('cards mobile', { selector: '.cards', width: 375 }));
+
+        expect(saved).toBe(path.join(taskInfoFolder, 'screenshots', 'cards-mobile.png'));
+        expect((await fs.stat(saved)).size).toBeGreaterThan(0);
+      });
+
+      it('fails when a block never finishes loading', async () => {
+        await write('blocks/cards/cards.js', 'export default function decorate() { throw new Error("boom"); }');
+
+        await expect(openPage({ workspaceDir: workspace }, { path: '/drafts/cards', block: 'cards', timeoutMs: 2000 }))
+          .rejects.toThrow(/Timeout/);
+      });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  extractReplaySteps,
+  replaySteps,
+  replayTranscript,
+  transcriptToFixture,
+} from '../scripts/replay-transcript.js';
+import { replayFixture } from '../scripts/handlers/mock.js';
+
+const originalWs = '/tmp/.eval-workspaces/20260308-135305/build-block-claude-1';
+
+const toJsonl = (events) => events.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+function claudeToolUse(id, name, input) {
+  return { type: 'assistant', message: { content: [{ type: 'tool_use', id, name, input }] } };
+}
+
+function claudeToolResult(id, isError = false) {
+  return { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: id, content: '', is_error: isError }] } };
+}
+
+describe('extractReplaySteps', () => {
+  it('should extract Claude writes, edits and commands with workspace-relative paths', () => {
+    const log = toJsonl([
+      { type: 'system', subtype: 'init', cwd: originalWs },
+      claudeToolUse('t1', 'Read', { file_path: `${originalWs}/README.md` }),
+      claudeToolUse('t2', 'Write', { file_path: `${originalWs}/blocks/hero/hero.js`, content: 'export default 1;\n' }),
+      claudeToolResult('t2'),
+      claudeToolUse('t3', 'Edit', { file_path: `${originalWs}/README.md`, old_string: 'a', new_string: 'b' }),
+      claudeToolUse('t4', 'MultiEdit', {
+        file_path: 'styles/styles.css',
+        edits: [{ old_string: 'x', new_string: 'y' }, { old_string: 'z', new_string: 'w', replace_all: true }],
+      }),
+      claudeToolUse('t5', 'Bash', { command: `cd ${originalWs} && npm run lint` }),
+    ]);
+
+    const { format, steps, skipped } = extractReplaySteps(log, { workspaceDir: originalWs });
+
+    expect(format).toBe('claude');
+    expect(skipped).toEqual([]);
+    expect(steps).toEqual([
+      { type: 'write', path: 'blocks/hero/hero.js', content: 'export default 1;\n' },
+      { type: 'edit', path: 'README.md', oldString: 'a', newString: 'b', replaceAll: false },
+      { type: 'edit', path: 'styles/styles.css', oldString: 'x', newString: 'y', replaceAll: false },
+      { type: 'edit', path: 'styles/styles.css', oldString: 'z', newString: 'w', replaceAll: true },
+      { type: 'bash', command: 'cd . && npm run lint' },
+    ]);
+  });
+
+  it('should drop failed Claude tool calls', () => {
+    const log = toJsonl([
+      claudeToolUse('t1', 'Edit', { file_path: 'README.md', old_string: 'missing', new_string: 'b' }),
+      claudeToolResult('t1', true),
+    ]);
+
+    expect(extractReplaySteps(log).steps).toEqual([]);
+  });
+
+  it('should skip background commands and paths outside the workspace', () => {
+    const log = toJsonl([
+      claudeToolUse('t1', 'Bash', { command: 'npx aem up', run_in_background: true }),
+      claudeToolUse('t2', 'Write', { file_path: '/etc/hosts', content: '' }),
+      claudeToolUse('t3', 'Write', { file_path: '../../.bashrc', content: '' }),
+      claudeToolUse('t4', 'Edit', { file_path: `${originalWs}/../other/README.md`, old_string: 'a', new_string: 'b' }),
+    ]);
+
+    const { steps, skipped } = extractReplaySteps(log, { workspaceDir: originalWs });
+
+    expect(steps).toEqual([]);
+    expect(skipped.map(s => s.reason)).toEqual(['background command', ...Array(3).fill('path outside the workspace')]);
+  });
+
+  it('should extract Cursor writes, edits with recorded content, deletes and shell commands', () => {
+    const completed = (key, args, result = { success: {} }) => ({
+      type: 'tool_call', subtype: 'completed', call_id: key, tool_call: { [key]: { args, result } },
+    });
+    const log = toJsonl([
+      { type: 'system', subtype: 'init' },
+      { type: 'tool_call', subtype: 'started', call_id: 'c1', tool_call: { writeToolCall: { args: { path: `${originalWs}/a.js` } } } },
+      completed('writeToolCall', { path: `${originalWs}/a.js`, fileText: 'a' }),
+      completed('editToolCall', { path: `${originalWs}/b.js` }, { success: { afterFullFileContent: 'b' } }),
+      completed('editToolCall', { path: `${originalWs}/c.js`, streamContent: 'partial' }),
+      completed('editToolCall', { path: `${originalWs}/d.js` }, { error: { message: 'nope' } }),
+      completed('deleteToolCall', { path: `${originalWs}/old file.js` }),
+      completed('shellToolCall', { command: 'npm test' }, { error: { message: 'exit 1' } }),
+    ]);
+
+    const { format, steps, skipped } = extractReplaySteps(log, { workspaceDir: originalWs });
+
+    expect(format).toBe('cursor');
+    expect(steps).toEqual([
+      { type: 'write', path: 'a.js', content: 'a' },
+      { type: 'write', path: 'b.js', content: 'b' },
+      { type: 'bash', command: "rm -f -- 'old file.js'" },
+      { type: 'bash', command: 'npm test' },
+    ]);
+    expect(skipped).toEqual([{ tool: 'edit', target: 'c.js', reason: 'file content not recorded' }]);
+  });
+
+  it('should unwrap Codex login-shell commands and skip file changes', () => {
+    const log = toJsonl([
+      { type: 'thread.started', thread_id: 't' },
+      { type: 'item.started', item: { id: 'i0', type: 'command_execution', command: '/bin/zsh -lc ls' } },
+      { type: 'item.completed', item: { id: 'i0', type: 'command_execution', command: '/bin/zsh -lc ls', exit_code: 0 } },
+      { type: 'item.completed', item: { id: 'i1', type: 'command_execution', command: '/bin/zsh -lc "echo \\"hi\\" > a.txt"', exit_code: 0 } },
+      { type: 'item.completed', item: { id: 'i2', type: 'command_execution', command: "bash -lc 'echo it'\\''s > b.txt'", exit_code: 1 } },
+      { type: 'item.completed', item: { id: 'i3', type: 'file_change', changes: [{ path: `${originalWs}/c.js`, kind: 'add' }] } },
+    ]);
+
+    const { format, steps, skipped } = extractReplaySteps(log, { workspaceDir: originalWs });
+
+    expect(format).toBe('codex');
+    expect(steps.map(s => s.command)).toEqual(['ls', 'echo "hi" > a.txt', "echo it's > b.txt"]);
+    expect(skipped).toEqual([{ tool: 'file_change', target: `${originalWs}/c.js`, reason: 'patch content not recorded' }]);
+  });
+});
+
+describe('replaying into a workspace', () => {
+  let tmpDir;
+  let workspaceDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-transcript-'));
+    workspaceDir = path.join(tmpDir, 'ws');
+    await fs.mkdir(workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(workspaceDir, 'README.md'), '# TODO\n', 'utf-8');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should apply steps in order and report failures', async () => {
+    const report = await replaySteps([
+      { type: 'write', path: 'blocks/hero/hero.js', content: 'hero' },
+      { type: 'edit', path: 'README.md', oldString: 'TODO', newString: 'Done' },
+      { type: 'edit', path: 'README.md', oldString: 'TODO', newString: 'again' },
+      { type: 'bash', command: 'echo ok > ran.txt' },
+    ], workspaceDir);
+
+    expect(report.applied).toBe(3);
+    expect(report.failed).toHaveLength(1);
+    expect(report.failed[0].step.oldString).toBe('TODO');
+    expect(await fs.readFile(path.join(workspaceDir, 'README.md'), 'utf-8')).toBe('# Done\n');
+    expect(await fs.readFile(path.join(workspaceDir, 'ran.txt'), 'utf-8')).toBe('ok\n');
+  });
+
+  it('should refuse file steps outside the workspace', async () => {
+    const report = await replaySteps([
+      { type: 'write', path: '../escape.txt', content: 'x' },
+      { type: 'edit', path: 'blocks/../../README.md', oldString: 'a', newString: 'b' },
+    ], workspaceDir);
+
+    expect(report.applied).toBe(0);
+    expect(report.failed.map(f => f.output)).toEqual([
+      'Path ../escape.txt is outside the workspace',
+      'Path blocks/../../README.md is outside the workspace',
+    ]);
+    await expect(fs.access(path.join(tmpDir, 'escape.txt'))).rejects.toThrow();
+  });
+
+  it('should skip commands when asked', async () => {
+    const report = await replaySteps([{ type: 'bash', command: 'touch ran.txt' }], workspaceDir, { commands: false });
+
+    expect(report).toEqual({ applied: 0, failed: [], skippedCommands: 1 });
+    await expect(fs.access(path.join(workspaceDir, 'ran.txt'))).rejects.toThrow();
+  });
+
+  it('should reproduce a recorded run in every mock format', async () => {
+    const steps = [
+      { type: 'write', path: 'blocks/hero/hero.js', content: 'export default function decorate() {}\n' },
+      { type: 'edit', path: 'README.md', oldString: 'TODO', newString: 'Hero' },
+      { type: 'bash', command: 'echo built > build.txt' },
+    ];
+
+    for (const format of ['claude', 'cursor', 'codex']) {
+      const recordedWs = path.join(tmpDir, `recorded-${format}`);
+      await fs.mkdir(recordedWs, { recursive: true });
+      await fs.writeFile(path.join(recordedWs, 'README.md'), '# TODO\n', 'utf-8');
+      const { lines } = await replayFixture({ format, steps }, { workspaceDir: recordedWs, prompt: 'p' });
+
+      const freshWs = path.join(tmpDir, `fresh-${format}`);
+      await fs.mkdir(freshWs, { recursive: true });
+      await fs.writeFile(path.join(freshWs, 'README.md'), '# TODO\n', 'utf-8');
+      const extracted = extractReplaySteps(toJsonl(lines), { workspaceDir: recordedWs });
+      await replaySteps(extracted.steps, freshWs);
+
+      expect(await fs.readFile(path.join(freshWs, 'build.txt'), 'utf-8')).toBe('built\n');
+      if (format === 'codex') {
+        // Codex does not log patch content
+        expect(extracted.skipped).toHaveLength(2);
+      } else {
+        expect(await fs.readFile(path.join(freshWs, 'README.md'), 'utf-8')).toBe('# Hero\n');
+        expect(await fs.readFile(path.join(freshWs, 'blocks/hero/hero.js'), 'utf-8')).toContain('decorate');
+      }
+    }
+  });
+
+  it('should replay a result folder and return null without a transcript', async () => {
+    const resultFolder = path.join(tmpDir, 'result');
+    await fs.mkdir(resultFolder, { recursive: true });
+    await fs.writeFile(path.join(resultFolder, 'task.json'), JSON.stringify({ workspaceDir: originalWs }), 'utf-8');
+
+    expect(await replayTranscript(resultFolder, workspaceDir)).toBeNull();
+
+    await fs.writeFile(path.join(resultFolder, 'output.jsonl'), toJsonl([
+      claudeToolUse('t1', 'Write', { file_path: `${originalWs}/new.txt`, content: 'new' }),
+    ]), 'utf-8');
+    const report = await replayTranscript(resultFolder, workspaceDir);
+
+    expect(report).toMatchObject({ format: 'claude', steps: 1, applied: 1, failed: [], skipped: [] });
+    expect(await fs.readFile(path.join(workspaceDir, 'new.txt'), 'utf-8')).toBe('new');
+  });
+
+  it('should convert a result folder into a mock fixture in another format', async () => {
+    const resultFolder = path.join(tmpDir, 'result');
+    await fs.mkdir(resultFolder, { recursive: true });
+    await fs.writeFile(path.join(resultFolder, 'task.json'), JSON.stringify({ workspaceDir: originalWs, model: 'opus' }), 'utf-8');
+    await fs.writeFile(path.join(resultFolder, 'output.jsonl'), toJsonl([
+      claudeToolUse('t1', 'Bash', { command: 'npm test' }),
+    ]), 'utf-8');
+
+    const { fixture } = await transcriptToFixture(resultFolder, { format: 'codex' });
+
+    expect(fixture).toEqual({ format: 'codex', model: 'opus', steps: [{ type: 'bash', command: 'npm test' }] });
+    await expect(transcriptToFixture(resultFolder, { format: 'gemini' })).rejects.toThrow('Format must be one of');
+  });
+});
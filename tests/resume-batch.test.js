@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadBatchForResume, isRunComplete, resetIncompleteRun, findTasks, enrichTasks, createTaskInfoFolder } from '../scripts/run-tasks.js';
+import { runTurns } from '../scripts/utils/task-turns.js';
+import runMock from '../scripts/handlers/mock.js';
+
+describe('resuming a batch', () => {
+  let resultsDir;
+  let workspaceDir;
+  const timestamp = '20260308-135305';
+
+  async function writeRun(folderName, taskJson, files = {}) {
+    const runDir = path.join(resultsDir, timestamp, folderName);
+    await fs.mkdir(runDir, { recursive: true });
+    await fs.writeFile(path.join(runDir, 'task.json'), JSON.stringify(taskJson), 'utf-8');
+    await fs.writeFile(path.join(runDir, 'prompt.txt'), 'Build it', 'utf-8');
+    await fs.writeFile(path.join(runDir, 'criteria.txt'), '- it works', 'utf-8');
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(runDir, name), content, 'utf-8');
+    }
+    return runDir;
+  }
+
+  beforeEach(async () => {
+    resultsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-results-'));
+    workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-workspace-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(resultsDir, { recursive: true, force: true });
+    await fs.rm(workspaceDir, { recursive: true, force: true });
+  });
+
+  describe('loadBatchForResume', () => {
+    it('should rebuild enriched tasks from run folders', async () => {
+      const runDir = await writeRun('build-block-claude-1', {
+        name: 'build-block',
+        agent: 'claude',
+        iteration: 1,
+        branchName: 'claude-03081353-1',
+        taskPath: '/repo/tasks/build-block',
+        workspaceDir: path.join(workspaceDir, 'build-block-claude-1'),
+      });
+
+      const { batch, enrichedTasks } = await loadBatchForResume(timestamp, resultsDir);
+
+      expect(batch).toBeNull();
+      expect(enrichedTasks).toHaveLength(1);
+      expect(enrichedTasks[0]).toMatchObject({
+        name: 'build-block',
+        agent: 'claude',
+        timestamp,
+        prompt: 'Build it',
+        criteria: '- it works',
+        taskPath: '/repo/tasks/build-block',
+        taskInfoFolder: runDir,
+      });
+    });
+
+    it('should fall back to tasks/<name> when taskPath was not recorded', async () => {
+      await writeRun('build-block-claude-1', { name: 'build-block', agent: 'claude', iteration: 1 });
+
+      const { enrichedTasks } = await loadBatchForResume(timestamp, resultsDir);
+
+      expect(enrichedTasks[0].taskPath).toMatch(/tasks[/\\]build-block$/);
+    });
+
+    it('should load batch.json when present', async () => {
+      await writeRun('build-block-claude-1', { name: 'build-block', agent: 'claude', iteration: 1 });
+      await fs.writeFile(
+        path.join(resultsDir, timestamp, 'batch.json'),
+        JSON.stringify({ timestamp, args: { agents: ['claude'] } }),
+        'utf-8'
+      );
+
+      const { batch } = await loadBatchForResume(timestamp, resultsDir);
+
+      expect(batch.args.agents).toEqual(['claude']);
+    });
+
+    it('should order runs by their original branch counter', async () => {
+      await writeRun('build-block-codex-1', { name: 'build-block', agent: 'codex', iteration: 1, branchName: 'codex-03081353-10' });
+      await writeRun('build-block-claude-1', { name: 'build-block', agent: 'claude', iteration: 1, branchName: 'claude-03081353-2' });
+
+      const { enrichedTasks } = await loadBatchForResume(timestamp, resultsDir);
+
+      expect(enrichedTasks.map(t => t.agent)).toEqual(['claude', 'codex']);
+    });
+
+    it('should skip folders without task.json', async () => {
+      await writeRun('build-block-claude-1', { name: 'build-block', agent: 'claude', iteration: 1 });
+      await fs.mkdir(path.join(resultsDir, timestamp, 'stray'), { recursive: true });
+
+      const { enrichedTasks } = await loadBatchForResume(timestamp, resultsDir);
+
+      expect(enrichedTasks).toHaveLength(1);
+    });
+
+    it('should resume a multi-turn run with its follow-up prompts and user simulator', async () => {
+      const tasksDir = path.join(workspaceDir, 'tasks');
+      const taskPath = path.join(tasksDir, 'hero');
+      await fs.mkdir(taskPath, { recursive: true });
+      await fs.writeFile(path.join(taskPath, 'task.json'), JSON.stringify({
+        name: 'hero',
+        turns: ['prompt-2.txt'],
+        userSimulator: { path: 'simulator.json', maxInterventions: 1 },
+      }), 'utf-8');
+      await fs.writeFile(path.join(taskPath, 'prompt.txt'), 'Build a hero block', 'utf-8');
+      await fs.writeFile(path.join(taskPath, 'criteria.txt'), '- it works', 'utf-8');
+      await fs.writeFile(path.join(taskPath, 'prompt-2.txt'), 'Now add a dark variant', 'utf-8');
+      await fs.writeFile(path.join(taskPath, 'simulator.json'), JSON.stringify({
+        rules: [{ match: 'centered', answer: 'Yes, centered.' }],
+      }), 'utf-8');
+      await fs.writeFile(path.join(taskPath, 'mock-agent.json'), JSON.stringify({
+        steps: [{ type: 'message', text: 'Should the text be centered?' }],
+        turns: [{ steps: [{ type: 'message', text: 'Centered it.' }] }, { steps: [{ type: 'message', text: 'Added the variant.' }] }],
+      }), 'utf-8');
+
+      const [task] = enrichTasks(await findTasks({ tasks: ['hero'], tags: [] }, tasksDir, []), ['mock'], path.join(workspaceDir, 'ws'));
+      task.taskInfoFolder = path.join(resultsDir, timestamp, path.basename(task.taskInfoFolder));
+      await createTaskInfoFolder(task);
+
+      const { enrichedTasks: [resumed] } = await loadBatchForResume(timestamp, resultsDir);
+      expect(resumed.turns).toEqual([{ turn: 2, promptFile: 'prompt-2.txt', prompt: 'Now add a dark variant', when: null }]);
+      expect(resumed.userSimulator).toMatchObject({ type: 'rules', maxInterventions: 1, rules: [{ match: 'centered' }] });
+
+      await fs.mkdir(resumed.workspaceDir, { recursive: true });
+      const prompts = [];
+      await runTurns(resumed, async (turnTask, onActivity, signal) => {
+        prompts.push(turnTask.prompt);
+        return runMock(turnTask, onActivity, signal);
+      });
+
+      expect(prompts).toEqual(['Build a hero block', 'Yes, centered.', 'Now add a dark variant']);
+    });
+
+    it('should throw when a resumed run cannot restore its turns', async () => {
+      await writeRun('hero-claude-1', {
+        name: 'hero',
+        agent: 'claude',
+        iteration: 1,
+        taskPath: workspaceDir,
+        turns: [{ turn: 2, promptFile: 'prompt-2.txt', when: null }],
+      });
+
+      await expect(loadBatchForResume(timestamp, resultsDir)).rejects.toThrow(/^Cannot resume hero-claude-1: ENOENT/);
+    });
+
+    it('should throw when the batch does not exist', async () => {
+      await expect(loadBatchForResume('19990101-000000', resultsDir)).rejects.toThrow('Batch not found');
+    });
+
+    it('should throw when the batch has no runs', async () => {
+      await fs.mkdir(path.join(resultsDir, timestamp), { recursive: true });
+
+      await expect(loadBatchForResume(timestamp, resultsDir)).rejects.toThrow('No runs found');
+    });
+  });
+
+  describe('isRunComplete', () => {
+    it('should be true when run-metrics.json and output.jsonl exist', async () => {
+      const taskInfoFolder = await writeRun('a', { name: 'a' }, {
+        'run-metrics.json': '{}',
+        'output.jsonl': '',
+      });
+
+      expect(await isRunComplete({ taskInfoFolder })).toBe(true);
+    });
+
+    it('should be false when run-metrics.json is missing', async () => {
+      const taskInfoFolder = await writeRun('a', { name: 'a' }, { 'output.jsonl': '' });
+
+      expect(await isRunComplete({ taskInfoFolder })).toBe(false);
+    });
+
+    it('should be false when output.jsonl is missing', async () => {
+      const taskInfoFolder = await writeRun('a', { name: 'a' }, { 'run-metrics.json': '{}' });
+
+      expect(await isRunComplete({ taskInfoFolder })).toBe(false);
+    });
+  });
+
+  describe('resetIncompleteRun', () => {
+    it('should remove partial output but keep the run definition', async () => {
+      const taskInfoFolder = await writeRun('a', { name: 'a' }, {
+        'output.jsonl': '{"partial":true}',
+        'stderr.log': 'boom',
+      });
+      const runWorkspace = path.join(workspaceDir, 'a');
+      await fs.mkdir(runWorkspace, { recursive: true });
+      await fs.writeFile(path.join(runWorkspace, 'file.txt'), 'stale', 'utf-8');
+
+      await resetIncompleteRun({ taskInfoFolder, workspaceDir: runWorkspace });
+
+      const remaining = (await fs.readdir(taskInfoFolder)).sort();
+      expect(remaining).toEqual(['criteria.txt', 'prompt.txt', 'task.json']);
+      await expect(fs.access(runWorkspace)).rejects.toThrow();
+    });
+
+    it('should keep the follow-up prompts so a multi-turn run can be resumed again', async () => {
+      await writeRun('hero-claude-1', {
+        name: 'hero',
+        agent: 'claude',
+        iteration: 1,
+        taskPath: workspaceDir,
+        workspaceDir: path.join(workspaceDir, 'hero-claude-1'),
+        turns: [{ turn: 2, promptFile: 'turns/prompt-2.txt', when: null }],
+      }, {
+        'prompt-2.txt': 'Now add a dark variant',
+        'output.jsonl': '{"partial":true}',
+      });
+      const { enrichedTasks: [task] } = await loadBatchForResume(timestamp, resultsDir);
+
+      await resetIncompleteRun(task);
+
+      expect((await fs.readdir(task.taskInfoFolder)).sort()).toEqual(['criteria.txt', 'prompt-2.txt', 'prompt.txt', 'task.json']);
+      const { enrichedTasks: [resumed] } = await loadBatchForResume(timestamp, resultsDir);
+      expect(resumed.turns).toEqual([{ turn: 2, promptFile: 'turns/prompt-2.txt', prompt: 'Now add a dark variant', when: null }]);
+    });
+  });
+});
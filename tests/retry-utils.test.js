@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  FAILURE_KINDS,
+  classifyRunError,
+  markInfraError,
+  computeBackoff,
+  runWithRetry,
+} from '../scripts/utils/retry-utils.js';
+import { recordFailedAttempt } from '../scripts/run-tasks.js';
+
+describe('classifyRunError', () => {
+  it('should prefer an explicit kind tag', () => {
+    const error = markInfraError(new Error('anything'), 'bootstrap');
+    expect(classifyRunError(error)).toBe(FAILURE_KINDS.INFRA);
+    expect(error.phase).toBe('bootstrap');
+  });
+
+  it('should classify agent timeouts', () => {
+    expect(classifyRunError(new Error('Agent timed out after 300s'))).toBe(FAILURE_KINDS.TIMEOUT);
+  });
+
+  it('should classify idle-outs', () => {
+    expect(classifyRunError(new Error('Agent idle for 120s with no output'))).toBe(FAILURE_KINDS.IDLE);
+  });
+
+  it('should classify clone, spawn and npm ci failures as infra', () => {
+    expect(classifyRunError(new Error('Failed to clone repository from https://github.com/o/r'))).toBe(FAILURE_KINDS.INFRA);
+    expect(classifyRunError(new Error('Failed to spawn claude CLI: ENOENT'))).toBe(FAILURE_KINDS.INFRA);
+    expect(classifyRunError(new Error('npm ci failed: ERESOLVE'))).toBe(FAILURE_KINDS.INFRA);
+  });
+
+  it('should default to agent failures', () => {
+    expect(classifyRunError(new Error('Claude CLI exited with code 1'))).toBe(FAILURE_KINDS.AGENT);
+  });
+});
+
+describe('computeBackoff', () => {
+  it('should double the delay per attempt', () => {
+    const policy = { backoffMs: 1000 };
+    expect(computeBackoff(1, policy)).toBe(1000);
+    expect(computeBackoff(2, policy)).toBe(2000);
+    expect(computeBackoff(3, policy)).toBe(4000);
+  });
+
+  it('should cap the delay at maxBackoffMs', () => {
+    expect(computeBackoff(5, { backoffMs: 1000, maxBackoffMs: 5000 })).toBe(5000);
+  });
+});
+
+describe('runWithRetry', () => {
+  const policy = { maxAttempts: 3, backoffMs: 10 };
+  const sleep = vi.fn(async () => {});
+
+  beforeEach(() => {
+    sleep.mockClear();
+  });
+
+  it('should return the result of a successful first attempt', async () => {
+    const fn = vi.fn(async () => 'ok');
+    await expect(runWithRetry(fn, policy, { sleep })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('should retry infra failures with backoff', async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(markInfraError(new Error('clone flaked'), 'bootstrap'))
+      .mockRejectedValueOnce(markInfraError(new Error('npm ci failed'), 'install'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(runWithRetry(fn, policy, { sleep })).resolves.toBe('ok');
+    expect(fn.mock.calls.map(c => c[0])).toEqual([1, 2, 3]);
+    expect(sleep.mock.calls.map(c => c[0])).toEqual([10, 20]);
+  });
+
+  it('should not retry agent failures, timeouts or idle-outs', async () => {
+    for (const message of ['Claude CLI exited with code 1', 'Agent timed out after 300s', 'Agent idle for 120s with no output']) {
+      const fn = vi.fn().mockRejectedValue(new Error(message));
+      await expect(runWithRetry(fn, policy, { sleep })).rejects.toThrow(message);
+      expect(fn).toHaveBeenCalledTimes(1);
+    }
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('should give up after maxAttempts and tag the final error', async () => {
+    const fn = vi.fn().mockImplementation(async () => {
+      throw markInfraError(new Error('clone flaked'), 'bootstrap');
+    });
+
+    const error = await runWithRetry(fn, policy, { sleep }).catch(e => e);
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(error.kind).toBe(FAILURE_KINDS.INFRA);
+    expect(error.attempts).toBe(3);
+  });
+
+  it('should report every failed attempt', async () => {
+    const onAttemptFailed = vi.fn();
+    const fn = vi.fn()
+      .mockRejectedValueOnce(markInfraError(new Error('clone flaked'), 'bootstrap'))
+      .mockRejectedValueOnce(new Error('Claude CLI exited with code 1'));
+
+    await expect(runWithRetry(fn, policy, { sleep, onAttemptFailed })).rejects.toThrow('exited with code 1');
+    expect(onAttemptFailed.mock.calls.map(([f]) => [f.attempt, f.kind, f.willRetry])).toEqual([
+      [1, FAILURE_KINDS.INFRA, true],
+      [2, FAILURE_KINDS.AGENT, false],
+    ]);
+  });
+});
+
+describe('recordFailedAttempt', () => {
+  let taskInfoFolder;
+
+  beforeEach(async () => {
+    taskInfoFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-attempts-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(taskInfoFolder, { recursive: true, force: true });
+  });
+
+  it('should append each attempt to attempts.json', async () => {
+    const task = { taskInfoFolder };
+    await recordFailedAttempt(task, {
+      attempt: 1, kind: 'infra', error: markInfraError(new Error('clone flaked'), 'bootstrap'), willRetry: true, delayMs: 1000,
+    });
+    await recordFailedAttempt(task, {
+      attempt: 2, kind: 'agent', error: new Error('exited with code 1'), willRetry: false, delayMs: 0,
+    });
+
+    const attempts = JSON.parse(await fs.readFile(path.join(taskInfoFolder, 'attempts.json'), 'utf-8'));
+    expect(attempts).toHaveLength(2);
+    expect(attempts[0]).toMatchObject({ attempt: 1, kind: 'infra', phase: 'bootstrap', error: 'clone flaked', retried: true, retryDelayMs: 1000 });
+    expect(attempts[1]).toMatchObject({ attempt: 2, kind: 'agent', phase: null, retried: false, retryDelayMs: null });
+  });
+
+  it('should keep stderr.log of a retried attempt under an attempt-specific name', async () => {
+    await fs.writeFile(path.join(taskInfoFolder, 'stderr.log'), 'crash', 'utf-8');
+
+    await recordFailedAttempt({ taskInfoFolder }, {
+      attempt: 1, kind: 'infra', error: new Error('Failed to spawn claude CLI'), willRetry: true, delayMs: 1000,
+    });
+
+    const files = await fs.readdir(taskInfoFolder);
+    expect(files).toContain('stderr.attempt-1.log');
+    expect(files).not.toContain('stderr.log');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadMatrix, expandMatrixCells } from '../scripts/utils/run-matrix.js';
+
+describe('loadMatrix', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-matrix-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  async function writeMatrix(content) {
+    const matrixPath = path.join(tmpDir, 'experiment.json');
+    await fs.writeFile(matrixPath, JSON.stringify(content));
+    return matrixPath;
+  }
+
+  it('should load a full matrix with defaults applied', async () => {
+    const matrixPath = await writeMatrix({
+      name: 'opus-vs-sonnet',
+      tasks: ['build-block'],
+      agents: ['claude'],
+      models: { claude: ['model-a', 'model-b'] },
+      iterations: 3
+    });
+
+    const matrix = await loadMatrix(matrixPath);
+
+    expect(matrix).toMatchObject({
+      name: 'opus-vs-sonnet',
+      file: matrixPath,
+      tasks: ['build-block'],
+      tags: [],
+      agents: ['claude'],
+      models: { claude: ['model-a', 'model-b'] },
+      augmentationSets: [],
+      iterations: 3
+    });
+  });
+
+  it('should default name to the file name and iterations to 1', async () => {
+    const matrix = await loadMatrix(await writeMatrix({ tags: ['blocks'], agents: ['codex'] }));
+
+    expect(matrix.name).toBe('experiment');
+    expect(matrix.iterations).toBe(1);
+  });
+
+  it('should resolve augmentation files relative to the matrix file', async () => {
+    await fs.writeFile(path.join(tmpDir, 'baseline.json'), '[]');
+    const matrix = await loadMatrix(await writeMatrix({
+      agents: ['claude'],
+      augmentationSets: [{ name: 'baseline', files: ['baseline.json'] }]
+    }));
+
+    expect(matrix.augmentationSets).toEqual([
+      { name: 'baseline', files: [path.join(tmpDir, 'baseline.json')] }
+    ]);
+  });
+
+  it('should reject tasks and tags together', async () => {
+    const matrixPath = await writeMatrix({ tasks: ['a'], tags: ['b'], agents: ['claude'] });
+    await expect(loadMatrix(matrixPath)).rejects.toThrow('both "tasks" and "tags"');
+  });
+
+  it('should require at least one agent', async () => {
+    await expect(loadMatrix(await writeMatrix({ tasks: ['a'] }))).rejects.toThrow('"agents"');
+  });
+
+  it('should reject model overrides for agents not in the matrix', async () => {
+    const matrixPath = await writeMatrix({ agents: ['claude'], models: { codex: ['o3'] } });
+    await expect(loadMatrix(matrixPath)).rejects.toThrow("agent 'codex'");
+  });
+
+  it('should reject invalid iterations', async () => {
+    const matrixPath = await writeMatrix({ agents: ['claude'], iterations: 0 });
+    await expect(loadMatrix(matrixPath)).rejects.toThrow('"iterations"');
+  });
+
+  it('should report unreadable files', async () => {
+    await expect(loadMatrix(path.join(tmpDir, 'missing.json'))).rejects.toThrow('Error reading matrix file');
+  });
+});
+
+describe('expandMatrixCells', () => {
+  const base = { agents: [], models: {}, augmentationSets: [] };
+
+  it('should produce one cell per agent when nothing else varies', () => {
+    const cells = expandMatrixCells({ ...base, agents: ['claude', 'codex'] });
+
+    expect(cells).toEqual([
+      { id: 'claude', agent: 'claude', model: null, augmentationSetName: null, augmentationsFiles: [] },
+      { id: 'codex', agent: 'codex', model: null, augmentationSetName: null, augmentationsFiles: [] }
+    ]);
+  });
+
+  it('should expand agents × models × augmentation sets', () => {
+    const cells = expandMatrixCells({
+      agents: ['claude', 'codex'],
+      models: { claude: ['opus', 'sonnet'] },
+      augmentationSets: [
+        { name: 'baseline', files: ['a.json'] },
+        { name: 'candidate', files: ['b.json'] }
+      ]
+    });
+
+    expect(cells.map(c => c.id)).toEqual([
+      'claude-opus-baseline',
+      'claude-opus-candidate',
+      'claude-sonnet-baseline',
+      'claude-sonnet-candidate',
+      'codex-baseline',
+      'codex-candidate'
+    ]);
+    expect(cells[1]).toMatchObject({ agent: 'claude', model: 'opus', augmentationSetName: 'candidate', augmentationsFiles: ['b.json'] });
+    expect(cells[4].model).toBeNull();
+  });
+
+  it('should leave a single model or set out of the cell id', () => {
+    const cells = expandMatrixCells({
+      agents: ['claude'],
+      models: { claude: ['opus'] },
+      augmentationSets: [{ name: 'baseline', files: [] }]
+    });
+
+    expect(cells).toHaveLength(1);
+    expect(cells[0]).toMatchObject({ id: 'claude', model: 'opus', augmentationSetName: 'baseline' });
+  });
+
+  it('should sanitize cell ids', () => {
+    const cells = expandMatrixCells({ ...base, agents: ['claude'], models: { claude: ['claude-opus-4.1', 'claude-sonnet-4.5'] } });
+
+    expect(cells.map(c => c.id)).toEqual(['claude-claude-opus-41', 'claude-claude-sonnet-45']);
+  });
+});
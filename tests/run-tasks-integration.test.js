@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { findTasks, enrichTasks, createTaskInfoFolder, processTask, buildRunStatuses } from '../scripts/run-tasks.js';
+import { CloneRegistry } from '../scripts/utils/clone-registry.js';
+import { parseAgentLog } from '../scripts/parse-agent-log.js';
+import { assembleEval } from '../scripts/assemble-eval.js';
+import { summarizeBatch } from '../scripts/summarize-batch.js';
+import { compareBatches } from '../scripts/compare-batches.js';
+import { diffAugmentationContent } from '../scripts/utils/augmentation-snapshot.js';
+
+// End-to-end pipeline run with the mock agent against a local bare repo.
+// GitHub URLs are rewritten to file:// so no network is needed.
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Eval Test',
+  GIT_AUTHOR_EMAIL: 'eval-test@example.com',
+  GIT_COMMITTER_NAME: 'Eval Test',
+  GIT_COMMITTER_EMAIL: 'eval-test@example.com',
+};
+
+const CHECKS_JS = `import fs from 'fs';
+import path from 'path';
+
+const ws = process.argv[2];
+const heroPath = path.join(ws, 'blocks', 'hero', 'hero.js');
+const hero = fs.existsSync(heroPath) ? fs.readFileSync(heroPath, 'utf-8') : '';
+const api = await fetch(process.env.EVAL_SERVICE_MOCK_API_URL + '/status').then(r => r.text(), e => e.message);
+
+console.log(JSON.stringify([
+  { name: 'hero-exists', description: 'hero.js was created', passed: hero.length > 0, evidence: heroPath },
+  { name: 'hero-decorates', description: 'hero.js exports decorate', passed: hero.includes('export default function decorate') },
+  { name: 'api-running', description: 'mock API answers during checks', passed: api === 'up', evidence: api },
+]));
+`;
+
+// Background service the task declares; checks.js calls it
+const MOCK_API_JS = `import http from 'http';
+
+http.createServer((req, res) => res.end(req.url === '/status' ? 'up' : 'mock'))
+  .listen(process.env.PORT, () => console.log('mock api on ' + process.env.PORT));
+`;
+
+// setup.js commits history the agent starts from; teardown.js leaves a marker in the run folder
+const SETUP_JS = `import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+
+const ws = process.argv[2];
+fs.writeFileSync(path.join(ws, 'HISTORY.md'), 'seeded\\n');
+execSync('git add HISTORY.md && git commit -q -m "Seed history"', { cwd: ws });
+console.log('seeded history for ' + JSON.parse(process.env.EVAL_TASK).name);
+`;
+
+const TEARDOWN_JS = `import fs from 'fs';
+import path from 'path';
+
+const task = JSON.parse(process.env.EVAL_TASK);
+fs.writeFileSync(path.join(task.taskInfoFolder, 'teardown-ran.txt'), task.agent);
+`;
+
+function fixtureFor(heroSource, usage) {
+  return {
+    format: 'claude',
+    model: 'mock-model',
+    steps: [
+      { type: 'message', text: 'Creating the hero block.' },
+      { type: 'read', path: 'README.md' },
+      { type: 'write', path: 'blocks/hero/hero.js', content: heroSource },
+      { type: 'edit', path: 'README.md', oldString: '# Mock Repo', newString: '# Mock Repo\n\nHas a hero block.' },
+      { type: 'bash', command: 'ls blocks/hero' },
+      { type: 'message', text: 'Done.' },
+    ],
+    usage,
+  };
+}
+
+let root;
+let savedEnv;
+
+async function setUpRemote(repo) {
+  const seed = path.join(root, 'seed', repo);
+  await fs.mkdir(seed, { recursive: true });
+  await fs.writeFile(path.join(seed, 'README.md'), '# Mock Repo\n', 'utf-8');
+  execSync('git init -q -b main && git add -A && git commit -q -m "Initial commit"', { cwd: seed });
+
+  const bare = path.join(root, 'remote', 'mock-org', `${repo}.git`);
+  await fs.mkdir(path.dirname(bare), { recursive: true });
+  execSync(`git clone -q --bare "${seed}" "${bare}"`);
+}
+
+async function createTask(tasksDir, repo, agentsMd) {
+  const taskDir = path.join(tasksDir, 'mock-hero');
+  await fs.mkdir(taskDir, { recursive: true });
+  await fs.writeFile(path.join(taskDir, 'task.json'), JSON.stringify({
+    name: 'mock-hero',
+    description: 'Create a hero block',
+    tags: ['mock'],
+    startFrom: `https://github.com/mock-org/${repo}`,
+    services: [{ name: 'mock-api', command: `node "${path.join(taskDir, 'mock-api.js')}"`, ready: { http: '/status' } }],
+    augmentations: [{ source: `${repo}-AGENTS.md`, target: 'AGENTS.md' }],
+  }), 'utf-8');
+  await fs.writeFile(path.join(taskDir, `${repo}-AGENTS.md`), agentsMd, 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'prompt.txt'), 'Create a hero block.', 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'criteria.txt'), '<critical>\n- hero.js exists\n</critical>', 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'checks.js'), CHECKS_JS, 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'setup.js'), SETUP_JS, 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'teardown.js'), TEARDOWN_JS, 'utf-8');
+  await fs.writeFile(path.join(taskDir, 'mock-api.js'), MOCK_API_JS, 'utf-8');
+  return taskDir;
+}
+
+/**
+ * Run one batch of the mock task through bootstrap → handler → captureResults
+ * → checks, then assemble an eval with a canned judgment.
+ */
+async function runBatch(name, heroSource, usage, agentsMd) {
+  // One remote per batch: both batches get the same branch names
+  await setUpRemote(name);
+  const tasksDir = path.join(root, name, 'tasks');
+  const taskDir = await createTask(tasksDir, name, agentsMd);
+  await fs.writeFile(path.join(taskDir, 'mock-agent.json'), JSON.stringify(fixtureFor(heroSource, usage)), 'utf-8');
+
+  const tasks = await findTasks({ tasks: ['mock-hero'], tags: [] }, tasksDir, []);
+  const [task] = enrichTasks(tasks, ['mock'], path.join(root, name, 'workspaces'));
+  const batchDir = path.join(root, name, 'results');
+  task.taskInfoFolder = path.join(batchDir, path.basename(task.taskInfoFolder));
+  await createTaskInfoFolder(task);
+
+  await processTask(task, null, {
+    cloneRegistry: new CloneRegistry(),
+    clonesBaseDir: path.join(root, name, 'clones'),
+  });
+
+  const checks = JSON.parse(await fs.readFile(path.join(task.taskInfoFolder, 'check-results.json'), 'utf-8'));
+  const resolvedChecks = checks.map(c => ({
+    name: c.name,
+    description: c.description,
+    priority: 'critical',
+    met: c.passed,
+    points: c.passed ? 2 : 0,
+  }));
+  await assembleEval(task.taskInfoFolder, {
+    criteriaChecks: [],
+    summary: 'Canned judgment',
+    strengths: [],
+    weaknesses: [],
+    observations: [],
+  }, resolvedChecks);
+
+  const runs = buildRunStatuses([task], [{ status: 'fulfilled' }]);
+  await fs.writeFile(path.join(batchDir, 'batch.json'), JSON.stringify({ runs }, null, 2), 'utf-8');
+
+  return { task, batchDir };
+}
+
+describe('run-tasks pipeline with the mock agent', () => {
+  let baseline;
+  let candidate;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'eval-integration-'));
+    savedEnv = { ...process.env };
+    Object.assign(process.env, GIT_ENV, {
+      GIT_CONFIG_COUNT: '1',
+      GIT_CONFIG_KEY_0: `url.file://${path.join(root, 'remote')}/.insteadOf`,
+      GIT_CONFIG_VALUE_0: 'https://github.com/',
+    });
+
+    baseline = await runBatch('baseline', 'export default function hero() {}\n', { inputTokens: 900, outputTokens: 100 }, '# Agents\n');
+    candidate = await runBatch('candidate', 'export default function decorate(block) {}\n', { inputTokens: 1800, outputTokens: 200 }, '# Agents\nExport decorate.\n');
+  }, 120000);
+
+  afterAll(async () => {
+    process.env = savedEnv;
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('writes a parseable output.jsonl', async () => {
+    const output = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'output.jsonl'), 'utf-8');
+    const events = parseAgentLog(output);
+
+    expect(events.filter(e => e.type === 'tool_call').map(e => e.tool)).toEqual(['Read', 'Write', 'Edit', 'Bash']);
+  });
+
+  it('captures the agent changes as a diff', async () => {
+    const diff = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'changes.diff'), 'utf-8');
+
+    expect(diff).toContain('blocks/hero/hero.js');
+    expect(diff).toContain('+Has a hero block.');
+  });
+
+  it('runs setup.js before the agent and teardown.js after it', async () => {
+    const diff = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'changes.diff'), 'utf-8');
+    const setupLog = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'setup.log'), 'utf-8');
+    const marker = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'teardown-ran.txt'), 'utf-8');
+
+    expect(setupLog).toContain('seeded history for mock-hero');
+    // Setup output is part of the baseline, not the agent's changes
+    expect(diff).not.toContain('HISTORY.md');
+    expect(marker).toBe('mock');
+  });
+
+  it('runs the task checks against the workspace', async () => {
+    const baselineChecks = JSON.parse(await fs.readFile(path.join(baseline.task.taskInfoFolder, 'check-results.json'), 'utf-8'));
+    const candidateChecks = JSON.parse(await fs.readFile(path.join(candidate.task.taskInfoFolder, 'check-results.json'), 'utf-8'));
+
+    expect(baselineChecks.map(c => c.passed)).toEqual([true, false, true]);
+    expect(candidateChecks.map(c => c.passed)).toEqual([true, true, true]);
+  });
+
+  it('runs the task services during the run and stops them afterwards', async () => {
+    const log = await fs.readFile(path.join(candidate.task.taskInfoFolder, 'service-mock-api.log'), 'utf-8');
+    const port = Number(log.match(/mock api on (\d+)/)[1]);
+
+    const reachable = await fetch(`http://127.0.0.1:${port}/status`).then(() => true, () => false);
+    expect(reachable).toBe(false);
+  });
+
+  it('records token usage from the mock output in run-metrics.json', async () => {
+    const metrics = JSON.parse(await fs.readFile(path.join(candidate.task.taskInfoFolder, 'run-metrics.json'), 'utf-8'));
+
+    expect(metrics.tokenUsage.totalTokens).toBe(2000);
+    expect(metrics.timedOut).toBe(false);
+  });
+
+  it('summarizes and compares the batches', async () => {
+    const baselineSummary = await summarizeBatch(baseline.batchDir);
+    const candidateSummary = await summarizeBatch(candidate.batchDir);
+    const comparison = compareBatches(baselineSummary, candidateSummary);
+
+    expect(candidateSummary.evaluatedCount).toBe(1);
+    expect(comparison.matched).toHaveLength(1);
+    expect(comparison.matched[0].key).toBe('mock-hero::mock');
+    expect(comparison.matched[0].scoreDelta).toBe(2);
+    expect(comparison.matched[0].successRateDelta).toBe(1);
+  });
+
+  it('diffs the augmentation content the batches ran with', async () => {
+    const diff = await diffAugmentationContent(baseline.batchDir, candidate.batchDir);
+
+    expect(diff.identical).toBe(false);
+    expect(diff.changed.map(c => c.target)).toEqual(['AGENTS.md']);
+    expect(diff.changed[0].diff).toContain('+++ candidate/AGENTS.md');
+    expect(diff.changed[0].diff).toContain('+Export decorate.');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseArgs, buildBatchMetadata } from '../scripts/run-tasks.js';
+import { parseArgs, buildBatchMetadata, buildRunStatuses } from '../scripts/run-tasks.js';
 
 describe('parseArgs', () => {
   describe('task name filtering', () => {
@@ -198,6 +198,13 @@ describe('parseArgs', () => {
     });
   });
 
+  describe('cache flag', () => {
+    it('should use the workspace cache unless --no-cache is passed', () => {
+      expect(parseArgs(['node', 'script.js']).cache).toBe(true);
+      expect(parseArgs(['node', 'script.js', '--no-cache', '--task', 'build-block']).cache).toBe(false);
+    });
+  });
+
   describe('augmentations', () => {
     it('should default augmentationsFiles to empty array', () => {
       const args = ['node', 'script.js'];
@@ -221,6 +228,30 @@ describe('parseArgs', () => {
     });
   });
 
+  describe('resume', () => {
+    it('should default resume to null', () => {
+      const result = parseArgs(['node', 'script.js']);
+      expect(result.resume).toBeNull();
+    });
+
+    it('should parse --resume timestamp', () => {
+      const result = parseArgs(['node', 'script.js', '--resume', '20260308-135305']);
+      expect(result.resume).toBe('20260308-135305');
+    });
+  });
+
+  describe('matrix', () => {
+    it('should default matrixFile to null', () => {
+      const result = parseArgs(['node', 'script.js']);
+      expect(result.matrixFile).toBeNull();
+    });
+
+    it('should parse --matrix file path', () => {
+      const result = parseArgs(['node', 'script.js', '--matrix', 'experiments/opus-vs-sonnet.json']);
+      expect(result.matrixFile).toBe('experiments/opus-vs-sonnet.json');
+    });
+  });
+
 describe('buildBatchMetadata', () => {
   const baseArgs = {
     tasks: ['build-block'],
@@ -241,7 +272,7 @@ describe('buildBatchMetadata', () => {
     const result = buildBatchMetadata(
       baseArgs, enrichedTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      false
+      []
     );
 
     expect(result).toMatchObject({
@@ -260,7 +291,7 @@ describe('buildBatchMetadata', () => {
     const result = buildBatchMetadata(
       baseArgs, enrichedTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      false
+      []
     );
 
     expect(result.args).toEqual({
@@ -279,7 +310,7 @@ describe('buildBatchMetadata', () => {
     const result = buildBatchMetadata(
       { ...baseArgs, augmentationsFiles: [] }, tasksNoAug,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      false
+      []
     );
 
     expect(result.augmentationSetName).toBeNull();
@@ -295,43 +326,190 @@ describe('buildBatchMetadata', () => {
     const result = buildBatchMetadata(
       { ...baseArgs, agents: ['claude', 'cursor'] }, multiTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      false
+      []
     );
 
     expect(result.taskNames).toEqual(['build-block', 'fix-block-bug']);
     expect(result.agentModels).toEqual({ claude: 'claude-sonnet-4-20250514', cursor: null });
   });
 
-  it('should set completedCount to null when hasFailures is true', () => {
+  it('should key agentModels by profile when runs use profiles', () => {
+    const profileTasks = [
+      { name: 'build-block', agent: 'claude', profile: 'claude-opus', model: 'opus', timestamp: '20260308-135305', iteration: 1 },
+      { name: 'build-block', agent: 'claude', profile: 'claude-sonnet', model: 'sonnet', timestamp: '20260308-135305', iteration: 1 }
+    ];
+
+    const result = buildBatchMetadata(baseArgs, profileTasks, '2026-03-08T13:53:05.000Z', null, []);
+
+    expect(result.agentModels).toEqual({ 'claude-opus': 'opus', 'claude-sonnet': 'sonnet' });
+  });
+
+  it('should count completed and failed runs from per-run statuses', () => {
+    const runs = [
+      { folderName: 'build-block-claude-1', status: 'completed' },
+      { folderName: 'build-block-claude-2', status: 'timed_out' },
+      { folderName: 'build-block-claude-3', status: 'infra_error' }
+    ];
     const result = buildBatchMetadata(
       baseArgs, enrichedTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      true
+      runs
+    );
+
+    expect(result.completedCount).toBe(1);
+    expect(result.failedCount).toBe(2);
+    expect(result.statusCounts).toEqual({ completed: 1, timed_out: 1, infra_error: 1 });
+    expect(result.runs).toBe(runs);
+  });
+
+  it('should not count pending runs as failed', () => {
+    const runs = [
+      { folderName: 'build-block-claude-1', status: 'completed' },
+      { folderName: 'build-block-claude-2', status: 'pending' },
+      { folderName: 'build-block-claude-3', status: 'pending' }
+    ];
+    const result = buildBatchMetadata(
+      baseArgs, enrichedTasks,
+      '2026-03-08T13:53:05.000Z', null,
+      runs
     );
 
-    expect(result.failedCount).toBeNull();
-    expect(result.completedCount).toBeNull();
+    expect(result.completedCount).toBe(1);
+    expect(result.failedCount).toBe(0);
   });
 
-  it('should include timedOutRuns when provided', () => {
+  it('should list timed out runs', () => {
     const result = buildBatchMetadata(
       baseArgs, enrichedTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      true,
-      ['build-block-claude-2']
+      [
+        { folderName: 'build-block-claude-1', status: 'completed' },
+        { folderName: 'build-block-claude-2', status: 'timed_out' },
+        { folderName: 'build-block-claude-3', status: 'idled_out' }
+      ]
     );
 
     expect(result.timedOutRuns).toEqual(['build-block-claude-2']);
   });
 
-  it('should default timedOutRuns to empty array when not provided', () => {
+  it('should default timedOutRuns to empty array when no runs timed out', () => {
     const result = buildBatchMetadata(
       baseArgs, enrichedTasks,
       '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
-      false
+      []
     );
 
     expect(result.timedOutRuns).toEqual([]);
   });
+
+  it('should not mark a fresh batch as resumed', () => {
+    const result = buildBatchMetadata(
+      baseArgs, enrichedTasks,
+      '2026-03-08T13:53:05.000Z', '2026-03-08T13:59:02.000Z',
+      []
+    );
+
+    expect(result.resumed).toBe(false);
+    expect(result.resumedAt).toBeNull();
+    expect(result.carriedOverCount).toBe(0);
+  });
+
+  it('should record resume info when provided', () => {
+    const result = buildBatchMetadata(
+      baseArgs, enrichedTasks,
+      '2026-03-08T13:53:05.000Z', '2026-03-08T15:10:00.000Z',
+      [],
+      { resumedAt: '2026-03-08T15:00:00.000Z', carriedOverCount: 2 }
+    );
+
+    expect(result.resumed).toBe(true);
+    expect(result.resumedAt).toBe('2026-03-08T15:00:00.000Z');
+    expect(result.carriedOverCount).toBe(2);
+  });
+
+  it('should leave durationMs null while the batch is still running', () => {
+    const result = buildBatchMetadata(
+      baseArgs, enrichedTasks,
+      '2026-03-08T13:53:05.000Z', null,
+      []
+    );
+
+    expect(result.durationMs).toBeNull();
+    expect(result.finishedAt).toBeNull();
+  });
+
+  it('should leave matrix null for a regular batch', () => {
+    const result = buildBatchMetadata(baseArgs, enrichedTasks, '2026-03-08T13:53:05.000Z', null, []);
+
+    expect(result.matrix).toBeNull();
+  });
+
+  it('should describe each matrix cell once', () => {
+    const matrixTasks = [
+      { name: 'build-block', agent: 'claude', model: 'model-a', matrixCell: 'claude-model-a', augmentationSetName: 'baseline', timestamp: '20260308-135305' },
+      { name: 'build-block', agent: 'claude', model: 'model-b', matrixCell: 'claude-model-b', augmentationSetName: 'baseline', timestamp: '20260308-135305' },
+      { name: 'build-block', agent: 'claude', model: 'model-a', matrixCell: 'claude-model-a', augmentationSetName: 'baseline', timestamp: '20260308-135305' }
+    ];
+    const args = { ...baseArgs, matrix: { name: 'opus-vs-sonnet', file: 'experiments/opus-vs-sonnet.json' } };
+
+    const result = buildBatchMetadata(args, matrixTasks, '2026-03-08T13:53:05.000Z', null, []);
+
+    expect(result.matrix).toEqual({
+      name: 'opus-vs-sonnet',
+      file: 'experiments/opus-vs-sonnet.json',
+      cells: [
+        { id: 'claude-model-a', agent: 'claude', profile: null, model: 'model-a', augmentationSetName: 'baseline' },
+        { id: 'claude-model-b', agent: 'claude', profile: null, model: 'model-b', augmentationSetName: 'baseline' }
+      ]
+    });
+  });
 });
 
+describe('buildRunStatuses', () => {
+  const tasks = [
+    { name: 'build-block', agent: 'claude', iteration: 1, taskInfoFolder: '/results/ts/build-block-claude-1' },
+    { name: 'build-block', agent: 'claude', iteration: 2, taskInfoFolder: '/results/ts/build-block-claude-2' },
+    { name: 'build-block', agent: 'claude', iteration: 3, taskInfoFolder: '/results/ts/build-block-claude-3' }
+  ];
+
+  it('should mark every run pending before anything ran', () => {
+    const runs = buildRunStatuses(tasks);
+
+    expect(runs.map(r => r.folderName)).toEqual(['build-block-claude-1', 'build-block-claude-2', 'build-block-claude-3']);
+    expect(runs.every(r => r.status === 'pending')).toBe(true);
+  });
+
+  it('should apply outcomes by task id', () => {
+    const runs = buildRunStatuses(tasks, [
+      { taskId: 'build-block-claude-1', status: 'completed', error: null, durationMs: 1000, attempts: 1 },
+      { taskId: 'build-block-claude-2', status: 'idled_out', error: 'Agent idle for 120s with no output', durationMs: 2000, attempts: 1 }
+    ]);
+
+    expect(runs[0]).toMatchObject({ task: 'build-block', agent: 'claude', iteration: 1, status: 'completed', durationMs: 1000 });
+    expect(runs[1]).toMatchObject({ status: 'idled_out', error: 'Agent idle for 120s with no output' });
+    expect(runs[2].status).toBe('pending');
+  });
+
+  it('should keep carried-over entries from a previous invocation', () => {
+    const runs = buildRunStatuses(tasks, [], [
+      { folderName: 'build-block-claude-1', status: 'timed_out', durationMs: 300000 }
+    ]);
+
+    expect(runs[0]).toMatchObject({ status: 'timed_out', durationMs: 300000, carriedOver: true });
+    expect(runs[1].status).toBe('pending');
+  });
+
+  it('should key matrix runs by folder name and record their cell', () => {
+    const matrixTasks = [
+      { name: 'build-block', agent: 'claude', matrixCell: 'claude-model-a', iteration: 1, taskInfoFolder: '/results/ts/build-block-claude-model-a-1' },
+      { name: 'build-block', agent: 'claude', matrixCell: 'claude-model-b', iteration: 1, taskInfoFolder: '/results/ts/build-block-claude-model-b-1' }
+    ];
+
+    const runs = buildRunStatuses(matrixTasks, [
+      { taskId: 'build-block-claude-model-b-1', status: 'completed', error: null, durationMs: 1000, attempts: 1 }
+    ]);
+
+    expect(runs[0]).toMatchObject({ matrixCell: 'claude-model-a', status: 'pending' });
+    expect(runs[1]).toMatchObject({ matrixCell: 'claude-model-b', status: 'completed' });
+  });
+});
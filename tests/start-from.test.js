@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { parseStartFrom, createWorktreeWorkspace, cloneStartFromIntoWorkspace } from '../scripts/utils/workspace-setup.js';
+import { CloneRegistry } from '../scripts/utils/clone-registry.js';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Eval Test',
+  GIT_AUTHOR_EMAIL: 'eval-test@example.com',
+  GIT_COMMITTER_NAME: 'Eval Test',
+  GIT_COMMITTER_EMAIL: 'eval-test@example.com',
+};
+
+describe('parseStartFrom', () => {
+  it('keeps GitHub tree URLs as before', () => {
+    expect(parseStartFrom('https://github.com/org/repo/tree/feature/x')).toEqual({
+      type: 'git', cloneUrl: 'https://github.com/org/repo.git', ref: 'feature/x', isCommitHash: false, local: false,
+    });
+    expect(parseStartFrom('https://github.com/org/repo').ref).toBe('main');
+  });
+
+  it('accepts other git hosts with an optional ref after #', () => {
+    expect(parseStartFrom('https://gitlab.example.com/team/site.git#v2')).toEqual({
+      type: 'git', cloneUrl: 'https://gitlab.example.com/team/site.git', ref: 'v2', isCommitHash: false, local: false,
+    });
+    expect(parseStartFrom('git@gitlab.example.com:team/site.git')).toMatchObject({
+      cloneUrl: 'git@gitlab.example.com:team/site.git', ref: null, local: false,
+    });
+    expect(parseStartFrom('ssh://git@host/site.git#abc1234').isCommitHash).toBe(true);
+  });
+
+  it('resolves local paths against baseDir', () => {
+    expect(parseStartFrom('../repos/site#main', { baseDir: '/evals/tasks/t1' })).toEqual({
+      type: 'git', cloneUrl: 'file:///evals/tasks/repos/site', ref: 'main', isCommitHash: false, local: true,
+    });
+    expect(parseStartFrom('file:///srv/site').cloneUrl).toBe('file:///srv/site');
+  });
+
+  it('recognises bundles and snapshots by extension', () => {
+    expect(parseStartFrom('fixtures/site.bundle#dev', { baseDir: '/t' })).toEqual({
+      type: 'bundle', cloneUrl: '/t/fixtures/site.bundle', ref: 'dev', isCommitHash: false, local: true,
+    });
+    expect(parseStartFrom('./site.tar.gz', { baseDir: '/t' })).toMatchObject({ type: 'tarball', cloneUrl: '/t/site.tar.gz', ref: null });
+    expect(parseStartFrom('/x/site.tgz').type).toBe('tarball');
+  });
+
+  it('does not take remote URLs ending in an archive extension for local files', () => {
+    expect(() => parseStartFrom('https://host/x.tar.gz', { baseDir: '/t' })).toThrow('https://host/x.tar.gz is a remote snapshot');
+    expect(parseStartFrom('https://host/site.bundle#dev', { baseDir: '/t' })).toEqual({
+      type: 'git', cloneUrl: 'https://host/site.bundle', ref: 'dev', isCommitHash: false, local: false,
+    });
+  });
+
+  it('rejects a ref on a snapshot and unrecognised values', () => {
+    expect(() => parseStartFrom('./site.tar.gz#main')).toThrow('is a snapshot and has no refs');
+    expect(() => parseStartFrom('not-a-url')).toThrow('startFrom must be a git URL');
+    expect(() => parseStartFrom('')).toThrow('startFrom is required');
+  });
+});
+
+describe('local startFrom sources', () => {
+  let root;
+  let taskDir;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'start-from-'));
+    taskDir = path.join(root, 'tasks', 'site-task');
+    const repo = path.join(root, 'repos', 'site');
+    await fs.mkdir(taskDir, { recursive: true });
+    await fs.mkdir(repo, { recursive: true });
+
+    await fs.writeFile(path.join(repo, 'README.md'), '# main\n', 'utf-8');
+    execSync('git init -q -b main && git add -A && git commit -q -m init', { cwd: repo, env: GIT_ENV });
+    execSync('git checkout -q -b dev', { cwd: repo, env: GIT_ENV });
+    await fs.writeFile(path.join(repo, 'README.md'), '# dev\n', 'utf-8');
+    execSync('git commit -q -am dev && git checkout -q main', { cwd: repo, env: GIT_ENV });
+    execSync(`git bundle create "${path.join(taskDir, 'site.bundle')}" --all`, { cwd: repo, stdio: 'pipe' });
+    await fs.mkdir(path.join(root, 'repos', 'with spaces'));
+    await fs.copyFile(path.join(taskDir, 'site.bundle'), path.join(root, 'repos', 'with spaces', 'site.bundle'));
+
+    const snapshot = path.join(root, 'snapshot', 'site-1.0');
+    await fs.mkdir(snapshot, { recursive: true });
+    await fs.writeFile(path.join(snapshot, 'README.md'), '# snapshot\n', 'utf-8');
+    execSync(`tar -czf "${path.join(taskDir, 'site.tar.gz')}" site-1.0`, { cwd: path.dirname(snapshot) });
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const readme = (dir) => fs.readFile(path.join(dir, 'README.md'), 'utf-8');
+
+  it.each([
+    ['a local repository', '../../repos/site#dev', '# dev\n'],
+    ['a file:// URL with the default branch', () => `file://${path.join(root, 'repos', 'site')}`, '# main\n'],
+    ['a bundle', 'site.bundle#dev', '# dev\n'],
+    ['a tarball snapshot', 'site.tar.gz', '# snapshot\n'],
+    ['a bundle in a folder with spaces', '../../repos/with spaces/site.bundle#dev', '# dev\n'],
+  ])('creates a worktree workspace from %s', async (_label, startFrom, expected) => {
+    const source = typeof startFrom === 'function' ? startFrom() : startFrom;
+    const registry = new CloneRegistry();
+    const batchDir = await fs.mkdtemp(path.join(root, 'batch-'));
+    const workspaceDir = path.join(batchDir, 'ws');
+
+    const parentRepoPath = await createWorktreeWorkspace(
+      source, workspaceDir, 'eval-branch', registry, path.join(batchDir, '.clones'), { baseDir: taskDir }
+    );
+
+    expect(await readme(workspaceDir)).toBe(expected);
+    expect(parentRepoPath.startsWith(path.join(batchDir, '.clones'))).toBe(true);
+    expect(execSync('git log --oneline', { cwd: workspaceDir }).toString().trim()).not.toBe('');
+  });
+
+  it('copies a snapshot into a plain workspace', async () => {
+    const workspaceDir = path.join(root, 'plain');
+    await fs.mkdir(workspaceDir, { recursive: true });
+
+    await cloneStartFromIntoWorkspace('site.tar.gz', workspaceDir, { baseDir: taskDir });
+
+    expect(await readme(workspaceDir)).toBe('# snapshot\n');
+    await expect(fs.access(path.join(workspaceDir, '.git'))).resolves.toBeUndefined();
+  });
+});
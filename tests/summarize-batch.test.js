@@ -1,5 +1,8 @@
-import { describe, it, expect } from 'vitest';
-import { parseArgs, groupRuns, computeGroupStats, computeBatchStats } from '../scripts/summarize-batch.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { parseArgs, groupRuns, computeGroupStats, computeBatchStats, summarizeBatch } from '../scripts/summarize-batch.js';
 
 describe('summarize-batch parseArgs', () => {
   it('should parse positional batch dir', () => {
@@ -41,6 +44,33 @@ describe('groupRuns', () => {
     expect(groups['fix-bug::codex'].task).toBe('fix-bug');
     expect(groups['fix-bug::codex'].agent).toBe('codex');
   });
+
+  it('should group profile runs by task::profile key', () => {
+    const runs = [
+      { task: 'build-block', agent: 'claude', profile: 'claude-opus', iteration: 1, score: 8 },
+      { task: 'build-block', agent: 'claude', profile: 'claude-sonnet', iteration: 1, score: 6 },
+      { task: 'build-block', agent: 'claude', profile: null, iteration: 1, score: 7 }
+    ];
+
+    const groups = groupRuns(runs);
+    expect(Object.keys(groups)).toEqual(['build-block::claude-opus', 'build-block::claude-sonnet', 'build-block::claude']);
+    expect(groups['build-block::claude-opus'].agent).toBe('claude');
+    expect(groups['build-block::claude-opus'].profile).toBe('claude-opus');
+  });
+
+  it('should group matrix runs by task::cell key', () => {
+    const runs = [
+      { task: 'build-block', agent: 'claude', matrixCell: 'claude-model-a', iteration: 1, score: 8 },
+      { task: 'build-block', agent: 'claude', matrixCell: 'claude-model-b', iteration: 1, score: 6 },
+      { task: 'build-block', agent: 'claude', matrixCell: 'claude-model-a', iteration: 2, score: 9 }
+    ];
+
+    const groups = groupRuns(runs);
+    expect(Object.keys(groups)).toEqual(['build-block::claude-model-a', 'build-block::claude-model-b']);
+    expect(groups['build-block::claude-model-a'].runs).toHaveLength(2);
+    expect(groups['build-block::claude-model-a'].agent).toBe('claude');
+    expect(groups['build-block::claude-model-a'].matrixCell).toBe('claude-model-a');
+  });
 });
 
 describe('computeGroupStats', () => {
@@ -192,3 +222,57 @@ describe('computeBatchStats', () => {
     expect(stats.meanDurationMs).toBeNull();
   });
 });
+
+describe('summarizeBatch', () => {
+  let batchDir;
+
+  async function writeRun(folderName, { evalResult, metrics } = {}) {
+    const runDir = path.join(batchDir, folderName);
+    await fs.mkdir(runDir, { recursive: true });
+    const [task, agent, iteration] = folderName.split(/-(?=[a-z]+-\d+$)|-(?=\d+$)/);
+    await fs.writeFile(path.join(runDir, 'task.json'), JSON.stringify({ name: task, agent, iteration: Number(iteration) }));
+    if (evalResult) await fs.writeFile(path.join(runDir, 'eval-result.json'), JSON.stringify(evalResult));
+    if (metrics) await fs.writeFile(path.join(runDir, 'run-metrics.json'), JSON.stringify(metrics));
+  }
+
+  beforeEach(async () => {
+    batchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'summarize-batch-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(batchDir, { recursive: true, force: true });
+  });
+
+  it('should use per-run statuses from batch.json', async () => {
+    await writeRun('build-block-claude-1', { evalResult: { score: 8, maxScore: 10 }, metrics: { timedOut: false } });
+    await writeRun('build-block-claude-2', { evalResult: { score: 4, maxScore: 10 }, metrics: { timedOut: false } });
+    await writeRun('build-block-claude-3');
+    await fs.writeFile(path.join(batchDir, 'batch.json'), JSON.stringify({
+      runs: [
+        { folderName: 'build-block-claude-1', status: 'completed' },
+        { folderName: 'build-block-claude-2', status: 'timed_out' },
+        { folderName: 'build-block-claude-3', status: 'infra_error', error: 'npm ci failed' }
+      ]
+    }));
+
+    const summary = await summarizeBatch(batchDir);
+
+    expect(summary.runCount).toBe(3);
+    expect(summary.runStatusCounts).toEqual({ completed: 1, timed_out: 1, infra_error: 1 });
+    expect(summary.unevaluableRuns).toEqual([{ folderName: 'build-block-claude-3', status: 'infra_error', error: 'npm ci failed' }]);
+    expect(summary.missingEvalCount).toBe(0);
+    expect(summary.groups['build-block::claude'].stats.timedOutCount).toBe(1);
+  });
+
+  it('should fall back to file presence for batches without per-run statuses', async () => {
+    await writeRun('build-block-claude-1', { evalResult: { score: 8, maxScore: 10 }, metrics: { timedOut: true } });
+    await writeRun('build-block-claude-2');
+
+    const summary = await summarizeBatch(batchDir);
+
+    expect(summary.runCount).toBe(2);
+    expect(summary.runStatusCounts).toBeNull();
+    expect(summary.missingEvalCount).toBe(1);
+    expect(summary.groups['build-block::claude'].stats.timedOutCount).toBe(1);
+  });
+});
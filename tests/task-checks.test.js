@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { runTaskChecks } from '../scripts/utils/task-checks.js';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -106,3 +107,184 @@ console.log(JSON.stringify([{
     expect(result[0].passed).toBe(true);
   });
 });
+
+describe('runTaskChecks with a checks module', { timeout: 20000 }, () => {
+  let root;
+
+  async function writeChecks(source) {
+    const taskPath = path.join(root, 'task');
+    await fs.mkdir(taskPath, { recursive: true });
+    await fs.writeFile(path.join(taskPath, 'checks.js'), source, 'utf-8');
+    return taskPath;
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'checks-module-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('runs each check with a ctx and records status and duration', async () => {
+    const taskInfoFolder = path.join(root, 'results');
+    await fs.mkdir(taskInfoFolder);
+    await fs.writeFile(path.join(taskInfoFolder, 'output.jsonl'), `${JSON.stringify({
+      type: 'assistant',
+      message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm run lint' } }] },
+    })}\n`, 'utf-8');
+    const taskPath = await writeChecks(`
+console.log('stray output');
+export default [
+  { name: 'ctx', description: 'Sees the run', run: (ctx) => ({
+    passed: true,
+    evidence: [ctx.workspaceDir, ctx.task.name, ctx.diff, ctx.commits.length, ctx.events[0].tool, ctx.env.EVAL_SERVICE_API_URL].join(' '),
+  }) },
+  { name: 'bool', run: async () => false },
+  { name: 'ran-lint', run: (ctx) => ctx.transcript.ranCommand(/npm run lint/) !== null },
+];
+`);
+
+    const results = await runTaskChecks(taskPath, '/tmp/ws', { EVAL_SERVICE_API_URL: 'http://localhost:1' }, {
+      task: { name: 'demo', agent: 'claude', taskInfoFolder },
+      diff: '+x',
+      commits: [{ hash: 'abc' }],
+    });
+
+    expect(results).toEqual([
+      {
+        name: 'ctx',
+        description: 'Sees the run',
+        passed: true,
+        evidence: '/tmp/ws demo +x 1 Bash http://localhost:1',
+        status: 'passed',
+        durationMs: expect.any(Number),
+      },
+      { name: 'bool', description: '', passed: false, evidence: '', status: 'failed', durationMs: expect.any(Number) },
+      { name: 'ran-lint', description: '', passed: true, evidence: '', status: 'passed', durationMs: expect.any(Number) },
+    ]);
+  });
+
+  it('gives checks the changes, with the files of augmentations protected', async () => {
+    const taskInfoFolder = path.join(root, 'results');
+    await fs.mkdir(taskInfoFolder);
+    await fs.writeFile(path.join(taskInfoFolder, 'augmentation-manifest.json'), JSON.stringify({
+      targets: [{ target: 'AGENTS.md', type: 'file' }, { target: 'blocks/carousel', type: 'directory' }],
+    }), 'utf-8');
+    const taskPath = await writeChecks(`
+export default [
+  { name: 'changes', run: ({ changes, augmentationFiles }) => ({
+    passed: changes.forbiddenChanges().length === 0,
+    evidence: [augmentationFiles.join(), changes.summary(), changes.forbiddenChanges().map(f => f.path).join()].join(' | '),
+  }) },
+];
+`);
+    const diff = [
+      'diff --git a/AGENTS.md b/AGENTS.md',
+      '--- a/AGENTS.md',
+      '+++ b/AGENTS.md',
+      '@@ -1 +1 @@',
+      '-Rules',
+      '+Fewer rules',
+      'diff --git a/blocks/carousel/carousel.css b/blocks/carousel/carousel.css',
+      '--- a/blocks/carousel/carousel.css',
+      '+++ b/blocks/carousel/carousel.css',
+      '@@ -1 +1 @@',
+      '-.carousel-slide { height: 400px; }',
+      '+.carousel-slide { min-height: 400px; }',
+    ].join('\n');
+
+    const [result] = await runTaskChecks(taskPath, '/tmp/ws', {}, { task: { name: 'demo', taskInfoFolder }, diff, commits: [] });
+
+    expect(result).toMatchObject({ passed: false, evidence: 'AGENTS.md | 2 files changed (2 modified), +2 -2 | AGENTS.md' });
+  });
+
+  it('resolves fix-block-bug\'s lint ordering from the transcript', async () => {
+    const taskInfoFolder = path.join(root, 'results');
+    await fs.mkdir(taskInfoFolder);
+    const toolUse = (id, name, input) => JSON.stringify({
+      type: 'assistant',
+      message: { content: [{ type: 'tool_use', id, name, input }] },
+    });
+    const writeTranscript = (lines) => fs.writeFile(path.join(taskInfoFolder, 'output.jsonl'), `${lines.join('\n')}\n`, 'utf-8');
+    const lintedAfterLastEdit = async () => {
+      const results = await runTaskChecks(path.join(__dirname, '..', 'tasks', 'fix-block-bug'), root, {}, {
+        task: { name: 'fix-block-bug', agent: 'claude', taskInfoFolder },
+        diff: '',
+        commits: [],
+      });
+      return results.find(r => r.name === 'linted-after-last-edit');
+    };
+
+    await writeTranscript([
+      toolUse('t1', 'Edit', { file_path: '/ws/blocks/carousel/carousel.css' }),
+      toolUse('t2', 'Bash', { command: 'npm run lint' }),
+      toolUse('t3', 'Edit', { file_path: '/ws/blocks/carousel/carousel.js' }),
+    ]);
+    expect(await lintedAfterLastEdit()).toMatchObject({
+      passed: false,
+      evidence: 'Last lint run (`npm run lint`) came before the last edit of /ws/blocks/carousel/carousel.js',
+    });
+
+    await writeTranscript([
+      toolUse('t1', 'Edit', { file_path: '/ws/blocks/carousel/carousel.css' }),
+      toolUse('t2', 'Bash', { command: 'npx eslint blocks/carousel' }),
+    ]);
+    expect(await lintedAfterLastEdit()).toMatchObject({ passed: true, status: 'passed' });
+  });
+
+  it('isolates checks that throw, return garbage or time out', async () => {
+    const taskPath = await writeChecks(`
+export default [
+  { name: 'throws', run: () => { throw new Error('boom'); } },
+  { name: 'garbage', run: () => 'yes' },
+  { name: 'slow', timeoutMs: 200, run: (ctx) => new Promise((resolve) => {
+    ctx.signal.addEventListener('abort', () => resolve({ passed: true, evidence: 'too late' }));
+  }) },
+  { name: 'ok', run: () => true },
+];
+`);
+
+    const results = await runTaskChecks(taskPath, '/tmp/ws', {}, { diff: '', commits: [] });
+
+    expect(results.map(r => [r.name, r.status, r.passed])).toEqual([
+      ['throws', 'error', false],
+      ['garbage', 'error', false],
+      ['slow', 'timeout', false],
+      ['ok', 'passed', true],
+    ]);
+    expect(results[0].evidence).toBe('Check threw: boom');
+    expect(results[1].evidence).toContain('expected a boolean or { passed, evidence }');
+    expect(results[2].evidence).toBe('Timed out after 200ms');
+  });
+
+  it('terminates a check that blocks its worker and carries on with the rest', async () => {
+    const taskPath = await writeChecks(`
+export default [
+  { name: 'first', run: () => true },
+  { name: 'spins', timeoutMs: 100, run: () => { for (;;) {} } },
+  { name: 'exits', run: () => process.exit(3) },
+  { name: 'last', run: () => ({ passed: true, evidence: 'still ran' }) },
+];
+`);
+
+    const results = await runTaskChecks(taskPath, '/tmp/ws', {}, { diff: '', commits: [] });
+
+    expect(results.map(r => [r.name, r.status])).toEqual([
+      ['first', 'passed'],
+      ['spins', 'timeout'],
+      ['exits', 'error'],
+      ['last', 'passed'],
+    ]);
+    expect(results[1].evidence).toContain('blocked its worker');
+    expect(results[2].evidence).toBe('Checks worker exited with code 3');
+  });
+
+  it('reports a module that does not follow the contract as a script error', async () => {
+    const taskPath = await writeChecks(`export default [{ name: 'no-run' }];\n`);
+
+    expect(await runTaskChecks(taskPath, '/tmp/ws', {}, { diff: '', commits: [] })).toEqual([
+      expect.objectContaining({ name: 'checks-script-error', passed: false, evidence: 'checks[0] (no-run) needs a "run" function' }),
+    ]);
+  });
+});
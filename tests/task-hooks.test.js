@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTaskHook, hookMetadata } from '../scripts/utils/task-hooks.js';
+import { classifyRunError } from '../scripts/utils/retry-utils.js';
+
+describe('runTaskHook', () => {
+  let root;
+  let task;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'task-hooks-'));
+    task = {
+      name: 'seeded-task',
+      agent: 'claude',
+      iteration: 2,
+      startFrom: 'https://github.com/org/repo',
+      taskPath: path.join(root, 'task'),
+      workspaceDir: path.join(root, 'workspace'),
+      taskInfoFolder: path.join(root, 'results'),
+    };
+    await Promise.all([task.taskPath, task.workspaceDir, task.taskInfoFolder].map(d => fs.mkdir(d)));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const writeHook = (hook, source) => fs.writeFile(path.join(task.taskPath, `${hook}.js`), source, 'utf-8');
+
+  it('returns null when the task has no such hook', async () => {
+    expect(await runTaskHook('setup', task)).toBeNull();
+    expect(await runTaskHook('setup', { ...task, taskPath: undefined })).toBeNull();
+  });
+
+  it('runs in the workspace with its path and the task metadata, logging the output', async () => {
+    await writeHook('setup', `
+      import fs from 'fs';
+      const meta = JSON.parse(process.env.EVAL_TASK);
+      fs.writeFileSync('seed.txt', process.argv[2]);
+      console.log('seeding', meta.name, meta.iteration);
+      console.error('a warning');
+    `);
+
+    const result = await runTaskHook('setup', task);
+
+    expect(result.hook).toBe('setup');
+    expect(await fs.readFile(path.join(task.workspaceDir, 'seed.txt'), 'utf-8')).toBe(task.workspaceDir);
+    const log = await fs.readFile(path.join(task.taskInfoFolder, 'setup.log'), 'utf-8');
+    expect(log).toContain('seeding seeded-task 2');
+    expect(log).toContain('--- stderr ---\na warning');
+  });
+
+  it('throws an infra error tagged with the hook as phase when it fails', async () => {
+    await writeHook('teardown', `console.error('database still locked'); process.exit(3);`);
+
+    const error = await runTaskHook('teardown', task).catch(e => e);
+
+    expect(error.message).toBe('teardown.js exited with code 3: database still locked');
+    expect(error.phase).toBe('teardown');
+    expect(classifyRunError(error)).toBe('infra');
+    expect(await fs.readFile(path.join(task.taskInfoFolder, 'teardown.log'), 'utf-8')).toContain('database still locked');
+  });
+
+  it('kills a hook that runs past the timeout', async () => {
+    await writeHook('setup', 'setInterval(() => {}, 1000);');
+
+    await expect(runTaskHook('setup', task, { timeoutMs: 300, logPath: null })).rejects.toThrow('setup.js timed out');
+    await expect(fs.access(path.join(task.taskInfoFolder, 'setup.log'))).rejects.toThrow();
+  });
+});
+
+describe('hookMetadata', () => {
+  it('passes only plain run metadata', () => {
+    const meta = hookMetadata({ name: 't', agent: 'codex', taskPath: '/t', workspaceDir: '/w', prompt: 'secret', turns: [] });
+
+    expect(meta).toEqual({
+      name: 't', agent: 'codex', profile: null, model: null, iteration: null, startFrom: undefined,
+      branchName: null, taskPath: '/t', workspaceDir: '/w', taskInfoFolder: null,
+    });
+  });
+});
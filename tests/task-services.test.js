@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+  normalizeServices,
+  allocatePort,
+  serviceEnvPrefix,
+  startServices,
+} from '../scripts/utils/task-services.js';
+import { classifyRunError } from '../scripts/utils/retry-utils.js';
+import { startEvalServices, stopEvalServices } from '../scripts/task-services.js';
+
+const SERVER_JS = `
+import http from 'http';
+const body = process.argv[2] || 'ok';
+http.createServer((req, res) => res.end(body + ' ' + (process.env.EVAL_SERVICE_API_URL || '-')))
+  .listen(process.env.PORT, () => console.log('listening on ' + process.env.PORT));
+`;
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function canConnect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+describe('normalizeServices', () => {
+  it('fills defaults and accepts the declared probes', () => {
+    expect(normalizeServices(undefined)).toEqual([]);
+    expect(normalizeServices([
+      { name: 'api', command: 'node api.js' },
+      { name: 'worker', command: 'node worker.js', port: null, ready: { log: 'ready', timeoutMs: 5000 } },
+    ])).toEqual([
+      { name: 'api', command: 'node api.js', port: 'auto', ready: null, env: {}, cwd: '.' },
+      { name: 'worker', command: 'node worker.js', port: null, ready: { log: 'ready', timeoutMs: 5000 }, env: {}, cwd: '.' },
+    ]);
+  });
+
+  it('rejects malformed entries', () => {
+    expect(() => normalizeServices({ name: 'api' })).toThrow('"services" must be an array');
+    expect(() => normalizeServices([{ name: 'my api', command: 'x' }])).toThrow('letters, digits and dashes');
+    expect(() => normalizeServices([{ name: 'a', command: 'x' }, { name: 'a', command: 'y' }])).toThrow('duplicate service name');
+    expect(() => normalizeServices([{ name: 'api' }])).toThrow('needs a "command"');
+    expect(() => normalizeServices([{ name: 'api', command: 'x', port: 'any' }])).toThrow('"port" must be');
+    expect(() => normalizeServices([{ name: 'api', command: 'x', ready: { http: '/', tcp: true } }])).toThrow('exactly one of');
+    expect(() => normalizeServices([{ name: 'api', command: 'x', port: null, ready: { tcp: true } }])).toThrow('needs a port');
+  });
+});
+
+describe('allocatePort / serviceEnvPrefix', () => {
+  it('hands out distinct ports to concurrent callers', async () => {
+    const ports = await Promise.all(Array.from({ length: 8 }, () => allocatePort()));
+    expect(new Set(ports).size).toBe(8);
+  });
+
+  it('derives env var names from service names', () => {
+    expect(serviceEnvPrefix('mock-api')).toBe('EVAL_SERVICE_MOCK_API');
+  });
+});
+
+describe('startServices', { timeout: 20000 }, () => {
+  let root;
+  let workspaceDir;
+  let logDir;
+  let running;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'task-services-'));
+    workspaceDir = path.join(root, 'workspace');
+    logDir = path.join(root, 'results');
+    await Promise.all([fs.mkdir(workspaceDir), fs.mkdir(logDir)]);
+    await fs.writeFile(path.join(workspaceDir, 'server.js'), SERVER_JS, 'utf-8');
+    running = null;
+  });
+
+  afterEach(async () => {
+    if (running) await running.stop();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('starts services in order on their own ports and stops them', async () => {
+    running = await startServices(normalizeServices([
+      { name: 'api', command: 'node server.js api' },
+      { name: 'web', command: 'node server.js web --port {{port}}', ready: { http: '/' } },
+    ]), { workspaceDir, logDir });
+
+    const [api, web] = running.services;
+    expect(api.port).not.toBe(web.port);
+    expect(running.env).toEqual({
+      EVAL_SERVICE_API_PORT: String(api.port),
+      EVAL_SERVICE_API_URL: `http://localhost:${api.port}`,
+      EVAL_SERVICE_WEB_PORT: String(web.port),
+      EVAL_SERVICE_WEB_URL: `http://localhost:${web.port}`,
+    });
+    // Later services see the ones started before them
+    expect(await (await fetch(web.url)).text()).toBe(`web http://localhost:${api.port}`);
+    expect(await fs.readFile(path.join(logDir, 'service-api.log'), 'utf-8')).toContain(`listening on ${api.port}`);
+
+    await running.stop();
+    running = null;
+    expect(await canConnect(web.port)).toBe(false);
+    expect(isAlive(api.pid)).toBe(false);
+  });
+
+  it('waits for a log line when the probe is a pattern', async () => {
+    running = await startServices(normalizeServices([
+      { name: 'worker', command: 'sleep 0.3; echo "worker ready"; sleep 60', port: null, ready: { log: 'ready$' } },
+    ]), { workspaceDir, logDir });
+
+    expect(running.services[0]).toMatchObject({ name: 'worker', port: null, url: null });
+    expect(running.env).toEqual({});
+  });
+
+  it('fails as an infra error when a service exits before it is ready', async () => {
+    const error = await startServices(normalizeServices([
+      { name: 'api', command: 'node server.js' },
+      { name: 'broken', command: 'echo "missing config"; exit 2' },
+    ]), { workspaceDir, logDir }).catch(e => e);
+
+    expect(error.message).toBe("Service 'broken' exited with code 2 before it was ready: missing config");
+    expect(error.phase).toBe('services');
+    expect(classifyRunError(error)).toBe('infra');
+  });
+
+  it('kills a service that is not ready in time, with its whole process group', async () => {
+    const pidFile = path.join(root, 'child.pid');
+    const error = await startServices(normalizeServices([
+      { name: 'slow', command: `sleep 60 & echo $! > "${pidFile}"; wait`, ready: { tcp: true, timeoutMs: 500 } },
+    ]), { workspaceDir, logDir }).catch(e => e);
+
+    expect(error.message).toContain("Service 'slow' was not ready (tcp) within 0.5s");
+    const childPid = Number(await fs.readFile(pidFile, 'utf-8'));
+    expect(isAlive(childPid)).toBe(false);
+  });
+});
+
+describe('startEvalServices / stopEvalServices', { timeout: 20000 }, () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'eval-services-'));
+  });
+
+  afterEach(async () => {
+    await stopEvalServices(path.join(root, 'results'));
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('starts the recorded services, records them and stops them', async () => {
+    const resultFolder = path.join(root, 'results');
+    const workspaceDir = path.join(root, 'workspace');
+    await Promise.all([fs.mkdir(resultFolder), fs.mkdir(workspaceDir)]);
+    await fs.writeFile(path.join(workspaceDir, 'server.js'), SERVER_JS, 'utf-8');
+    await fs.writeFile(path.join(resultFolder, 'task.json'), JSON.stringify({
+      name: 't',
+      services: [{ name: 'site', command: 'node server.js site', ready: { http: '/' } }],
+    }), 'utf-8');
+
+    const [site] = await startEvalServices(resultFolder, workspaceDir);
+
+    expect(await (await fetch(site.url)).text()).toBe('site -');
+    const state = JSON.parse(await fs.readFile(path.join(resultFolder, 'eval-services.json'), 'utf-8'));
+    expect(state).toEqual({ workspaceDir, services: [site] });
+    expect(await fs.readFile(path.join(resultFolder, 'eval-service-site.log'), 'utf-8')).toContain('listening');
+
+    expect(await stopEvalServices(resultFolder)).toBe(1);
+    expect(await canConnect(site.port)).toBe(false);
+    await expect(fs.access(path.join(resultFolder, 'eval-services.json'))).rejects.toThrow();
+  });
+
+  it('does nothing for tasks without services', async () => {
+    const resultFolder = path.join(root, 'results');
+    await fs.mkdir(resultFolder);
+    await fs.writeFile(path.join(resultFolder, 'task.json'), JSON.stringify({ name: 't', services: null }), 'utf-8');
+
+    expect(await startEvalServices(resultFolder, root)).toEqual([]);
+    expect(await stopEvalServices(resultFolder)).toBe(0);
+  });
+});
@@ -0,0 +1,264 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  loadTaskTurns,
+  evaluateTurnCondition,
+  lastAssistantMessage,
+  runTurns,
+} from '../scripts/utils/task-turns.js';
+import runMock from '../scripts/handlers/mock.js';
+import { parseAgentLog } from '../scripts/parse-agent-log.js';
+
+let tmpDir;
+let taskPath;
+let workspaceDir;
+let taskInfoFolder;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-turns-'));
+  taskPath = path.join(tmpDir, 'task');
+  workspaceDir = path.join(tmpDir, 'ws');
+  taskInfoFolder = path.join(tmpDir, 'result');
+  await Promise.all([taskPath, workspaceDir, taskInfoFolder].map(d => fs.mkdir(d, { recursive: true })));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('loadTaskTurns', () => {
+  it('should return no turns when task.json has none', async () => {
+    expect(await loadTaskTurns(taskPath, undefined)).toEqual([]);
+  });
+
+  it('should load prompt files and number turns from 2', async () => {
+    await fs.writeFile(path.join(taskPath, 'prompt-2.txt'), 'Now add a variant', 'utf-8');
+    await fs.writeFile(path.join(taskPath, 'prompt-3.txt'), 'The mobile layout is broken', 'utf-8');
+
+    const turns = await loadTaskTurns(taskPath, [
+      'prompt-2.txt',
+      { prompt: 'prompt-3.txt', when: { checkFailed: 'mobile-layout' } },
+    ]);
+
+    expect(turns).toEqual([
+      { turn: 2, promptFile: 'prompt-2.txt', prompt: 'Now add a variant', when: null },
+      { turn: 3, promptFile: 'prompt-3.txt', prompt: 'The mobile layout is broken', when: { checkFailed: 'mobile-layout' } },
+    ]);
+  });
+
+  it('should reject unknown conditions', async () => {
+    await fs.writeFile(path.join(taskPath, 'prompt-2.txt'), 'x', 'utf-8');
+
+    await expect(loadTaskTurns(taskPath, [{ prompt: 'prompt-2.txt', when: { fileExistz: 'a' } }]))
+      .rejects.toThrow("unknown condition 'fileExistz'");
+  });
+
+  it('should reject entries without a prompt file', async () => {
+    await expect(loadTaskTurns(taskPath, [{ when: {} }])).rejects.toThrow('turns[0] must name a prompt file');
+    await expect(loadTaskTurns(taskPath, 'prompt-2.txt')).rejects.toThrow('"turns" must be an array');
+  });
+
+  it('should fail when a prompt file is missing', async () => {
+    await expect(loadTaskTurns(taskPath, ['prompt-2.txt'])).rejects.toThrow('ENOENT');
+  });
+});
+
+describe('evaluateTurnCondition', () => {
+  it('should always send a turn without conditions', async () => {
+    expect(await evaluateTurnCondition(null, { workspaceDir })).toEqual({ met: true, reason: null });
+  });
+
+  it('should check files in the workspace', async () => {
+    await fs.writeFile(path.join(workspaceDir, 'hero.js'), '', 'utf-8');
+
+    expect((await evaluateTurnCondition({ fileExists: 'hero.js' }, { workspaceDir })).met).toBe(true);
+    expect(await evaluateTurnCondition({ fileMissing: 'hero.js' }, { workspaceDir }))
+      .toEqual({ met: false, reason: 'fileMissing: hero.js' });
+  });
+
+  it('should match the last assistant message case-insensitively', async () => {
+    const context = { workspaceDir, lastMessage: 'Should I also add a DARK variant?' };
+
+    expect((await evaluateTurnCondition({ messageMatches: 'dark variant' }, context)).met).toBe(true);
+    expect((await evaluateTurnCondition({ messageMatches: '^done' }, context)).met).toBe(false);
+  });
+
+  it('should run commands in the workspace', async () => {
+    expect((await evaluateTurnCondition({ commandFails: 'test -f missing.txt' }, { workspaceDir })).met).toBe(true);
+    expect((await evaluateTurnCondition({ commandSucceeds: 'test -f missing.txt' }, { workspaceDir })).met).toBe(false);
+  });
+
+  it('should use the task checks', async () => {
+    await fs.writeFile(
+      path.join(taskPath, 'checks.js'),
+      "console.log(JSON.stringify([{ name: 'lint', passed: true }, { name: 'mobile-layout', passed: false }]));\n",
+      'utf-8'
+    );
+
+    expect((await evaluateTurnCondition({ checkFailed: 'mobile-layout', checkPassed: 'lint' }, { workspaceDir, taskPath })).met).toBe(true);
+    expect((await evaluateTurnCondition({ checkFailed: 'lint' }, { workspaceDir, taskPath })).met).toBe(false);
+    // An unknown check neither passed nor failed
+    expect((await evaluateTurnCondition({ checkFailed: 'missing' }, { workspaceDir, taskPath })).met).toBe(false);
+  });
+});
+
+describe('lastAssistantMessage', () => {
+  it('should return the final assistant text', () => {
+    const log = [
+      { type: 'assistant', message: { content: [{ type: 'text', text: 'first' }] } },
+      { type: 'assistant', message: { content: [{ type: 'text', text: 'last' }] } },
+    ].map(e => JSON.stringify(e)).join('\n');
+
+    expect(lastAssistantMessage(log)).toBe('last');
+    expect(lastAssistantMessage('')).toBe('');
+  });
+});
+
+describe('runTurns', () => {
+  function makeTask(turns) {
+    return { name: 'mock-task', prompt: 'Build a hero block', taskPath, workspaceDir, taskInfoFolder, turns };
+  }
+
+  async function writeFixture(fixture) {
+    await fs.writeFile(path.join(taskPath, 'mock-agent.json'), JSON.stringify(fixture), 'utf-8');
+  }
+
+  const readJson = async (file) => JSON.parse(await fs.readFile(path.join(taskInfoFolder, file), 'utf-8'));
+
+  it('should resume the session for each follow-up and collect all turns in output.jsonl', async () => {
+    await writeFixture({
+      format: 'claude',
+      steps: [
+        { type: 'write', path: 'hero.js', content: 'hero' },
+        { type: 'message', text: 'Hero block done.' },
+      ],
+      turns: [{ steps: [{ type: 'write', path: 'hero-dark.js', content: 'dark' }, { type: 'message', text: 'Variant added.' }] }],
+    });
+    const task = makeTask([{ turn: 2, promptFile: 'prompt-2.txt', prompt: 'Now add a dark variant', when: { fileExists: 'hero.js' } }]);
+    const seen = [];
+    const handler = async (turnTask, onActivity, signal) => {
+      seen.push({ turn: turnTask.turn, prompt: turnTask.prompt, sessionId: turnTask.sessionId });
+      return runMock(turnTask, onActivity, signal);
+    };
+
+    await runTurns(task, handler);
+
+    expect(seen).toEqual([
+      { turn: 1, prompt: 'Build a hero block', sessionId: null },
+      { turn: 2, prompt: 'Now add a dark variant', sessionId: 'mock-ws' },
+    ]);
+    expect(await fs.readFile(path.join(workspaceDir, 'hero-dark.js'), 'utf-8')).toBe('dark');
+
+    const events = parseAgentLog(await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8'));
+    expect(events.filter(e => ['turn', 'assistant_text'].includes(e.type)).map(e => e.text || `turn ${e.turn}`))
+      .toEqual(['turn 1', 'Hero block done.', 'turn 2', 'Variant added.']);
+
+    const turns = await readJson('turns.json');
+    expect(turns.map(t => [t.turn, t.skipped, t.error])).toEqual([[1, false, null], [2, false, null]]);
+  });
+
+  it('should skip a turn whose condition is not met and record why', async () => {
+    await writeFixture({ steps: [{ type: 'message', text: 'Done.' }], turns: [{ steps: [] }, { steps: [] }] });
+    const task = makeTask([
+      { turn: 2, promptFile: 'prompt-2.txt', prompt: 'Fix the layout', when: { fileExists: 'hero.js' } },
+      { turn: 3, promptFile: 'prompt-3.txt', prompt: 'Thanks', when: { messageMatches: 'done' } },
+    ]);
+
+    await runTurns(task, runMock);
+
+    const turns = await readJson('turns.json');
+    expect(turns[1]).toEqual({ turn: 2, promptFile: 'prompt-2.txt', skipped: true, reason: 'condition not met (fileExists: hero.js)' });
+    // Conditions see the last turn that actually ran
+    expect(turns[2].skipped).toBe(false);
+
+    const events = parseAgentLog(await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8'));
+    expect(events.filter(e => e.type === 'turn').map(e => [e.turn, e.skipped])).toEqual([[1, false], [2, true], [3, false]]);
+  });
+
+  it('should keep earlier turns and rethrow when a follow-up fails', async () => {
+    await writeFixture({ steps: [{ type: 'message', text: 'Done.' }], turns: [{ steps: [], exitCode: 2 }] });
+    const task = makeTask([{ turn: 2, promptFile: 'prompt-2.txt', prompt: 'More', when: null }]);
+
+    await expect(runTurns(task, runMock)).rejects.toThrow('Mock agent exited with code 2');
+
+    const output = await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8');
+    expect(parseAgentLog(output).filter(e => e.type === 'turn')).toHaveLength(2);
+    expect((await readJson('turns.json'))[1].error).toBe('Mock agent exited with code 2');
+  });
+
+  it('should answer questions with the user simulator before the next scripted turn', async () => {
+    await writeFixture({
+      steps: [{ type: 'message', text: 'Started the hero block. Should it have a dark variant?' }],
+      turns: [
+        { steps: [{ type: 'message', text: 'Added it. Do you want a mobile layout too?' }] },
+        { steps: [{ type: 'message', text: 'Is the spacing ok?' }] },
+        { steps: [{ type: 'message', text: 'Renamed the block.' }] },
+      ],
+    });
+    const task = {
+      ...makeTask([{ turn: 2, promptFile: 'prompt-2.txt', prompt: 'Rename the block', when: null }]),
+      userSimulator: {
+        type: 'rules',
+        rules: [{ match: 'dark variant', answer: 'Yes, add one.' }, { match: 'mobile', answer: 'Yes, please.' }],
+        fallback: null,
+        questionPattern: null,
+        maxInterventions: 1,
+      },
+    };
+    const prompts = [];
+    const handler = async (turnTask, onActivity, signal) => {
+      prompts.push(turnTask.prompt);
+      return runMock(turnTask, onActivity, signal);
+    };
+
+    await runTurns(task, handler);
+
+    expect(prompts).toEqual(['Build a hero block', 'Yes, add one.', 'Rename the block']);
+    const turns = await readJson('turns.json');
+    expect(turns.map(t => [t.turn, t.source || 'task', t.skipped])).toEqual([
+      [1, 'task', false],
+      [2, 'simulator', false],
+      [3, 'simulator', true],
+      [4, 'task', false],
+    ]);
+    expect(turns[1]).toMatchObject({
+      question: 'Started the hero block. Should it have a dark variant?',
+      answer: 'Yes, add one.',
+    });
+    expect(turns[2].reason).toBe('simulator limit of 1 answers reached');
+
+    const events = parseAgentLog(await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8'));
+    expect(events.filter(e => e.type === 'turn').map(e => e.source)).toEqual([null, 'simulator', 'simulator', null]);
+  });
+
+  it('should record questions the simulator cannot answer', async () => {
+    await writeFixture({ steps: [{ type: 'message', text: 'Which branch should I use?' }] });
+    const task = {
+      ...makeTask([]),
+      userSimulator: { type: 'rules', rules: [], fallback: null, questionPattern: null, maxInterventions: 3 },
+    };
+
+    await runTurns(task, runMock);
+
+    expect((await readJson('turns.json'))[1]).toEqual({
+      turn: 2,
+      promptFile: null,
+      source: 'simulator',
+      question: 'Which branch should I use?',
+      skipped: true,
+      reason: 'simulator has no answer',
+    });
+  });
+
+  it('should leave output.jsonl empty when the agent produced nothing', async () => {
+    const task = makeTask([{ turn: 2, promptFile: 'prompt-2.txt', prompt: 'More', when: null }]);
+    const crash = async () => {
+      throw new Error('spawn failed');
+    };
+
+    await expect(runTurns(task, crash)).rejects.toThrow('spawn failed');
+    expect(await fs.readFile(path.join(taskInfoFolder, 'output.jsonl'), 'utf-8')).toBe('');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_MAX_INTERVENTIONS,
+  loadUserSimulator,
+  isQuestion,
+  answerQuestion,
+} from '../scripts/utils/user-simulator.js';
+
+let taskPath;
+
+beforeEach(async () => {
+  taskPath = await fs.mkdtemp(path.join(os.tmpdir(), 'user-simulator-'));
+});
+
+afterEach(async () => {
+  await fs.rm(taskPath, { recursive: true, force: true });
+});
+
+const writeTaskFile = (name, content) => fs.writeFile(
+  path.join(taskPath, name),
+  typeof content === 'string' ? content : JSON.stringify(content),
+  'utf-8'
+);
+
+describe('loadUserSimulator', () => {
+  it('should return null when the task has no simulator', async () => {
+    expect(await loadUserSimulator(taskPath, undefined)).toBeNull();
+  });
+
+  it('should load a rule file', async () => {
+    await writeTaskFile('user-simulator.json', {
+      rules: [{ match: 'dark', answer: 'Yes, dark too.' }],
+      fallback: 'Your call.',
+      maxInterventions: 1,
+    });
+
+    const simulator = await loadUserSimulator(taskPath, 'user-simulator.json');
+
+    expect(simulator).toEqual({
+      path: path.join(taskPath, 'user-simulator.json'),
+      type: 'rules',
+      rules: [{ match: 'dark', answer: 'Yes, dark too.' }],
+      fallback: 'Your call.',
+      questionPattern: null,
+      maxInterventions: 1,
+    });
+  });
+
+  it('should load a script with the default limit, or the one from task.json', async () => {
+    await writeTaskFile('user-simulator.js', 'export default () => "ok";\n');
+
+    expect(await loadUserSimulator(taskPath, 'user-simulator.js'))
+      .toMatchObject({ type: 'script', maxInterventions: DEFAULT_MAX_INTERVENTIONS });
+    expect(await loadUserSimulator(taskPath, { path: 'user-simulator.js', maxInterventions: 5 }))
+      .toMatchObject({ type: 'script', maxInterventions: 5 });
+  });
+
+  it('should reject malformed configs and rule files', async () => {
+    await writeTaskFile('no-rules.json', {});
+    await writeTaskFile('bad-rule.json', { rules: [{ match: 'x' }] });
+    await writeTaskFile('bad-regex.json', { rules: [{ match: '(', answer: 'x' }] });
+
+    await expect(loadUserSimulator(taskPath, { maxInterventions: 1 })).rejects.toThrow('"userSimulator" must name');
+    await expect(loadUserSimulator(taskPath, 'no-rules.json')).rejects.toThrow('must have a "rules" array');
+    await expect(loadUserSimulator(taskPath, 'bad-rule.json')).rejects.toThrow('rules[0] needs "match" and "answer"');
+    await expect(loadUserSimulator(taskPath, 'bad-regex.json')).rejects.toThrow('Invalid regular expression');
+    await expect(loadUserSimulator(taskPath, 'missing.js')).rejects.toThrow('ENOENT');
+  });
+});
+
+describe('isQuestion', () => {
+  it('should detect a question in the last paragraph', () => {
+    expect(isQuestion('I created the block.\n\nShould I also add a dark variant?')).toBe(true);
+    expect(isQuestion('Which option do you prefer?\n- A\n- B')).toBe(true);
+    expect(isQuestion('**Want me to push?**')).toBe(true);
+  });
+
+  it('should ignore earlier questions and statements', () => {
+    expect(isQuestion('Why does lint fail? The config was missing.\n\nFixed and pushed.')).toBe(false);
+    expect(isQuestion('Done.')).toBe(false);
+    expect(isQuestion('')).toBe(false);
+  });
+
+  it('should use the rule file question pattern when set', () => {
+    const simulator = { questionPattern: 'let me know' };
+
+    expect(isQuestion('Let me know which branch to use.', simulator)).toBe(true);
+    expect(isQuestion('Should I continue?', simulator)).toBe(false);
+  });
+});
+
+describe('answerQuestion', () => {
+  it('should answer with the first matching rule, then the fallback', async () => {
+    const simulator = {
+      type: 'rules',
+      rules: [{ match: 'dark (mode|variant)', answer: 'Yes.' }, { match: 'variant', answer: 'No.' }],
+      fallback: null,
+    };
+
+    expect(await answerQuestion(simulator, { message: 'Add a Dark variant?' })).toBe('Yes.');
+    expect(await answerQuestion(simulator, { message: 'Push now?' })).toBeNull();
+    expect(await answerQuestion({ ...simulator, fallback: 'Your call.' }, { message: 'Push now?' })).toBe('Your call.');
+  });
+
+  it('should call a script with the question context', async () => {
+    await writeTaskFile('user-simulator.js', [
+      'export default ({ message, intervention }) =>',
+      '  message.includes("push") ? `answer ${intervention}: yes` : "";',
+    ].join('\n'));
+    const simulator = await loadUserSimulator(taskPath, 'user-simulator.js');
+
+    expect(await answerQuestion(simulator, { message: 'Should I push?', intervention: 2 })).toBe('answer 2: yes');
+    // An empty answer means the simulator has none
+    expect(await answerQuestion(simulator, { message: 'Which color?', intervention: 1 })).toBeNull();
+  });
+
+  it('should reject a script without a default function', async () => {
+    await writeTaskFile('user-simulator.js', 'export const answer = "yes";\n');
+    const simulator = await loadUserSimulator(taskPath, 'user-simulator.js');
+
+    await expect(answerQuestion(simulator, { message: 'Push?' })).rejects.toThrow('must export a default function');
+  });
+});
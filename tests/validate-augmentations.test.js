@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  checkAugmentationFile,
+  checkTaskAugmentations,
+  findOverlappingTargets,
+  validateAugmentations,
+  formatValidationReport,
+} from '../scripts/validate-augmentations.js';
+
+describe('validate-augmentations', () => {
+  let root;
+
+  async function write(rel, content) {
+    const filePath = path.join(root, rel);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content), 'utf-8');
+    return filePath;
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-aug-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('checkAugmentationFile', () => {
+    it('accepts complete entries with resolvable sources', async () => {
+      await write('AGENTS.md', 'Run {{taskName}} on {{branch}}');
+      await write('skills/x/SKILL.md', 'x');
+      const file = await write('set.json', {
+        name: 'set',
+        vars: { branch: 'main' },
+        augmentations: [
+          { source: path.join(root, 'AGENTS.md'), target: 'AGENTS.md', template: true },
+          { source: path.join(root, 'skills'), target: '.claude/skills', mode: 'replace', agents: ['claude'] },
+          { source: 'https://github.com/adobe/skills/tree/main/skills', target: '.agents/skills' },
+          { source: 'https://raw.githubusercontent.com/adobe/aem-boilerplate/main/AGENTS.md', target: 'CLAUDE.md' },
+          { target: 'README.md', mode: 'delete' },
+        ],
+      });
+
+      const result = await checkAugmentationFile(file);
+
+      expect(result.problems).toEqual([]);
+      expect(result.entries.map(e => e.target)).toEqual(['AGENTS.md', '.claude/skills', '.agents/skills', 'CLAUDE.md', 'README.md']);
+    });
+
+    it('reports each broken entry', async () => {
+      await write('skills/x/SKILL.md', 'x');
+      await write('typo.md', 'Hello {{tsakName}}');
+      const file = await write('broken.json', [
+        { source: 'missing.md', target: 'AGENTS.md' },
+        { source: 'a.md', target: 'AGENTS.md', mode: 'overwrite' },
+        { target: 'CLAUDE.md' },
+        { source: 'a.md', target: '../outside.md' },
+        { source: 'https://github.com/adobe/skills', target: 'x' },
+        { source: path.join(root, 'skills'), target: 'AGENTS.md', mode: 'append' },
+        { source: path.join(root, 'typo.md'), target: 'AGENTS.md', template: true },
+        { source: 'a.md', target: 'x', agents: 'claude' },
+        'augmentations/other.json',
+        { target: '.', mode: 'delete' },
+        { source: 'a.md', target: './', mode: 'append' },
+      ]);
+
+      const { problems } = await checkAugmentationFile(file);
+
+      expect(problems).toEqual([
+        expect.stringMatching(/^augmentations\[0\] \(AGENTS\.md\): source not found \(tried .*missing\.md\)$/),
+        expect.stringContaining("augmentations[1] (AGENTS.md): unknown mode 'overwrite'"),
+        'augmentations[2] (CLAUDE.md): needs a "source"',
+        'augmentations[3] (../outside.md): target ../outside.md is outside the workspace',
+        'augmentations[4] (x): Unsupported GitHub URL format: https://github.com/adobe/skills',
+        expect.stringContaining("augmentations[5] (AGENTS.md): source " + path.join(root, 'skills') + " is a folder; mode 'append' need a file"),
+        expect.stringContaining("augmentations[6] (AGENTS.md): Unknown template variable 'tsakName'"),
+        'augmentations[7] (x): "agents" must be an array of agent or profile names',
+        'augmentations[8]: must be an object with a "target"',
+        "augmentations[9] (.): target . is the workspace itself; mode 'delete' needs a file or folder in it",
+        "augmentations[10] (./): target ./ is the workspace itself; mode 'append' needs a file or folder in it",
+      ]);
+    });
+
+    it('reports files that are not augmentation lists', async () => {
+      expect((await checkAugmentationFile(await write('a.json', '{ "name": '))).problems[0]).toMatch(/^Cannot read .*a\.json: /);
+      expect((await checkAugmentationFile(await write('b.json', { name: 'x' }))).problems)
+        .toEqual(['must contain an array or a {name, augmentations} object']);
+      expect((await checkAugmentationFile(await write('c.json', { vars: [], augmentations: [] }))).problems)
+        .toEqual(['"vars" must be an object']);
+    });
+
+    it('loads scripted augmentations', async () => {
+      const good = await write('good.js', "export default { name: 'good', augment: async () => {} };\n");
+      const unnamed = await write('unnamed.js', 'export default { augment: async () => {} };\n');
+      const wrong = await write('wrong.mjs', "export const augment = () => {};\n");
+
+      expect((await checkAugmentationFile(good)).problems).toEqual([]);
+      expect((await checkAugmentationFile(unnamed)).problems).toEqual([`Scripted augmentation must export a "name" (${unnamed})`]);
+      expect((await checkAugmentationFile(wrong)).problems).toEqual([`Scripted augmentation must export default { name, augment } (${wrong})`]);
+    });
+  });
+
+  describe('checkTaskAugmentations', () => {
+    it('resolves sources in the task folder and checks referenced files', async () => {
+      const taskPath = path.join(root, 'tasks', 'fix-bug');
+      await write('tasks/fix-bug/buggy-block/block.js', 'x');
+      const shared = await write('shared.json', [{ source: 'buggy-block', target: 'blocks/b' }, { source: 'nope', target: 'y' }]);
+      await write('tasks/fix-bug/task.json', {
+        name: 'fix-bug',
+        augmentations: [{ source: 'buggy-block', target: 'blocks/buggy' }, { source: 'buggy-block' }, shared],
+      });
+
+      const result = await checkTaskAugmentations(taskPath);
+
+      expect(result.files).toEqual([shared]);
+      expect(result.entries.map(e => e.target)).toEqual(['blocks/buggy', 'blocks/b', 'y']);
+      expect(result.problems).toEqual([
+        'augmentations[1]: needs a "target"',
+        expect.stringMatching(new RegExp(`^${shared}: augmentations\\[1\\] \\(y\\): source not found`)),
+      ]);
+    });
+  });
+
+  describe('findOverlappingTargets', () => {
+    const entry = (file, target, extra = {}) => ({ file, where: `${file} ${target}`, target, mode: 'merge', sourcePath: null, ...extra });
+
+    it('flags a later file writing the same target for the same agents', async () => {
+      const overlaps = await findOverlappingTargets([
+        { file: 'a.json', entries: [entry('a.json', 'AGENTS.md'), entry('a.json', 'CLAUDE.md', { agents: ['claude'] })] },
+        { file: 'b.json', entries: [entry('b.json', 'AGENTS.md/'), entry('b.json', 'CLAUDE.md', { agents: ['codex'] })] },
+      ]);
+
+      expect(overlaps).toHaveLength(1);
+      expect(overlaps[0].first.where).toBe('a.json AGENTS.md');
+      expect(overlaps[0].second.where).toBe('b.json AGENTS.md/');
+    });
+
+    it('ignores entries of one file and later edits of the same target', async () => {
+      expect(await findOverlappingTargets([
+        { file: 'a.json', entries: [entry('a.json', 'AGENTS.md'), entry('a.json', 'AGENTS.md', { mode: 'patch' })] },
+        { file: 'b.json', entries: [entry('b.json', 'AGENTS.md', { mode: 'append' })] },
+      ])).toEqual([]);
+    });
+
+    it('flags nested targets only when the outer one clobbers the inner', async () => {
+      await write('demo/blocks/cards/cards.js', 'x');
+
+      const overlaps = await findOverlappingTargets([
+        { file: 'a.json', entries: [entry('a.json', 'blocks/cards'), entry('a.json', '.claude/skills/x')] },
+        { file: 'b.json', entries: [
+          entry('b.json', '.', { sourcePath: path.join(root, 'demo') }),
+          entry('b.json', '.claude/skills'),
+          entry('b.json', '.claude', { mode: 'replace' }),
+        ] },
+      ]);
+
+      expect(overlaps.map(o => `${o.first.target} < ${o.second.target}`)).toEqual([
+        'blocks/cards < .',
+        '.claude/skills/x < .claude',
+      ]);
+    });
+  });
+
+  describe('validateAugmentations', () => {
+    it('checks the given files as one set, and each task with them', async () => {
+      await write('AGENTS.md', 'rules');
+      const base = await write('base.json', [{ source: path.join(root, 'AGENTS.md'), target: 'AGENTS.md' }]);
+      const extras = await write('extras.json', { name: 'extras', augmentations: [{ source: path.join(root, 'AGENTS.md'), target: 'AGENTS.md' }] });
+      await write('tasks/a/task.json', { name: 'a', augmentations: [{ source: path.join(root, 'AGENTS.md'), target: 'CLAUDE.md' }] });
+      await write('tasks/b/task.json', { name: 'b', augmentations: [{ source: path.join(root, 'AGENTS.md'), target: 'AGENTS.md' }] });
+      await write('tasks/c/task.json', { name: 'c' });
+
+      const report = await validateAugmentations({ files: [base, extras], tasksDir: path.join(root, 'tasks') });
+
+      expect(report.ok).toBe(false);
+      expect(report.results.map(r => path.relative(root, r.label))).toEqual(['base.json', 'extras.json', 'tasks/a/task.json', 'tasks/b/task.json']);
+      expect(report.results.every(r => r.problems.length === 0)).toBe(true);
+      expect(report.overlaps.map(o => [path.relative(root, o.first.file), path.relative(root, o.second.file)])).toEqual([
+        ['base.json', 'extras.json'],
+        ['base.json', 'tasks/b/task.json'],
+        ['extras.json', 'tasks/b/task.json'],
+      ]);
+    });
+
+    it('checks every file in the augmentations folder on its own by default', async () => {
+      await write('augmentations/one.json', [{ target: 'AGENTS.md', mode: 'delete' }]);
+      await write('augmentations/two.json', [{ target: 'AGENTS.md', mode: 'delete' }]);
+      await write('augmentations/notes.txt', 'not an augmentation');
+
+      const report = await validateAugmentations({ augmentationsDir: path.join(root, 'augmentations'), tasksDir: null });
+
+      expect(report).toMatchObject({ ok: true, overlaps: [] });
+      expect(report.results.map(r => path.basename(r.label))).toEqual(['one.json', 'two.json']);
+    });
+  });
+
+  describe('formatValidationReport', () => {
+    it('lists problems per file, overlaps and a summary', () => {
+      const text = formatValidationReport({
+        results: [
+          { label: 'augmentations/ok.json', problems: [] },
+          { label: 'augmentations/bad.json', problems: ['augmentations[0] (AGENTS.md): needs a "source"'] },
+        ],
+        overlaps: [{
+          first: { target: 'AGENTS.md', where: 'a.json augmentations[0] (AGENTS.md)' },
+          second: { target: 'AGENTS.md', where: 'b.json augmentations[1] (AGENTS.md)' },
+        }],
+      });
+
+      expect(text).toBe([
+        '✓ augmentations/ok.json',
+        '✗ augmentations/bad.json',
+        '    augmentations[0] (AGENTS.md): needs a "source"',
+        '',
+        'Overlapping targets:',
+        '  AGENTS.md: b.json augmentations[1] (AGENTS.md) overwrites AGENTS.md from a.json augmentations[0] (AGENTS.md)',
+        '',
+        '2 checked, 1 problem(s) in 1 file(s), 1 overlapping target(s)',
+      ].join('\n'));
+    });
+  });
+});
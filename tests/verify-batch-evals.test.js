@@ -101,4 +101,26 @@ describe('verifyBatchEvals', () => {
     expect(result.missingEvals).toEqual([]);
     expect(result.allEvaluated).toBe(true);
   });
+
+  it('should use per-run statuses from batch.json when present', async () => {
+    fs.readFile.mockResolvedValue(JSON.stringify({
+      runs: [
+        { folderName: 'build-block-claude-1', status: 'completed' },
+        { folderName: 'build-block-claude-2', status: 'timed_out' },
+        { folderName: 'build-block-claude-3', status: 'infra_error' }
+      ]
+    }));
+    fs.access
+      .mockResolvedValueOnce(undefined) // eval-result.json for run 1
+      .mockRejectedValueOnce(new Error('ENOENT')); // eval-result.json missing for run 2
+
+    const result = await verifyBatchEvals('/results/20260309');
+
+    expect(fs.readdir).not.toHaveBeenCalled();
+    expect(result.totalRuns).toBe(3);
+    expect(result.evaluatedCount).toBe(1);
+    expect(result.missingEvals).toEqual(['build-block-claude-2']);
+    expect(result.unevaluableRuns).toEqual([{ folderName: 'build-block-claude-3', status: 'infra_error' }]);
+    expect(result.allEvaluated).toBe(false);
+  });
 });
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import {
+  syncCachedRepo,
+  cloneFromCache,
+  nodeModulesKey,
+  restoreNodeModules,
+  saveNodeModules,
+  listCacheEntries,
+  pruneCache,
+} from '../scripts/utils/workspace-cache.js';
+import { parseAge, formatBytes } from '../scripts/workspace-cache.js';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Eval Test',
+  GIT_AUTHOR_EMAIL: 'eval-test@example.com',
+  GIT_COMMITTER_NAME: 'Eval Test',
+  GIT_COMMITTER_EMAIL: 'eval-test@example.com',
+};
+
+let root;
+let remoteUrl;
+let seed;
+
+beforeAll(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-cache-'));
+  seed = path.join(root, 'seed');
+  await fs.mkdir(seed);
+  await fs.writeFile(path.join(seed, 'README.md'), 'v1\n', 'utf-8');
+  execSync('git init -q -b main && git add -A && git commit -q -m v1', { cwd: seed, env: GIT_ENV });
+  execSync(`git clone -q --bare "${seed}" "${path.join(root, 'remote.git')}"`);
+  remoteUrl = `file://${path.join(root, 'remote.git')}`;
+});
+
+afterAll(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('repo cache', () => {
+  it('mirrors a remote once and fetches new commits incrementally', async () => {
+    const cacheDir = path.join(root, 'cache-repos');
+    const first = await syncCachedRepo(cacheDir, remoteUrl);
+
+    await fs.writeFile(path.join(seed, 'README.md'), 'v2\n', 'utf-8');
+    execSync(`git commit -q -am v2 && git push -q "${path.join(root, 'remote.git')}" main`, { cwd: seed, env: GIT_ENV });
+
+    const second = await syncCachedRepo(cacheDir, remoteUrl);
+    expect(second).toBe(first);
+    expect(execSync('git log --format=%s main', { cwd: second }).toString().trim().split('\n')).toEqual(['v2', 'v1']);
+  });
+
+  it('clones from the cache with origin pointing at the real remote', async () => {
+    const cacheDir = path.join(root, 'cache-clone');
+    const target = path.join(root, 'clone');
+
+    await cloneFromCache(cacheDir, remoteUrl, target, { branch: 'main' });
+
+    expect(await fs.readFile(path.join(target, 'README.md'), 'utf-8')).toBe('v2\n');
+    expect(execSync('git remote get-url origin', { cwd: target }).toString().trim()).toBe(remoteUrl);
+  });
+
+  it('checks out a pinned commit', async () => {
+    const cacheDir = path.join(root, 'cache-commit');
+    const target = path.join(root, 'clone-commit');
+    const v1 = execSync('git rev-parse HEAD~1', { cwd: seed }).toString().trim();
+
+    await cloneFromCache(cacheDir, remoteUrl, target, { branch: v1, isCommitHash: true });
+
+    expect(await fs.readFile(path.join(target, 'README.md'), 'utf-8')).toBe('v1\n');
+  });
+});
+
+describe('node_modules cache', () => {
+  async function makeWorkspace(name, lockfile) {
+    const ws = path.join(root, name);
+    await fs.mkdir(path.join(ws, 'node_modules', 'dep', 'bin'), { recursive: true });
+    await fs.mkdir(path.join(ws, 'node_modules', '.bin'), { recursive: true });
+    await fs.writeFile(path.join(ws, 'package-lock.json'), lockfile, 'utf-8');
+    await fs.writeFile(path.join(ws, 'node_modules', 'dep', 'bin', 'cli.js'), 'console.log(1)\n', 'utf-8');
+    await fs.symlink('../dep/bin/cli.js', path.join(ws, 'node_modules', '.bin', 'dep'));
+    return ws;
+  }
+
+  it('keys by lockfile and returns null without one', async () => {
+    const a = await makeWorkspace('ws-key-a', '{"lockfileVersion":3}');
+    const b = await makeWorkspace('ws-key-b', '{"lockfileVersion":3}');
+    const c = await makeWorkspace('ws-key-c', '{"lockfileVersion":3,"packages":{}}');
+
+    expect(await nodeModulesKey(a)).toBe(await nodeModulesKey(b));
+    expect(await nodeModulesKey(a)).not.toBe(await nodeModulesKey(c));
+    expect(await nodeModulesKey(path.join(root, 'missing'))).toBeNull();
+  });
+
+  it('restores a copy of saved node_modules', async () => {
+    const cacheDir = path.join(root, 'cache-nm');
+    const installed = await makeWorkspace('ws-installed', '{}');
+    const key = await nodeModulesKey(installed);
+
+    const fresh = path.join(root, 'ws-fresh');
+    await fs.mkdir(fresh);
+    expect(await restoreNodeModules(cacheDir, key, fresh)).toBe(false);
+
+    await saveNodeModules(cacheDir, key, installed, { source: 'test' });
+    expect(await restoreNodeModules(cacheDir, key, fresh)).toBe(true);
+
+    expect(await fs.readFile(path.join(fresh, 'node_modules', '.bin', 'dep'), 'utf-8')).toBe('console.log(1)\n');
+    expect(await fs.readlink(path.join(fresh, 'node_modules', '.bin', 'dep'))).toBe('../dep/bin/cli.js');
+
+    // An agent editing the restored files leaves the cache alone
+    await fs.writeFile(path.join(fresh, 'node_modules', 'dep', 'bin', 'cli.js'), 'tampered', 'utf-8');
+    const other = path.join(root, 'ws-other');
+    await fs.mkdir(other);
+    await restoreNodeModules(cacheDir, key, other);
+    expect(await fs.readFile(path.join(other, 'node_modules', 'dep', 'bin', 'cli.js'), 'utf-8')).toBe('console.log(1)\n');
+  });
+});
+
+describe('listCacheEntries / pruneCache', () => {
+  it('lists entries and prunes those unused for longer than the cutoff', async () => {
+    const cacheDir = path.join(root, 'cache-prune');
+    await syncCachedRepo(cacheDir, remoteUrl);
+    const ws = path.join(root, 'ws-prune');
+    await fs.mkdir(path.join(ws, 'node_modules'), { recursive: true });
+    await fs.writeFile(path.join(ws, 'node_modules', 'x.js'), 'x', 'utf-8');
+    await saveNodeModules(cacheDir, 'abc123', ws);
+
+    // Age the node_modules entry
+    const metaPath = path.join(cacheDir, 'node_modules', 'abc123', 'meta.json');
+    const meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+    await fs.writeFile(metaPath, JSON.stringify({ ...meta, lastUsedAt: '2020-01-01T00:00:00.000Z' }), 'utf-8');
+
+    const entries = await listCacheEntries(cacheDir);
+    expect(entries.map(e => e.kind)).toEqual(['node_modules', 'repos']);
+    expect(entries[1].source).toBe(remoteUrl);
+    expect(entries.every(e => e.sizeBytes > 0)).toBe(true);
+
+    const dryRun = await pruneCache(cacheDir, { olderThanMs: parseAge('1d'), dryRun: true });
+    expect(dryRun.map(e => e.key)).toEqual(['abc123']);
+    expect(await listCacheEntries(cacheDir)).toHaveLength(2);
+
+    await pruneCache(cacheDir, { olderThanMs: parseAge('1d') });
+    expect((await listCacheEntries(cacheDir)).map(e => e.kind)).toEqual(['repos']);
+
+    await pruneCache(cacheDir, { all: true });
+    expect(await listCacheEntries(cacheDir)).toEqual([]);
+  });
+});
+
+describe('cache CLI helpers', () => {
+  it('parses ages and formats sizes', () => {
+    expect(parseAge('90m')).toBe(90 * 60 * 1000);
+    expect(parseAge('14d')).toBe(14 * 24 * 60 * 60 * 1000);
+    expect(() => parseAge('2 weeks')).toThrow('Invalid age');
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
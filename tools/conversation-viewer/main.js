@@ -25,7 +25,16 @@ function render(events, meta) {
 
   document.title = meta?.title ? `Conversation — ${meta.title}` : 'Conversation';
 
-  const resultEvent = events.find(e => e.type === 'result');
+  // Multi-turn runs have one result per turn — show the totals
+  const resultEvents = events.filter(e => e.type === 'result');
+  const resultEvent = resultEvents.length > 0
+    ? {
+      cost: resultEvents.reduce((sum, e) => sum + (e.cost || 0), 0),
+      duration: resultEvents.reduce((sum, e) => sum + (e.duration || 0), 0),
+      turns: resultEvents.reduce((sum, e) => sum + (e.turns || 0), 0),
+    }
+    : null;
+  const turnEvents = events.filter(e => e.type === 'turn');
   let step = 0;
 
   let html = `<h1>${esc(meta?.title || 'Agent Conversation')}</h1>`;
@@ -42,6 +51,9 @@ function render(events, meta) {
   html += '<div class="links">';
   html += `<a href="${viewerLink('eval-viewer', 'eval-data.js', dataPath)}">Eval Result</a>`;
   html += `<a href="${viewerLink('diff-viewer', 'diff-data.js', dataPath)}">View Diff</a>`;
+  for (const t of turnEvents) {
+    html += `<a href="#turn-${t.turn}">Turn ${t.turn}${t.skipped ? ' (skipped)' : ''}</a>`;
+  }
   html += '</div>';
 
   if (meta?.prompt) {
@@ -52,7 +64,17 @@ function render(events, meta) {
   }
 
   for (const e of events) {
-    if (e.type === 'assistant_text') {
+    if (e.type === 'turn') {
+      html += `<h2 class="turn-heading" id="turn-${e.turn}">Turn ${e.turn}${e.source === 'simulator' ? ' (simulated user)' : ''}</h2>`;
+      if (e.skipped) {
+        html += `<div class="event event-turn-skipped">Not sent: ${esc(e.reason || '')}</div>`;
+      } else if (e.turn > 1 && e.prompt) {
+        html += `<div class="event event-prompt">
+      <div class="step-num">${e.source === 'simulator' ? 'Simulated user answer' : `Follow-up prompt (${esc(e.promptFile || '')})`}</div>
+      <div class="text-content">${esc(e.prompt)}</div>
+    </div>`;
+      }
+    } else if (e.type === 'assistant_text') {
       step++;
       html += `<div class="event event-assistant" id="step-${step}">
         <div class="step-num">Step ${step}</div>